@@ -0,0 +1,136 @@
+/**
+ * activity.js
+ * Handles the Activity section: the audit log of every change, filtered by
+ * entity type, user and date range.
+ */
+
+const ENTITY_LABELS = {
+    initiative: 'Initiative',
+    estimation_factor: 'Estimation Factor',
+    resource_type: 'Resource Type',
+    resource_capacity: 'Capacity',
+    shirt_sizes: 'Shirt Sizes',
+    contingency: 'Contingency',
+    settings: 'Settings',
+    calendar: 'Working Calendar',
+    workflow: 'Workflow',
+    user: 'User',
+    backup: 'Backup'
+};
+
+const ACTIVITY_PAGE_SIZE = 50;
+
+// Zero-based page of the activity table
+let activityPage = 0;
+
+/**
+ * Formats an audited value for display.
+ * @param {*} value - The old or new value of a field.
+ * @returns {string}
+ */
+function formatValue(value) {
+    if (value === null || value === undefined || value === '') return '<i>empty</i>';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text.length > 80 ? text.substring(0, 77) + '…' : text;
+}
+
+/**
+ * Fills the user filter with everyone who has made an audited change.
+ */
+async function loadActivityActors() {
+    const select = document.getElementById('activity-actor');
+    const res = await fetch(window.API + '/api/audit/actors');
+    if (!res.ok) return;
+    const selected = select.value;
+    const actors = await res.json();
+    select.innerHTML = '<option value="">All users</option>' +
+        actors.map(a => `<option value="${a.id}">${a.name}</option>`).join('');
+    select.value = selected;
+}
+
+/**
+ * Loads the Activity section from its first page.
+ */
+export async function loadActivity() {
+    activityPage = 0;
+    await loadActivityActors();
+    await loadActivityPage();
+}
+
+/**
+ * Moves the activity table by a number of pages.
+ * @param {number} delta - -1 for the previous page, 1 for the next.
+ */
+export function changeActivityPage(delta) {
+    activityPage = Math.max(0, activityPage + delta);
+    loadActivityPage();
+}
+
+/**
+ * Fetches and renders the current page of audit events for the selected filters.
+ */
+async function loadActivityPage() {
+    const params = new URLSearchParams({ limit: ACTIVITY_PAGE_SIZE, offset: activityPage * ACTIVITY_PAGE_SIZE });
+    const filters = {
+        entity_type: document.getElementById('activity-entity-type').value,
+        actor_id: document.getElementById('activity-actor').value,
+        from: document.getElementById('activity-from').value,
+        to: document.getElementById('activity-to').value
+    };
+    for (const [key, value] of Object.entries(filters)) {
+        if (value) params.set(key, value);
+    }
+
+    const res = await fetch(window.API + `/api/audit?${params}`);
+    if (!res.ok) {
+        const errorData = await res.json().catch(() => ({}));
+        const msg = errorData.errors ? errorData.errors.map(e => e.msg).join(', ') : (errorData.message || 'Error: ' + res.status);
+        window.showMessage('Error', msg, 'error');
+        return;
+    }
+    const events = await res.json();
+    renderActivity(events);
+    updateActivityPager(parseInt(res.headers.get('X-Total-Count'), 10) || 0);
+}
+
+/**
+ * Renders audit events into the activity table.
+ * @param {Array<object>} events - Events returned by GET /api/audit.
+ */
+function renderActivity(events) {
+    const tbody = document.querySelector('#activity-table tbody');
+    if (events.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" style="color:#888;">No activity matches these filters.</td></tr>';
+        return;
+    }
+    tbody.innerHTML = events.map(event => {
+        const name = event.entity_name || event.entity_id;
+        // Initiatives and factors open in their edit modal unless they are gone
+        const canOpen = ['initiative', 'estimation_factor'].includes(event.entity_type) && event.action !== 'deleted';
+        const entity = canOpen
+            ? `<a href="javascript:void(0)" onclick="window.openSearchResult('${event.entity_type}', '${event.entity_id}')">${name}</a>`
+            : name;
+        const changes = event.changes.map(c =>
+            `<div><b>${c.field}</b>: <span class="diff-removed">${formatValue(c.old)}</span> → <span class="diff-added">${formatValue(c.new)}</span></div>`
+        ).join('');
+        return `<tr>
+            <td>${window.formatDateTime(event.timestamp)}</td>
+            <td>${event.actor_name || '<i>system</i>'}</td>
+            <td>${ENTITY_LABELS[event.entity_type] || event.entity_type}: ${entity}</td>
+            <td>${event.action}</td>
+            <td class="activity-changes">${event.note ? `<div><i>${event.note}</i></div>` : ''}${changes}</td>
+        </tr>`;
+    }).join('');
+}
+
+/**
+ * Updates the activity pager for the total number of matching events.
+ * @param {number} total - The number of events matching the filters.
+ */
+function updateActivityPager(total) {
+    const first = total === 0 ? 0 : activityPage * ACTIVITY_PAGE_SIZE + 1;
+    const last = Math.min(total, (activityPage + 1) * ACTIVITY_PAGE_SIZE);
+    document.getElementById('activity-page-info').textContent = `${first}–${last} of ${total}`;
+    document.getElementById('activity-page-prev').disabled = activityPage === 0;
+    document.getElementById('activity-page-next').disabled = last >= total;
+}
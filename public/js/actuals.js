@@ -0,0 +1,203 @@
+/**
+ * actuals.js
+ * Handles the Actuals page: logging and importing actual hours, the list of entries and
+ * the estimate accuracy report comparing actual with estimated hours.
+ */
+import { formatDateTime } from './ui.js';
+
+/**
+ * Shows the error message of a failed request.
+ * @param {Response} res - The failed response.
+ */
+async function showRequestError(res) {
+    const errorData = await res.json().catch(() => ({}));
+    const msg = errorData.errors ? errorData.errors.map(e => e.msg).join(', ') : (errorData.message || 'Error: ' + res.status);
+    window.showMessage('Error', msg, 'error');
+}
+
+/**
+ * Loads the Actuals page: the initiative, resource type and status selects, the entries
+ * and the report.
+ */
+export async function loadActualsPage() {
+    const params = new URLSearchParams({ sort: 'name', order: 'asc', omit: 'journal_entries,selected_factors,cost_per_resource_type' });
+    const res = await fetch(window.API + '/api/initiatives?' + params);
+    const initiatives = res.ok ? await res.json() : [];
+    const options = initiatives.map(i => `<option value="${i.id}">${i.custom_id ? `${i.custom_id} · ` : ''}${i.name}</option>`).join('');
+
+    const initiativeSelect = document.getElementById('actuals-initiative');
+    const selectedInitiative = initiativeSelect.value;
+    initiativeSelect.innerHTML = options;
+    if (selectedInitiative) initiativeSelect.value = selectedInitiative;
+    const filter = document.getElementById('actuals-filter-initiative');
+    const filterValue = filter.value;
+    filter.innerHTML = '<option value="">Latest entries of all initiatives</option>' + options;
+    filter.value = filterValue;
+
+    document.getElementById('actuals-rt').innerHTML = [...(window.rtList || [])]
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(rt => `<option value="${rt.id}">${rt.name}</option>`)
+        .join('');
+    const dateInput = document.getElementById('actuals-date');
+    if (!dateInput.value) dateInput.value = new Date().toISOString().substring(0, 10);
+
+    const statusSelect = document.getElementById('variance-status');
+    const status = statusSelect.value;
+    statusSelect.innerHTML = '<option value="">All statuses</option>' +
+        window.statusWorkflow.map(s => `<option>${s.name}</option>`).join('');
+    statusSelect.value = status;
+
+    await loadActualHours();
+    await loadVarianceReport();
+}
+
+/**
+ * Loads the entries of the initiative chosen in the filter, or the latest entries of all.
+ */
+export async function loadActualHours() {
+    const initiativeId = document.getElementById('actuals-filter-initiative').value;
+    const params = new URLSearchParams(initiativeId ? { initiative_id: initiativeId } : { limit: 200 });
+    const res = await fetch(window.API + '/api/actuals?' + params);
+    if (!res.ok) {
+        await showRequestError(res);
+        return;
+    }
+    const entries = await res.json();
+    const tbody = document.querySelector('#actuals-table tbody');
+    if (entries.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" style="color:#888;">No actual hours logged.</td></tr>';
+        return;
+    }
+    tbody.innerHTML = entries.map(e => `
+        <tr>
+            <td>${formatDateTime(e.work_date, false)}</td>
+            <td style="text-align:left">${e.custom_id ? `${e.custom_id} · ` : ''}${e.initiative_name}</td>
+            <td>${e.resource_type_name}</td>
+            <td>${e.hours}</td>
+            <td style="text-align:left">${e.note || ''}</td>
+            <td>${e.source === 'import' ? 'Imported' : 'Logged'}${e.actor_name ? ` by ${e.actor_name}` : ''}</td>
+            <td><button class="requires-estimator" onclick="window.removeActualHours(${e.id})" style="background:var(--red)">Del</button></td>
+        </tr>`).join('');
+}
+
+/**
+ * Logs the hours entered in the form.
+ */
+export async function logActualHours() {
+    const res = await fetch(window.API + '/api/actuals', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            initiative_id: document.getElementById('actuals-initiative').value,
+            resource_type_id: document.getElementById('actuals-rt').value,
+            work_date: document.getElementById('actuals-date').value,
+            hours: document.getElementById('actuals-hours').value,
+            note: document.getElementById('actuals-note').value
+        })
+    });
+    if (!res.ok) {
+        await showRequestError(res);
+        return;
+    }
+    document.getElementById('actuals-hours').value = '';
+    document.getElementById('actuals-note').value = '';
+    await loadActualHours();
+    await loadVarianceReport();
+}
+
+/**
+ * Removes an entry of actual hours after confirmation.
+ * @param {number} id - The entry's ID.
+ */
+export async function removeActualHours(id) {
+    if (!confirm('Remove these hours?')) return;
+    const res = await fetch(window.API + `/api/actuals/${id}`, { method: 'DELETE' });
+    if (!res.ok) {
+        await showRequestError(res);
+        return;
+    }
+    await loadActualHours();
+    await loadVarianceReport();
+}
+
+/**
+ * Imports actual hours from the selected timesheet export.
+ * @param {Event} event - The file input change event.
+ */
+export async function importTimesheetFile(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const res = await fetch(window.API + '/api/actuals/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content: await file.text() })
+    });
+    const result = await res.json().catch(() => ({}));
+    if (!res.ok) {
+        const problems = result.problems?.length ? ` ${result.problems.join(' ')}` : '';
+        window.showMessage('Error', (result.message || 'Error: ' + res.status) + problems, 'error');
+        return;
+    }
+    window.showMessage('Timesheet Imported', `${result.imported} line(s) imported: ${result.hours}h on ${result.initiatives} initiative(s).`, 'success');
+    await loadActualHours();
+    await loadVarianceReport();
+}
+
+/**
+ * Formats the variance figures of a report row as table cells; overruns are shown in red.
+ * @param {object} row - A row with estimated_hours, actual_hours, variance_hours and variance_percent.
+ * @returns {string}
+ */
+function varianceCells(row) {
+    const sign = row.variance_hours > 0 ? '+' : '';
+    const cls = row.variance_hours > 0 ? 'delta-up' : (row.variance_hours < 0 ? 'delta-down' : '');
+    const percent = row.variance_percent === null ? '' : ` (${sign}${row.variance_percent}%)`;
+    return `<td>${row.estimated_hours}</td><td>${row.actual_hours}</td><td class="${cls}">${sign}${row.variance_hours}${percent}</td>`;
+}
+
+/**
+ * Loads and renders the estimate accuracy report for the chosen status.
+ */
+export async function loadVarianceReport() {
+    const status = document.getElementById('variance-status').value;
+    const res = await fetch(window.API + '/api/actuals/variance?' + new URLSearchParams(status ? { status } : {}));
+    if (!res.ok) {
+        await showRequestError(res);
+        return;
+    }
+    const report = await res.json();
+    const empty = (columns) => `<tr><td colspan="${columns}" style="color:#888;">No initiatives with actual hours.</td></tr>`;
+
+    document.getElementById('variance-summary').textContent = report.totals.initiative_count > 0
+        ? `${report.totals.initiative_count} initiative(s) with actual hours: ${report.totals.actual_hours}h worked against ${report.totals.estimated_hours}h estimated (buffer included). Positive variances are overruns.`
+        : 'No initiatives with actual hours.';
+
+    document.querySelector('#variance-initiative-table tbody').innerHTML = report.initiatives.length === 0 ? empty(8)
+        : report.initiatives.map(i => `
+            <tr>
+                <td>${i.custom_id || i.id}</td>
+                <td style="text-align:left">${i.name}</td>
+                <td>${i.status || ''}</td>
+                <td>${i.shirt_size || ''}</td>
+                <td>${i.estimation_type || ''}</td>
+                ${varianceCells(i)}
+            </tr>`).join('');
+    document.querySelector('#variance-size-table tbody').innerHTML = report.by_shirt_size.length === 0 ? empty(5)
+        : report.by_shirt_size.map(g => `<tr><td>${g.shirt_size || '—'}</td><td>${g.initiative_count}</td>${varianceCells(g)}</tr>`).join('');
+    document.querySelector('#variance-type-table tbody').innerHTML = report.by_estimation_type.length === 0 ? empty(5)
+        : report.by_estimation_type.map(g => `<tr><td>${g.estimation_type || '—'}</td><td>${g.initiative_count}</td>${varianceCells(g)}</tr>`).join('');
+    document.querySelector('#variance-factor-table tbody').innerHTML = report.by_factor.length === 0 ? empty(7)
+        : report.by_factor.map(f => `
+            <tr>
+                <td style="text-align:left">${f.name}${f.factorId ? '' : ' <span style="color:#888">(deleted)</span>'}</td>
+                <td>${f.initiative_count}</td>
+                <td>${f.quantity}</td>
+                ${varianceCells(f)}
+                <td style="text-align:left">${f.by_resource_type.map(rt => `${rt.name}: ${rt.actual_hours} / ${rt.estimated_hours}h`).join('<br>')}</td>
+            </tr>`).join('');
+    document.getElementById('variance-unattributed').textContent = report.unattributed.length > 0
+        ? `Not attributed to any factor (no factor estimated these resource types): ${report.unattributed.map(u => `${u.name} ${u.hours}h`).join(', ')}.`
+        : '';
+}
@@ -12,6 +12,16 @@ import * as factorPicker from './factorPicker.js';
 import * as resourceTypes from './resourceTypes.js';
 import * as shirtSizes from './shirtSizes.js';
 import * as preferences from './preferences.js';
+import * as capacity from './capacity.js';
+import * as search from './search.js';
+import * as auth from './auth.js';
+import * as activity from './activity.js';
+import * as trash from './trash.js';
+import * as backups from './backups.js';
+import * as calendar from './calendar.js';
+import * as workflow from './workflow.js';
+import * as baselines from './baselines.js';
+import * as actuals from './actuals.js';
 
 // --- Global State ---
 // This section defines variables that are used across different modules.
@@ -22,18 +32,35 @@ window.selectedFactors = [];
 window.efList = [];
 window.rtList = [];
 window.shirtSizes = [];
+// Every shirt size scheme with its sizes; window.shirtSizes holds the default scheme's sizes
+window.shirtSizeSchemes = [];
+// Initiative statuses with their allowed transitions (see workflow.js)
+window.statusWorkflow = [];
 window.currentInitiativeJournal = [];
 window.currentEstimationFactorJournal = [];
 
+// Workspace settings shared by all users, loaded from the server
+window.settings = { currency: 'USD' };
+// Server configuration used to display dates, loaded with the settings
+window.appConfig = { timezone: 'America/New_York', locale: 'en-US' };
+// Working calendar used to convert hours into days and months (see calendar.js)
+window.workingCalendar = { hours_per_day: 8, working_weekdays: [1, 2, 3, 4, 5], holidays: [], hours_per_month: 160 };
+// The signed-in user, or null while the login screen is shown
+window.currentUser = null;
+window.contingencyRates = {};
+
 // Sorting state for the main initiatives table
 window.currentSortColumn = 'created_at';
 window.currentSortDirection = 'desc';
+// Zero-based page of the initiatives table
+window.currentInitiativePage = 0;
 
-// User preferences for display limits, loaded from cookies
+// User preferences for display limits and exports, loaded from cookies
 window.userPreferences = {
     maxInitiatives: 8,
     maxResourceTypes: 5,
-    maxEstimationFactors: 5
+    maxEstimationFactors: 5,
+    exportIsoUtc: false
 };
 
 // --- Function Wiring ---
@@ -46,6 +73,16 @@ Object.assign(window, factorPicker);
 Object.assign(window, resourceTypes);
 Object.assign(window, shirtSizes);
 Object.assign(window, preferences);
+Object.assign(window, capacity);
+Object.assign(window, search);
+Object.assign(window, auth);
+Object.assign(window, activity);
+Object.assign(window, trash);
+Object.assign(window, backups);
+Object.assign(window, calendar);
+Object.assign(window, workflow);
+Object.assign(window, baselines);
+Object.assign(window, actuals);
 
 // --- Navigation ---
 // The main navigation function for showing/hiding sections.
@@ -70,7 +107,17 @@ window.show = function(hash) {
     window.loadRT().then(window.loadEF);
   }
   if (id === 'shirt-sizes') window.loadShirtSizes();
-  if (id === 'prefs') window.populatePrefsPage();
+  if (id === 'workflow') window.loadWorkflowPage();
+  if (id === 'capacity') window.loadRT().then(() => window.loadCapacityPlan());
+  if (id === 'actuals') window.loadRT().then(() => window.loadActualsPage());
+  if (id === 'activity') window.loadActivity();
+  if (id === 'trash') window.loadTrash();
+  if (id === 'backups') window.loadBackups();
+  if (id === 'prefs') {
+    window.populatePrefsPage();
+    window.renderWorkingCalendar();
+    window.loadUsers();
+  }
   
   // Close the flyout menu if it's open
   const flyoutMenu = document.getElementById('flyout-menu');
@@ -80,23 +127,39 @@ window.show = function(hash) {
 }
 
 // --- Initialization ---
+// Loads the application data once a user is signed in.
+window.startApp = function() {
+    // Load workspace settings, then foundational data (Resource Types, then Estimation Factors, shirt size schemes and statuses).
+    window.loadSettings().then(() => {
+        window.loadRT().then(() => { 
+            window.loadEF(); 
+        }); 
+        window.loadShirtSizes();
+        window.loadWorkflow();
+        
+        // Load the main initiatives table.
+        window.loadInitiatives(); 
+    });
+
+    // Handle the initial URL hash
+    if(location.hash) {
+        window.show(location.hash);
+    }
+}
+
 // This is the main entry point when the page is loaded.
 window.addEventListener('DOMContentLoaded', () => { 
     // 1. Load user preferences from cookies first.
     window.loadPreferences(); 
+
+    // 2. Show the login screen whenever the session is missing or expires.
+    window.installSessionGuard();
     
-    // 2. Load foundational data (Resource Types, then Estimation Factors).
-    window.loadRT().then(() => { 
-        window.loadEF(); 
-    }); 
-    
-    // 3. Load the main initiatives table.
-    window.loadInitiatives(); 
-    
-    // 4. Set up routing based on the URL hash.
+    // 3. Set up routing based on the URL hash.
     window.addEventListener('hashchange', () => window.show(location.hash));
-    // Also handle initial page load
-    if(location.hash) {
-        window.show(location.hash);
-    }
+
+    // 4. Start once a user is signed in; otherwise the login form starts the app.
+    window.checkSession().then(signedIn => {
+        if (signedIn) window.startApp();
+    });
 });
@@ -0,0 +1,227 @@
+/**
+ * auth.js
+ * Handles signing in and out, the first-run admin setup, password changes
+ * and the user list on the Prefs page.
+ */
+import { formatDateTime } from './ui.js';
+
+/**
+ * Returns a readable message from a failed API response.
+ * @param {Response} res - The failed response.
+ * @returns {Promise<string>}
+ */
+async function errorMessage(res) {
+    const errorData = await res.json().catch(() => ({}));
+    return errorData.errors ? errorData.errors.map(e => e.msg).join(', ') : (errorData.message || 'Error: ' + res.status);
+}
+
+const ROLES = ['viewer', 'estimator', 'admin'];
+
+/**
+ * Returns true if the signed-in user's role is at least the given role.
+ * @param {string} role - 'viewer', 'estimator' or 'admin'.
+ * @returns {boolean}
+ */
+export function hasRole(role) {
+    return !!window.currentUser && ROLES.indexOf(window.currentUser.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Shows the signed-in user in the header and hides the actions their role cannot perform.
+ * Elements with the requires-estimator or requires-admin class are hidden by CSS
+ * unless the body has the matching can-estimate or can-admin class.
+ */
+function renderCurrentUser() {
+    const user = window.currentUser;
+    document.getElementById('user-menu').style.display = user ? '' : 'none';
+    document.getElementById('current-user').textContent = user ? `${user.display_name || user.username} (${user.role})` : '';
+    document.body.classList.toggle('can-estimate', hasRole('estimator'));
+    document.body.classList.toggle('can-admin', hasRole('admin'));
+}
+
+/**
+ * Shows the login screen, or the first-run setup form when no account exists yet.
+ * @param {boolean} [setupRequired=false] - Whether to create the first admin account instead of signing in.
+ */
+export function showLogin(setupRequired = false) {
+    window.loginSetupMode = setupRequired;
+    document.getElementById('login-title').textContent = setupRequired ? 'Create the admin account' : 'Sign in to Estiim';
+    document.getElementById('login-intro').textContent = setupRequired
+        ? 'No accounts exist yet. The account you create now is the administrator.'
+        : '';
+    document.getElementById('login-display-name').style.display = setupRequired ? '' : 'none';
+    document.getElementById('login-password').autocomplete = setupRequired ? 'new-password' : 'current-password';
+    document.getElementById('login-submit').textContent = setupRequired ? 'Create account' : 'Sign in';
+    document.getElementById('login-error').textContent = '';
+    window.openModal('login');
+    document.getElementById('login-username').focus();
+}
+
+/**
+ * Loads the current session. Shows the login screen if nobody is signed in.
+ * @returns {Promise<boolean>} True if a user is signed in.
+ */
+export async function checkSession() {
+    const res = await fetch(window.API + '/api/auth/session');
+    const session = await res.json();
+    window.currentUser = session.user;
+    renderCurrentUser();
+    if (!session.user) {
+        showLogin(session.setupRequired);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Submits the login (or first-run setup) form and starts the app on success.
+ */
+export async function submitLogin() {
+    const payload = {
+        username: document.getElementById('login-username').value.trim(),
+        password: document.getElementById('login-password').value
+    };
+    if (window.loginSetupMode) {
+        payload.display_name = document.getElementById('login-display-name').value.trim() || null;
+    }
+    const res = await fetch(window.API + `/api/auth/${window.loginSetupMode ? 'setup' : 'login'}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+    });
+    if (!res.ok) {
+        document.getElementById('login-error').textContent = await errorMessage(res);
+        return;
+    }
+    const { user } = await res.json();
+    window.currentUser = user;
+    renderCurrentUser();
+    document.getElementById('login-password').value = '';
+    window.closeModal('login');
+    window.startApp();
+}
+
+/**
+ * Signs out and returns to the login screen.
+ */
+export async function logout() {
+    await fetch(window.API + '/api/auth/logout', { method: 'POST' });
+    window.currentUser = null;
+    renderCurrentUser();
+    showLogin(false);
+}
+
+/**
+ * Wraps fetch so that any API call rejected with 401 (e.g. an expired session)
+ * brings up the login screen, and any call rejected with 403 explains which role it needs.
+ */
+export function installSessionGuard() {
+    const originalFetch = window.fetch.bind(window);
+    window.fetch = async (input, init) => {
+        const res = await originalFetch(input, init);
+        const url = typeof input === 'string' ? input : input.url;
+        if (res.status === 401 && !url.includes('/api/auth/') && window.currentUser) {
+            window.currentUser = null;
+            renderCurrentUser();
+            showLogin(false);
+        } else if (res.status === 403) {
+            const errorData = await res.clone().json().catch(() => ({}));
+            window.showMessage('Not allowed', errorData.message || 'Your role does not allow this action.', 'error');
+        }
+        return res;
+    };
+}
+
+/**
+ * Changes the signed-in user's password from the Account card.
+ */
+export async function changePassword() {
+    const currentInput = document.getElementById('account-current-password');
+    const newInput = document.getElementById('account-new-password');
+    const res = await fetch(window.API + '/api/auth/password', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ current_password: currentInput.value, new_password: newInput.value })
+    });
+    if (!res.ok) {
+        window.showMessage('Error', await errorMessage(res), 'error');
+        return;
+    }
+    currentInput.value = '';
+    newInput.value = '';
+    window.showMessage('Success', 'Password changed.', 'success');
+}
+
+/**
+ * Loads and renders the user list on the Prefs page.
+ */
+export async function loadUsers() {
+    if (!hasRole('admin')) return;
+    const res = await fetch(window.API + '/api/users');
+    if (!res.ok) return;
+    const users = await res.json();
+    const tbody = document.querySelector('#users-table tbody');
+    tbody.innerHTML = users.map(u => `
+        <tr>
+            <td>${u.username}</td>
+            <td>${u.display_name || ''}</td>
+            <td><select onchange="window.changeUserRole(${u.id}, this)">${ROLES.map(r => `<option value="${r}"${r === u.role ? ' selected' : ''}>${r}</option>`).join('')}</select></td>
+            <td>${formatDateTime(u.last_login_at)}</td>
+            <td>${u.id === window.currentUser?.id ? '' : `<button onclick="window.deleteUser(${u.id}, '${u.username}')" style="background:var(--red)">Del</button>`}</td>
+        </tr>`).join('');
+}
+
+/**
+ * Creates a user account from the Users card.
+ */
+export async function addUser() {
+    const payload = {
+        username: document.getElementById('new-user-username').value.trim(),
+        display_name: document.getElementById('new-user-display-name').value.trim() || null,
+        password: document.getElementById('new-user-password').value,
+        role: document.getElementById('new-user-role').value
+    };
+    const res = await fetch(window.API + '/api/users', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+    });
+    if (!res.ok) {
+        window.showMessage('Error', await errorMessage(res), 'error');
+        return;
+    }
+    ['new-user-username', 'new-user-display-name', 'new-user-password'].forEach(id => { document.getElementById(id).value = ''; });
+    loadUsers();
+}
+
+/**
+ * Changes a user's role from the Users card.
+ * @param {number} id - The ID of the user.
+ * @param {HTMLSelectElement} select - The role select that changed.
+ */
+export async function changeUserRole(id, select) {
+    const res = await fetch(window.API + `/api/users/${id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ role: select.value })
+    });
+    if (!res.ok) {
+        window.showMessage('Error', await errorMessage(res), 'error');
+    }
+    loadUsers();
+}
+
+/**
+ * Deletes a user account after confirmation. Their journal entries keep their name.
+ * @param {number} id - The ID of the user.
+ * @param {string} username - The username, for the confirmation prompt.
+ */
+export async function deleteUser(id, username) {
+    if (!confirm(`Delete the account "${username}"?`)) return;
+    const res = await fetch(window.API + `/api/users/${id}`, { method: 'DELETE' });
+    if (!res.ok) {
+        window.showMessage('Error', await errorMessage(res), 'error');
+        return;
+    }
+    loadUsers();
+}
@@ -0,0 +1,138 @@
+/**
+ * backups.js
+ * Handles the admin Backups section: listing, taking, downloading, verifying and
+ * restoring database backups, and the backup schedule and retention settings.
+ */
+
+const REASON_LABELS = {
+    scheduled: 'Scheduled',
+    manual: 'Manual',
+    'pre-migration': 'Before migration',
+    'pre-restore': 'Before restore'
+};
+
+/**
+ * Formats a file size for display.
+ * @param {number} bytes - The size in bytes.
+ * @returns {string}
+ */
+function formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Shows the error message of a failed request.
+ * @param {Response} res - The failed response.
+ */
+async function showRequestError(res) {
+    const errorData = await res.json().catch(() => ({}));
+    const msg = errorData.errors ? errorData.errors.map(e => e.msg).join(', ') : (errorData.message || 'Error: ' + res.status);
+    window.showMessage('Error', msg, 'error');
+}
+
+/**
+ * Loads and renders the backups and the backup settings.
+ */
+export async function loadBackups() {
+    document.getElementById('backup-interval-hours').value = window.settings.backup_interval_hours ?? 24;
+    document.getElementById('backup-keep-last').value = window.settings.backup_keep_last ?? 10;
+    document.getElementById('backup-keep-daily').value = window.settings.backup_keep_daily ?? 7;
+    document.getElementById('backup-keep-weekly').value = window.settings.backup_keep_weekly ?? 4;
+
+    const tbody = document.querySelector('#backups-table tbody');
+    const res = await fetch(window.API + '/api/backups');
+    if (!res.ok) {
+        await showRequestError(res);
+        return;
+    }
+    const backups = await res.json();
+    if (backups.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" style="color:#888;">No backups yet.</td></tr>';
+        return;
+    }
+    tbody.innerHTML = backups.map(backup => `
+        <tr>
+            <td style="text-align:left">${backup.name}</td>
+            <td>${window.formatDateTime(backup.created_at)}</td>
+            <td>${REASON_LABELS[backup.reason] || backup.reason || ''}</td>
+            <td>${formatSize(backup.size)}</td>
+            <td>
+                <a href="${window.API}/api/backups/${encodeURIComponent(backup.name)}/download">Download</a>
+                <button onclick="window.verifyBackup('${backup.name}')">Verify</button>
+                <button onclick="window.restoreBackup('${backup.name}')" style="background:var(--red)">Restore</button>
+            </td>
+        </tr>`).join('');
+}
+
+/**
+ * Takes a backup now.
+ */
+export async function createBackupNow() {
+    const res = await fetch(window.API + '/api/backups', { method: 'POST' });
+    if (!res.ok) {
+        await showRequestError(res);
+        return;
+    }
+    const backup = await res.json();
+    window.showMessage('Backed Up', `The database was backed up to ${backup.name}.`, 'success');
+    loadBackups();
+}
+
+/**
+ * Checks that a backup is intact and shows the result.
+ * @param {string} name - The backup file name.
+ */
+export async function verifyBackup(name) {
+    const res = await fetch(window.API + `/api/backups/${encodeURIComponent(name)}/verify`, { method: 'POST' });
+    if (!res.ok) {
+        await showRequestError(res);
+        return;
+    }
+    const result = await res.json();
+    if (result.ok) {
+        window.showMessage('Backup OK', `${name} is intact: schema version ${result.schema_version}, ${result.initiatives} initiative(s).`, 'success');
+    } else {
+        window.showMessage('Backup Damaged', `${name} failed verification: ${result.integrity.join('; ')}`, 'error');
+    }
+}
+
+/**
+ * Replaces all data with a backup after confirmation, then reloads the app.
+ * @param {string} name - The backup file name.
+ */
+export async function restoreBackup(name) {
+    if (!confirm(`Restore ${name}? All current data will be replaced; it is saved to a pre-restore backup first.`)) return;
+    const res = await fetch(window.API + `/api/backups/${encodeURIComponent(name)}/restore`, { method: 'POST' });
+    if (!res.ok) {
+        await showRequestError(res);
+        return;
+    }
+    const result = await res.json();
+    // Accounts and sessions were restored too, so start over from the login screen if needed
+    alert(`Restored ${result.restored}. The previous data was saved to ${result.safety_backup.name}. The app will now reload.`);
+    window.location.reload();
+}
+
+/**
+ * Saves the backup schedule and retention settings.
+ */
+export async function saveBackupSettings() {
+    const res = await fetch(window.API + '/api/settings', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            backup_interval_hours: document.getElementById('backup-interval-hours').value,
+            backup_keep_last: document.getElementById('backup-keep-last').value,
+            backup_keep_daily: document.getElementById('backup-keep-daily').value,
+            backup_keep_weekly: document.getElementById('backup-keep-weekly').value
+        })
+    });
+    if (!res.ok) {
+        await showRequestError(res);
+        return;
+    }
+    window.settings = await res.json();
+    window.showMessage('Success', 'Backup settings saved.', 'success');
+}
@@ -0,0 +1,168 @@
+/**
+ * baselines.js
+ * Handles the Baselines modal of an initiative: listing its frozen estimates, taking
+ * one by hand, and comparing any two of them (or one with the current estimate)
+ * factor by factor and resource type by resource type.
+ */
+import { formatDateTime } from './ui.js';
+
+// The initiative whose baselines are shown
+let baselineInitiativeId = null;
+
+/**
+ * Shows the error message of a failed request.
+ * @param {Response} res - The failed response.
+ */
+async function showRequestError(res) {
+    const errorData = await res.json().catch(() => ({}));
+    const msg = errorData.errors ? errorData.errors.map(e => e.msg).join(', ') : (errorData.message || 'Error: ' + res.status);
+    window.showMessage('Error', msg, 'error');
+}
+
+/**
+ * Opens the Baselines modal for an initiative.
+ * @param {number} initiativeId - The initiative's ID.
+ */
+export async function showBaselines(initiativeId) {
+    baselineInitiativeId = initiativeId;
+    const initiative = window.initList.find(i => i.id === initiativeId);
+    document.getElementById('baselines-title').textContent = `Baselines: ${initiative ? initiative.name : initiativeId}`;
+    document.getElementById('baseline-name').value = '';
+    window.openModal('baselines');
+    await loadBaselines();
+}
+
+/**
+ * Loads the baselines into the table and the comparison selects, then compares the
+ * latest baseline with the current estimate.
+ */
+async function loadBaselines() {
+    const res = await fetch(window.API + `/api/initiatives/${baselineInitiativeId}/baselines`);
+    if (!res.ok) {
+        await showRequestError(res);
+        return;
+    }
+    const baselines = await res.json();
+    const tbody = document.querySelector('#baselines-table tbody');
+    tbody.innerHTML = baselines.length === 0
+        ? '<tr><td colspan="6" style="color:#888;">No baselines yet.</td></tr>'
+        : baselines.map(b => `
+            <tr>
+                <td style="text-align:left">${b.name}</td>
+                <td>${formatDateTime(b.created_at)}${b.actor_name ? ` by ${b.actor_name}` : ''}</td>
+                <td>${b.status || ''}</td>
+                <td>${b.computed_hours.toFixed(1)} ± ${b.computed_std_dev.toFixed(1)}</td>
+                <td>${b.shirt_size || ''}</td>
+                <td><button class="requires-admin" onclick="window.deleteBaseline(${b.id})" style="background:var(--red)">Del</button></td>
+            </tr>`).join('');
+
+    const options = baselines.map(b => `<option value="${b.id}">${b.name}</option>`).join('') + '<option value="current">Current estimate</option>';
+    const from = document.getElementById('baseline-compare-from');
+    const to = document.getElementById('baseline-compare-to');
+    from.innerHTML = options;
+    to.innerHTML = options;
+    from.value = baselines.length > 0 ? String(baselines[baselines.length - 1].id) : 'current';
+    to.value = 'current';
+    await compareBaselines();
+}
+
+/**
+ * Takes a baseline of the saved estimate under the name entered in the modal.
+ */
+export async function takeBaseline() {
+    const name = document.getElementById('baseline-name').value.trim();
+    const res = await fetch(window.API + `/api/initiatives/${baselineInitiativeId}/baselines`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name })
+    });
+    if (!res.ok) {
+        await showRequestError(res);
+        return;
+    }
+    document.getElementById('baseline-name').value = '';
+    await loadBaselines();
+}
+
+/**
+ * Deletes a baseline after confirmation.
+ * @param {number} baselineId - The baseline's ID.
+ */
+export async function deleteBaseline(baselineId) {
+    if (!confirm('Delete this baseline? Comparisons against it will no longer be possible.')) return;
+    const res = await fetch(window.API + `/api/initiatives/${baselineInitiativeId}/baselines/${baselineId}`, { method: 'DELETE' });
+    if (!res.ok) {
+        await showRequestError(res);
+        return;
+    }
+    await loadBaselines();
+}
+
+/**
+ * Formats a {from, to, delta} triple of hours as table cells; growth is shown in red.
+ * @param {{from: number, to: number, delta: number}} hours - The hours.
+ * @returns {string}
+ */
+function deltaCells(hours) {
+    const sign = hours.delta > 0 ? '+' : '';
+    const cls = hours.delta > 0 ? 'delta-up' : (hours.delta < 0 ? 'delta-down' : '');
+    return `<td>${hours.from.toFixed(1)}</td><td>${hours.to.toFixed(1)}</td><td class="${cls}">${sign}${hours.delta.toFixed(1)}</td>`;
+}
+
+/**
+ * Compares the two estimates chosen in the modal and renders the totals, factor and
+ * resource type deltas.
+ */
+export async function compareBaselines() {
+    const container = document.getElementById('baseline-comparison');
+    const from = document.getElementById('baseline-compare-from').value;
+    const to = document.getElementById('baseline-compare-to').value;
+    if (from === to) {
+        container.innerHTML = '<p style="color:#888;">Choose two different estimates to compare.</p>';
+        return;
+    }
+    const res = await fetch(window.API + `/api/initiatives/${baselineInitiativeId}/baselines/compare?` + new URLSearchParams({ from, to }));
+    if (!res.ok) {
+        await showRequestError(res);
+        return;
+    }
+    const comparison = await res.json();
+    const { totals } = comparison;
+    const head = '<th>From</th><th>To</th><th>Δ</th>';
+
+    const changedFactors = comparison.factors.filter(f => f.change !== 'unchanged');
+    const factorRows = changedFactors.length === 0
+        ? '<tr><td colspan="7" style="color:#888;">The factors and quantities are the same.</td></tr>'
+        : changedFactors.map(f => `
+            <tr>
+                <td style="text-align:left" class="${f.change === 'added' ? 'diff-added' : (f.change === 'removed' ? 'diff-removed' : '')}">${f.name}</td>
+                <td>${f.change}</td>
+                <td>${f.quantity.from}</td><td>${f.quantity.to}</td>
+                ${deltaCells(f.hours)}
+            </tr>`).join('');
+    const resourceTypeRows = comparison.resource_types.map(rt => `
+        <tr><td style="text-align:left">${rt.name}</td>${deltaCells(rt.hours)}</tr>`).join('');
+
+    container.innerHTML = `
+        <table>
+            <thead><tr><th></th>${head}</tr></thead>
+            <tbody>
+                <tr><td style="text-align:left">Base hours</td>${deltaCells(totals.base_hours)}</tr>
+                <tr><td style="text-align:left">Buffer hours</td>${deltaCells(totals.buffer_hours)}</tr>
+                <tr><td style="text-align:left"><b>Total hours</b></td>${deltaCells(totals.computed_hours)}</tr>
+                <tr><td style="text-align:left">Std. deviation</td>${deltaCells(totals.computed_std_dev)}</tr>
+                <tr><td style="text-align:left">Shirt size</td><td>${totals.shirt_size.from || ''}</td><td>${totals.shirt_size.to || ''}</td><td>${totals.shirt_size.changed ? '≠' : ''}</td></tr>
+            </tbody>
+        </table>
+        <h3>Factors</h3>
+        <table>
+            <thead><tr><th>Factor</th><th>Change</th><th>Qty From</th><th>Qty To</th><th>Hours From</th><th>Hours To</th><th>Δ</th></tr></thead>
+            <tbody>${factorRows}</tbody>
+        </table>
+        <h3>Resource Types</h3>
+        <table>
+            <thead><tr><th>Resource Type</th>${head}</tr></thead>
+            <tbody>${resourceTypeRows || '<tr><td colspan="4" style="color:#888;">No hours.</td></tr>'}</tbody>
+        </table>
+        <p style="color:#888;">Factor and resource type hours are expected hours before the contingency buffer.</p>`;
+}
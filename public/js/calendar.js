@@ -0,0 +1,161 @@
+/**
+ * calendar.js
+ * Handles the working calendar: loading it, counting working days, and the
+ * hours per day, working weekdays and holiday list on the Prefs page.
+ */
+
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Shows the error message of a failed request.
+ * @param {Response} res - The failed response.
+ */
+async function showRequestError(res) {
+    const errorData = await res.json().catch(() => ({}));
+    const msg = errorData.errors ? errorData.errors.map(e => e.msg).join(', ') : (errorData.message || 'Error: ' + res.status);
+    window.showMessage('Error', msg, 'error');
+}
+
+/**
+ * Loads the working calendar from the server into the global state.
+ */
+export async function loadWorkingCalendar() {
+    const res = await fetch(window.API + '/api/calendar');
+    if (res.ok) {
+        window.workingCalendar = await res.json();
+    }
+}
+
+/**
+ * Counts the working days between two dates, inclusive, skipping non-working
+ * weekdays and holidays.
+ * @param {string} start - The first day (YYYY-MM-DD).
+ * @param {string} end - The last day (YYYY-MM-DD).
+ * @returns {number} The number of working days.
+ */
+export function countWorkingDays(start, end) {
+    const { working_weekdays: weekdays, holidays } = window.workingCalendar;
+    const holidayDates = new Set(holidays.map(h => h.date));
+    const last = new Date(`${end.substring(0, 10)}T00:00:00Z`);
+    let count = 0;
+    for (const day = new Date(`${start.substring(0, 10)}T00:00:00Z`); day <= last; day.setUTCDate(day.getUTCDate() + 1)) {
+        if (weekdays.includes(day.getUTCDay()) && !holidayDates.has(day.toISOString().substring(0, 10))) count++;
+    }
+    return count;
+}
+
+/**
+ * Renders the working calendar on the Prefs page.
+ */
+export function renderWorkingCalendar() {
+    const cal = window.workingCalendar;
+    document.getElementById('calendar-hours-per-day').value = cal.hours_per_day;
+    document.getElementById('calendar-month-summary').textContent =
+        `An average month has ${cal.working_days_per_month} working days (${cal.hours_per_month}h) this year.`;
+    document.getElementById('calendar-weekdays').innerHTML = WEEKDAY_LABELS.map((label, day) =>
+        `<label style="margin-right:8px;"><input type="checkbox" class="calendar-weekday" value="${day}" ${cal.working_weekdays.includes(day) ? 'checked' : ''}> ${label}</label>`
+    ).join('');
+
+    const tbody = document.querySelector('#holiday-table tbody');
+    if (cal.holidays.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="3" style="color:#888;">No holidays.</td></tr>';
+        return;
+    }
+    tbody.innerHTML = cal.holidays.map(h => `
+        <tr>
+            <td>${h.date}</td>
+            <td style="text-align:left">${h.name}</td>
+            <td><button class="requires-admin" onclick="window.removeHoliday('${h.date}')" style="background:var(--red)">Remove</button></td>
+        </tr>`).join('');
+}
+
+/**
+ * Reloads the calendar and every view that shows durations.
+ */
+async function refreshCalendar() {
+    await loadWorkingCalendar();
+    renderWorkingCalendar();
+    window.loadInitiatives(window.currentSortColumn, window.currentSortDirection);
+    window.loadEF();
+}
+
+/**
+ * Saves hours per day and the working weekdays.
+ */
+export async function saveWorkingCalendar() {
+    const workingWeekdays = [...document.querySelectorAll('.calendar-weekday:checked')].map(input => parseInt(input.value, 10));
+    const res = await fetch(window.API + '/api/calendar', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            hours_per_day: document.getElementById('calendar-hours-per-day').value,
+            working_weekdays: workingWeekdays
+        })
+    });
+    if (!res.ok) {
+        await showRequestError(res);
+        return;
+    }
+    window.showMessage('Success', 'Working calendar saved.', 'success');
+    await refreshCalendar();
+}
+
+/**
+ * Adds the holiday entered in the form.
+ */
+export async function addHoliday() {
+    const date = document.getElementById('holiday-date').value;
+    const name = document.getElementById('holiday-name').value.trim();
+    const res = await fetch(window.API + '/api/calendar/holidays', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ date, name })
+    });
+    if (!res.ok) {
+        await showRequestError(res);
+        return;
+    }
+    document.getElementById('holiday-date').value = '';
+    document.getElementById('holiday-name').value = '';
+    await refreshCalendar();
+}
+
+/**
+ * Removes a holiday.
+ * @param {string} date - The holiday's date (YYYY-MM-DD).
+ */
+export async function removeHoliday(date) {
+    const res = await fetch(window.API + `/api/calendar/holidays/${date}`, { method: 'DELETE' });
+    if (!res.ok) {
+        await showRequestError(res);
+        return;
+    }
+    await refreshCalendar();
+}
+
+/**
+ * Imports holidays from the selected .ics or TSV file.
+ * @param {Event} event - The file input change event.
+ */
+export async function importHolidayFile(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const content = await file.text();
+    const format = /\.ics$/i.test(file.name) || content.includes('BEGIN:VCALENDAR') ? 'ics' : 'tsv';
+    const res = await fetch(window.API + '/api/calendar/holidays/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ format, content, replace: document.getElementById('holiday-import-replace').checked })
+    });
+    const result = await res.json().catch(() => ({}));
+    if (!res.ok) {
+        const skipped = result.skipped?.length ? ` ${result.skipped.join(' ')}` : '';
+        window.showMessage('Error', (result.message || 'Error: ' + res.status) + skipped, 'error');
+        return;
+    }
+    const skipped = result.skipped.length > 0 ? ` ${result.skipped.length} line(s) were skipped: ${result.skipped.join(' ')}` : '';
+    window.showMessage('Holidays Imported', `${result.imported} holiday(s) imported.${skipped}`, 'success');
+    await refreshCalendar();
+}
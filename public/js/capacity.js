@@ -0,0 +1,93 @@
+/**
+ * capacity.js
+ * Handles the Capacity Planning section: weekly capacity entry and the
+ * demand vs. capacity grid per resource type.
+ */
+
+/**
+ * Loads the capacity plan for the selected range and renders the grid.
+ */
+export async function loadCapacityPlan() {
+    const rtSelect = document.getElementById('capacity-rt');
+    rtSelect.innerHTML = [...(window.rtList || [])]
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(rt => `<option value="${rt.id}">${rt.name}</option>`)
+        .join('');
+
+    const params = new URLSearchParams();
+    const from = document.getElementById('capacity-from').value;
+    const to = document.getElementById('capacity-to').value;
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+
+    const res = await fetch(window.API + `/api/capacity/plan?${params}`);
+    if (!res.ok) {
+        const errorData = await res.json().catch(() => ({}));
+        const msg = errorData.errors ? errorData.errors.map(e => e.msg).join(', ') : (errorData.message || 'Error: ' + res.status);
+        window.showMessage('Error', msg, 'error');
+        return;
+    }
+    const plan = await res.json();
+    document.getElementById('capacity-from').value = plan.from;
+    document.getElementById('capacity-to').value = plan.to;
+    renderCapacityPlan(plan);
+}
+
+/**
+ * Renders the demand vs. capacity grid.
+ * @param {object} plan - The plan returned by GET /api/capacity/plan.
+ */
+function renderCapacityPlan(plan) {
+    const thead = document.querySelector('#capacity-plan-table thead');
+    const tbody = document.querySelector('#capacity-plan-table tbody');
+    thead.innerHTML = `<tr><th>Resource Type</th>${plan.weeks.map(w => `<th>${w.substring(5)}</th>`).join('')}</tr>`;
+    tbody.innerHTML = '';
+
+    plan.resourceTypes.forEach(rt => {
+        const tr = document.createElement('tr');
+        const cells = rt.weeks.map(w => {
+            const title = w.initiatives.map(i => `${i.custom_id || i.name}: ${i.hours}h`).join('\n').replace(/"/g, '&quot;');
+            if (w.no_capacity) {
+                const text = w.demand > 0 ? `${w.demand} / ?` : '';
+                const cls = w.overloaded ? 'capacity-unset capacity-overloaded' : 'capacity-unset';
+                return `<td class="${cls}" title="No capacity set${title ? '\n' + title : ''}">${text}</td>`;
+            }
+            const cls = w.overloaded ? ' class="capacity-overloaded"' : '';
+            return `<td${cls} title="${title}">${w.demand} / ${w.capacity}</td>`;
+        }).join('');
+        tr.innerHTML = `<td style="text-align:left"><b>${rt.name}</b></td>${cells}`;
+        tbody.appendChild(tr);
+    });
+
+    const unscheduled = document.getElementById('capacity-unscheduled');
+    unscheduled.innerHTML = plan.unscheduled.length > 0
+        ? `<p><b>Not scheduled</b> (missing or invalid start/end dates, or longer than ten years): ${plan.unscheduled.map(i => i.custom_id || i.name).join(', ')}</p>`
+        : '';
+}
+
+/**
+ * Saves the capacity of a resource type for every week in the entered range.
+ */
+export async function saveCapacity() {
+    const body = {
+        resource_type_id: document.getElementById('capacity-rt').value,
+        from: document.getElementById('capacity-set-from').value,
+        to: document.getElementById('capacity-set-to').value,
+        headcount: document.getElementById('capacity-headcount').value,
+        hours_per_person: document.getElementById('capacity-hours').value
+    };
+    const res = await fetch(window.API + '/api/capacity', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    if (!res.ok) {
+        const errorData = await res.json().catch(() => ({}));
+        const msg = errorData.errors ? errorData.errors.map(e => e.msg).join(', ') : (errorData.message || 'Error: ' + res.status);
+        window.showMessage('Error', msg, 'error');
+        return;
+    }
+    const result = await res.json();
+    window.showMessage('Success', `Capacity set for ${result.updatedWeeks} week(s).`, 'success');
+    loadCapacityPlan();
+}
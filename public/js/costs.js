@@ -0,0 +1,55 @@
+/**
+ * costs.js
+ * Client-side mirror of the server's cost helpers (src/costs.js), used to show
+ * live cost totals while editing. The server remains the source of truth.
+ */
+
+/**
+ * Returns the rate in effect on a date. Dates before the first entry use the earliest rate.
+ * @param {Array<{rate: number, effective_from: string}>} rates - The rate history, oldest first.
+ * @param {string} [date] - A YYYY-MM-DD date; defaults to today.
+ * @returns {number|null} The hourly rate, or null if there are no rates.
+ */
+export function getRateOn(rates, date = new Date().toISOString().substring(0, 10)) {
+  if (!rates || rates.length === 0) return null;
+  let rate = rates[0].rate;
+  for (const entry of rates) {
+    if (entry.effective_from <= date) rate = entry.rate;
+  }
+  return rate;
+}
+
+/**
+ * Computes the cost of hours per resource type, contingency buffer included, using the rates in window.rtList.
+ * @param {object} byResourceType - Expected hours per resource type, from computeInitiativeEstimate.
+ * @param {string} [date] - The pricing date (the initiative's start date); defaults to today.
+ * @param {number} [bufferMultiplier=1] - Scales the expected hours by the initiative's buffer.
+ * @returns {{total: number, byResourceType: object}} Costs rounded to cents.
+ */
+export function computeInitiativeCost(byResourceType, date, bufferMultiplier = 1) {
+  const pricingDate = date ? String(date).substring(0, 10) : undefined;
+  let total = 0;
+  const costs = {};
+  for (const [rtId, { expected }] of Object.entries(byResourceType || {})) {
+    const rt = (window.rtList || []).find(r => r.id === rtId);
+    const rate = getRateOn(rt?.rates, pricingDate);
+    const hours = expected * bufferMultiplier;
+    const cost = hours * (rate || 0);
+    total += cost;
+    costs[rtId] = { hours: parseFloat(hours.toFixed(1)), rate, cost: parseFloat(cost.toFixed(2)) };
+  }
+  return { total: parseFloat(total.toFixed(2)), byResourceType: costs };
+}
+
+/**
+ * Formats an amount in the workspace currency.
+ * @param {number} amount - The amount.
+ * @returns {string} The formatted amount, e.g. "$12,345".
+ */
+export function formatCost(amount) {
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency: window.settings?.currency || 'USD', maximumFractionDigits: 0 }).format(amount || 0);
+  } catch (e) {
+    return `${Math.round(amount || 0)} ${window.settings?.currency || ''}`.trim();
+  }
+}
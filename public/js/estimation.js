@@ -0,0 +1,126 @@
+/**
+ * estimation.js
+ * Client-side mirror of the server's three-point (PERT) estimation helpers,
+ * used for previews in the factor picker, tables and exports.
+ */
+
+/**
+ * Multipliers applied to the spread of every optimistic/pessimistic range,
+ * keyed by an initiative's estimation type. Lower-confidence estimates widen
+ * the range around the most-likely value, higher-confidence ones narrow it.
+ */
+export const RANGE_MULTIPLIERS = {
+  WAG: 2,
+  Low: 1.5,
+  Medium: 1,
+  High: 0.5
+};
+
+/**
+ * Returns the range multiplier for an estimation type (defaults to 1).
+ * @param {string} estimationType - The initiative's estimation type.
+ * @returns {number} The multiplier.
+ */
+export function getRangeMultiplier(estimationType) {
+  return RANGE_MULTIPLIERS[estimationType] ?? 1;
+}
+
+/**
+ * Normalizes a stored hours value into a three-point estimate.
+ * Legacy single numbers are treated as optimistic = most likely = pessimistic.
+ * @param {number|object} value - A number or an { optimistic, mostLikely, pessimistic } object.
+ * @returns {{optimistic: number, mostLikely: number, pessimistic: number}} The three-point estimate.
+ */
+export function normalizeHoursValue(value) {
+  if (value && typeof value === 'object') {
+    const mostLikely = Number(value.mostLikely) || 0;
+    return {
+      optimistic: value.optimistic === undefined || value.optimistic === null || value.optimistic === '' ? mostLikely : Number(value.optimistic) || 0,
+      mostLikely,
+      pessimistic: value.pessimistic === undefined || value.pessimistic === null || value.pessimistic === '' ? mostLikely : Number(value.pessimistic) || 0
+    };
+  }
+  const hours = Number(value) || 0;
+  return { optimistic: hours, mostLikely: hours, pessimistic: hours };
+}
+
+/**
+ * Normalizes every entry of a factor's hoursPerResourceType map.
+ * @param {object} hoursPerResourceType - Map of resource type ID to hours value.
+ * @returns {object} Map of resource type ID to three-point estimate.
+ */
+export function normalizeHoursPerResourceType(hoursPerResourceType) {
+  const normalized = {};
+  for (const [rtId, value] of Object.entries(hoursPerResourceType || {})) {
+    normalized[rtId] = normalizeHoursValue(value);
+  }
+  return normalized;
+}
+
+/**
+ * Computes the PERT expected value and variance of a single three-point estimate.
+ * The optimistic/pessimistic spread is scaled by the range multiplier.
+ * @param {number|object} value - The hours value.
+ * @param {number} [multiplier=1] - The range multiplier.
+ * @returns {{optimistic: number, mostLikely: number, pessimistic: number, expected: number, variance: number}}
+ */
+export function computePert(value, multiplier = 1) {
+  const { optimistic, mostLikely, pessimistic } = normalizeHoursValue(value);
+  const o = Math.max(0, mostLikely - (mostLikely - optimistic) * multiplier);
+  const p = mostLikely + (pessimistic - mostLikely) * multiplier;
+  const expected = (o + 4 * mostLikely + p) / 6;
+  const stdDev = (p - o) / 6;
+  return { optimistic: o, mostLikely, pessimistic: p, expected, variance: stdDev * stdDev };
+}
+
+/**
+ * Computes the expected hours and standard deviation for a set of selected factors.
+ * Each unit of quantity is treated as an independent task, so variances are summed.
+ * @param {Array<object>} selectedFactors - Entries with quantity and hoursPerResourceType.
+ * @param {string} estimationType - The initiative's estimation type.
+ * @returns {{expected: number, stdDev: number, byResourceType: object}} Totals rounded to one decimal.
+ */
+export function computeInitiativeEstimate(selectedFactors, estimationType) {
+  const multiplier = getRangeMultiplier(estimationType);
+  let expected = 0;
+  let variance = 0;
+  const byResourceType = {};
+
+  for (const factor of selectedFactors || []) {
+    const quantity = factor.quantity || 1;
+    for (const [rtId, value] of Object.entries(factor.hoursPerResourceType || {})) {
+      const pert = computePert(value, multiplier);
+      expected += pert.expected * quantity;
+      variance += pert.variance * quantity;
+      if (!byResourceType[rtId]) byResourceType[rtId] = { expected: 0, variance: 0 };
+      byResourceType[rtId].expected += pert.expected * quantity;
+      byResourceType[rtId].variance += pert.variance * quantity;
+    }
+  }
+
+  return {
+    expected: parseFloat(expected.toFixed(1)),
+    stdDev: parseFloat(Math.sqrt(variance).toFixed(1)),
+    byResourceType
+  };
+}
+
+/**
+ * Applies a contingency buffer to base hours. The buffer percentage is the contingency
+ * for the estimation type plus the initiative's risk adjustment, and is never negative.
+ * @param {number} baseHours - The expected hours before any buffer.
+ * @param {number} contingencyPercent - Contingency for the initiative's estimation type.
+ * @param {number} [riskAdjustmentPercent=0] - Per-initiative adjustment in percentage points.
+ * @returns {{base: number, bufferPercent: number, buffer: number, total: number}} Hours rounded to one decimal.
+ */
+export function applyBuffer(baseHours, contingencyPercent, riskAdjustmentPercent = 0) {
+  const bufferPercent = Math.max(0, (Number(contingencyPercent) || 0) + (Number(riskAdjustmentPercent) || 0));
+  const base = Number(baseHours) || 0;
+  const buffer = base * bufferPercent / 100;
+  return {
+    base: parseFloat(base.toFixed(1)),
+    bufferPercent,
+    buffer: parseFloat(buffer.toFixed(1)),
+    total: parseFloat((base + buffer).toFixed(1))
+  };
+}
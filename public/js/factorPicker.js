@@ -3,6 +3,10 @@
  * Handles all logic for the "Select Factors" modal, including
  * calculations, rendering the picker, and saving selections.
  */
+import { normalizeHoursValue, computeInitiativeEstimate, applyBuffer } from './estimation.js';
+import { computeInitiativeCost, formatCost } from './costs.js';
+import { hoursToDays, hoursToMonths } from './ui.js';
+import { countWorkingDays } from './calendar.js';
 
 /**
  * Renders a summary of the selected factors in the main initiative modal.
@@ -38,6 +42,22 @@ export async function openFactorModal() {
 export function loadFactorPicker(searchQuery = '') {
   const area = document.getElementById('factor-picker');
   area.innerHTML = '';
+
+  // Factors in the Trash or purged stay selected with their saved hours until they are unchecked
+  window.selectedFactors.filter(isRemovedFromCatalog).forEach(sf => {
+    const row = document.createElement('div');
+    row.className = 'factor-item';
+    row.innerHTML = `
+        <label class="custom-checkbox">
+            <input type="checkbox" onchange="window.removeSelectedFactor(${window.selectedFactors.indexOf(sf)});" checked>
+            <span class="checkmark"></span>
+        </label>
+        <div class="factor-item-content">
+            <div class="factor-name">${sf.name} × ${sf.quantity}</div>
+            <div class="factor-resources">No longer in the catalog; its saved hours are kept until it is unchecked.</div>
+        </div>`;
+    area.appendChild(row);
+  });
   
   const lowerCaseSearchQuery = searchQuery.toLowerCase();
   
@@ -69,10 +89,12 @@ export function loadFactorPicker(searchQuery = '') {
     const qtyDisplay = f.isChecked ? 'inline-block' : 'none';
     const hrs = f.hoursPerResourceType || {};
     const resourceParts = Object.entries(hrs)
-        .filter(([, v]) => v > 0)
-        .map(([id, val]) => {
+        .map(([id, val]) => [id, normalizeHoursValue(val)])
+        .filter(([, v]) => v.pessimistic > 0)
+        .map(([id, v]) => {
             const r = window.rtList.find(x => x.id === id);
-            return r ? `${r.name}: ${val}h` : `${id}: ${val}h`;
+            const range = v.optimistic === v.pessimistic ? `${v.mostLikely}h` : `${v.optimistic}/${v.mostLikely}/${v.pessimistic}h`;
+            return r ? `${r.name}: ${range}` : `${id}: ${range}`;
         });
     const resourceDetails = resourceParts.length > 0 ? `(${resourceParts.join(', ')})` : '';
 
@@ -94,6 +116,24 @@ export function loadFactorPicker(searchQuery = '') {
   });
 }
 
+/**
+ * Removes a selected factor that is no longer in the catalog.
+ * @param {number} index - Its position in the selection.
+ */
+export function removeSelectedFactor(index) {
+    window.selectedFactors.splice(index, 1);
+    loadFactorPicker(document.getElementById('factor-search-input').value);
+}
+
+/**
+ * Whether a selected factor is in the Trash or was purged, so only its saved snapshot remains.
+ * @param {object} selectedFactor - A selected factor.
+ * @returns {boolean}
+ */
+function isRemovedFromCatalog(selectedFactor) {
+    return !window.efList.some(f => f.id === selectedFactor.factorId);
+}
+
 /**
  * Toggles the visibility of the quantity input next to a factor.
  * @param {string} id - The ID of the factor.
@@ -150,41 +190,93 @@ export function toggleQty(id) {
  */
 export function saveFactors() {
     renderSelectedFactorsSummary();
-    let totalHoursForDisplay = 0;
-    window.selectedFactors.forEach(f => {
-        const totalFactorHours = Object.values(f.hoursPerResourceType || {}).reduce((sum, h) => sum + h, 0);
-        totalHoursForDisplay += totalFactorHours * (f.quantity || 1);
-    });
-    const shirtSizeForDisplay = getShirtSizeFromHours(totalHoursForDisplay);
-    document.getElementById('init-calculated-shirt-size').textContent = `Calculated T-Shirt Size: ${shirtSizeForDisplay} (${totalHoursForDisplay}h)`;
+    renderCalculatedEstimate();
     window.closeModal('factors');
 }
 
+/**
+ * Applies the contingency of the estimation type selected in the initiative modal,
+ * plus its risk adjustment, to base hours.
+ * @param {number} baseHours - The expected hours before any buffer.
+ * @returns {{base: number, bufferPercent: number, buffer: number, total: number}}
+ */
+function applyModalBuffer(baseHours) {
+    const estimationType = document.getElementById('init-estimation-type').value;
+    const riskAdjustment = parseFloat(document.getElementById('init-risk-adjustment').value) || 0;
+    return applyBuffer(baseHours, window.contingencyRates[estimationType], riskAdjustment);
+}
+
+/**
+ * Formats base hours, buffer and total for display.
+ * @param {{base: number, bufferPercent: number, buffer: number, total: number}} buffered - The buffered hours.
+ * @param {number} stdDev - The standard deviation of the base hours.
+ * @returns {string}
+ */
+export function formatBufferedHours(buffered, stdDev) {
+    return `Base ${buffered.base}h ± ${stdDev}h + Buffer ${buffered.buffer}h (${buffered.bufferPercent}%) = ${buffered.total}h`;
+}
+
+/**
+ * Renders the calculated size and base, buffer and total hours in the initiative modal.
+ * Called when factors are saved and when the estimation type or risk adjustment changes.
+ */
+export function renderCalculatedEstimate() {
+    const estimationType = document.getElementById('init-estimation-type').value;
+    const estimate = computeInitiativeEstimate(window.selectedFactors, estimationType);
+    const buffered = applyModalBuffer(estimate.expected);
+    const cost = computeInitiativeCost(estimate.byResourceType, document.getElementById('init-start-date').value, 1 + buffered.bufferPercent / 100);
+    const shirtSizeForDisplay = getShirtSizeFromHours(buffered.total);
+    document.getElementById('init-calculated-shirt-size').textContent = `Calculated T-Shirt Size: ${shirtSizeForDisplay} (${formatBufferedHours(buffered, estimate.stdDev)}) · Cost: ${formatCost(cost.total)}`;
+    renderCostBreakdown(cost.byResourceType);
+}
+
+/**
+ * Renders the per-resource-type cost breakdown in the initiative modal.
+ * @param {object} costPerResourceType - Map of resource type ID to { hours, rate, cost }.
+ */
+export function renderCostBreakdown(costPerResourceType) {
+    const parts = Object.entries(costPerResourceType || {}).map(([rtId, c]) => {
+        const name = window.rtList.find(r => r.id === rtId)?.name || rtId;
+        const rate = c.rate === null ? 'no rate' : `${formatCost(c.rate)}/h`;
+        return `${name}: ${c.hours}h × ${rate} = ${formatCost(c.cost)}`;
+    });
+    document.getElementById('init-cost-breakdown').textContent = parts.join(' | ');
+}
+
 /**
  * Updates the calculated totals (hours, days, months, size) in the modal.
  */
 export function updateFactorCalculations() {
-    let totalHours = 0;
+    const factorsForEstimate = [];
     window.selectedFactors.forEach(sf => {
         const factor = window.efList.find(f => f.id === sf.factorId);
         if (factor) {
             const qtyInput = document.getElementById(`qty-${sf.factorId}`);
-            sf.quantity = +qtyInput.value || 1; // Update quantity in the global state
-            const totalFactorHours = Object.values(factor.hoursPerResourceType || {}).reduce((sum, h) => sum + h, 0);
-            totalHours += totalFactorHours * sf.quantity;
+            const quantity = +qtyInput.value || 1;
+            // As on the server, a factor keeps its saved hours until its quantity changes
+            if (quantity !== sf.quantity) sf.hoursPerResourceType = factor.hoursPerResourceType;
+            sf.quantity = quantity; // Update quantity in the global state
+            factorsForEstimate.push({ quantity: sf.quantity, hoursPerResourceType: sf.hoursPerResourceType });
+        } else {
+            factorsForEstimate.push({ quantity: sf.quantity, hoursPerResourceType: sf.hoursPerResourceType });
         }
     });
 
-    const hoursPerDay = 8;
-    const hoursPerMonth = 160;
-    const totalDays = (totalHours / hoursPerDay).toFixed(1);
-    const totalMonths = (totalHours / hoursPerMonth).toFixed(1);
+    const estimationType = document.getElementById('init-estimation-type').value;
+    const estimate = computeInitiativeEstimate(factorsForEstimate, estimationType);
+    const buffered = applyModalBuffer(estimate.expected);
+    const totalHours = buffered.total;
+    const totalDays = hoursToDays(totalHours).toFixed(1);
+    const totalMonths = hoursToMonths(totalHours).toFixed(1);
     const shirtSize = getShirtSizeFromHours(totalHours);
+    const cost = computeInitiativeCost(estimate.byResourceType, document.getElementById('init-start-date').value, 1 + buffered.bufferPercent / 100);
 
-    document.getElementById('factor-hours').textContent = `${totalHours}h`;
+    document.getElementById('factor-hours').textContent = `Base: ${buffered.base}h ± ${estimate.stdDev}h`;
+    document.getElementById('factor-buffer').textContent = `Buffer: +${buffered.buffer}h (${buffered.bufferPercent}%) = ${totalHours}h`;
     document.getElementById('factor-days').textContent = `${totalDays}d`;
     document.getElementById('factor-months').textContent = `${totalMonths}m`;
     document.getElementById('factor-size').textContent = `Size: ${shirtSize}`;
+    document.getElementById('factor-cost').textContent = `Cost: ${formatCost(cost.total)}`;
 }
 
 
@@ -208,24 +300,33 @@ export function updateDateCalculations() {
     if (startDate && endDate && startDate <= endDate) {
         const diffTime = Math.abs(endDate.getTime() - startDate.getTime());
         const totalDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-        const businessDays = calculateBusinessDays(startDate, endDate);
+        const businessDays = countWorkingDays(startDateInput, endDateInput);
         const weeks = (totalDays / 7).toFixed(1);
         let months = (endDate.getFullYear() - startDate.getFullYear()) * 12 - startDate.getMonth() + endDate.getMonth();
         if (endDate.getDate() < startDate.getDate()) months--;
         months = Math.max(0, months);
         durationText = `${months}m, ${weeks}w, ${businessDays}d`;
+        // Average weekly load if the hours, buffer included, are spread over the working days
+        const estimationType = document.getElementById('init-estimation-type').value;
+        const total = applyModalBuffer(computeInitiativeEstimate(window.selectedFactors, estimationType).expected).total;
+        const workingDaysPerWeek = window.workingCalendar.working_weekdays.length;
+        if (total > 0 && businessDays > 0) {
+            durationText += ` | Load: ${(total / (businessDays / workingDaysPerWeek)).toFixed(1)}h/wk`;
+        }
     }
     dateCalcDiv.textContent = `Start: ${displayStartDate} | End: ${displayEndDate} | Duration: ${durationText}`;
 }
 
 /**
- * Determines the T-shirt size for a given number of hours.
+ * Determines the T-shirt size for a given number of hours, using the sizing scheme
+ * selected in the initiative modal.
  * @param {number} hours - The total estimated hours.
  * @returns {string} The corresponding T-shirt size.
  */
 export function getShirtSizeFromHours(hours) {
-    let size = 'XS';
-    const sortedSizes = [...window.shirtSizes].sort((a, b) => a.threshold_hours - b.threshold_hours);
+    const sortedSizes = [...window.getSchemeSizes(document.getElementById('init-shirt-size-scheme').value)]
+        .sort((a, b) => a.threshold_hours - b.threshold_hours);
+    let size = sortedSizes.length > 0 ? sortedSizes[0].size : '';
     for (const s of sortedSizes) {
         if (hours >= s.threshold_hours) {
             size = s.size;
@@ -235,16 +336,3 @@ export function getShirtSizeFromHours(hours) {
     }
     return size;
 }
-
-function calculateBusinessDays(startDate, endDate) {
-    let count = 0;
-    const currentDate = new Date(startDate.getTime());
-    while (currentDate <= endDate) {
-        const dayOfWeek = currentDate.getDay();
-        if (dayOfWeek !== 0 && dayOfWeek !== 6) {
-            count++;
-        }
-        currentDate.setDate(currentDate.getDate() + 1);
-    }
-    return count;
-}
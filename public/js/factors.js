@@ -2,7 +2,13 @@
  * factors.js
  * Handles all CRUD operations and UI for the main Estimation Factors page.
  */
-import { formatDateInEST } from './ui.js';
+import { formatDateTime, formatAuthor, hoursToDays } from './ui.js';
+import { normalizeHoursValue, computePert } from './estimation.js';
+
+// Factor save waiting on the impact preview to be confirmed
+let pendingFactorSave = null;
+// The calibration report last shown
+let calibrationReport = null;
 
 /**
  * Loads and displays the list of estimation factors.
@@ -29,19 +35,25 @@ export async function loadEF() {
 
   itemsToDisplay.forEach(f => {
     const hrs = f.hoursPerResourceType || {};
-    const names = Object.entries(hrs).filter(([,v]) => v > 0).map(([id]) => window.rtList.find(x => x.id === id)?.name || id).join(',');
-    const total = Object.values(hrs).reduce((a, b) => a + b, 0);
-    const days = (total / 8).toFixed(1);
+    const names = Object.entries(hrs).filter(([,v]) => normalizeHoursValue(v).pessimistic > 0).map(([id]) => window.rtList.find(x => x.id === id)?.name || id).join(',');
+    const totals = Object.values(hrs).map(v => normalizeHoursValue(v)).reduce((acc, v) => ({
+        optimistic: acc.optimistic + v.optimistic,
+        pessimistic: acc.pessimistic + v.pessimistic,
+        expected: acc.expected + computePert(v).expected
+    }), { optimistic: 0, pessimistic: 0, expected: 0 });
+    const total = parseFloat(totals.expected.toFixed(1));
+    const days = hoursToDays(total).toFixed(1);
     const tr = document.createElement('tr');
     tr.innerHTML = `
       <td>${f.name}</td>
       <td>${names}</td>
       <td>${days}</td>
-      <td>${total}</td>
+      <td>${total} (${totals.optimistic}–${totals.pessimistic})</td>
       <td style="white-space:nowrap;">
         <button onclick="window.editEF('${f.id}')">Edit</button>
-        <button onclick="window.delEF('${f.id}')" style="background:var(--red)">Del</button>
+        <button class="requires-admin" onclick="window.delEF('${f.id}')" style="background:var(--red)">Del</button>
         <button onclick="window.showAuditTrailEF('${f.id}', '${f.name}')">🔍</button>
+        <button onclick="window.showFactorImpact('${f.id}', '${f.name}')" title="Initiatives using this factor">⚖</button>
       </td>`;
     tbody.appendChild(tr);
   });
@@ -56,8 +68,10 @@ export async function addEstimationFactor() {
   document.getElementById('ef-name').value = '';
   document.getElementById('ef-description').value = '';
   (window.rtList || []).forEach(rt => {
-      const inp = document.getElementById(`ef-h-${rt.id}`);
-      if (inp) inp.value = '';
+      ['ef-ho-', 'ef-h-', 'ef-hp-'].forEach(prefix => {
+          const inp = document.getElementById(`${prefix}${rt.id}`);
+          if (inp) inp.value = '';
+      });
       const sel = document.getElementById(`ef-u-${rt.id}`);
       if (sel) sel.value = 'h';
   });
@@ -87,20 +101,22 @@ export async function editEF(id) {
   renderEFGrid();
   const hrs = f.hoursPerResourceType || {};
   Object.entries(hrs).forEach(([rtId, val]) => {
-    const inp = document.getElementById(`ef-h-${rtId}`);
+    const { optimistic, mostLikely, pessimistic } = normalizeHoursValue(val);
+    const inputs = [
+      [document.getElementById(`ef-ho-${rtId}`), optimistic],
+      [document.getElementById(`ef-h-${rtId}`), mostLikely],
+      [document.getElementById(`ef-hp-${rtId}`), pessimistic]
+    ];
     const sel = document.getElementById(`ef-u-${rtId}`);
-    if (inp) {
-      if (val % 8 === 0) {
-        inp.value = val / 8;
-        sel.value = 'd';
-      } else {
-        inp.value = val;
-        sel.value = 'h';
-      }
+    if (sel) {
+      const hoursPerDay = window.workingCalendar.hours_per_day;
+      const inDays = inputs.every(([, v]) => v % hoursPerDay === 0);
+      sel.value = inDays ? 'd' : 'h';
+      inputs.forEach(([inp, v]) => { if (inp) inp.value = inDays ? v / hoursPerDay : v; });
     }
   });
-  document.getElementById('ef-created').textContent = formatDateInEST(f.created_at);
-  document.getElementById('ef-updated').textContent = formatDateInEST(f.updated_at);
+  document.getElementById('ef-created').textContent = formatDateTime(f.created_at);
+  document.getElementById('ef-updated').textContent = formatDateTime(f.updated_at);
   window.currentEstimationFactorJournal = f.journal_entries || [];
   renderJournalLogEF();
   document.getElementById('ef-journal-comment-input').value = '';
@@ -112,8 +128,14 @@ export async function editEF(id) {
  * @param {string} id - The ID of the factor to delete.
  */
 export async function delEF(id) {
-  if (!confirm('Delete?')) return;
-  await fetch(window.API + `/api/estimation-factors/${id}`, { method: 'DELETE' });
+  if (!confirm('Move this estimation factor to the Trash?')) return;
+  const res = await fetch(window.API + `/api/estimation-factors/${id}`, { method: 'DELETE' });
+  if (res.status === 409) {
+    const data = await res.json();
+    const names = (data.initiatives || []).map(i => i.custom_id || i.name).join(', ');
+    window.showMessage('Factor In Use', `${data.message} Remove it from: ${names}`, 'error');
+    return;
+  }
   loadEF();
 }
 
@@ -128,17 +150,7 @@ export async function saveEstimationFactor() {
         return;
     }
     const description = document.getElementById('ef-description').value.trim();
-    const hours = {};
-    (window.rtList || []).forEach(rt => {
-        const inp = document.getElementById(`ef-h-${rt.id}`);
-        const sel = document.getElementById(`ef-u-${rt.id}`);
-        if (!inp) return;
-        let val = +inp.value;
-        if (val > 0) {
-            if (sel.value === 'd') val *= 8;
-            hours[rt.id] = val;
-        }
-    });
+    const hours = collectEFHours();
 
     const payload = {
         name,
@@ -147,20 +159,170 @@ export async function saveEstimationFactor() {
         journal_entries: window.currentEstimationFactorJournal
     };
 
-    const url = id ? `/api/estimation-factors/${id}` : '/api/estimation-factors';
-    const method = id ? 'PUT' : 'POST';
-    const res = await fetch(window.API + url, {
-        method,
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-    });
+    if (id) {
+        // Preview which initiatives the change would re-price before saving
+        const previewRes = await fetch(window.API + `/api/estimation-factors/${id}/impact`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ hoursPerResourceType: hours })
+        });
+        if (!previewRes.ok) {
+            const errorData = await previewRes.json().catch(() => ({}));
+            window.showMessage('Error', errorData.message || 'Error:' + previewRes.status, 'error');
+            return;
+        }
+        const impact = await previewRes.json();
+        if (impact.some(i => i.changed)) {
+            pendingFactorSave = { id, payload, onSaved: () => window.closeModal('ef') };
+            renderFactorImpact(`Impact of changes to ${name}`, impact, true);
+            return;
+        }
+    }
+
+    if (await persistEstimationFactor(id, payload)) {
+        window.closeModal('ef');
+        loadEF();
+    }
+}
+
+/**
+ * Shows the initiatives whose stored estimate no longer matches the current values of a factor.
+ * @param {string} factorId - The ID of the factor.
+ * @param {string} factorName - The name of the factor.
+ */
+export async function showFactorImpact(factorId, factorName) {
+    try {
+        const res = await fetch(window.API + `/api/estimation-factors/${factorId}/impact`);
+        if (!res.ok) { throw new Error('Failed to fetch factor impact.'); }
+        pendingFactorSave = null;
+        renderFactorImpact(`Initiatives using ${factorName}`, await res.json(), false);
+    } catch (err) {
+        window.showMessage('Error', err.message, 'error');
+    }
+}
+
+/**
+ * Confirms the impact modal: saves the pending factor change (if any) and
+ * optionally re-prices the checked initiatives.
+ * @param {boolean} reprice - Whether to re-price the checked initiatives.
+ */
+export async function applyFactorImpact(reprice) {
+    const initiativeIds = [...document.querySelectorAll('#ef-impact-table tbody input[type=checkbox]:checked')]
+        .map(cb => +cb.dataset.id);
+
+    if (pendingFactorSave) {
+        const { id, payload, onSaved } = pendingFactorSave;
+        if (!await persistEstimationFactor(id, payload)) return;
+        pendingFactorSave = null;
+        onSaved();
+    }
+
+    if (reprice && initiativeIds.length > 0) {
+        const res = await fetch(window.API + '/api/initiatives/reprice', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ initiativeIds })
+        });
+        if (!res.ok) {
+            const errorData = await res.json().catch(() => ({}));
+            window.showMessage('Error', errorData.message || 'Error:' + res.status, 'error');
+            return;
+        }
+        const result = await res.json();
+        window.showMessage('Success', `${result.repricedCount} initiative(s) re-priced.`, 'success');
+    }
+    window.closeModal('ef-impact');
+    loadEF();
+}
 
+/**
+ * Shows the calibration report: the hours suggested for each factor from the actual
+ * hours of done initiatives.
+ */
+export async function showFactorCalibration() {
+    const res = await fetch(window.API + '/api/estimation-factors/calibration');
     if (!res.ok) {
-        window.showMessage('Error', 'Error:' + res.status, 'error');
+        const errorData = await res.json().catch(() => ({}));
+        window.showMessage('Error', errorData.message || 'Error:' + res.status, 'error');
         return;
     }
-    window.closeModal('ef');
-    loadEF();
+    calibrationReport = await res.json();
+    const { statuses, initiative_count, factors } = calibrationReport;
+    document.getElementById('ef-calibration-summary').textContent = statuses.length === 0
+        ? 'No status is in the done category, so there is nothing to calibrate from.'
+        : `Based on ${initiative_count} initiative(s) with actual hours in ${statuses.join(', ')}.`;
+
+    const tbody = document.querySelector('#ef-calibration-table tbody');
+    tbody.innerHTML = '';
+    if (factors.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" style="text-align:center;color:#888;">No factors were used by done initiatives with actual hours.</td></tr>';
+    }
+    factors.forEach(f => {
+        const sign = f.variance_hours > 0 ? '+' : '';
+        const cls = f.variance_hours > 0 ? 'delta-up' : (f.variance_hours < 0 ? 'delta-down' : '');
+        const hours = f.resource_types.map(rt => {
+            const change = rt.ratio === null
+                ? `${formatHoursRange(rt.current)} <small style="color:#888">(no actual hours)</small>`
+                : `${formatHoursRange(rt.current)} → <b>${formatHoursRange(rt.suggested)}</b> <small>(×${rt.ratio})</small>`;
+            return `${rt.name}: ${change}`;
+        }).join('<br>');
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+          <td style="text-align:left">${f.name}</td>
+          <td>${f.initiative_count}</td>
+          <td>${f.confidence}</td>
+          <td class="${cls}">${f.actual_hours} / ${f.estimated_hours}h${f.variance_percent === null ? '' : ` (${sign}${f.variance_percent}%)`}</td>
+          <td style="text-align:left">${hours}</td>
+          <td>${f.changed ? `<button class="requires-admin" onclick="window.acceptFactorCalibration('${f.factorId}')">Accept</button>` : ''}</td>`;
+        tbody.appendChild(tr);
+    });
+    window.openModal('ef-calibration');
+}
+
+/**
+ * Saves the suggested hours of a factor from the calibration report, previewing the
+ * initiatives it would re-price first as when editing the factor.
+ * @param {string} factorId - The ID of the factor.
+ */
+export async function acceptFactorCalibration(factorId) {
+    const suggestion = calibrationReport?.factors.find(f => f.factorId === factorId);
+    const factor = window.efList.find(f => f.id === factorId);
+    if (!suggestion || !factor) {
+        window.showMessage('Error', 'Estimation Factor not found.', 'error');
+        return;
+    }
+    if (!confirm(`Replace the hours of ${factor.name} with the suggested hours?`)) return;
+
+    const payload = {
+        name: factor.name,
+        description: factor.description,
+        hoursPerResourceType: suggestion.hoursPerResourceType,
+        journal_entries: [{
+            timestamp: new Date().toISOString(),
+            type: 'comment',
+            text: `Calibrated from the actual hours of ${suggestion.initiative_count} done initiative(s) (${suggestion.confidence} confidence).`
+        }]
+    };
+    const previewRes = await fetch(window.API + `/api/estimation-factors/${factorId}/impact`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ hoursPerResourceType: payload.hoursPerResourceType })
+    });
+    if (!previewRes.ok) {
+        const errorData = await previewRes.json().catch(() => ({}));
+        window.showMessage('Error', errorData.message || 'Error:' + previewRes.status, 'error');
+        return;
+    }
+    const impact = await previewRes.json();
+    if (impact.some(i => i.changed)) {
+        pendingFactorSave = { id: factorId, payload, onSaved: showFactorCalibration };
+        renderFactorImpact(`Impact of calibrating ${factor.name}`, impact, true);
+        return;
+    }
+    if (await persistEstimationFactor(factorId, payload)) {
+        await loadEF();
+        await showFactorCalibration();
+    }
 }
 
 /**
@@ -175,18 +337,7 @@ export async function duplicateEstimationFactor() {
 
     const newName = originalName + " Copy";
     const description = document.getElementById('ef-description').value.trim();
-    const hours = {};
-    (window.rtList || []).forEach(rt => {
-        const inp = document.getElementById(`ef-h-${rt.id}`);
-        const sel = document.getElementById(`ef-u-${rt.id}`);
-        if (inp) {
-            let val = +inp.value;
-            if (val > 0) {
-                if (sel.value === 'd') val *= 8;
-                hours[rt.id] = val;
-            }
-        }
-    });
+    const hours = collectEFHours();
 
     const newJournalEntry = {
         timestamp: new Date().toISOString(),
@@ -222,15 +373,21 @@ export async function duplicateEstimationFactor() {
 }
 
 /**
- * Renders the resource type inputs in the estimation factor modal.
+ * Renders the resource type inputs (optimistic / most likely / pessimistic) in the estimation factor modal.
  */
 export function renderEFGrid() {
     const cont = document.getElementById('ef-hours');
     cont.innerHTML = '';
+    if ((window.rtList || []).length > 0) {
+        const header = document.createElement('div');
+        header.className = 'flex ef-hours-header';
+        header.innerHTML = `<span style="width:120px"></span><span>Optimistic</span><span>Most Likely</span><span>Pessimistic</span>`;
+        cont.appendChild(header);
+    }
     (window.rtList || []).forEach(rt => {
         const row = document.createElement('div');
         row.className = 'flex';
-        row.innerHTML = `<label style="width:120px">${rt.name}</label><input type="number" min="0" id="ef-h-${rt.id}"><select id="ef-u-${rt.id}"><option value="h">h</option><option value="d">d</option></select>`;
+        row.innerHTML = `<label style="width:120px">${rt.name}</label><input type="number" min="0" id="ef-ho-${rt.id}" placeholder="O"><input type="number" min="0" id="ef-h-${rt.id}" placeholder="M"><input type="number" min="0" id="ef-hp-${rt.id}" placeholder="P"><select id="ef-u-${rt.id}"><option value="h">h</option><option value="d">d</option></select>`;
         cont.appendChild(row);
     });
 }
@@ -246,7 +403,7 @@ export function renderJournalLogEF() {
         sortedJournal.forEach(entry => {
             const entryDiv = document.createElement('div');
             entryDiv.className = 'journal-entry';
-            const formattedDate = formatDateInEST(entry.timestamp);
+            const formattedDate = formatDateTime(entry.timestamp);
 
             if (entry.type === 'audit') {
                 entryDiv.classList.add('audit');
@@ -259,12 +416,13 @@ export function renderJournalLogEF() {
                 } else if (entry.action === 'updated') {
                     const diffs = getFactorAuditDiffs(oldData, newData);
                     details = diffs.length > 0 ? diffs.join('<br>') : 'No changes to tracked fields.';
+                    if (entry.note) details = `${entry.note}.<br>${details}`;
                 } else if (entry.action === 'duplicated_from') {
                     details = `Duplicated from: ${entry.original_name}.`;
                 }
-                entryDiv.innerHTML = `<span class="timestamp">${formattedDate}</span><h4>${entry.action.charAt(0).toUpperCase() + entry.action.slice(1).replace(/_/g, ' ')}</h4><p>${details}</p>`;
+                entryDiv.innerHTML = `<span class="timestamp">${formattedDate}${formatAuthor(entry)}</span><h4>${entry.action.charAt(0).toUpperCase() + entry.action.slice(1).replace(/_/g, ' ')}</h4><p>${details}</p>`;
             } else {
-                entryDiv.innerHTML = `<span class="timestamp">${formattedDate}</span>${entry.text}`;
+                entryDiv.innerHTML = `<span class="timestamp">${formattedDate}${formatAuthor(entry)}</span>${entry.text}`;
             }
             journalLogDiv.appendChild(entryDiv);
         });
@@ -285,7 +443,8 @@ export function addJournalCommentEF() {
     const newEntry = {
         timestamp: new Date().toISOString(),
         type: 'comment',
-        text: commentText
+        text: commentText,
+        author_name: window.currentUser?.display_name || window.currentUser?.username
     };
     window.currentEstimationFactorJournal.push(newEntry);
     renderJournalLogEF();
@@ -326,12 +485,13 @@ export async function showAuditTrailEF(factorId, factorName) {
                     } else if (entry.action === 'updated') {
                         const diffs = getFactorAuditDiffs(oldData, newData);
                         details = diffs.length > 0 ? diffs.join('<br>') : 'No changes to tracked fields.';
+                        if (entry.note) details = `${entry.note}.<br>${details}`;
                     } else if (entry.action === 'duplicated_from') {
                         details = `Duplicated from: ${entry.original_name}.`;
                     }
-                    logItem.innerHTML = `<h4>${entry.action.charAt(0).toUpperCase() + entry.action.slice(1).replace(/_/g, ' ')} on ${formatDateInEST(entry.timestamp)}</h4><p>${details}</p>`;
+                    logItem.innerHTML = `<h4>${entry.action.charAt(0).toUpperCase() + entry.action.slice(1).replace(/_/g, ' ')} on ${formatDateTime(entry.timestamp)}${formatAuthor(entry)}</h4><p>${details}</p>`;
                 } else {
-                    logItem.innerHTML = `<h4>Comment on ${formatDateInEST(entry.timestamp)}</h4><p>${entry.text}</p>`;
+                    logItem.innerHTML = `<h4>Comment on ${formatDateTime(entry.timestamp)}${formatAuthor(entry)}</h4><p>${entry.text}</p>`;
                 }
                 auditContent.appendChild(logItem);
             });
@@ -341,7 +501,98 @@ export async function showAuditTrailEF(factorId, factorName) {
     }
 }
 
-// --- Helper Function ---
+// --- Helper Functions ---
+
+/**
+ * Creates or updates an estimation factor.
+ * @param {string} id - The ID of the factor, or an empty string to create one.
+ * @param {object} payload - The factor payload.
+ * @returns {Promise<boolean>} True if the save succeeded.
+ */
+async function persistEstimationFactor(id, payload) {
+    const url = id ? `/api/estimation-factors/${id}` : '/api/estimation-factors';
+    const method = id ? 'PUT' : 'POST';
+    const res = await fetch(window.API + url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+    });
+
+    if (!res.ok) {
+        const errorData = await res.json().catch(() => ({}));
+        window.showMessage('Error', errorData.message || 'Error:' + res.status, 'error');
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Renders the impact modal listing affected initiatives with old and new hours and size.
+ * @param {string} title - The modal title.
+ * @param {Array<object>} impact - The impact rows returned by the API.
+ * @param {boolean} isPreview - Whether a factor save is pending confirmation.
+ */
+function renderFactorImpact(title, impact, isPreview) {
+    document.getElementById('ef-impact-title').textContent = title;
+    document.getElementById('ef-impact-save-only').style.display = isPreview ? 'inline-block' : 'none';
+    document.getElementById('ef-impact-reprice').textContent = isPreview ? 'Save & Re-price Selected' : 'Re-price Selected';
+
+    const tbody = document.querySelector('#ef-impact-table tbody');
+    tbody.innerHTML = '';
+    if (impact.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" style="text-align:center;color:#888;">No initiatives use this factor.</td></tr>';
+    }
+    impact.forEach(i => {
+        const tr = document.createElement('tr');
+        const checked = i.changed ? 'checked' : '';
+        const disabled = i.error ? 'disabled' : '';
+        tr.innerHTML = `
+          <td><input type="checkbox" data-id="${i.id}" ${checked} ${disabled}></td>
+          <td>${i.custom_id || i.id}</td>
+          <td>${i.name}${i.error ? `<br><small style="color:var(--red)">${i.error}</small>` : ''}</td>
+          <td>${i.quantity}</td>
+          <td>${i.old_hours}h → ${i.new_hours ?? '?'}h</td>
+          <td>${i.old_shirt_size || ''} → ${i.new_shirt_size || '?'}</td>`;
+        if (i.changed) tr.classList.add('impact-changed');
+        tbody.appendChild(tr);
+    });
+    window.openModal('ef-impact');
+}
+
+/**
+ * Formats three-point hours as "optimistic/most likely/pessimistic", or a single value when they are equal.
+ * @param {object} value - { optimistic, mostLikely, pessimistic } in hours.
+ * @returns {string}
+ */
+function formatHoursRange(value) {
+    return value.optimistic === value.mostLikely && value.mostLikely === value.pessimistic
+        ? `${value.mostLikely}h`
+        : `${value.optimistic}/${value.mostLikely}/${value.pessimistic}h`;
+}
+
+/**
+ * Reads the three-point hours grid of the estimation factor modal.
+ * Blank optimistic/pessimistic values default to the most likely value.
+ * @returns {object} Map of resource type ID to { optimistic, mostLikely, pessimistic } in hours.
+ */
+function collectEFHours() {
+    const hours = {};
+    (window.rtList || []).forEach(rt => {
+        const inp = document.getElementById(`ef-h-${rt.id}`);
+        const sel = document.getElementById(`ef-u-${rt.id}`);
+        if (!inp) return;
+        const factor = sel.value === 'd' ? window.workingCalendar.hours_per_day : 1;
+        const mostLikely = +inp.value * factor;
+        const optInput = document.getElementById(`ef-ho-${rt.id}`).value;
+        const pesInput = document.getElementById(`ef-hp-${rt.id}`).value;
+        const optimistic = optInput === '' ? mostLikely : +optInput * factor;
+        const pessimistic = pesInput === '' ? mostLikely : +pesInput * factor;
+        if (mostLikely > 0 || pessimistic > 0) {
+            hours[rt.id] = { optimistic, mostLikely, pessimistic };
+        }
+    });
+    return hours;
+}
 
 /**
  * Compares old and new data for an estimation factor and returns an array of change descriptions.
@@ -364,18 +615,20 @@ function getFactorAuditDiffs(oldData, newData) {
     const oldHours = oldData.hoursPerResourceType || {};
     const newHours = newData.hoursPerResourceType || {};
     const allResourceIds = new Set([...Object.keys(oldHours), ...Object.keys(newHours)]);
-    
+
     allResourceIds.forEach(resId => {
-        const oldVal = oldHours[resId] || 0;
-        const newVal = newHours[resId] || 0;
+        const oldVal = normalizeHoursValue(oldHours[resId]);
+        const newVal = normalizeHoursValue(newHours[resId]);
+        const oldEmpty = oldVal.pessimistic === 0;
+        const newEmpty = newVal.pessimistic === 0;
         const resourceName = window.rtList.find(r => r.id === resId)?.name || resId;
 
-        if (oldVal === 0 && newVal > 0) {
-            diffs.push(`- <span class="diff-added">Added resource ${resourceName} with ${newVal}h</span>`);
-        } else if (oldVal > 0 && newVal === 0) {
-            diffs.push(`- <span class="diff-removed">Removed resource ${resourceName} (was ${oldVal}h)</span>`);
-        } else if (oldVal !== newVal) {
-            diffs.push(`- Changed hours for ${resourceName} from <span class="diff-removed">${oldVal}h</span> to <span class="diff-added">${newVal}h</span>`);
+        if (oldEmpty && !newEmpty) {
+            diffs.push(`- <span class="diff-added">Added resource ${resourceName} with ${formatHoursRange(newVal)}</span>`);
+        } else if (!oldEmpty && newEmpty) {
+            diffs.push(`- <span class="diff-removed">Removed resource ${resourceName} (was ${formatHoursRange(oldVal)})</span>`);
+        } else if (formatHoursRange(oldVal) !== formatHoursRange(newVal)) {
+            diffs.push(`- Changed hours for ${resourceName} from <span class="diff-removed">${formatHoursRange(oldVal)}</span> to <span class="diff-added">${formatHoursRange(newVal)}</span>`);
         }
     });
     return diffs;
@@ -2,47 +2,48 @@
  * initiatives.js
  * Handles all CRUD operations, event handling, and UI rendering for the Initiatives section.
  */
-import { formatDateInEST } from './ui.js';
+import { formatDateTime, formatExportDate, formatAuthor, hoursToDays, hoursToMonths } from './ui.js';
+import { countWorkingDays } from './calendar.js';
+import { computePert, getRangeMultiplier } from './estimation.js';
+import { formatCost, getRateOn } from './costs.js';
+import { formatBufferedHours } from './factorPicker.js';
+
+// Audit actions whose journal entry is just their note
+const NOTE_ONLY_ACTIONS = ['baselined', 'baseline_deleted', 'actual_hours_logged', 'actual_hours_removed', 'actual_hours_imported'];
 
 /**
- * Loads and displays the list of initiatives, with filtering and sorting.
+ * Loads and displays one page of initiatives. Filtering, sorting and paging happen on the
+ * server; the page size is the maxInitiatives preference.
  * @param {string} [sortBy='created_at'] - The column to sort by.
  * @param {string} [sortDirection='desc'] - The direction to sort ('asc' or 'desc').
  */
 export async function loadInitiatives(sortBy = 'created_at', sortDirection = 'desc') {
-  const res = await fetch(window.API + '/api/initiatives');
-  let allInitiatives = await res.json();
-  window.initList = allInitiatives;
-
-  const searchQuery = document.getElementById('init-search-input')?.value.toLowerCase() || '';
-
-  let filteredInitiatives = allInitiatives.filter(i => 
-    i.name.toLowerCase().includes(searchQuery) || 
-    (i.custom_id && i.custom_id.toLowerCase().includes(searchQuery)) ||
-    (i.description && i.description.toLowerCase().includes(searchQuery))
-  );
-
-  filteredInitiatives.sort((a, b) => {
-    let valA = a[sortBy];
-    let valB = b[sortBy];
-    if (sortBy === 'id' || sortBy === 'computed_hours' || sortBy === 'priority_num') {
-        valA = parseFloat(valA || 0);
-        valB = parseFloat(valB || 0);
-    } else if (sortBy.includes('_date') || sortBy.includes('_at')) {
-        valA = valA ? new Date(valA).getTime() : 0;
-        valB = valB ? new Date(valB).getTime() : 0;
-    } else {
-        valA = String(valA || '').toLowerCase();
-        valB = String(valB || '').toLowerCase();
-    }
-    if (valA < valB) return sortDirection === 'asc' ? -1 : 1;
-    if (valA > valB) return sortDirection === 'asc' ? 1 : -1;
-    return 0;
+  const pageSize = window.userPreferences.maxInitiatives;
+  const params = new URLSearchParams({
+    sort: sortBy,
+    order: sortDirection,
+    limit: pageSize,
+    offset: window.currentInitiativePage * pageSize,
+    omit: 'journal_entries'
   });
+  const searchQuery = document.getElementById('init-search-input')?.value.trim() || '';
+  if (searchQuery) params.set('q', searchQuery);
+  const statusFilter = document.getElementById('init-status-filter')?.value || '';
+  if (statusFilter) params.set('status', statusFilter);
+
+  const res = await fetch(window.API + '/api/initiatives?' + params);
+  const itemsToDisplay = await res.json();
+  const total = parseInt(res.headers.get('X-Total-Count'), 10) || 0;
+
+  // Step back if the current page no longer exists (e.g. after a delete or a new filter)
+  if (itemsToDisplay.length === 0 && window.currentInitiativePage > 0) {
+    window.currentInitiativePage = Math.max(0, Math.ceil(total / pageSize) - 1);
+    return loadInitiatives(sortBy, sortDirection);
+  }
+  window.initList = itemsToDisplay;
 
   const tbody = document.querySelector('#init-table tbody');
   tbody.innerHTML = '';
-  const itemsToDisplay = filteredInitiatives.slice(0, window.userPreferences.maxInitiatives);
 
   itemsToDisplay.forEach(i => {
     const tr = document.createElement('tr');
@@ -52,23 +53,54 @@ export async function loadInitiatives(sortBy = 'created_at', sortDirection = 'de
       <td>${i.name}</td>
       <td>${i.status || ''}</td>
       <td>${i.shirt_size || ''}</td>
-      <td>${i.computed_hours || 0}</td>
-      <td>${formatDateInEST(i.start_date, false)}</td>
-      <td>${formatDateInEST(i.end_date, false)}</td>
-      <td>${formatDateInEST(i.created_at, true)}</td>
-      <td>${formatDateInEST(i.updated_at, true)}</td>
+      <td>${i.computed_hours || 0} ± ${i.computed_std_dev || 0}</td>
+      <td>${formatCost(i.computed_cost)}</td>
+      <td>${formatDateTime(i.start_date, false)}</td>
+      <td>${formatDateTime(i.end_date, false)}</td>
+      <td>${formatDateTime(i.created_at, true)}</td>
+      <td>${formatDateTime(i.updated_at, true)}</td>
       <td style="white-space:nowrap;">
         <button onclick="window.editInitiative(${i.id})">Edit</button>
-        <button onclick="window.deleteInitiative(${i.id})" style="background:var(--red)">Del</button>
+        <button class="requires-estimator" onclick="window.deleteInitiative(${i.id})" style="background:var(--red)">Del</button>
         <button onclick="window.showAuditTrail('${i.id}', '${i.name}')">🔍</button>
+        <button onclick="window.showBaselines(${i.id})" title="Baselines">📐</button>
       </td>`;
     tbody.appendChild(tr);
   });
 
   updateSortIndicators(sortBy, sortDirection);
+  updatePager(total, pageSize);
   setupInitiativeTableSorting();
 }
 
+/**
+ * Reloads the initiatives table from its first page after the search or filters change.
+ */
+export function filterInitiatives() {
+  window.currentInitiativePage = 0;
+  loadInitiatives(window.currentSortColumn, window.currentSortDirection);
+  window.runSearch();
+}
+
+/**
+ * Moves the initiatives table forward or back by a page.
+ * @param {number} delta - The number of pages to move (1 or -1).
+ */
+export function changeInitiativePage(delta) {
+  window.currentInitiativePage = Math.max(0, window.currentInitiativePage + delta);
+  loadInitiatives(window.currentSortColumn, window.currentSortDirection);
+}
+
+/**
+ * Fetches every initiative, including journals, for exports.
+ * @returns {Promise<Array<object>>} The initiatives.
+ */
+async function fetchAllInitiatives() {
+  const res = await fetch(window.API + '/api/initiatives?sort=id&order=asc');
+  if (!res.ok) { throw new Error('Failed to fetch initiatives for export.'); }
+  return res.json();
+}
+
 /**
  * Opens the modal to add a new initiative, clearing all fields.
  */
@@ -79,15 +111,19 @@ export function addInitiative() {
     document.getElementById('init-desc').value = '';
     document.getElementById('init-priority').value = 'Low';
     document.getElementById('init-priority-num').value = '';
-    document.getElementById('init-status').value = 'To Do';
+    window.renderStatusOptions(null);
     document.getElementById('init-estimation-type').value = 'WAG';
+    document.getElementById('init-shirt-size-scheme').value = '';
     document.getElementById('init-start-date').value = '';
     document.getElementById('init-end-date').value = '';
     document.getElementById('init-scope').value = '';
     document.getElementById('init-out').value = '';
     document.getElementById('init-created').textContent = '';
     document.getElementById('init-updated').textContent = '';
+    document.getElementById('init-risk-adjustment').value = '';
+    document.getElementById('init-risk-justification').value = '';
     document.getElementById('init-calculated-shirt-size').textContent = '';
+    document.getElementById('init-cost-breakdown').textContent = '';
     window.selectedFactors = [];
     window.currentInitiativeJournal = [];
     window.renderSelectedFactorsSummary();
@@ -100,13 +136,13 @@ export function addInitiative() {
  * Opens the modal to edit an existing initiative, populating fields with its data.
  * @param {number} id - The ID of the initiative to edit.
  */
-export function editInitiative(id) {
-    const numericId = parseInt(id, 10);
-    const init = window.initList.find(x => parseInt(x.id, 10) === numericId);
-    if (!init) {
+export async function editInitiative(id) {
+    const res = await fetch(window.API + `/api/initiatives/${id}`);
+    if (!res.ok) {
         window.showMessage('Error', 'Initiative not found.', 'error');
         return;
     }
+    const init = await res.json();
 
     document.getElementById('init-id').value = init.id;
     document.getElementById('init-name').value = init.name;
@@ -114,15 +150,25 @@ export function editInitiative(id) {
     document.getElementById('init-desc').value = init.description || '';
     document.getElementById('init-priority').value = init.priority || 'Low';
     document.getElementById('init-priority-num').value = init.priority_num || '';
-    document.getElementById('init-status').value = init.status || 'To Do';
+    window.renderStatusOptions(init.status);
     document.getElementById('init-estimation-type').value = init.estimation_type || 'WAG';
+    document.getElementById('init-shirt-size-scheme').value = init.shirt_size_scheme_id || '';
     document.getElementById('init-start-date').value = init.start_date ? init.start_date.substring(0, 10) : '';
     document.getElementById('init-end-date').value = init.end_date ? init.end_date.substring(0, 10) : '';
     document.getElementById('init-scope').value = init.scope || '';
     document.getElementById('init-out').value = init.out_of_scope || '';
-    document.getElementById('init-created').textContent = formatDateInEST(init.created_at);
-    document.getElementById('init-updated').textContent = formatDateInEST(init.updated_at);
-    document.getElementById('init-calculated-shirt-size').textContent = `Calculated T-Shirt Size: ${init.shirt_size || 'N/A'} (${init.computed_hours || 0}h)`;
+    document.getElementById('init-created').textContent = formatDateTime(init.created_at);
+    document.getElementById('init-updated').textContent = formatDateTime(init.updated_at);
+    document.getElementById('init-risk-adjustment').value = init.risk_adjustment_percent || '';
+    document.getElementById('init-risk-justification').value = init.risk_justification || '';
+    const buffered = {
+        base: init.base_hours || 0,
+        buffer: init.buffer_hours || 0,
+        bufferPercent: init.base_hours ? Math.round((init.buffer_hours || 0) / init.base_hours * 100) : 0,
+        total: init.computed_hours || 0
+    };
+    document.getElementById('init-calculated-shirt-size').textContent = `Calculated T-Shirt Size: ${init.shirt_size || 'N/A'} (${formatBufferedHours(buffered, init.computed_std_dev || 0)}) · Cost: ${formatCost(init.computed_cost)}`;
+    window.renderCostBreakdown(init.cost_per_resource_type);
     
     window.selectedFactors = init.selected_factors || []; 
     window.currentInitiativeJournal = init.journal_entries || []; 
@@ -137,7 +183,7 @@ export function editInitiative(id) {
  * @param {number} id - The ID of the initiative to delete.
  */
 export async function deleteInitiative(id) { 
-  if (!confirm('Delete?')) return; 
+  if (!confirm('Move this initiative to the Trash?')) return; 
   await fetch(window.API + `/api/initiatives/${id}`, { method: 'DELETE' }); 
   loadInitiatives(); 
 }
@@ -164,9 +210,12 @@ export async function saveInitiative() {
         classification: 'Internal',
         scope: document.getElementById('init-scope').value.trim(),
         out_of_scope: document.getElementById('init-out').value.trim(),
-        selected_factors: window.selectedFactors,
+        selected_factors: toFactorSelections(window.selectedFactors),
         start_date: document.getElementById('init-start-date').value.trim() || null,
         end_date: document.getElementById('init-end-date').value.trim() || null,
+        risk_adjustment_percent: parseFloat(document.getElementById('init-risk-adjustment').value) || 0,
+        risk_justification: document.getElementById('init-risk-justification').value.trim() || null,
+        shirt_size_scheme_id: parseInt(document.getElementById('init-shirt-size-scheme').value, 10) || null,
         journal_entries: window.currentInitiativeJournal
     }; 
     
@@ -179,7 +228,9 @@ export async function saveInitiative() {
     }); 
     
     if (!res.ok) { 
-        window.showMessage('Error', 'Error:' + res.status, 'error'); 
+        const errorData = await res.json().catch(() => ({}));
+        const msg = errorData.errors ? errorData.errors.map(e => e.msg).join(', ') : (errorData.message || 'Error:' + res.status);
+        window.showMessage('Error', msg, 'error'); 
         return; 
     }
     window.closeModal('init'); 
@@ -215,9 +266,12 @@ export async function duplicateInitiative() {
         classification: 'Internal',
         scope: document.getElementById('init-scope').value.trim(),
         out_of_scope: document.getElementById('init-out').value.trim(),
-        selected_factors: window.selectedFactors,
+        selected_factors: toFactorSelections(window.selectedFactors),
         start_date: document.getElementById('init-start-date').value.trim() || null,
         end_date: document.getElementById('init-end-date').value.trim() || null,
+        risk_adjustment_percent: parseFloat(document.getElementById('init-risk-adjustment').value) || 0,
+        risk_justification: document.getElementById('init-risk-justification').value.trim() || null,
+        shirt_size_scheme_id: parseInt(document.getElementById('init-shirt-size-scheme').value, 10) || null,
         journal_entries: [newJournalEntry]
     };
 
@@ -274,12 +328,18 @@ export async function showAuditTrail(initiativeId, initiativeName) {
                     } else if (entry.action === 'updated') {
                         const diffs = getAuditDiffs(oldData, newData);
                         details = diffs.length > 0 ? diffs.join('<br>') : 'No changes to tracked fields.';
+                        if (entry.note) details = `${entry.note}.<br>${details}`;
                     } else if (entry.action === 'duplicated_from') {
                         details = `Duplicated from: ${entry.original_name}.`;
+                    } else if (entry.action === 'repriced' || entry.action === 'resized') {
+                        const diffs = getAuditDiffs(oldData, newData);
+                        details = [entry.note, ...diffs].filter(Boolean).join('<br>');
+                    } else if (NOTE_ONLY_ACTIONS.includes(entry.action)) {
+                        details = `${entry.note}.`;
                     }
-                    logItem.innerHTML = `<h4>${entry.action.charAt(0).toUpperCase() + entry.action.slice(1).replace(/_/g, ' ')} on ${formatDateInEST(entry.timestamp)}</h4><p>${details}</p>`;
+                    logItem.innerHTML = `<h4>${entry.action.charAt(0).toUpperCase() + entry.action.slice(1).replace(/_/g, ' ')} on ${formatDateTime(entry.timestamp)}${formatAuthor(entry)}</h4><p>${details}</p>`;
                 } else {
-                    logItem.innerHTML = `<h4>Comment on ${formatDateInEST(entry.timestamp)}</h4><p>${entry.text}</p>`;
+                    logItem.innerHTML = `<h4>Comment on ${formatDateTime(entry.timestamp)}${formatAuthor(entry)}</h4><p>${entry.text}</p>`;
                 }
                 auditContent.appendChild(logItem);
             });
@@ -300,7 +360,7 @@ export function renderJournalLog() {
         sortedJournal.forEach(entry => {
             const entryDiv = document.createElement('div');
             entryDiv.className = 'journal-entry';
-            const formattedDate = formatDateInEST(entry.timestamp);
+            const formattedDate = formatDateTime(entry.timestamp);
 
             if (entry.type === 'audit') {
                 entryDiv.classList.add('audit');
@@ -313,12 +373,18 @@ export function renderJournalLog() {
                 } else if (entry.action === 'updated') {
                     const diffs = getAuditDiffs(oldData, newData);
                     details = diffs.length > 0 ? diffs.join('<br>') : 'No changes to tracked fields.';
+                    if (entry.note) details = `${entry.note}.<br>${details}`;
                 } else if (entry.action === 'duplicated_from') {
                     details = `Duplicated from: ${entry.original_name}.`;
+                } else if (entry.action === 'repriced' || entry.action === 'resized') {
+                    const diffs = getAuditDiffs(oldData, newData);
+                    details = [entry.note, ...diffs].filter(Boolean).join('<br>');
+                } else if (NOTE_ONLY_ACTIONS.includes(entry.action)) {
+                    details = `${entry.note}.`;
                 }
-                entryDiv.innerHTML = `<span class="timestamp">${formattedDate}</span><h4>${entry.action.charAt(0).toUpperCase() + entry.action.slice(1).replace(/_/g, ' ')}</h4><p>${details}</p>`;
+                entryDiv.innerHTML = `<span class="timestamp">${formattedDate}${formatAuthor(entry)}</span><h4>${entry.action.charAt(0).toUpperCase() + entry.action.slice(1).replace(/_/g, ' ')}</h4><p>${details}</p>`;
             } else {
-                entryDiv.innerHTML = `<span class="timestamp">${formattedDate}</span>${entry.text}`;
+                entryDiv.innerHTML = `<span class="timestamp">${formattedDate}${formatAuthor(entry)}</span>${entry.text}`;
             }
             journalLogDiv.appendChild(entryDiv);
         });
@@ -345,12 +411,13 @@ export function addJournalComment() {
     const newEntry = {
         timestamp: new Date().toISOString(),
         type: 'comment',
-        text: commentText
+        text: commentText,
+        author_name: window.currentUser?.display_name || window.currentUser?.username
     };
     window.currentInitiativeJournal.push(newEntry);
     renderJournalLog();
     commentInput.value = '';
-    saveJournalEntryToBackend(initiativeId, window.currentInitiativeJournal);
+    saveJournalEntryToBackend(initiativeId, commentText);
 }
 
 /**
@@ -382,7 +449,7 @@ export async function handleImportFile(event) {
                 "User-Defined ID": "custom_id", "Name": "name", "Description": "description",
                 "Priority": "priority", "Priority Number": "priority_num", "Status": "status",
                 "Start Date": "start_date", "End Date": "end_date", "In Scope": "scope",
-                "Out of Scope": "out_of_scope"
+                "Out of Scope": "out_of_scope", "Shirt Size Scheme ID": "shirt_size_scheme_id"
             };
             const fileHeaders = lines[0].split('\t').map(h => h.trim());
             const initiativesToImport = [];
@@ -428,15 +495,15 @@ export async function handleImportFile(event) {
  */
 export async function exportInitiatives() {
     try {
-        const res = await fetch(window.API + '/api/initiatives');
-        if (!res.ok) { throw new Error('Failed to fetch initiatives for export.'); }
-        const initiatives = await res.json();
+        const initiatives = await fetchAllInitiatives();
 
         const headers = [
             "Internal ID", "User-Defined ID", "Name", "Description", "Priority", "Priority Number",
             "Status", "Classification", "Scope", "Out of Scope",
-            "Estimated Hours", "Estimated Days", "Estimated Months", "Shirt Size",
-            "Start Date", "End Date",
+            "Base Hours", "Buffer Hours", "Risk Adjustment %", "Risk Justification",
+            "Estimated Hours", "Std Dev Hours", "Estimated Days", "Estimated Months", "Shirt Size",
+            `Cost (${window.settings?.currency || 'USD'})`, "Cost by Resource Type",
+            "Start Date", "End Date", "Working Days",
             "Selected Factors", "Created At", "Updated At"
         ];
         
@@ -444,24 +511,36 @@ export async function exportInitiatives() {
 
         for (const initiative of initiatives) {
             const estimatedHours = initiative.computed_hours || 0;
-            const estimatedDays = (estimatedHours / 8).toFixed(1);
-            const estimatedMonths = (estimatedHours / 160).toFixed(1);
+            const estimatedDays = hoursToDays(estimatedHours).toFixed(1);
+            const estimatedMonths = hoursToMonths(estimatedHours).toFixed(1);
+            const hasRange = initiative.start_date && initiative.end_date && initiative.start_date <= initiative.end_date;
+            const workingDays = hasRange ? countWorkingDays(initiative.start_date, initiative.end_date) : '';
 
+            const multiplier = getRangeMultiplier(initiative.estimation_type);
             let selectedFactorsSummary = initiative.selected_factors.map(f => {
-                const totalFactorHours = Object.values(f.hoursPerResourceType || {}).reduce((sum, h) => sum + h, 0);
-                return `${f.name} (Qty: ${f.quantity}, Hours: ${totalFactorHours * f.quantity})`;
+                const totalFactorHours = Object.values(f.hoursPerResourceType || {}).reduce((sum, h) => sum + computePert(h, multiplier).expected, 0);
+                return `${f.name} (Qty: ${f.quantity}, Hours: ${(totalFactorHours * f.quantity).toFixed(1)})`;
+            }).join(', ');
+
+            const costByResourceType = Object.entries(initiative.cost_per_resource_type || {}).map(([rtId, c]) => {
+                const rtName = (window.rtList || []).find(rt => rt.id === rtId)?.name || rtId;
+                return `${rtName}: ${c.cost.toFixed(2)}`;
             }).join(', ');
 
             const rowData = [
                 initiative.id, initiative.custom_id, initiative.name, initiative.description,
                 initiative.priority, initiative.priority_num, initiative.status, initiative.classification,
-                initiative.scope, initiative.out_of_scope, estimatedHours, estimatedDays,
+                initiative.scope, initiative.out_of_scope,
+                initiative.base_hours, initiative.buffer_hours, initiative.risk_adjustment_percent, initiative.risk_justification,
+                estimatedHours, initiative.computed_std_dev, estimatedDays,
                 estimatedMonths, initiative.shirt_size,
-                formatDateInEST(initiative.start_date, false),
-                formatDateInEST(initiative.end_date, false),
+                (initiative.computed_cost || 0).toFixed(2), costByResourceType,
+                formatExportDate(initiative.start_date, false),
+                formatExportDate(initiative.end_date, false),
+                workingDays,
                 selectedFactorsSummary,
-                formatDateInEST(initiative.created_at, true),
-                formatDateInEST(initiative.updated_at, true)
+                formatExportDate(initiative.created_at, true),
+                formatExportDate(initiative.updated_at, true)
             ];
             rows.push(rowData.map(item => String(item || '').replace(/\t/g, ' ').replace(/\n/g, ' ')).join('\t'));
         }
@@ -493,42 +572,49 @@ export async function exportInitiatives() {
 export async function exportResourceView() {
     try {
         await window.loadRT();
-        await window.loadEF();
-        await loadInitiatives();
+        const initList = await fetchAllInitiatives();
 
-        const { initList, rtList, efList } = window;
+        const { rtList } = window;
 
         const headers = [
             "Internal ID", "User-Defined ID", "Name", "Created", "Updated", "Status", "Shirt Size",
-            "Start Date", "End Date", "Resource Type", "Factor", "Factor Hours"
+            "Start Date", "End Date", "Resource Type", "Factor", "Factor Hours", "Factor Std Dev Hours",
+            "Hourly Rate", `Factor Cost (${window.settings?.currency || 'USD'})`
         ];
         const rows = [headers.join('\t')];
 
         for (const initiative of initList) {
             const baseRowData = [
                 initiative.id, initiative.custom_id, initiative.name,
-                formatDateInEST(initiative.created_at, true),
-                formatDateInEST(initiative.updated_at, true),
+                formatExportDate(initiative.created_at, true),
+                formatExportDate(initiative.updated_at, true),
                 initiative.status, initiative.shirt_size,
-                formatDateInEST(initiative.start_date, false),
-                formatDateInEST(initiative.end_date, false)
+                formatExportDate(initiative.start_date, false),
+                formatExportDate(initiative.end_date, false)
             ];
 
             let hasFactors = false;
+            const multiplier = getRangeMultiplier(initiative.estimation_type);
             if (initiative.selected_factors) {
+                // Hours come from the initiative's snapshot, the values its computed hours were priced with
                 for (const selectedFactor of initiative.selected_factors) {
-                    const factorDetails = efList.find(f => f.id === selectedFactor.factorId);
-                    if (factorDetails && factorDetails.hoursPerResourceType) {
+                    if (selectedFactor.hoursPerResourceType) {
                         hasFactors = true;
-                        for (const rtId in factorDetails.hoursPerResourceType) {
+                        for (const rtId in selectedFactor.hoursPerResourceType) {
                             const resourceType = rtList.find(rt => rt.id === rtId);
                             if (resourceType) {
-                                const factorHours = factorDetails.hoursPerResourceType[rtId] * selectedFactor.quantity;
+                                const pert = computePert(selectedFactor.hoursPerResourceType[rtId], multiplier);
+                                const factorHours = pert.expected * selectedFactor.quantity;
+                                const factorStdDev = Math.sqrt(pert.variance * selectedFactor.quantity);
+                                const rate = getRateOn(resourceType.rates, (initiative.start_date || '').substring(0, 10) || undefined);
                                 rows.push([
                                     ...baseRowData,
                                     resourceType.name,
-                                    factorDetails.name,
-                                    factorHours.toFixed(1)
+                                    selectedFactor.name,
+                                    factorHours.toFixed(1),
+                                    factorStdDev.toFixed(1),
+                                    rate === null ? '' : rate.toFixed(2),
+                                    (factorHours * (rate || 0)).toFixed(2)
                                 ].map(item => String(item || '').replace(/\t/g, ' ').replace(/\n/g, ' ')).join('\t'));
                             }
                         }
@@ -537,7 +623,7 @@ export async function exportResourceView() {
             }
 
             if (!hasFactors) {
-                rows.push([...baseRowData, '', '', ''].map(item => String(item || '').replace(/\t/g, ' ').replace(/\n/g, ' ')).join('\t'));
+                rows.push([...baseRowData, '', '', '', '', '', ''].map(item => String(item || '').replace(/\t/g, ' ').replace(/\n/g, ' ')).join('\t'));
             }
         }
 
@@ -565,19 +651,27 @@ export async function exportResourceView() {
 
 // --- Helper Functions ---
 
-async function saveJournalEntryToBackend(initiativeId, journalEntries) {
+/**
+ * Reduces selected factors to the fields the server accepts. Hours are resolved
+ * server-side from the factor catalog, so they are never sent. A factor purged from the
+ * Trash has no ID and is identified by its name.
+ * @param {Array<object>} selectedFactors - The selected factors in the client state.
+ * @returns {Array<{factorId: string|null, quantity: number, name?: string}>} The factor selections.
+ */
+function toFactorSelections(selectedFactors) {
+    return (selectedFactors || []).map(({ factorId, quantity, name }) => (factorId ? { factorId, quantity } : { factorId, quantity, name }));
+}
+
+async function saveJournalEntryToBackend(initiativeId, text) {
     try {
-        const res = await fetch(window.API + `/api/initiatives/${initiativeId}`);
-        if (!res.ok) { throw new Error('Failed to fetch initiative for journal update.'); }
-        const currentInitiative = await res.json();
-        currentInitiative.journal_entries = journalEntries;
-        currentInitiative.updated_at = new Date().toISOString();
-
-        await fetch(window.API + `/api/initiatives/${initiativeId}`, {
-            method: 'PUT',
+        const res = await fetch(window.API + `/api/initiatives/${initiativeId}/journal`, {
+            method: 'POST',
             headers: {'Content-Type':'application/json'},
-            body: JSON.stringify(currentInitiative)
+            body: JSON.stringify({ text })
         });
+        if (!res.ok) { throw new Error('Failed to save journal comment.'); }
+        window.currentInitiativeJournal = await res.json();
+        renderJournalLog();
         loadInitiatives(window.currentSortColumn, window.currentSortDirection);
     } catch (error) {
         console.error('Error in saveJournalEntryToBackend:', error);
@@ -589,7 +683,8 @@ function getAuditDiffs(oldData, newData) {
     const keysToCompare = [
         'name', 'custom_id', 'description', 'priority', 'priority_num',
         'status', 'estimation_type', 'classification', 'scope', 'out_of_scope',
-        'computed_hours', 'shirt_size', 'start_date', 'end_date'
+        'base_hours', 'buffer_hours', 'risk_adjustment_percent', 'risk_justification',
+        'computed_hours', 'computed_std_dev', 'shirt_size', 'start_date', 'end_date'
     ];
 
     for (const key of keysToCompare) {
@@ -640,6 +735,7 @@ function setupInitiativeTableSorting() {
 function handleSortClick(event) {
     const sortBy = event.currentTarget.dataset.sort;
     if (sortBy) {
+        window.currentInitiativePage = 0;
         if (window.currentSortColumn === sortBy) {
             window.currentSortDirection = window.currentSortDirection === 'asc' ? 'desc' : 'asc';
         } else {
@@ -650,6 +746,15 @@ function handleSortClick(event) {
     }
 }
 
+function updatePager(total, pageSize) {
+    const first = total === 0 ? 0 : window.currentInitiativePage * pageSize + 1;
+    const last = Math.min(total, (window.currentInitiativePage + 1) * pageSize);
+    const pageCount = Math.max(1, Math.ceil(total / pageSize));
+    document.getElementById('init-page-info').textContent = `${first}–${last} of ${total} (page ${window.currentInitiativePage + 1} of ${pageCount})`;
+    document.getElementById('init-page-prev').disabled = window.currentInitiativePage === 0;
+    document.getElementById('init-page-next').disabled = last >= total;
+}
+
 function updateSortIndicators(sortBy, sortDirection) {
     document.querySelectorAll('#init-table th.sortable-th').forEach(th => {
         const arrowSpan = th.querySelector('.sort-arrow');
@@ -1,6 +1,7 @@
 /**
  * preferences.js
- * Handles loading, saving, and populating user preferences via cookies.
+ * Handles loading, saving, and populating user preferences via cookies, the
+ * user's date time zone and locale, and the workspace settings stored on the server.
  */
 
 /**
@@ -14,7 +15,8 @@ export function loadPreferences() {
             window.userPreferences = {
                 maxInitiatives: parsedPrefs.maxInitiatives || 8,
                 maxResourceTypes: parsedPrefs.maxResourceTypes || 5,
-                maxEstimationFactors: parsedPrefs.maxEstimationFactors || 5
+                maxEstimationFactors: parsedPrefs.maxEstimationFactors || 5,
+                exportIsoUtc: parsedPrefs.exportIsoUtc === true
             };
         } catch (e) {
             console.error("Error parsing preferences cookie:", e);
@@ -23,15 +25,34 @@ export function loadPreferences() {
 }
 
 /**
- * Saves the current preferences from the form to a cookie.
+ * Saves the current preferences from the form: display limits and the export format to a
+ * cookie, the time zone and locale to the signed-in user's account.
  */
-export function savePreferences() {
+export async function savePreferences() {
+    const res = await fetch(window.API + '/api/auth/preferences', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            timezone: document.getElementById('pref-timezone').value.trim() || null,
+            locale: document.getElementById('pref-locale').value.trim() || null
+        })
+    });
+    if (!res.ok) {
+        const errorData = await res.json().catch(() => ({}));
+        const msg = errorData.errors ? errorData.errors.map(e => e.msg).join(', ') : (errorData.message || 'Error: ' + res.status);
+        window.showMessage('Error', msg, 'error');
+        return;
+    }
+    window.currentUser = (await res.json()).user;
+
     window.userPreferences.maxInitiatives = parseInt(document.getElementById('pref-max-initiatives').value, 10) || 8;
     window.userPreferences.maxResourceTypes = parseInt(document.getElementById('pref-max-resource-types').value, 10) || 5;
     window.userPreferences.maxEstimationFactors = parseInt(document.getElementById('pref-max-estimation-factors').value, 10) || 5;
+    window.userPreferences.exportIsoUtc = document.getElementById('pref-export-iso-utc').checked;
 
     setCookie('estiim_prefs', JSON.stringify(window.userPreferences), 365);
     window.showMessage('Success', 'Preferences saved successfully!', 'success');
+    populatePrefsPage();
     
     // Reload relevant sections to apply new limits
     window.loadInitiatives(window.currentSortColumn, window.currentSortDirection);
@@ -46,6 +67,95 @@ export function populatePrefsPage() {
     document.getElementById('pref-max-initiatives').value = window.userPreferences.maxInitiatives;
     document.getElementById('pref-max-resource-types').value = window.userPreferences.maxResourceTypes;
     document.getElementById('pref-max-estimation-factors').value = window.userPreferences.maxEstimationFactors;
+    document.getElementById('pref-export-iso-utc').checked = window.userPreferences.exportIsoUtc;
+    populateDatePreferences();
+    document.getElementById('setting-currency').value = window.settings.currency || '';
+    document.getElementById('setting-trash-purge-days').value = window.settings.trash_purge_days ?? 30;
+    document.getElementById('setting-contingency').innerHTML = Object.entries(window.contingencyRates)
+        .map(([type, percent]) => `<div><label>${type}</label><br><input id="setting-contingency-${type}" data-type="${type}" type="number" min="0" value="${percent}" style="width:80px"></div>`)
+        .join('');
+}
+
+// Locales offered in the date format list; any other valid locale can be typed in
+const COMMON_LOCALES = ['en-US', 'en-GB', 'en-IN', 'de-DE', 'fr-FR', 'es-ES', 'it-IT', 'nl-NL', 'pl-PL', 'sv-SE', 'ja-JP', 'zh-CN', 'ko-KR', 'hi-IN'];
+
+/**
+ * Fills the time zone and locale fields with the signed-in user's choices, and their
+ * suggestion lists and placeholders with the server defaults.
+ */
+function populateDatePreferences() {
+    const timezoneInput = document.getElementById('pref-timezone');
+    const localeInput = document.getElementById('pref-locale');
+    timezoneInput.value = window.currentUser?.timezone || '';
+    timezoneInput.placeholder = `Server default (${window.appConfig.timezone})`;
+    localeInput.value = window.currentUser?.locale || '';
+    localeInput.placeholder = `Server default (${window.appConfig.locale})`;
+
+    const timezones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    document.getElementById('pref-timezone-options').innerHTML = timezones.map(tz => `<option value="${tz}">`).join('');
+    document.getElementById('pref-locale-options').innerHTML = COMMON_LOCALES.map(locale => `<option value="${locale}">`).join('');
+    document.getElementById('pref-date-sample').textContent = `e.g. ${window.formatDateTime(new Date().toISOString())}`;
+}
+
+/**
+ * Loads the workspace settings from the server into the global state.
+ */
+export async function loadSettings() {
+    const res = await fetch(window.API + '/api/settings');
+    if (res.ok) {
+        window.settings = await res.json();
+    }
+    const contingencyRes = await fetch(window.API + '/api/contingency');
+    if (contingencyRes.ok) {
+        window.contingencyRates = await contingencyRes.json();
+    }
+    const configRes = await fetch(window.API + '/api/config');
+    if (configRes.ok) {
+        window.appConfig = await configRes.json();
+    }
+    await window.loadWorkingCalendar();
+}
+
+/**
+ * Saves the workspace settings from the form to the server.
+ */
+export async function saveWorkspaceSettings() {
+    const currency = document.getElementById('setting-currency').value.trim().toUpperCase();
+    const trashPurgeDays = document.getElementById('setting-trash-purge-days').value;
+    const res = await fetch(window.API + '/api/settings', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ currency, trash_purge_days: trashPurgeDays })
+    });
+    if (!res.ok) {
+        const errorData = await res.json().catch(() => ({}));
+        const msg = errorData.errors ? errorData.errors.map(e => e.msg).join(', ') : 'Error: ' + res.status;
+        window.showMessage('Error', msg, 'error');
+        return;
+    }
+    window.settings = await res.json();
+
+    const contingency = {};
+    document.querySelectorAll('#setting-contingency input').forEach(input => {
+        contingency[input.dataset.type] = parseFloat(input.value) || 0;
+    });
+    const contingencyRes = await fetch(window.API + '/api/contingency', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(contingency)
+    });
+    if (!contingencyRes.ok) {
+        const errorData = await contingencyRes.json().catch(() => ({}));
+        const msg = errorData.errors ? errorData.errors.map(e => e.msg).join(', ') : (errorData.message || 'Error: ' + contingencyRes.status);
+        window.showMessage('Error', msg, 'error');
+        return;
+    }
+    const contingencyResult = await contingencyRes.json();
+    window.contingencyRates = contingencyResult.rates;
+    const recomputed = contingencyResult.updatedInitiatives > 0 ? ` Buffers of ${contingencyResult.updatedInitiatives} initiative(s) were recomputed.` : '';
+    window.showMessage('Success', 'Workspace settings saved successfully!' + recomputed, 'success');
+    window.loadInitiatives(window.currentSortColumn, window.currentSortDirection);
+    window.loadRT();
 }
 
 // --- Cookie Helper Functions ---
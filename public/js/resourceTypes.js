@@ -2,6 +2,7 @@
  * resourceTypes.js
  * Handles CRUD operations and UI for the Resource Types section.
  */
+import { formatCost } from './costs.js';
 
 /**
  * Loads and displays the list of resource types.
@@ -19,7 +20,8 @@ export async function loadRT() {
     const itemsToDisplay = filteredResourceTypes.slice(0, window.userPreferences.maxResourceTypes);
     itemsToDisplay.forEach(r => {
         const tr = document.createElement('tr');
-        tr.innerHTML = `<td>${r.name}</td><td>${r.description || ''}</td><td><button onclick="window.editRT('${r.id}')">Edit</button><button onclick="window.delRT('${r.id}')" style="background:var(--red)">Del</button></td>`;
+        const rate = r.hourly_rate === null ? '' : `${formatCost(r.hourly_rate)}/h`;
+        tr.innerHTML = `<td>${r.name}</td><td>${r.description || ''}</td><td>${rate}</td><td><button onclick="window.editRT('${r.id}')">Edit</button><button class="requires-admin" onclick="window.delRT('${r.id}')" style="background:var(--red)">Del</button></td>`;
         tbody.appendChild(tr);
     });
 }
@@ -31,6 +33,9 @@ export function openAddResourceTypeModal() {
     document.getElementById('rt-id').value = '';
     document.getElementById('rt-name').value = '';
     document.getElementById('rt-desc').value = '';
+    document.getElementById('rt-rate').value = '';
+    document.getElementById('rt-rate-effective').value = '';
+    document.getElementById('rt-rate-history').innerHTML = '';
     window.openModal('rt');
 }
 
@@ -43,17 +48,108 @@ export function editRT(id) {
     document.getElementById('rt-id').value = rt.id;
     document.getElementById('rt-name').value = rt.name;
     document.getElementById('rt-desc').value = rt.description || '';
+    document.getElementById('rt-rate').value = rt.hourly_rate ?? '';
+    document.getElementById('rt-rate-effective').value = '';
+    renderRateHistory(rt);
     window.openModal('rt');
 }
 
 /**
- * Deletes a resource type after confirmation.
+ * Renders the hourly rate history of a resource type in the edit modal.
+ * @param {object} rt - The resource type, with its rates.
+ */
+function renderRateHistory(rt) {
+    const container = document.getElementById('rt-rate-history');
+    if (!rt.rates || rt.rates.length === 0) {
+        container.innerHTML = '<p style="color:#555;font-size:0.9em;">No hourly rate recorded.</p>';
+        return;
+    }
+    const rows = [...rt.rates].reverse().map(r => `
+        <tr><td>${r.effective_from}</td><td>${formatCost(r.rate)}/h</td>
+        <td><button class="requires-admin" onclick="window.deleteRate('${rt.id}', ${r.id})" style="background:var(--red)">Del</button></td></tr>`).join('');
+    container.innerHTML = `<label><b>Rate History</b></label>
+        <table><thead><tr><th>Effective From</th><th>Rate</th><th></th></tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+/**
+ * Removes an entry from a resource type's rate history.
+ * @param {string} rtId - The ID of the resource type.
+ * @param {number} rateId - The ID of the rate entry.
+ */
+export async function deleteRate(rtId, rateId) {
+    if (!confirm('Delete this rate?')) return;
+    const res = await fetch(window.API + `/api/resource-types/${rtId}/rates/${rateId}`, { method: 'DELETE' });
+    if (!res.ok) {
+        window.showMessage('Error', 'Error: ' + res.status, 'error');
+        return;
+    }
+    await loadRT();
+    const rt = window.rtList.find(x => x.id === rtId);
+    if (rt) {
+        document.getElementById('rt-rate').value = rt.hourly_rate ?? '';
+        renderRateHistory(rt);
+    }
+}
+
+/**
+ * Deletes a resource type. Unused types are deleted after confirmation; types still
+ * referenced by factors or initiatives open a dialog to reassign or remove their hours.
  * @param {string} id - The ID of the resource type to delete.
  */
 export async function delRT(id) {
-    if (!confirm('Delete?')) return;
-    await fetch(window.API + `/api/resource-types/${id}`, { method: 'DELETE' });
-    loadRT();
+    const usageRes = await fetch(window.API + `/api/resource-types/${id}/usage`);
+    if (!usageRes.ok) {
+        window.showMessage('Error', 'Error: ' + usageRes.status, 'error');
+        return;
+    }
+    const usage = await usageRes.json();
+    if (usage.factors.length === 0 && usage.initiatives.length === 0) {
+        if (!confirm('Move this resource type to the Trash?')) return;
+        await fetch(window.API + `/api/resource-types/${id}`, { method: 'DELETE' });
+        loadRT();
+        return;
+    }
+
+    const rt = window.rtList.find(x => x.id === id);
+    document.getElementById('rt-delete-id').value = id;
+    document.getElementById('rt-delete-title').textContent = `Delete Resource Type: ${rt?.name || id}`;
+    document.getElementById('rt-delete-usage').innerHTML = `
+        <p>This resource type is still used by ${usage.factors.length} estimation factor(s) and ${usage.initiatives.length} initiative(s).</p>
+        <p><b>Factors:</b> ${usage.factors.map(f => f.name + (f.in_trash ? ' (in Trash)' : '')).join(', ') || 'none'}</p>
+        <p><b>Initiatives:</b> ${usage.initiatives.map(i => (i.custom_id || i.name) + (i.in_trash ? ' (in Trash)' : '')).join(', ') || 'none'}</p>`;
+    const targetSelect = document.getElementById('rt-delete-target');
+    targetSelect.innerHTML = window.rtList
+        .filter(x => x.id !== id)
+        .map(x => `<option value="${x.id}">${x.name}</option>`)
+        .join('');
+    document.getElementById('rt-delete-mode-reassign').checked = true;
+    window.openModal('rt-delete');
+}
+
+/**
+ * Confirms deletion of an in-use resource type with the selected mode.
+ */
+export async function confirmDeleteRT() {
+    const id = document.getElementById('rt-delete-id').value;
+    const mode = document.querySelector('input[name="rt-delete-mode"]:checked').value;
+    const params = new URLSearchParams({ mode });
+    if (mode === 'reassign') {
+        const targetId = document.getElementById('rt-delete-target').value;
+        if (!targetId) {
+            window.showMessage('Error', 'Select a resource type to reassign hours to.', 'error');
+            return;
+        }
+        params.set('targetId', targetId);
+    }
+    const res = await fetch(window.API + `/api/resource-types/${id}?${params}`, { method: 'DELETE' });
+    if (!res.ok) {
+        const errorData = await res.json().catch(() => ({}));
+        window.showMessage('Error', errorData.message || 'Error: ' + res.status, 'error');
+        return;
+    }
+    window.closeModal('rt-delete');
+    await loadRT();
+    window.loadEF();
 }
 
 /**
@@ -67,15 +163,24 @@ export async function saveResourceType() {
         return;
     }
     const desc = document.getElementById('rt-desc').value;
+    const rate = document.getElementById('rt-rate').value;
+    const rateEffectiveFrom = document.getElementById('rt-rate-effective').value;
     const url = id ? `/api/resource-types/${id}` : '/api/resource-types';
     const method = id ? 'PUT' : 'POST';
     const res = await fetch(window.API + url, {
         method,
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ name, description: desc })
+        body: JSON.stringify({
+            name,
+            description: desc,
+            hourly_rate: rate === '' ? null : parseFloat(rate),
+            rate_effective_from: rateEffectiveFrom || null
+        })
     });
     if (!res.ok) {
-        window.showMessage('Error', 'Error: ' + res.status, 'error');
+        const errorData = await res.json().catch(() => ({}));
+        const msg = errorData.errors ? errorData.errors.map(e => e.msg).join(', ') : 'Error: ' + res.status;
+        window.showMessage('Error', msg, 'error');
         return;
     }
     window.closeModal('rt');
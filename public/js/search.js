@@ -0,0 +1,57 @@
+/**
+ * search.js
+ * Shows ranked full-text search hits across initiatives and estimation factors
+ * for the text typed in the Initiatives search box.
+ */
+import { escapeHtml } from './ui.js';
+
+const TYPE_LABELS = {
+    initiative: 'Initiative',
+    estimation_factor: 'Estimation Factor'
+};
+
+/**
+ * Runs a search for the text in the Initiatives search box and renders the hits.
+ * Hides the results panel when the box is empty.
+ */
+export async function runSearch() {
+    const panel = document.getElementById('search-results');
+    const text = document.getElementById('init-search-input').value.trim();
+    if (!text) {
+        panel.style.display = 'none';
+        return;
+    }
+
+    const res = await fetch(window.API + '/api/search?' + new URLSearchParams({ q: text, limit: 10 }));
+    // Ignore responses to searches the user has already typed past
+    if (!res.ok || document.getElementById('init-search-input').value.trim() !== text) return;
+    const { results } = await res.json();
+
+    panel.style.display = '';
+    const list = document.getElementById('search-results-list');
+    if (results.length === 0) {
+        list.innerHTML = '<p style="color:#888;">No matches.</p>';
+        return;
+    }
+    // highlight and snippet come escaped from the server, with only the <mark> tags as HTML
+    list.innerHTML = results.map(hit => `
+        <div class="search-hit" data-type="${escapeHtml(hit.type)}" data-id="${escapeHtml(hit.id)}"
+            onclick="window.openSearchResult(this.dataset.type, this.dataset.id)">
+            <span class="search-hit-type">${escapeHtml(TYPE_LABELS[hit.type] || hit.type)}</span>
+            <strong>${hit.highlight}</strong>
+            ${hit.snippet && hit.snippet !== hit.highlight ? `<div class="search-hit-snippet">${hit.snippet}</div>` : ''}
+        </div>`).join('');
+}
+
+/**
+ * Opens the edit modal of a search hit.
+ * @param {string} type - 'initiative' or 'estimation_factor'.
+ * @param {string} id - The ID of the record.
+ */
+export function openSearchResult(type, id) {
+    if (type === 'initiative') {
+        window.editInitiative(id);
+    } else if (type === 'estimation_factor') {
+        window.editEF(id);
+    }
+}
@@ -1,24 +1,112 @@
 /**
  * shirtSizes.js
- * Handles UI and API calls for the Shirt Sizes configuration page.
+ * Handles UI and API calls for the Shirt Sizes page, where admins manage shirt size
+ * schemes and re-size initiatives after thresholds change, and the sizing scheme select
+ * of the initiative modal.
  */
-import { formatDateInEST } from './ui.js';
+import { formatDateTime, formatAuthor, hoursToDays, hoursToMonths } from './ui.js';
+
+// The scheme shown on the Shirt Sizes page; null while a new scheme is being drafted
+let selectedSchemeId = null;
+// Scheme save waiting on the impact preview to be confirmed
+let pendingSchemeSave = null;
+
+/**
+ * Shows the error message of a failed request.
+ * @param {Response} res - The failed response.
+ */
+async function showRequestError(res) {
+    const errorData = await res.json().catch(() => ({}));
+    const msg = errorData.errors ? errorData.errors.map(e => e.msg).join(', ') : (errorData.message || 'Error: ' + res.status);
+    window.showMessage('Error', msg, 'error');
+}
 
 /**
- * Loads and displays the shirt size configuration table.
+ * Returns the sizes of a scheme, smallest first.
+ * @param {number|string|null} schemeId - The scheme; empty means the default scheme.
+ * @returns {Array<{size: string, threshold_hours: number}>}
  */
-export async function loadShirtSizes() {
-    const res = await fetch(window.API + '/api/shirt-sizes');
-    window.shirtSizes = await res.json();
+export function getSchemeSizes(schemeId) {
+    const scheme = window.shirtSizeSchemes.find(s => String(s.id) === String(schemeId));
+    return scheme ? scheme.sizes : window.shirtSizes;
+}
+
+/**
+ * Loads every scheme and renders the Shirt Sizes page and the initiative modal's scheme select.
+ * @param {number} [showSchemeId] - The scheme to show on the page; defaults to the one already shown.
+ */
+export async function loadShirtSizes(showSchemeId) {
+    const res = await fetch(window.API + '/api/shirt-sizes/schemes');
+    if (!res.ok) return;
+    window.shirtSizeSchemes = await res.json();
+    const defaultScheme = window.shirtSizeSchemes.find(s => s.is_default) || window.shirtSizeSchemes[0];
+    window.shirtSizes = defaultScheme ? defaultScheme.sizes : [];
+
+    const modalSelect = document.getElementById('init-shirt-size-scheme');
+    const modalValue = modalSelect.value;
+    modalSelect.innerHTML = `<option value="">Default (${defaultScheme ? defaultScheme.name : 'none'})</option>` +
+        window.shirtSizeSchemes.map(s => `<option value="${s.id}">${s.name}</option>`).join('');
+    modalSelect.value = modalValue;
+
+    const wanted = showSchemeId ?? selectedSchemeId;
+    selectedSchemeId = window.shirtSizeSchemes.some(s => s.id === wanted) ? wanted : defaultScheme?.id ?? null;
+    renderScheme(window.shirtSizeSchemes.find(s => s.id === selectedSchemeId));
+}
+
+/**
+ * Renders a scheme, or a new draft scheme, on the Shirt Sizes page.
+ * @param {object} [scheme] - The scheme; omitted for a draft.
+ * @param {Array<{size: string, threshold_hours: number}>} [draftSizes=[]] - The sizes of a draft.
+ */
+function renderScheme(scheme, draftSizes = []) {
+    const select = document.getElementById('shirt-size-scheme-select');
+    select.innerHTML = window.shirtSizeSchemes.map(s => `<option value="${s.id}">${s.name}${s.is_default ? ' (default)' : ''}</option>`).join('') +
+        (scheme ? '' : '<option value="" selected>New scheme</option>');
+    if (scheme) select.value = scheme.id;
+
+    document.getElementById('shirt-size-scheme-name').value = scheme ? scheme.name : '';
+    document.getElementById('shirt-size-scheme-description').value = scheme?.description || '';
+    document.getElementById('shirt-size-scheme-status').textContent = !scheme ? 'Not saved yet.'
+        : `${scheme.is_default ? 'Default scheme. ' : ''}Used by ${scheme.initiative_count} initiative(s).`;
+
     const tbody = document.querySelector('#shirt-size-table tbody');
     tbody.innerHTML = '';
-    window.shirtSizes.forEach(size => {
-        const days = (size.threshold_hours / 8).toFixed(1);
-        const months = (size.threshold_hours / 160).toFixed(1);
-        const tr = document.createElement('tr');
-        tr.innerHTML = `<td>${size.size}</td><td><input type="number" min="0" value="${size.threshold_hours}" oninput="window.updateCalculatedValues(this)"></td><td id="days-${size.size}">${days}</td><td id="months-${size.size}">${months}</td>`;
-        tbody.appendChild(tr);
-    });
+    (scheme ? scheme.sizes : draftSizes).forEach(size => addShirtSizeRow(size));
+}
+
+/**
+ * Shows another scheme on the Shirt Sizes page, discarding unsaved edits.
+ * @param {string} schemeId - The scheme ID.
+ */
+export function selectShirtSizeScheme(schemeId) {
+    if (!schemeId) return;
+    selectedSchemeId = parseInt(schemeId, 10);
+    renderScheme(window.shirtSizeSchemes.find(s => s.id === selectedSchemeId));
+}
+
+/**
+ * Starts a new scheme, copying the sizes of the scheme shown.
+ */
+export function newShirtSizeScheme() {
+    const current = window.shirtSizeSchemes.find(s => s.id === selectedSchemeId);
+    selectedSchemeId = null;
+    renderScheme(null, current ? current.sizes : [{ size: 'S', threshold_hours: 0 }]);
+    document.getElementById('shirt-size-scheme-name').focus();
+}
+
+/**
+ * Adds a size row to the table.
+ * @param {{size: string, threshold_hours: number}} [size] - The size; omitted for an empty row.
+ */
+export function addShirtSizeRow(size) {
+    const tr = document.createElement('tr');
+    const hours = size ? size.threshold_hours : '';
+    tr.innerHTML = `<td><input class="shirt-size-name" value="${size ? size.size : ''}" placeholder="Size" style="width:80px"></td>` +
+        `<td><input class="shirt-size-hours" type="number" min="0" value="${hours}" oninput="window.updateCalculatedValues(this)"></td>` +
+        `<td class="shirt-size-days"></td><td class="shirt-size-months"></td>` +
+        `<td><button class="requires-admin" onclick="this.closest('tr').remove()" style="background:var(--red)">Remove</button></td>`;
+    document.querySelector('#shirt-size-table tbody').appendChild(tr);
+    updateCalculatedValues(tr.querySelector('.shirt-size-hours'));
 }
 
 /**
@@ -26,76 +114,230 @@ export async function loadShirtSizes() {
  * @param {HTMLElement} inputElement - The input element that changed.
  */
 export function updateCalculatedValues(inputElement) {
-    const hours = +inputElement.value;
-    const size = inputElement.closest('tr').cells[0].textContent;
-    const days = (hours / 8).toFixed(1);
-    const months = (hours / 160).toFixed(1);
-    document.getElementById(`days-${size}`).textContent = days;
-    document.getElementById(`months-${size}`).textContent = months;
+    const row = inputElement.closest('tr');
+    const hours = inputElement.value === '' ? null : +inputElement.value;
+    row.querySelector('.shirt-size-days').textContent = hours === null ? '' : hoursToDays(hours).toFixed(1);
+    row.querySelector('.shirt-size-months').textContent = hours === null ? '' : hoursToMonths(hours).toFixed(1);
 }
 
 /**
- * Saves the updated shirt size thresholds.
+ * Saves the scheme shown: creates it if it is new, otherwise previews which initiatives
+ * would change size and, if any would, asks before replacing its name, description and sizes.
  */
 export async function saveShirtSizes() {
-    const newSizes = [];
-    document.querySelectorAll('#shirt-size-table tbody tr').forEach(row => {
-        const size = row.cells[0].textContent;
-        const input = row.querySelector('input');
-        if (input) {
-            newSizes.push({ size: size, threshold_hours: +input.value });
+    const sizes = [...document.querySelectorAll('#shirt-size-table tbody tr')].map(row => ({
+        size: row.querySelector('.shirt-size-name').value.trim(),
+        threshold_hours: row.querySelector('.shirt-size-hours').value === '' ? null : +row.querySelector('.shirt-size-hours').value
+    }));
+    const payload = {
+        name: document.getElementById('shirt-size-scheme-name').value.trim(),
+        description: document.getElementById('shirt-size-scheme-description').value.trim() || null,
+        sizes
+    };
+
+    if (selectedSchemeId !== null) {
+        // Preview which initiatives the new thresholds would re-size before saving
+        const previewRes = await fetch(window.API + `/api/shirt-sizes/schemes/${selectedSchemeId}/impact`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ sizes })
+        });
+        if (!previewRes.ok) {
+            await showRequestError(previewRes);
+            return;
         }
+        const impact = await previewRes.json();
+        if (impact.some(i => i.changed)) {
+            pendingSchemeSave = { id: selectedSchemeId, payload };
+            renderShirtSizeImpact(`Impact of changes to ${payload.name || 'the scheme'}`, impact, true);
+            return;
+        }
+    }
+    await persistShirtSizeScheme(selectedSchemeId, payload);
+}
+
+/**
+ * Creates or updates a scheme.
+ * @param {number|null} schemeId - The scheme ID; null creates a new scheme.
+ * @param {object} payload - The name, description, sizes and optionally resize_initiative_ids.
+ * @returns {Promise<boolean>} Whether the save succeeded.
+ */
+async function persistShirtSizeScheme(schemeId, payload) {
+    const isNew = schemeId === null;
+    const res = await fetch(window.API + (isNew ? '/api/shirt-sizes/schemes' : `/api/shirt-sizes/schemes/${schemeId}`), {
+        method: isNew ? 'POST' : 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
     });
+    if (!res.ok) {
+        await showRequestError(res);
+        return false;
+    }
+    const scheme = await res.json();
+    await loadShirtSizes(scheme.id);
+    const resized = scheme.resized?.length > 0 ? ` ${scheme.resized.length} initiative(s) re-sized.` : '';
+    window.showMessage('Success', `Shirt size scheme "${scheme.name}" saved.${resized}`, 'success');
+    if (resized) window.loadInitiatives(window.currentSortColumn, window.currentSortDirection);
+    return true;
+}
 
-    try {
-        const res = await fetch(window.API + '/api/shirt-sizes', {
-            method: 'PUT',
-            headers: {'Content-Type':'application/json'},
-            body: JSON.stringify(newSizes)
+/**
+ * Shows the initiatives using the scheme shown, with their stored size and the size from the saved thresholds.
+ */
+export async function showShirtSizeImpact() {
+    const scheme = window.shirtSizeSchemes.find(s => s.id === selectedSchemeId);
+    if (!scheme) return;
+    const res = await fetch(window.API + `/api/shirt-sizes/schemes/${scheme.id}/impact`);
+    if (!res.ok) {
+        await showRequestError(res);
+        return;
+    }
+    pendingSchemeSave = null;
+    renderShirtSizeImpact(`Initiatives using ${scheme.name}`, await res.json(), false);
+}
+
+/**
+ * Confirms the impact modal: saves the pending scheme change (if any), re-sizing the
+ * checked initiatives in the same save when asked to.
+ * @param {boolean} resize - Whether to re-size the checked initiatives.
+ */
+export async function applyShirtSizeImpact(resize) {
+    const initiativeIds = resize
+        ? [...document.querySelectorAll('#shirt-size-impact-table tbody input[type=checkbox]:checked')].map(cb => +cb.dataset.id)
+        : [];
+
+    if (pendingSchemeSave) {
+        const { id, payload } = pendingSchemeSave;
+        if (!await persistShirtSizeScheme(id, { ...payload, resize_initiative_ids: initiativeIds })) return;
+        pendingSchemeSave = null;
+    } else if (initiativeIds.length > 0) {
+        const res = await fetch(window.API + `/api/shirt-sizes/schemes/${selectedSchemeId}/resize`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ initiativeIds })
         });
-        if (!res.ok) { throw new Error('Failed to save shirt sizes.'); }
+        if (!res.ok) {
+            await showRequestError(res);
+            return;
+        }
+        const result = await res.json();
+        window.showMessage('Success', `${result.resizedCount} initiative(s) re-sized.`, 'success');
+        window.loadInitiatives(window.currentSortColumn, window.currentSortDirection);
         await loadShirtSizes();
-        window.showMessage('Success', 'Shirt sizes saved successfully.', 'success');
-    } catch (err) {
-        window.showMessage('Error', 'Error saving shirt sizes: ' + err.message, 'error');
     }
+    window.closeModal('shirt-size-impact');
+}
+
+/**
+ * Renders the impact modal listing the initiatives of a scheme with their old and new size.
+ * @param {string} title - The modal title.
+ * @param {Array<object>} impact - The impact rows returned by the API.
+ * @param {boolean} isPreview - Whether a scheme save is pending confirmation.
+ */
+function renderShirtSizeImpact(title, impact, isPreview) {
+    document.getElementById('shirt-size-impact-title').textContent = title;
+    document.getElementById('shirt-size-impact-save-only').style.display = isPreview ? 'inline-block' : 'none';
+    document.getElementById('shirt-size-impact-resize').textContent = isPreview ? 'Save & Re-size Selected' : 'Re-size Selected';
+
+    const tbody = document.querySelector('#shirt-size-impact-table tbody');
+    tbody.innerHTML = '';
+    if (impact.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" style="text-align:center;color:#888;">No initiatives use this scheme.</td></tr>';
+    }
+    impact.forEach(i => {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+          <td><input type="checkbox" data-id="${i.id}" ${i.changed ? 'checked' : 'disabled'}></td>
+          <td>${i.custom_id || i.id}</td>
+          <td>${i.name}</td>
+          <td>${i.status || ''}</td>
+          <td>${i.computed_hours}h</td>
+          <td>${i.old_shirt_size || ''} → ${i.new_shirt_size || '?'}</td>`;
+        if (i.changed) tr.classList.add('impact-changed');
+        tbody.appendChild(tr);
+    });
+    window.openModal('shirt-size-impact');
+}
+
+/**
+ * Makes the scheme shown the workspace default.
+ */
+export async function makeDefaultShirtSizeScheme() {
+    if (selectedSchemeId === null) {
+        window.showMessage('Error', 'Save the new scheme before making it the default.', 'error');
+        return;
+    }
+    const res = await fetch(window.API + '/api/shirt-sizes/default', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ scheme_id: selectedSchemeId })
+    });
+    if (!res.ok) {
+        await showRequestError(res);
+        return;
+    }
+    await loadShirtSizes();
+    window.loadInitiatives(window.currentSortColumn, window.currentSortDirection);
+}
+
+/**
+ * Deletes the scheme shown after confirmation, or discards a new draft.
+ */
+export async function deleteShirtSizeScheme() {
+    if (selectedSchemeId === null) {
+        await loadShirtSizes();
+        return;
+    }
+    const scheme = window.shirtSizeSchemes.find(s => s.id === selectedSchemeId);
+    if (!confirm(`Delete the shirt size scheme "${scheme.name}"?`)) return;
+    const res = await fetch(window.API + `/api/shirt-sizes/schemes/${selectedSchemeId}`, { method: 'DELETE' });
+    if (!res.ok) {
+        await showRequestError(res);
+        return;
+    }
+    selectedSchemeId = null;
+    await loadShirtSizes();
+}
+
+/**
+ * Describes one change of a shirt size audit event.
+ * @param {{field: string, old: *, new: *}} change - The changed field.
+ * @returns {string}
+ */
+function describeSchemeChange(change) {
+    // Thresholds are stored as "size <name>"; events from before schemes existed use the bare size
+    const label = change.field === 'name' || change.field === 'description' ? change.field
+        : `threshold for size ${change.field.replace(/^size /, '')}`;
+    if (change.old === null) return `- Set ${label} to <span class="diff-added">${change.new}</span>.`;
+    if (change.new === null) return `- Removed ${label} (<span class="diff-removed">${change.old}</span>).`;
+    return `- Changed ${label} from <span class="diff-removed">${change.old}</span> to <span class="diff-added">${change.new}</span>.`;
 }
 
 /**
- * Displays the audit trail for shirt size changes.
+ * Displays the audit trail of the scheme shown.
  */
 export async function showShirtSizeAuditTrail() {
-    document.getElementById('shirt-size-audit-title').textContent = `Shirt Size Audit Trail`;
+    const scheme = window.shirtSizeSchemes.find(s => s.id === selectedSchemeId);
+    document.getElementById('shirt-size-audit-title').textContent = scheme ? `Audit Trail: ${scheme.name}` : 'Shirt Size Audit Trail';
     const auditContent = document.getElementById('shirt-size-audit-content');
     auditContent.innerHTML = 'Loading...';
     window.openModal('shirt-size-audit');
     
     try {
-        const res = await fetch(window.API + '/api/shirt-sizes/audit');
+        const res = await fetch(window.API + `/api/shirt-sizes/audit${scheme ? `?scheme_id=${scheme.id}` : ''}`);
         if (!res.ok) { throw new Error('Failed to fetch shirt size audit trail'); }
         const auditLog = await res.json();
         
         auditContent.innerHTML = '';
         if (auditLog.length === 0) {
-            auditContent.innerHTML = '<p>No audit history for shirt sizes.</p>';
+            auditContent.innerHTML = '<p>No audit history for this scheme.</p>';
         } else {
             auditLog.forEach(log => {
                 const logItem = document.createElement('div');
                 logItem.className = 'audit-item';
-                let details = '';
-                if (log.action === 'updated') {
-                    const oldData = JSON.parse(log.old_data);
-                    const newData = JSON.parse(log.new_data);
-                    const diffs = [];
-                    oldData.forEach(oldSize => {
-                        const newSize = newData.find(ns => ns.size === oldSize.size);
-                        if (newSize && oldSize.threshold_hours !== newSize.threshold_hours) {
-                            diffs.push(`- Changed threshold for size ${oldSize.size} from <span class="diff-removed">${oldSize.threshold_hours}</span> to <span class="diff-added">${newSize.threshold_hours}</span>.`);
-                        }
-                    });
-                    details = diffs.length > 0 ? diffs.join('<br>') : 'No changes to visible fields.';
-                }
-                logItem.innerHTML = `<h4>${log.action} on ${formatDateInEST(log.timestamp)}</h4><p>${details}</p>`;
+                const diffs = log.changes.map(describeSchemeChange);
+                const details = diffs.length > 0 ? diffs.join('<br>') : 'No changes to visible fields.';
+                logItem.innerHTML = `<h4>${log.action} on ${formatDateTime(log.timestamp)}${formatAuthor({ author_name: log.actor_name })}</h4><p>${details}</p>`;
                 auditContent.appendChild(logItem);
             });
         }
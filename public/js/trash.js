@@ -0,0 +1,80 @@
+/**
+ * trash.js
+ * Handles the Trash section: deleted initiatives, estimation factors and resource
+ * types, with restore and permanent purge actions.
+ */
+
+const TYPE_LABELS = {
+    initiative: 'Initiative',
+    estimation_factor: 'Estimation Factor',
+    resource_type: 'Resource Type'
+};
+
+// The role that may restore each type, matching who may delete it
+const RESTORE_ROLES = {
+    initiative: 'requires-estimator',
+    estimation_factor: 'requires-admin',
+    resource_type: 'requires-admin'
+};
+
+/**
+ * Loads and renders the contents of the Trash.
+ */
+export async function loadTrash() {
+    const tbody = document.querySelector('#trash-table tbody');
+    const res = await fetch(window.API + '/api/trash');
+    if (!res.ok) {
+        window.showMessage('Error', 'Error: ' + res.status, 'error');
+        return;
+    }
+    const items = await res.json();
+    if (items.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" style="color:#888;">The Trash is empty.</td></tr>';
+        return;
+    }
+    tbody.innerHTML = items.map(item => `
+        <tr>
+            <td>${TYPE_LABELS[item.type] || item.type}</td>
+            <td style="text-align:left">${item.custom_id ? `${item.custom_id} – ` : ''}${item.name}</td>
+            <td>${window.formatDateTime(item.deleted_at)}${item.deleted_by_name ? ` by ${item.deleted_by_name}` : ''}</td>
+            <td>${item.purge_at ? window.formatDateTime(item.purge_at, false) : 'Never'}</td>
+            <td>
+                <button class="${RESTORE_ROLES[item.type]}" onclick="window.restoreTrashItem('${item.type}', '${item.id}')">Restore</button>
+                <button class="requires-admin" onclick="window.purgeTrashItem('${item.type}', '${item.id}')" style="background:var(--red)">Delete Forever</button>
+            </td>
+        </tr>`).join('');
+}
+
+/**
+ * Restores an item from the Trash and reloads the lists it belongs to.
+ * @param {string} type - initiative, estimation_factor or resource_type.
+ * @param {string} id - The ID of the item.
+ */
+export async function restoreTrashItem(type, id) {
+    const res = await fetch(window.API + `/api/trash/${type}/${id}/restore`, { method: 'POST' });
+    if (!res.ok) {
+        const errorData = await res.json().catch(() => ({}));
+        window.showMessage('Error', errorData.message || 'Error: ' + res.status, 'error');
+        return;
+    }
+    window.showMessage('Restored', `The ${TYPE_LABELS[type].toLowerCase()} was restored.`, 'success');
+    await loadTrash();
+    if (type === 'resource_type') await window.loadRT();
+    if (type !== 'initiative') window.loadEF();
+}
+
+/**
+ * Permanently deletes an item from the Trash after confirmation.
+ * @param {string} type - initiative, estimation_factor or resource_type.
+ * @param {string} id - The ID of the item.
+ */
+export async function purgeTrashItem(type, id) {
+    if (!confirm(`Delete this ${TYPE_LABELS[type].toLowerCase()} forever? This cannot be undone.`)) return;
+    const res = await fetch(window.API + `/api/trash/${type}/${id}`, { method: 'DELETE' });
+    if (!res.ok) {
+        const errorData = await res.json().catch(() => ({}));
+        window.showMessage('Error', errorData.message || 'Error: ' + res.status, 'error');
+        return;
+    }
+    loadTrash();
+}
@@ -3,35 +3,96 @@
  * Contains general UI helper functions for modals, messages, and formatting.
  */
 
+// Calendar dates without a time (e.g. start dates) fall on the same day in every time zone
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Returns the time zone and locale dates are shown in: the signed-in user's choice,
+ * or the server default.
+ * @returns {{timeZone: string, locale: string}}
+ */
+export function getDateDisplayPreferences() {
+    return {
+        timeZone: window.currentUser?.timezone || window.appConfig.timezone,
+        locale: window.currentUser?.locale || window.appConfig.locale
+    };
+}
+
+/**
+ * Escapes text for use in HTML content and attribute values.
+ * @param {*} text - The text to escape.
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
 /**
- * Formats an ISO date string into a more readable format for the EST time zone.
+ * Formats an ISO date string in the user's time zone and locale.
  * @param {string} isoString - The ISO date string to format.
  * @param {boolean} [includeTime=true] - Whether to include the time in the output.
  * @returns {string} The formatted date string.
  */
-export function formatDateInEST(isoString, includeTime = true) {
+export function formatDateTime(isoString, includeTime = true) {
     if (!isoString) return '';
-    const date = new Date(isoString);
+    const dateOnly = DATE_ONLY_PATTERN.test(isoString);
+    const date = new Date(dateOnly ? `${isoString}T00:00:00Z` : isoString);
+    if (isNaN(date.getTime())) return isoString;
+    const { timeZone, locale } = getDateDisplayPreferences();
     const options = {
         year: 'numeric',
         month: '2-digit',
         day: '2-digit',
-        timeZone: 'America/New_York'
+        timeZone: dateOnly ? 'UTC' : timeZone
     };
-    let datePart = date.toLocaleString('en-US', options);
-
-    if (includeTime) {
-        const timeOptions = {
-            hour: '2-digit',
-            minute: '2-digit',
-            second: '2-digit',
-            hour12: true,
-            timeZone: 'America/New_York'
-        };
-        let timePart = date.toLocaleString('en-US', timeOptions);
-        return `${datePart.replace(/,/g, '')} ${timePart.replace(/,/g, '')}`;
+    if (includeTime && !dateOnly) {
+        Object.assign(options, { hour: '2-digit', minute: '2-digit', second: '2-digit' });
     }
-    return datePart.replace(/,/g, '');
+    return date.toLocaleString(locale, options).replace(/,/g, '');
+}
+
+/**
+ * Formats a date for an export file: ISO-8601 UTC when the user chose it for
+ * machine consumption, otherwise as shown on screen.
+ * @param {string} isoString - The ISO date string to format.
+ * @param {boolean} [includeTime=true] - Whether to include the time in the output.
+ * @returns {string} The formatted date string.
+ */
+export function formatExportDate(isoString, includeTime = true) {
+    if (!window.userPreferences.exportIsoUtc) return formatDateTime(isoString, includeTime);
+    if (!isoString || DATE_ONLY_PATTERN.test(isoString)) return isoString || '';
+    const date = new Date(isoString);
+    if (isNaN(date.getTime())) return isoString;
+    return includeTime ? date.toISOString() : date.toISOString().substring(0, 10);
+}
+
+/**
+ * Converts hours into working days using the working calendar.
+ * @param {number} hours - The number of hours.
+ * @returns {number} The number of days.
+ */
+export function hoursToDays(hours) {
+    return hours / window.workingCalendar.hours_per_day;
+}
+
+/**
+ * Converts hours into working months using the working calendar's average month.
+ * @param {number} hours - The number of hours.
+ * @returns {number} The number of months.
+ */
+export function hoursToMonths(hours) {
+    return window.workingCalendar.hours_per_month > 0 ? hours / window.workingCalendar.hours_per_month : 0;
+}
+
+/**
+ * Formats the author of a journal entry or audit record for display.
+ * @param {object} entry - An entry with an optional author_name.
+ * @returns {string} " by <name>", or an empty string for entries without an author.
+ */
+export function formatAuthor(entry) {
+    return entry && entry.author_name ? ` by ${entry.author_name}` : '';
 }
 
 /**
@@ -0,0 +1,239 @@
+/**
+ * workflow.js
+ * Handles the status workflow: filling the status selects from the configured statuses,
+ * limiting the initiative modal to the allowed transitions, the admin workflow editor and
+ * the time-in-status and cycle time report.
+ */
+
+const CATEGORY_LABELS = {
+    backlog: 'Backlog',
+    in_progress: 'In progress',
+    done: 'Done',
+    cancelled: 'Cancelled'
+};
+
+// The workflow being edited: statuses with a key that survives renaming, and the keys they move to
+let draft = [];
+let nextDraftKey = 0;
+
+/**
+ * Shows the error message of a failed request.
+ * @param {Response} res - The failed response.
+ */
+async function showRequestError(res) {
+    const errorData = await res.json().catch(() => ({}));
+    const msg = errorData.errors ? errorData.errors.map(e => e.msg).join(', ') : (errorData.message || 'Error: ' + res.status);
+    window.showMessage('Error', msg, 'error');
+}
+
+/**
+ * Loads the workflow into the global state and fills the status filter.
+ */
+export async function loadWorkflow() {
+    const res = await fetch(window.API + '/api/statuses');
+    if (!res.ok) return;
+    window.statusWorkflow = await res.json();
+    const filter = document.getElementById('init-status-filter');
+    const value = filter.value;
+    filter.innerHTML = '<option value="">All statuses</option>' +
+        window.statusWorkflow.map(s => `<option>${s.name}</option>`).join('');
+    filter.value = value;
+}
+
+/**
+ * Returns the status new initiatives start in.
+ * @returns {string}
+ */
+export function getInitialStatus() {
+    return (window.statusWorkflow.find(s => s.is_initial) || window.statusWorkflow[0])?.name || '';
+}
+
+/**
+ * Fills the initiative modal's status select with the current status and the statuses
+ * it may move to; new initiatives may start in any status.
+ * @param {string|null} currentStatus - The initiative's status; null for a new initiative.
+ */
+export function renderStatusOptions(currentStatus) {
+    const current = window.statusWorkflow.find(s => s.name === currentStatus);
+    let names = window.statusWorkflow.map(s => s.name);
+    if (current) {
+        names = names.filter(name => name === current.name || current.transitions.includes(name));
+    } else if (currentStatus) {
+        // A status no longer in the workflow is kept so the initiative can be saved unchanged
+        names = [currentStatus, ...names];
+    }
+    const select = document.getElementById('init-status');
+    select.innerHTML = names.map(name => `<option>${name}</option>`).join('');
+    select.value = currentStatus || getInitialStatus();
+}
+
+/**
+ * Loads the Workflow page: the editor and the report.
+ */
+export async function loadWorkflowPage() {
+    await loadWorkflow();
+    draft = window.statusWorkflow.map(s => ({ ...s, key: `s${s.id}` }));
+    const keyOf = new Map(draft.map(s => [s.name, s.key]));
+    draft.forEach(s => { s.transitions = new Set(s.transitions.map(name => keyOf.get(name))); });
+    renderWorkflowEditor();
+    await loadStatusReport();
+}
+
+/**
+ * Renders the status table and the transition matrix from the draft.
+ */
+function renderWorkflowEditor() {
+    const categoryOptions = (selected) => Object.entries(CATEGORY_LABELS)
+        .map(([value, label]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`).join('');
+    document.querySelector('#workflow-status-table tbody').innerHTML = draft.map((s, index) => `
+        <tr>
+            <td><input value="${s.name}" oninput="window.updateWorkflowStatus('${s.key}', 'name', this.value)"></td>
+            <td><select onchange="window.updateWorkflowStatus('${s.key}', 'category', this.value)">${categoryOptions(s.category)}</select></td>
+            <td><input type="radio" name="workflow-initial" ${s.is_initial ? 'checked' : ''} onchange="window.updateWorkflowStatus('${s.key}', 'is_initial', true)"></td>
+            <td><input type="checkbox" ${s.creates_baseline ? 'checked' : ''} onchange="window.updateWorkflowStatus('${s.key}', 'creates_baseline', this.checked)"></td>
+            <td class="requires-admin">
+                <button onclick="window.moveWorkflowStatus('${s.key}', -1)" ${index === 0 ? 'disabled' : ''} style="background:var(--border);color:var(--text)">↑</button>
+                <button onclick="window.removeWorkflowStatus('${s.key}')" style="background:var(--red)">Remove</button>
+            </td>
+        </tr>`).join('');
+    renderTransitionMatrix();
+}
+
+/**
+ * Renders the transition matrix: one row per current status, one column per next status.
+ */
+function renderTransitionMatrix() {
+    const table = document.getElementById('workflow-transition-table');
+    table.querySelector('thead').innerHTML = `<tr><th>From \\ To</th>${draft.map(s => `<th>${s.name}</th>`).join('')}</tr>`;
+    table.querySelector('tbody').innerHTML = draft.map(from => `
+        <tr>
+            <td style="text-align:left"><b>${from.name}</b></td>
+            ${draft.map(to => to.key === from.key ? '<td>—</td>'
+                : `<td><input type="checkbox" ${from.transitions.has(to.key) ? 'checked' : ''} onchange="window.toggleWorkflowTransition('${from.key}', '${to.key}', this.checked)"></td>`).join('')}
+        </tr>`).join('');
+}
+
+/**
+ * Updates a field of a status in the draft.
+ * @param {string} key - The status's draft key.
+ * @param {string} field - name, category, is_initial or creates_baseline.
+ * @param {*} value - The new value.
+ */
+export function updateWorkflowStatus(key, field, value) {
+    const status = draft.find(s => s.key === key);
+    if (field === 'is_initial') {
+        draft.forEach(s => { s.is_initial = s.key === key; });
+        return;
+    }
+    status[field] = value;
+    if (field === 'name') renderTransitionMatrix();
+}
+
+/**
+ * Allows or forbids a transition in the draft.
+ * @param {string} fromKey - The draft key of the current status.
+ * @param {string} toKey - The draft key of the next status.
+ * @param {boolean} allowed - Whether the move is allowed.
+ */
+export function toggleWorkflowTransition(fromKey, toKey, allowed) {
+    const transitions = draft.find(s => s.key === fromKey).transitions;
+    if (allowed) transitions.add(toKey);
+    else transitions.delete(toKey);
+}
+
+/**
+ * Adds a status to the draft.
+ */
+export function addWorkflowStatus() {
+    draft.push({ id: null, key: `new${nextDraftKey++}`, name: '', category: 'backlog', is_initial: false, creates_baseline: false, transitions: new Set() });
+    renderWorkflowEditor();
+}
+
+/**
+ * Moves a status one place up in the draft.
+ * @param {string} key - The status's draft key.
+ * @param {number} offset - -1 to move up.
+ */
+export function moveWorkflowStatus(key, offset) {
+    const index = draft.findIndex(s => s.key === key);
+    const target = index + offset;
+    if (target < 0 || target >= draft.length) return;
+    [draft[index], draft[target]] = [draft[target], draft[index]];
+    renderWorkflowEditor();
+}
+
+/**
+ * Removes a status from the draft, with the transitions into it.
+ * @param {string} key - The status's draft key.
+ */
+export function removeWorkflowStatus(key) {
+    draft = draft.filter(s => s.key !== key);
+    draft.forEach(s => s.transitions.delete(key));
+    renderWorkflowEditor();
+}
+
+/**
+ * Saves the draft workflow.
+ */
+export async function saveWorkflow() {
+    const nameOf = new Map(draft.map(s => [s.key, s.name.trim()]));
+    const statuses = draft.map(s => ({
+        id: s.id,
+        name: s.name.trim(),
+        category: s.category,
+        is_initial: !!s.is_initial,
+        creates_baseline: !!s.creates_baseline,
+        transitions: [...s.transitions].map(key => nameOf.get(key))
+    }));
+    const res = await fetch(window.API + '/api/statuses', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ statuses })
+    });
+    if (!res.ok) {
+        await showRequestError(res);
+        return;
+    }
+    window.showMessage('Success', 'Status workflow saved.', 'success');
+    await loadWorkflowPage();
+    window.loadInitiatives(window.currentSortColumn, window.currentSortDirection);
+}
+
+/**
+ * Formats a number of days for the report.
+ * @param {number|null|undefined} days - The days.
+ * @returns {string}
+ */
+function formatDays(days) {
+    return days === null || days === undefined ? '' : `${days.toFixed(1)}d`;
+}
+
+/**
+ * Loads and renders the time-in-status and cycle time report.
+ */
+export async function loadStatusReport() {
+    const res = await fetch(window.API + '/api/statuses/report');
+    if (!res.ok) {
+        await showRequestError(res);
+        return;
+    }
+    const report = await res.json();
+    const table = document.getElementById('status-report-table');
+    table.querySelector('thead').innerHTML = `<tr><th>ID</th><th>Initiative</th><th>Status</th>${report.statuses.map(name => `<th>${name}</th>`).join('')}<th>Cycle Time</th></tr>`;
+    table.querySelector('tbody').innerHTML = report.initiatives.map(i => `
+        <tr>
+            <td>${i.custom_id || i.id}</td>
+            <td style="text-align:left">${i.name}</td>
+            <td>${i.status || ''}</td>
+            ${report.statuses.map(name => `<td>${formatDays(i.time_in_status[name])}</td>`).join('')}
+            <td>${formatDays(i.cycle_time_days)}</td>
+        </tr>`).join('') + `
+        <tr>
+            <td></td><td style="text-align:left"><b>Average</b></td><td></td>
+            ${report.statuses.map(name => `<td><b>${formatDays(report.average_time_in_status[name])}</b></td>`).join('')}
+            <td><b>${formatDays(report.average_cycle_time_days)}</b></td>
+        </tr>`;
+    document.getElementById('status-report-summary').textContent = report.finished_count > 0
+        ? `Cycle time runs from the first in-progress status to the next done status; ${report.finished_count} initiative(s) have finished.`
+        : 'Cycle time runs from the first in-progress status to the next done status; no initiative has finished yet.';
+}
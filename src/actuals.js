@@ -0,0 +1,424 @@
+/**
+ * actuals.js
+ * * Actual hours worked per initiative and resource type, and how they compare with the
+ * estimates. An initiative's actuals are compared with its computed_hours (buffer
+ * included). For factors, the actual hours of each resource type are shared among the
+ * initiative's factors in proportion to the hours each factor estimated for that resource
+ * type, and compared with the factors' expected hours before the contingency buffer.
+ * Hours worked by a resource type no factor estimated cannot be attributed to a factor.
+ * The same attribution over done initiatives gives the factor calibration suggestions.
+ */
+import { computeInitiativeEstimate, computePert, getRangeMultiplier, normalizeHoursPerResourceType } from './estimation.js';
+import { getAllInitiativeFactors } from './initiativeFactors.js';
+import { isValidDate } from './calendar.js';
+import { getSchemeSizes } from './shirtSizes.js';
+import { getStatusNames } from './statuses.js';
+import { areHoursPerResourceTypeEqual } from './utils.js';
+
+// Accepted header names of each timesheet column, lower case
+const TIMESHEET_COLUMNS = {
+  initiative: ['initiative', 'initiative id', 'initiative_id', 'custom id', 'custom_id', 'project'],
+  resource_type: ['resource type', 'resource_type', 'role'],
+  date: ['date', 'work date', 'work_date', 'day'],
+  hours: ['hours', 'time', 'duration'],
+  note: ['note', 'notes', 'comment', 'description']
+};
+// Column order of a timesheet without a header line
+const DEFAULT_COLUMN_ORDER = ['initiative', 'resource_type', 'date', 'hours', 'note'];
+// Confidence of a calibration suggestion by the number of done initiatives behind it, highest first
+const CALIBRATION_CONFIDENCE = [
+  { minInitiatives: 10, confidence: 'high' },
+  { minInitiatives: 4, confidence: 'medium' },
+  { minInitiatives: 1, confidence: 'low' }
+];
+
+/**
+ * Reads a tab-separated timesheet export. A first line naming the columns (see
+ * TIMESHEET_COLUMNS) is taken as a header and the columns may come in any order;
+ * without one the columns are initiative, resource type, date, hours and note.
+ * @param {string} text - The file contents.
+ * @returns {{rows: Array<{line: number, initiative: string, resource_type: string, date: string, hours: string, note: string}>, errors: Array<string>}}
+ */
+export function parseTimesheet(text) {
+  const lines = String(text).split(/\r?\n/);
+  const firstIndex = lines.findIndex(line => line.trim() !== '');
+  if (firstIndex === -1) return { rows: [], errors: [] };
+
+  const cells = (line) => line.split('\t').map(value => value.trim());
+  const header = cells(lines[firstIndex]).map(value => value.toLowerCase());
+  const columnOf = (names) => header.findIndex(value => names.includes(value));
+  const hasHeader = columnOf(TIMESHEET_COLUMNS.hours) !== -1;
+  const positions = {};
+  for (const [field, names] of Object.entries(TIMESHEET_COLUMNS)) {
+    positions[field] = hasHeader ? columnOf(names) : DEFAULT_COLUMN_ORDER.indexOf(field);
+  }
+  const errors = [];
+  if (hasHeader) {
+    const missing = ['initiative', 'resource_type', 'date'].filter(field => positions[field] === -1);
+    if (missing.length > 0) {
+      return { rows: [], errors: [`The header has no ${missing.map(field => field.replace('_', ' ')).join(', ')} column.`] };
+    }
+  }
+
+  const rows = [];
+  lines.forEach((line, index) => {
+    if (line.trim() === '' || (hasHeader && index === firstIndex)) return;
+    const values = cells(line);
+    const row = { line: index + 1 };
+    for (const [field, position] of Object.entries(positions)) {
+      row[field] = position === -1 ? '' : (values[position] ?? '');
+    }
+    rows.push(row);
+  });
+  return { rows, errors };
+}
+
+/**
+ * Checks one entry of actual hours, whether entered by hand or read from a timesheet,
+ * and resolves its initiative and resource type.
+ * @param {Database} db - The database instance.
+ * @param {object} entry - initiative (ID or custom ID), resource_type (ID or name), date, hours and note.
+ * @returns {Promise<{entry: object|null, error: string|null}>} The entry ready for saveActualHours, or why it is invalid.
+ */
+export async function resolveActualHours(db, entry) {
+  const initiativeRef = String(entry.initiative ?? '').trim();
+  const initiative = initiativeRef === '' ? null : await db.get(
+    `SELECT id, name FROM initiatives WHERE deleted_at IS NULL AND (id = ? OR custom_id = ? COLLATE NOCASE)
+     ORDER BY id = ? DESC LIMIT 1`,
+    [initiativeRef, initiativeRef, initiativeRef]
+  );
+  if (!initiative) {
+    return { entry: null, error: `Initiative "${initiativeRef}" not found.` };
+  }
+  const resourceTypeRef = String(entry.resource_type ?? '').trim();
+  const resourceType = resourceTypeRef === '' ? null : await db.get(
+    'SELECT id, name FROM resource_types WHERE deleted_at IS NULL AND (id = ? OR name = ? COLLATE NOCASE)',
+    [resourceTypeRef, resourceTypeRef]
+  );
+  if (!resourceType) {
+    return { entry: null, error: `Resource type "${resourceTypeRef}" not found.` };
+  }
+  const date = String(entry.date ?? '').trim().substring(0, 10);
+  if (!isValidDate(date)) {
+    return { entry: null, error: `"${entry.date ?? ''}" is not a date (YYYY-MM-DD).` };
+  }
+  const hours = Number(String(entry.hours ?? '').trim().replace(',', '.'));
+  if (String(entry.hours ?? '').trim() === '' || !Number.isFinite(hours) || hours <= 0 || hours > 24) {
+    return { entry: null, error: `"${entry.hours ?? ''}" is not a number of hours above 0 and at most 24.` };
+  }
+  return {
+    entry: {
+      initiative_id: initiative.id,
+      initiative_name: initiative.name,
+      resource_type_id: resourceType.id,
+      resource_type_name: resourceType.name,
+      work_date: date,
+      hours,
+      note: String(entry.note ?? '').trim() || null
+    },
+    error: null
+  };
+}
+
+/**
+ * Saves resolved entries of actual hours. Run inside the caller's transaction.
+ * @param {Database} db - The database instance.
+ * @param {Array<object>} entries - Entries from resolveActualHours.
+ * @param {object} options
+ * @param {string} options.source - 'manual' or 'import'.
+ * @param {object|null} [options.actor] - The signed-in user (req.user).
+ * @param {string} [options.timestamp] - Defaults to now.
+ * @returns {Promise<Array<number>>} The IDs of the new entries.
+ */
+export async function saveActualHours(db, entries, { source, actor, timestamp }) {
+  const ids = [];
+  for (const entry of entries) {
+    const result = await db.run(
+      `INSERT INTO actual_hours (initiative_id, resource_type_id, resource_type_name, work_date, hours, note, source, created_at, actor_id, actor_name)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        entry.initiative_id, entry.resource_type_id, entry.resource_type_name, entry.work_date, entry.hours, entry.note,
+        source, timestamp || new Date().toISOString(), actor?.id ?? null, actor ? (actor.display_name || actor.username) : null
+      ]
+    );
+    ids.push(result.lastID);
+  }
+  return ids;
+}
+
+/**
+ * Returns the actual hours of every initiative, or of only the given initiatives, per
+ * resource type. Hours of a resource type purged from the Trash are keyed by "name:" and
+ * the name it had.
+ * @param {Database} db - The database instance.
+ * @param {Array<number>} [initiativeIds] - The initiatives to total; all of them when omitted.
+ * @returns {Promise<Map<number, {total: number, byResourceType: object}>>} Keyed by initiative ID.
+ */
+export async function getActualTotals(db, initiativeIds) {
+  if (initiativeIds && initiativeIds.length === 0) return new Map();
+  const filter = initiativeIds ? `WHERE initiative_id IN (${initiativeIds.map(() => '?').join(', ')})` : '';
+  const rows = await db.all(
+    `SELECT initiative_id, resource_type_id, resource_type_name, SUM(hours) AS hours FROM actual_hours ${filter}
+     GROUP BY initiative_id, resource_type_id, resource_type_name`,
+    initiativeIds || []
+  );
+  const byInitiative = new Map();
+  for (const row of rows) {
+    if (!byInitiative.has(row.initiative_id)) byInitiative.set(row.initiative_id, { total: 0, byResourceType: {} });
+    const totals = byInitiative.get(row.initiative_id);
+    const key = row.resource_type_id || `name:${row.resource_type_name}`;
+    totals.total += row.hours;
+    totals.byResourceType[key] = (totals.byResourceType[key] || 0) + row.hours;
+  }
+  return byInitiative;
+}
+
+/**
+ * Shares an initiative's actual hours among its factors. Each resource type's actual hours
+ * go to the factors in proportion to the expected hours they estimated for it.
+ * @param {Array<object>} selectedFactors - The initiative's selected factors.
+ * @param {string} estimationType - The initiative's estimation type.
+ * @param {object} actualByResourceType - Actual hours keyed by resource type ID.
+ * @returns {{factors: Array<{factor: object, byResourceType: object}>, unattributed: object}} Per factor, the
+ *   estimated and actual hours of each resource type; and the actual hours no factor estimated.
+ */
+export function attributeActualsToFactors(selectedFactors, estimationType, actualByResourceType) {
+  const multiplier = getRangeMultiplier(estimationType);
+  const estimatedByResourceType = computeInitiativeEstimate(selectedFactors, estimationType).byResourceType;
+  const factors = (selectedFactors || []).map(factor => {
+    const byResourceType = {};
+    for (const [rtId, value] of Object.entries(factor.hoursPerResourceType || {})) {
+      const estimated = computePert(value, multiplier).expected * (factor.quantity || 1);
+      const share = estimatedByResourceType[rtId]?.expected > 0 ? estimated / estimatedByResourceType[rtId].expected : 0;
+      byResourceType[rtId] = { estimated, actual: (actualByResourceType[rtId] || 0) * share };
+    }
+    return { factor, byResourceType };
+  });
+  const unattributed = {};
+  for (const [key, hours] of Object.entries(actualByResourceType)) {
+    if (!(estimatedByResourceType[key]?.expected > 0)) unattributed[key] = hours;
+  }
+  return { factors, unattributed };
+}
+
+/**
+ * Builds the variance figures of a group of estimates.
+ * @param {number} estimated - The estimated hours.
+ * @param {number} actual - The actual hours.
+ * @returns {{estimated_hours: number, actual_hours: number, variance_hours: number, variance_percent: number|null}}
+ *   variance_percent is how far the actuals are above (positive) or below the estimate.
+ */
+export function computeVariance(estimated, actual) {
+  return {
+    estimated_hours: parseFloat(estimated.toFixed(1)),
+    actual_hours: parseFloat(actual.toFixed(1)),
+    variance_hours: parseFloat((actual - estimated).toFixed(1)),
+    variance_percent: estimated > 0 ? parseFloat(((actual - estimated) / estimated * 100).toFixed(1)) : null
+  };
+}
+
+/**
+ * Groups initiatives by a field and sums their estimated and actual hours.
+ * @param {Array<object>} initiatives - Rows with the field, estimated and actual.
+ * @param {string} field - The field to group by.
+ * @returns {Array<object>} One row per value, with initiative_count and the variance figures.
+ */
+function groupVariance(initiatives, field) {
+  const groups = new Map();
+  for (const initiative of initiatives) {
+    const key = initiative[field] || null;
+    if (!groups.has(key)) groups.set(key, { [field]: key, initiative_count: 0, estimated: 0, actual: 0 });
+    const group = groups.get(key);
+    group.initiative_count++;
+    group.estimated += initiative.estimated;
+    group.actual += initiative.actual;
+  }
+  return [...groups.values()].map(({ estimated, actual, ...group }) => ({ ...group, ...computeVariance(estimated, actual) }));
+}
+
+/**
+ * Sums, for every estimation factor, the estimated and attributed actual hours over a set
+ * of initiatives, in total and per resource type. Factors deleted from the catalog are
+ * grouped by the name in the initiatives' snapshots.
+ * @param {Array<{row: object, selectedFactors: Array<object>, actualByResourceType: object}>} initiatives - The initiatives.
+ * @param {Map<string, string>} resourceTypeNames - Names keyed by resource type ID.
+ * @returns {{factors: Array<object>, unattributed: Array<object>}} Per factor: factorId, name, initiative_count,
+ *   quantity, the variance figures and by_resource_type; and the actual hours no factor estimated, per resource type.
+ */
+export function computeFactorVariance(initiatives, resourceTypeNames) {
+  const factors = new Map();
+  const unattributed = new Map();
+  const nameOf = (key) => resourceTypeNames.get(key) || key.replace(/^name:/, '');
+  for (const { row, selectedFactors, actualByResourceType } of initiatives) {
+    const attribution = attributeActualsToFactors(selectedFactors, row.estimation_type, actualByResourceType);
+    for (const { factor, byResourceType } of attribution.factors) {
+      const key = factor.factorId || `name:${factor.name}`;
+      if (!factors.has(key)) {
+        factors.set(key, { factorId: factor.factorId || null, name: factor.name, initiatives: new Set(), quantity: 0, byResourceType: new Map() });
+      }
+      const group = factors.get(key);
+      group.initiatives.add(row.id);
+      group.quantity += factor.quantity || 1;
+      for (const [rtId, hours] of Object.entries(byResourceType)) {
+        const totals = group.byResourceType.get(rtId) || { estimated: 0, actual: 0, quantity: 0 };
+        totals.estimated += hours.estimated;
+        totals.actual += hours.actual;
+        totals.quantity += factor.quantity || 1;
+        group.byResourceType.set(rtId, totals);
+      }
+    }
+    for (const [key, hours] of Object.entries(attribution.unattributed)) {
+      unattributed.set(key, (unattributed.get(key) || 0) + hours);
+    }
+  }
+
+  return {
+    factors: [...factors.values()].map(group => {
+      const byResourceType = [...group.byResourceType.entries()].map(([id, totals]) => ({
+        id, name: nameOf(id), quantity: totals.quantity, ...computeVariance(totals.estimated, totals.actual)
+      }));
+      const estimated = [...group.byResourceType.values()].reduce((sum, totals) => sum + totals.estimated, 0);
+      const actual = [...group.byResourceType.values()].reduce((sum, totals) => sum + totals.actual, 0);
+      return {
+        factorId: group.factorId,
+        name: group.name,
+        initiative_count: group.initiatives.size,
+        quantity: group.quantity,
+        ...computeVariance(estimated, actual),
+        by_resource_type: byResourceType
+      };
+    }).sort((a, b) => a.name.localeCompare(b.name)),
+    unattributed: [...unattributed.entries()].map(([id, hours]) => ({ id, name: nameOf(id), hours: parseFloat(hours.toFixed(1)) }))
+  };
+}
+
+/**
+ * Loads the initiatives outside the Trash that have actual hours, optionally limited to
+ * some statuses, with their selected factors and actual hours per resource type.
+ * @param {Database} db - The database instance.
+ * @param {Array<string>} [statuses=[]] - Status names; empty for every status.
+ * @returns {Promise<Array<{row: object, selectedFactors: Array<object>, actualByResourceType: object, actualHours: number}>>}
+ */
+export async function loadInitiativesWithActuals(db, statuses = []) {
+  const filter = statuses.length > 0 ? `AND status IN (${statuses.map(() => '?').join(', ')})` : '';
+  const rows = await db.all(
+    `SELECT id, custom_id, name, status, estimation_type, shirt_size, computed_hours FROM initiatives
+     WHERE deleted_at IS NULL AND id IN (SELECT initiative_id FROM actual_hours) ${filter} ORDER BY id`,
+    statuses
+  );
+  const ids = rows.map(row => row.id);
+  const factorsByInitiative = await getAllInitiativeFactors(db, ids);
+  const actuals = await getActualTotals(db, ids);
+  return rows.map(row => ({
+    row,
+    selectedFactors: factorsByInitiative.get(row.id) || [],
+    actualByResourceType: actuals.get(row.id).byResourceType,
+    actualHours: actuals.get(row.id).total
+  }));
+}
+
+/**
+ * Builds the variance report: actual hours against the estimate per initiative, per shirt
+ * size, per estimation type and per estimation factor.
+ * @param {Database} db - The database instance.
+ * @param {Array<string>} [statuses=[]] - Only initiatives in these statuses; empty for all.
+ * @returns {Promise<{initiatives: Array<object>, by_shirt_size: Array<object>, by_estimation_type: Array<object>, by_factor: Array<object>, unattributed: Array<object>, totals: object}>}
+ */
+export async function computeVarianceReport(db, statuses = []) {
+  const loaded = await loadInitiativesWithActuals(db, statuses);
+  const resourceTypeNames = new Map((await db.all('SELECT id, name FROM resource_types')).map(rt => [rt.id, rt.name]));
+  const initiatives = loaded.map(({ row, actualHours }) => ({ ...row, estimated: row.computed_hours || 0, actual: actualHours }));
+
+  // Shirt sizes are listed in the order of the default scheme, then any others by name
+  const sizeOrder = (await getSchemeSizes(db)).map(size => size.size);
+  const bySize = groupVariance(initiatives, 'shirt_size').sort((a, b) => {
+    const ia = sizeOrder.indexOf(a.shirt_size);
+    const ib = sizeOrder.indexOf(b.shirt_size);
+    return (ia === -1 ? Infinity : ia) - (ib === -1 ? Infinity : ib) || String(a.shirt_size).localeCompare(String(b.shirt_size));
+  });
+  const { factors, unattributed } = computeFactorVariance(loaded, resourceTypeNames);
+
+  return {
+    initiatives: initiatives.map(({ estimated, actual, ...row }) => ({ ...row, ...computeVariance(estimated, actual) })),
+    by_shirt_size: bySize,
+    by_estimation_type: groupVariance(initiatives, 'estimation_type'),
+    by_factor: factors,
+    unattributed,
+    totals: {
+      initiative_count: initiatives.length,
+      ...computeVariance(
+        initiatives.reduce((sum, i) => sum + i.estimated, 0),
+        initiatives.reduce((sum, i) => sum + i.actual, 0)
+      )
+    }
+  };
+}
+
+/**
+ * Suggests revised hours for the estimation factors from the initiatives in a done status.
+ * The three-point hours the initiatives were estimated with (their factor snapshots,
+ * averaged by quantity) are scaled by the ratio of the actual hours attributed to the
+ * factor to the hours it estimated, so accepting a suggestion does not change the next one.
+ * Resource types without attributed actual hours, or no longer in the factor, keep their
+ * current hours. Factors in the Trash or deleted are left out.
+ * @param {Database} db - The database instance.
+ * @returns {Promise<{statuses: Array<string>, initiative_count: number, factors: Array<object>}>} Per factor: factorId,
+ *   name, initiative_count, confidence, the variance figures, resource_types with the current and suggested hours
+ *   of each, hoursPerResourceType with the suggested hours of the factor, and whether they differ from the current ones.
+ */
+export async function computeFactorCalibration(db) {
+  const statuses = await getStatusNames(db, ['done']);
+  const loaded = statuses.length > 0 ? await loadInitiativesWithActuals(db, statuses) : [];
+  const resourceTypeNames = new Map((await db.all('SELECT id, name FROM resource_types')).map(rt => [rt.id, rt.name]));
+  const catalog = new Map((await db.all('SELECT id, hours_per_resource_type FROM estimation_factors WHERE deleted_at IS NULL'))
+    .map(row => [row.id, normalizeHoursPerResourceType(JSON.parse(row.hours_per_resource_type || '{}'))]));
+  const round = (value) => parseFloat(value.toFixed(1));
+
+  // Quantity-weighted sums of the hours the initiatives used, per factor and resource type
+  const estimatedWith = new Map();
+  for (const { selectedFactors } of loaded) {
+    for (const factor of selectedFactors) {
+      if (!catalog.has(factor.factorId)) continue;
+      if (!estimatedWith.has(factor.factorId)) estimatedWith.set(factor.factorId, {});
+      const sums = estimatedWith.get(factor.factorId);
+      for (const [rtId, value] of Object.entries(normalizeHoursPerResourceType(factor.hoursPerResourceType || {}))) {
+        const quantity = factor.quantity || 1;
+        const sum = sums[rtId] || { optimistic: 0, mostLikely: 0, pessimistic: 0, quantity: 0 };
+        sum.optimistic += value.optimistic * quantity;
+        sum.mostLikely += value.mostLikely * quantity;
+        sum.pessimistic += value.pessimistic * quantity;
+        sum.quantity += quantity;
+        sums[rtId] = sum;
+      }
+    }
+  }
+
+  const factors = computeFactorVariance(loaded, resourceTypeNames).factors
+    .filter(factor => catalog.has(factor.factorId))
+    .map(({ by_resource_type, ...factor }) => {
+      const current = catalog.get(factor.factorId);
+      const suggested = { ...current };
+      const resourceTypes = by_resource_type.filter(rt => current[rt.id]).map(rt => {
+        const used = estimatedWith.get(factor.factorId)?.[rt.id];
+        const ratio = rt.estimated_hours > 0 && rt.actual_hours > 0 && used ? rt.actual_hours / rt.estimated_hours : null;
+        if (ratio !== null) {
+          const scale = ratio / used.quantity;
+          suggested[rt.id] = { optimistic: round(used.optimistic * scale), mostLikely: round(used.mostLikely * scale), pessimistic: round(used.pessimistic * scale) };
+        }
+        return {
+          ...rt,
+          ratio: ratio === null ? null : parseFloat(ratio.toFixed(2)),
+          current: current[rt.id],
+          suggested: suggested[rt.id]
+        };
+      });
+      return {
+        ...factor,
+        confidence: CALIBRATION_CONFIDENCE.find(level => factor.initiative_count >= level.minInitiatives).confidence,
+        resource_types: resourceTypes,
+        hoursPerResourceType: suggested,
+        changed: !areHoursPerResourceTypeEqual(current, suggested)
+      };
+    });
+  return { statuses, initiative_count: loaded.length, factors };
+}
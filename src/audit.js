@@ -0,0 +1,198 @@
+/**
+ * audit.js
+ * * Reads and writes the audit_events table, the single log of every change made to
+ * initiatives, estimation factors, resource types, shirt sizes, settings, the working calendar,
+ * the status workflow, users and backups.
+ * Each event stores the actor and a field-level diff ([{field, old, new}]).
+ */
+
+// Entity types recorded in audit_events
+export const AUDIT_ENTITY_TYPES = [
+  'initiative', 'estimation_factor', 'resource_type', 'resource_capacity',
+  'shirt_sizes', 'contingency', 'settings', 'calendar', 'workflow', 'user', 'backup'
+];
+
+// Entity types whose events only admins may read, like the user and backup routes themselves
+export const ADMIN_AUDIT_ENTITY_TYPES = ['user', 'backup'];
+
+/**
+ * Lists the fields whose values differ between two snapshots of a record.
+ * @param {object} oldData - The record before the change ({} for a new record).
+ * @param {object} newData - The record after the change ({} for a deleted record).
+ * @returns {Array<{field: string, old: *, new: *}>} The changed fields.
+ */
+export function diffFields(oldData = {}, newData = {}) {
+  const changes = [];
+  const fields = new Set([...Object.keys(oldData || {}), ...Object.keys(newData || {})]);
+  for (const field of fields) {
+    const oldValue = oldData?.[field] ?? null;
+    const newValue = newData?.[field] ?? null;
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({ field, old: oldValue, new: newValue });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Records an audit event.
+ * @param {Database} db - The database instance.
+ * @param {object} event
+ * @param {string} event.entityType - One of AUDIT_ENTITY_TYPES.
+ * @param {number|string} event.entityId - The ID of the changed record.
+ * @param {string} [event.entityName] - The record's name, kept so the event stays readable after a delete.
+ * @param {string} event.action - What happened, e.g. created, updated, deleted, repriced.
+ * @param {object|null} [event.actor] - The signed-in user (req.user).
+ * @param {object|string} [event.oldData={}] - The record before the change.
+ * @param {object|string} [event.newData={}] - The record after the change.
+ * @param {string} [event.note] - A human-readable reason or summary.
+ * @param {object} [event.details] - Extra action-specific values.
+ * @param {string} [event.timestamp] - Defaults to now.
+ * @returns {Promise<number>} The ID of the new event.
+ */
+export async function recordAuditEvent(db, { entityType, entityId, entityName, action, actor, oldData = {}, newData = {}, note, details, timestamp }) {
+  const parse = (data) => (typeof data === 'string' ? JSON.parse(data || '{}') : data);
+  const changes = diffFields(parse(oldData), parse(newData));
+  const result = await db.run(
+    `INSERT INTO audit_events (entity_type, entity_id, entity_name, action, actor_id, actor_name, timestamp, changes, note, details)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      entityType,
+      String(entityId),
+      entityName ?? null,
+      action,
+      actor?.id ?? null,
+      actor ? (actor.display_name || actor.username) : null,
+      timestamp || new Date().toISOString(),
+      JSON.stringify(changes),
+      note ?? null,
+      details && Object.keys(details).length > 0 ? JSON.stringify(details) : null
+    ]
+  );
+  return result.lastID;
+}
+
+/**
+ * Converts a stored audit_events row into the API shape.
+ * @param {object} row - An audit_events row.
+ * @returns {object} The audit event.
+ */
+export function parseAuditRow(row) {
+  return {
+    ...row,
+    changes: JSON.parse(row.changes || '[]'),
+    details: row.details ? JSON.parse(row.details) : null
+  };
+}
+
+/**
+ * Converts an audit event into the journal entry shape the initiative and factor
+ * journals have always used (old_data/new_data hold the changed fields only).
+ * @param {object} event - A parsed audit event.
+ * @returns {object} The journal entry.
+ */
+export function toJournalEntry(event) {
+  const oldData = {};
+  const newData = {};
+  for (const change of event.changes) {
+    if (change.old !== null) oldData[change.field] = change.old;
+    if (change.new !== null) newData[change.field] = change.new;
+  }
+  const entry = {
+    ...(event.details || {}),
+    // Prefixed so clients that send their journal back never resubmit it as a new entry
+    id: `audit-${event.id}`,
+    audit_event_id: event.id,
+    timestamp: event.timestamp,
+    type: 'audit',
+    action: event.action,
+    old_data: oldData,
+    new_data: newData
+  };
+  if (event.note !== null) entry.note = event.note;
+  if (event.actor_id !== null) entry.author_id = event.actor_id;
+  if (event.actor_name !== null) entry.author_name = event.actor_name;
+  return entry;
+}
+
+/**
+ * Builds the WHERE clause for audit event filters.
+ * @param {object} filters
+ * @param {Array<string>} [filters.entityTypes] - Entity types to include.
+ * @param {string} [filters.entityId] - A single record.
+ * @param {number} [filters.actorId] - Events by one user.
+ * @param {string} [filters.action] - Events with one action.
+ * @param {string} [filters.from] - Earliest date (YYYY-MM-DD), inclusive.
+ * @param {string} [filters.to] - Latest date (YYYY-MM-DD), inclusive.
+ * @returns {{where: string, values: Array}}
+ */
+function buildAuditFilter({ entityTypes, entityId, actorId, action, from, to } = {}) {
+  const clauses = [];
+  const values = [];
+  if (entityTypes && entityTypes.length > 0) {
+    clauses.push(`entity_type IN (${entityTypes.map(() => '?').join(', ')})`);
+    values.push(...entityTypes);
+  }
+  if (entityId !== undefined && entityId !== null) {
+    clauses.push('entity_id = ?');
+    values.push(String(entityId));
+  }
+  if (actorId) {
+    clauses.push('actor_id = ?');
+    values.push(actorId);
+  }
+  if (action) {
+    clauses.push('action = ?');
+    values.push(action);
+  }
+  if (from) {
+    clauses.push('substr(timestamp, 1, 10) >= ?');
+    values.push(from);
+  }
+  if (to) {
+    clauses.push('substr(timestamp, 1, 10) <= ?');
+    values.push(to);
+  }
+  return { where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '', values };
+}
+
+/**
+ * Returns audit events, newest first.
+ * @param {Database} db - The database instance.
+ * @param {object} [filters={}] - See buildAuditFilter.
+ * @param {object} [page={}]
+ * @param {number} [page.limit] - The maximum number of events.
+ * @param {number} [page.offset=0] - The number of events to skip.
+ * @returns {Promise<{events: Array<object>, total: number}>}
+ */
+export async function getAuditEvents(db, filters = {}, { limit, offset = 0 } = {}) {
+  const { where, values } = buildAuditFilter(filters);
+  const total = (await db.get(`SELECT COUNT(*) AS count FROM audit_events ${where}`, values)).count;
+  const rows = await db.all(
+    `SELECT * FROM audit_events ${where} ORDER BY timestamp DESC, id DESC ${limit ? 'LIMIT ? OFFSET ?' : ''}`,
+    limit ? [...values, limit, offset] : values
+  );
+  return { events: rows.map(parseAuditRow), total };
+}
+
+/**
+ * Returns the audit events of every record of one entity type, or of only the given records,
+ * grouped by entity ID, oldest first.
+ * @param {Database} db - The database instance.
+ * @param {string} entityType - One of AUDIT_ENTITY_TYPES.
+ * @param {Array<number|string>} [entityIds] - The records to load; all of them when omitted.
+ * @returns {Promise<Map<string, Array<object>>>} Parsed audit events keyed by entity ID.
+ */
+export async function getAuditEventsByEntity(db, entityType, entityIds) {
+  const filter = entityIds ? `AND entity_id IN (${entityIds.map(() => '?').join(', ')})` : '';
+  const rows = await db.all(
+    `SELECT * FROM audit_events WHERE entity_type = ? ${filter} ORDER BY timestamp, id`,
+    [entityType, ...(entityIds || []).map(String)] // entity IDs are stored as text
+  );
+  const byEntity = new Map();
+  for (const row of rows) {
+    if (!byEntity.has(row.entity_id)) byEntity.set(row.entity_id, []);
+    byEntity.get(row.entity_id).push(parseAuditRow(row));
+  }
+  return byEntity;
+}
@@ -0,0 +1,261 @@
+/**
+ * auth.js
+ * * Local user accounts and cookie-based sessions. Passwords are hashed with scrypt;
+ * session tokens are random and only their SHA-256 hash is stored.
+ */
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { logger } from './logger.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+export const SESSION_COOKIE = 'estiim_session';
+export const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+export const MIN_PASSWORD_LENGTH = 8;
+
+// Roles from least to most privileged; each role can do everything the ones before it can
+export const ROLES = ['viewer', 'estimator', 'admin'];
+
+const SCRYPT_KEY_LENGTH = 64;
+
+/**
+ * Hashes a password with a random salt.
+ * @param {string} password - The plain-text password.
+ * @returns {Promise<string>} The hash as "scrypt$<salt>$<key>" in hex.
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
+}
+
+/**
+ * Checks a password against a stored hash in constant time.
+ * @param {string} password - The plain-text password.
+ * @param {string} storedHash - A hash produced by hashPassword.
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(password, storedHash) {
+  const [scheme, saltHex, keyHex] = String(storedHash || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !keyHex) return false;
+  const expected = Buffer.from(keyHex, 'hex');
+  const key = await scrypt(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(key, expected);
+}
+
+/**
+ * Hashes a session token for storage and lookup.
+ * @param {string} token - The session token from the cookie.
+ * @returns {string}
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Parses a Cookie header into an object.
+ * @param {string} header - The Cookie request header.
+ * @returns {object} Cookie values keyed by name.
+ */
+export function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index < 0) continue;
+    const name = part.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch (e) {
+      cookies[name] = part.slice(index + 1).trim();
+    }
+  }
+  return cookies;
+}
+
+/**
+ * Converts a users row into the API shape, without the password hash.
+ * @param {object} row - A users row.
+ * @returns {object} The user.
+ */
+export function toPublicUser(row) {
+  if (!row) return null;
+  const { password_hash, ...user } = row;
+  return user;
+}
+
+/**
+ * Returns true until the first user account has been created.
+ * @param {Database} db - The database instance.
+ * @returns {Promise<boolean>}
+ */
+export async function isSetupRequired(db) {
+  const row = await db.get('SELECT COUNT(*) AS count FROM users');
+  return row.count === 0;
+}
+
+/**
+ * Creates a user account.
+ * @param {Database} db - The database instance.
+ * @param {object} user
+ * @param {string} user.username - The unique login name.
+ * @param {string} user.password - The plain-text password.
+ * @param {string} [user.display_name] - The name shown on journal entries.
+ * @param {string} [user.role='viewer'] - One of ROLES.
+ * @returns {Promise<object>} The new user, without the password hash.
+ */
+export async function createUser(db, { username, password, display_name, role = 'viewer' }) {
+  const now = new Date().toISOString();
+  const result = await db.run(
+    'INSERT INTO users (username, display_name, password_hash, role, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)',
+    [username, display_name || null, await hashPassword(password), role, now, now]
+  );
+  return toPublicUser(await db.get('SELECT * FROM users WHERE id = ?', [result.lastID]));
+}
+
+/**
+ * Creates the first admin account, but only while there are no users. The check and the
+ * insert are one statement, so concurrent setup requests cannot both create an admin.
+ * @param {Database} db - The database instance.
+ * @param {object} user - See createUser; the role is always admin.
+ * @returns {Promise<object|null>} The new user, or null if an account already exists.
+ */
+export async function createFirstAdmin(db, { username, password, display_name }) {
+  const now = new Date().toISOString();
+  const passwordHash = await hashPassword(password);
+  const result = await db.run(
+    `INSERT INTO users (username, display_name, password_hash, role, created_at, updated_at)
+     SELECT ?, ?, ?, 'admin', ?, ? WHERE NOT EXISTS (SELECT 1 FROM users)`,
+    [username, display_name || null, passwordHash, now, now]
+  );
+  if (result.changes === 0) return null;
+  return toPublicUser(await db.get('SELECT * FROM users WHERE id = ?', [result.lastID]));
+}
+
+/**
+ * Starts a session for a user.
+ * @param {Database} db - The database instance.
+ * @param {number} userId - The ID of the user.
+ * @returns {Promise<{token: string, expiresAt: Date}>} The token to put in the session cookie.
+ */
+export async function createSession(db, userId) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + SESSION_TTL_MS);
+  await db.run('DELETE FROM sessions WHERE expires_at < ?', [now.toISOString()]);
+  await db.run(
+    'INSERT INTO sessions (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)',
+    [hashToken(token), userId, now.toISOString(), expiresAt.toISOString()]
+  );
+  await db.run('UPDATE users SET last_login_at = ? WHERE id = ?', [now.toISOString(), userId]);
+  return { token, expiresAt };
+}
+
+/**
+ * Ends a session.
+ * @param {Database} db - The database instance.
+ * @param {string} token - The session token.
+ */
+export async function deleteSession(db, token) {
+  await db.run('DELETE FROM sessions WHERE token_hash = ?', [hashToken(token)]);
+}
+
+/**
+ * Returns the user of a session that has not expired.
+ * @param {Database} db - The database instance.
+ * @param {string} token - The session token.
+ * @returns {Promise<object|null>} The user, without the password hash.
+ */
+export async function getSessionUser(db, token) {
+  if (!token) return null;
+  const row = await db.get(
+    `SELECT u.* FROM sessions s JOIN users u ON u.id = s.user_id
+     WHERE s.token_hash = ? AND s.expires_at > ?`,
+    [hashToken(token), new Date().toISOString()]
+  );
+  return toPublicUser(row);
+}
+
+/**
+ * Returns the author fields to store on a journal entry or audit record.
+ * @param {object|null} user - The signed-in user (req.user).
+ * @returns {{author_id: number|null, author_name: string|null}}
+ */
+export function authorOf(user) {
+  return {
+    author_id: user?.id ?? null,
+    author_name: user ? (user.display_name || user.username) : null
+  };
+}
+
+/**
+ * Express middleware that sets req.user from the session cookie.
+ * @param {Database} db - The database instance.
+ * @returns {Function} The middleware.
+ */
+export function authenticate(db) {
+  return async (req, res, next) => {
+    try {
+      req.sessionToken = parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+      req.user = await getSessionUser(db, req.sessionToken);
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+/**
+ * Returns true if a user's role is at least the given role.
+ * @param {object|null} user - The user.
+ * @param {string} role - One of ROLES.
+ * @returns {boolean}
+ */
+export function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Returns Express middleware that rejects users below the given role with 403.
+ * Use after requireAuth.
+ * @param {string} role - The minimum role, one of ROLES.
+ * @returns {Function} The middleware.
+ */
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.user, role)) {
+      return res.status(403).json({ message: `This action requires the ${role} role.` });
+    }
+    next();
+  };
+}
+
+/**
+ * Express middleware that rejects requests without a signed-in user.
+ */
+export function requireAuth(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ message: 'Authentication required' });
+  }
+  next();
+}
+
+/**
+ * Creates the first admin account from ESTIIM_ADMIN_USERNAME and ESTIIM_ADMIN_PASSWORD
+ * when the database has no users yet. Without those variables the first account is
+ * created through the setup form in the UI (POST /api/auth/setup).
+ * @param {Database} db - The database instance.
+ */
+export async function bootstrapAdmin(db) {
+  if (!(await isSetupRequired(db))) return;
+  const username = process.env.ESTIIM_ADMIN_USERNAME;
+  const password = process.env.ESTIIM_ADMIN_PASSWORD;
+  if (!username || !password) {
+    logger.info('No user accounts exist yet; open the app to create the first admin account.');
+    return;
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`ESTIIM_ADMIN_PASSWORD must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+  }
+  await createUser(db, { username, password, role: 'admin' });
+  logger.info(`Created first admin account "${username}".`);
+}
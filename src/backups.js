@@ -0,0 +1,249 @@
+/**
+ * backups.js
+ * * Online backups of the database using SQLite's backup API, so a copy is consistent
+ * even while the server is writing. Backups are taken on a schedule, before migrations
+ * and restores, or on demand, and are pruned by the retention settings: the last N
+ * copies plus the newest copy of each recent day and week are kept.
+ */
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { open } from 'sqlite';
+import sqlite3 from 'sqlite3';
+import { getMigrationStatus, getSchemaVersion, migrate } from './migrator.js';
+import { getSettings } from './settings.js';
+import { getConfig } from './config.js';
+import { logger } from './logger.js';
+
+// estiim-db-<timestamp with : and . replaced by ->[-<reason>].bak; files from before reasons were added have none
+const BACKUP_FILE_PATTERN = /^estiim-db-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)(?:-([a-z-]+))?\.bak$/;
+export const BACKUP_REASONS = ['scheduled', 'manual', 'pre-migration', 'pre-restore'];
+
+// Pages copied per backup step; the live database is unlocked between steps
+const PAGES_PER_STEP = 256;
+// Attempts at a step that finds the database busy or locked before giving up
+const MAX_STEP_RETRIES = 50;
+const STEP_RETRY_DELAY_MS = 100;
+
+/**
+ * Copies a database with the SQLite backup API.
+ * @param {Database} db - The open database.
+ * @param {string} filename - The backup file.
+ * @param {boolean} toFile - true to copy db into filename, false to copy filename into db.
+ * @returns {Promise<void>}
+ */
+function runBackup(db, filename, toFile) {
+  return new Promise((resolve, reject) => {
+    let retries = 0;
+    const backup = db.getDatabaseInstance().backup(filename, 'main', 'main', toFile, (err) => {
+      if (err) return reject(err);
+      step();
+    });
+    const fail = (err) => backup.finish(() => reject(err));
+    const step = () => backup.step(PAGES_PER_STEP, (err) => {
+      if (err) {
+        if (!backup.failed && backup.retryErrors.includes(err.errno) && retries++ < MAX_STEP_RETRIES) {
+          return setTimeout(step, STEP_RETRY_DELAY_MS);
+        }
+        return fail(err);
+      }
+      if (backup.completed) return backup.finish(() => resolve());
+      if (backup.failed) return fail(new Error('The backup did not complete.'));
+      retries = 0;
+      setImmediate(step);
+    });
+  });
+}
+
+/**
+ * Returns the path of a backup file, or null if the name is not a backup file name.
+ * Only plain names matching the backup pattern are accepted, so a name from a request
+ * can never point outside the backups directory.
+ * @param {string} name - The backup file name.
+ * @returns {string|null}
+ */
+export function resolveBackupPath(name) {
+  return BACKUP_FILE_PATTERN.test(String(name)) ? path.join(getConfig().backupDir, name) : null;
+}
+
+/**
+ * Converts a backup file name into its listing entry.
+ * @param {string} name - The backup file name.
+ * @param {object} stats - fs.Stats of the file.
+ * @returns {{name: string, created_at: string, reason: string|null, size: number}}
+ */
+function toBackupInfo(name, stats) {
+  const [, stamp, reason] = name.match(BACKUP_FILE_PATTERN);
+  const createdAt = stamp.replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z');
+  return { name, created_at: createdAt, reason: reason || null, size: stats.size };
+}
+
+/**
+ * Lists the backups, newest first.
+ * @returns {Promise<Array<{name: string, created_at: string, reason: string|null, size: number}>>}
+ */
+export async function listBackups() {
+  const { backupDir } = getConfig();
+  await fs.mkdir(backupDir, { recursive: true });
+  const backups = [];
+  for (const name of await fs.readdir(backupDir)) {
+    if (!BACKUP_FILE_PATTERN.test(name)) continue;
+    backups.push(toBackupInfo(name, await fs.stat(path.join(backupDir, name))));
+  }
+  return backups.sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+/**
+ * Backs up the database while it stays in use.
+ * @param {Database} db - The open database.
+ * @param {string} reason - One of BACKUP_REASONS.
+ * @returns {Promise<object>} The new backup's listing entry.
+ */
+export async function createBackup(db, reason) {
+  const { backupDir } = getConfig();
+  await fs.mkdir(backupDir, { recursive: true });
+  const name = `estiim-db-${new Date().toISOString().replace(/[:.]/g, '-')}-${reason}.bak`;
+  const filename = path.join(backupDir, name);
+  try {
+    await runBackup(db, filename, true);
+  } catch (err) {
+    await fs.rm(filename, { force: true });
+    throw err;
+  }
+  logger.info(`Database backed up to: ${filename}`);
+  return toBackupInfo(name, await fs.stat(filename));
+}
+
+/**
+ * Checks that a backup is a readable, intact Estiim database.
+ * @param {string} name - The backup file name.
+ * @returns {Promise<{ok: boolean, integrity: Array<string>, schema_version: number|null, initiatives: number|null}>}
+ */
+export async function verifyBackup(name) {
+  // FTS5's integrity check needs a writable database, so check a throwaway copy
+  const copy = path.join(os.tmpdir(), `estiim-verify-${process.pid}-${Date.now()}.db`);
+  let backupDb;
+  try {
+    await fs.copyFile(resolveBackupPath(name), copy);
+    backupDb = await open({ filename: copy, driver: sqlite3.Database });
+    const integrity = (await backupDb.all('PRAGMA integrity_check')).map(row => row.integrity_check);
+    const schemaVersion = (await backupDb.get('SELECT MAX(version) AS version FROM schema_version')).version;
+    const initiatives = (await backupDb.get('SELECT COUNT(*) AS count FROM initiatives')).count;
+    return { ok: integrity.length === 1 && integrity[0] === 'ok', integrity, schema_version: schemaVersion, initiatives };
+  } catch (err) {
+    return { ok: false, integrity: [err.message], schema_version: null, initiatives: null };
+  } finally {
+    if (backupDb) await backupDb.close();
+    await fs.rm(copy, { force: true });
+  }
+}
+
+/**
+ * Replaces the contents of the live database with a backup, after taking a safety backup
+ * of the current state. Migrations newer than the backup are applied again afterwards.
+ * @param {Database} db - The open database.
+ * @param {string} name - The backup file name; it should be verified first.
+ * @returns {Promise<{safetyBackup: object, migrations: Array<object>}>}
+ */
+export async function restoreBackup(db, name) {
+  const safetyBackup = await createBackup(db, 'pre-restore');
+  await runBackup(db, resolveBackupPath(name), false);
+  const migrations = await migrate(db);
+  logger.info(`Database restored from ${name}; the previous state is in ${safetyBackup.name}.`);
+  return { safetyBackup, migrations };
+}
+
+/**
+ * Picks the backups the retention settings keep: the newest keepLast, plus the newest
+ * backup of each of the latest keepDaily days and keepWeekly weeks (weeks start Monday, UTC).
+ * @param {Array<object>} backups - Backups, newest first (see listBackups).
+ * @param {{keepLast: number, keepDaily: number, keepWeekly: number}} rules
+ * @returns {Set<string>} The names of the backups to keep.
+ */
+export function selectBackupsToKeep(backups, { keepLast, keepDaily, keepWeekly }) {
+  const keep = new Set(backups.slice(0, keepLast).map(b => b.name));
+  const keepNewestPer = (periodOf, count) => {
+    const seen = new Set();
+    for (const backup of backups) {
+      const period = periodOf(backup.created_at);
+      if (seen.has(period)) continue;
+      if (seen.size >= count) break;
+      seen.add(period);
+      keep.add(backup.name);
+    }
+  };
+  keepNewestPer(createdAt => createdAt.substring(0, 10), keepDaily);
+  keepNewestPer(createdAt => {
+    const date = new Date(createdAt.substring(0, 10) + 'T00:00:00Z');
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+    return date.toISOString().substring(0, 10);
+  }, keepWeekly);
+  return keep;
+}
+
+/**
+ * Reads the backup schedule and retention rules from the workspace settings.
+ * @param {Database} db - The database instance.
+ * @returns {Promise<{intervalHours: number, keepLast: number, keepDaily: number, keepWeekly: number}>}
+ */
+export async function getBackupSettings(db) {
+  const settings = await getSettings(db);
+  const toCount = (value) => Math.max(0, parseInt(value, 10) || 0);
+  return {
+    intervalHours: Math.max(0, parseFloat(settings.backup_interval_hours) || 0),
+    keepLast: toCount(settings.backup_keep_last),
+    keepDaily: toCount(settings.backup_keep_daily),
+    keepWeekly: toCount(settings.backup_keep_weekly)
+  };
+}
+
+/**
+ * Deletes the backups the retention settings no longer keep. The newest backup is
+ * always kept.
+ * @param {Database} db - The database instance.
+ * @returns {Promise<Array<string>>} The names of the deleted backups.
+ */
+export async function pruneBackups(db) {
+  const rules = await getBackupSettings(db);
+  const backups = await listBackups();
+  const keep = selectBackupsToKeep(backups, { ...rules, keepLast: Math.max(1, rules.keepLast) });
+  const deleted = [];
+  for (const backup of backups) {
+    if (keep.has(backup.name)) continue;
+    await fs.rm(resolveBackupPath(backup.name), { force: true });
+    deleted.push(backup.name);
+  }
+  if (deleted.length > 0) {
+    logger.info(`Removed ${deleted.length} backup(s) outside the retention rules.`);
+  }
+  return deleted;
+}
+
+/**
+ * Takes a scheduled backup if the newest backup is older than backup_interval_hours,
+ * then applies the retention rules. An interval of 0 turns scheduled backups off.
+ * @param {Database} db - The open database.
+ * @returns {Promise<object|null>} The new backup, or null if none was due.
+ */
+export async function runScheduledBackup(db) {
+  const { intervalHours } = await getBackupSettings(db);
+  if (intervalHours <= 0) return null;
+  const [latest] = await listBackups();
+  if (latest && Date.now() - Date.parse(latest.created_at) < intervalHours * 3600000) return null;
+  const backup = await createBackup(db, 'scheduled');
+  await pruneBackups(db);
+  return backup;
+}
+
+/**
+ * Backs up a database that has pending migrations, before they run. Up-to-date and
+ * new, empty databases are skipped.
+ * @param {Database} db - The open database.
+ * @returns {Promise<object|null>} The new backup, or null if none was needed.
+ */
+export async function backupBeforeMigrating(db) {
+  if ((await getSchemaVersion(db)) === 0) return null;
+  const pending = (await getMigrationStatus(db)).filter(m => !m.applied_at);
+  if (pending.length === 0) return null;
+  return createBackup(db, 'pre-migration');
+}
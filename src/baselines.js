@@ -0,0 +1,213 @@
+/**
+ * baselines.js
+ * * Estimate baselines: named, frozen copies of an initiative's selected factors (with
+ * quantities and hours), totals and shirt size. A baseline is taken when an initiative
+ * moves into a status with creates_baseline set (Accepted by default), or by hand.
+ * Later re-estimations are compared against it; the current estimate can stand in for
+ * a baseline in a comparison under the ID "current".
+ */
+import { computeInitiativeEstimate } from './estimation.js';
+import { getInitiativeFactors } from './initiativeFactors.js';
+import { recordAuditEvent } from './audit.js';
+
+export const CURRENT_ESTIMATE_ID = 'current';
+
+/**
+ * Converts a stored initiative_baselines row into the API shape.
+ * @param {object} row - An initiative_baselines row.
+ * @returns {object} The baseline, with factors parsed.
+ */
+function parseBaselineRow(row) {
+  return { ...row, factors: JSON.parse(row.factors || '[]') };
+}
+
+/**
+ * Lists the baselines of an initiative, oldest first.
+ * @param {Database} db - The database instance.
+ * @param {number} initiativeId - The initiative.
+ * @returns {Promise<Array<object>>}
+ */
+export async function listBaselines(db, initiativeId) {
+  const rows = await db.all('SELECT * FROM initiative_baselines WHERE initiative_id = ? ORDER BY created_at, id', [initiativeId]);
+  return rows.map(parseBaselineRow);
+}
+
+/**
+ * Returns one baseline of an initiative, or the current estimate in the same shape.
+ * @param {Database} db - The database instance.
+ * @param {object} initiative - An initiatives row.
+ * @param {number|string} baselineId - A baseline ID, or CURRENT_ESTIMATE_ID.
+ * @returns {Promise<object|null>} The baseline, or null if the initiative has no such baseline.
+ */
+export async function getBaseline(db, initiative, baselineId) {
+  if (baselineId === CURRENT_ESTIMATE_ID) {
+    return getCurrentEstimate(db, initiative);
+  }
+  const row = await db.get('SELECT * FROM initiative_baselines WHERE id = ? AND initiative_id = ?', [baselineId, initiative.id]);
+  return row ? parseBaselineRow(row) : null;
+}
+
+/**
+ * Builds the current estimate of an initiative in the shape of a baseline.
+ * @param {Database} db - The database instance.
+ * @param {object} initiative - An initiatives row.
+ * @returns {Promise<object>}
+ */
+export async function getCurrentEstimate(db, initiative) {
+  const factors = (await getInitiativeFactors(db, initiative.id)).map(({ resolved_at, ...factor }) => factor);
+  return {
+    id: CURRENT_ESTIMATE_ID,
+    initiative_id: initiative.id,
+    name: 'Current estimate',
+    source: null,
+    status: initiative.status,
+    estimation_type: initiative.estimation_type,
+    risk_adjustment_percent: initiative.risk_adjustment_percent || 0,
+    base_hours: initiative.base_hours || 0,
+    buffer_hours: initiative.buffer_hours || 0,
+    computed_hours: initiative.computed_hours || 0,
+    computed_std_dev: computeInitiativeEstimate(factors, initiative.estimation_type).stdDev,
+    shirt_size_scheme_id: initiative.shirt_size_scheme_id,
+    shirt_size: initiative.shirt_size,
+    factors,
+    created_at: initiative.updated_at || initiative.created_at,
+    actor_id: null,
+    actor_name: null
+  };
+}
+
+/**
+ * Returns a baseline name not yet used by the initiative, adding " (2)", " (3)"... if needed.
+ * @param {Database} db - The database instance.
+ * @param {number} initiativeId - The initiative.
+ * @param {string} name - The wanted name.
+ * @returns {Promise<string>}
+ */
+export async function uniqueBaselineName(db, initiativeId, name) {
+  const taken = new Set((await db.all('SELECT name FROM initiative_baselines WHERE initiative_id = ?', [initiativeId]))
+    .map(row => row.name.toLowerCase()));
+  let candidate = name;
+  for (let n = 2; taken.has(candidate.toLowerCase()); n++) {
+    candidate = `${name} (${n})`;
+  }
+  return candidate;
+}
+
+/**
+ * Freezes an initiative's saved estimate as a baseline and records it in the initiative's
+ * audit log. Run inside the caller's transaction, after the initiative and its factors are saved.
+ * @param {Database} db - The database instance.
+ * @param {object} initiative - The saved initiatives row.
+ * @param {object} options
+ * @param {string} options.name - A name the initiative does not use yet (see uniqueBaselineName).
+ * @param {string} options.source - 'status' when taken by a status change, 'manual' otherwise.
+ * @param {object|null} [options.actor] - The signed-in user (req.user).
+ * @param {string} [options.timestamp] - Defaults to now.
+ * @returns {Promise<object>} The new baseline.
+ */
+export async function createBaseline(db, initiative, { name, source, actor, timestamp }) {
+  const current = await getCurrentEstimate(db, initiative);
+  const createdAt = timestamp || new Date().toISOString();
+  const result = await db.run(
+    `INSERT INTO initiative_baselines (initiative_id, name, source, status, estimation_type, risk_adjustment_percent, base_hours, buffer_hours,
+       computed_hours, computed_std_dev, shirt_size_scheme_id, shirt_size, factors, created_at, actor_id, actor_name)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      initiative.id, name, source, current.status, current.estimation_type, current.risk_adjustment_percent,
+      current.base_hours, current.buffer_hours, current.computed_hours, current.computed_std_dev,
+      current.shirt_size_scheme_id, current.shirt_size, JSON.stringify(current.factors),
+      createdAt, actor?.id ?? null, actor ? (actor.display_name || actor.username) : null
+    ]
+  );
+  await recordAuditEvent(db, {
+    entityType: 'initiative', entityId: initiative.id, entityName: initiative.name, action: 'baselined', actor, timestamp: createdAt,
+    note: `Baseline "${name}" taken${source === 'status' ? ` on moving to ${current.status}` : ''}: ${Number(current.computed_hours).toFixed(1)}h, size ${current.shirt_size || 'N/A'}`,
+    details: { baseline_id: result.lastID }
+  });
+  return parseBaselineRow(await db.get('SELECT * FROM initiative_baselines WHERE id = ?', [result.lastID]));
+}
+
+/**
+ * Rounds a number of hours to one decimal.
+ * @param {number} hours - The hours.
+ * @returns {number}
+ */
+function round(hours) {
+  return parseFloat(Number(hours || 0).toFixed(1));
+}
+
+/**
+ * Builds a {from, to, delta} triple of hours.
+ * @param {number} from - The hours in the earlier estimate.
+ * @param {number} to - The hours in the later estimate.
+ * @returns {{from: number, to: number, delta: number}}
+ */
+function delta(from, to) {
+  return { from: round(from), to: round(to), delta: round(round(to) - round(from)) };
+}
+
+/**
+ * Returns the key a factor is matched on between two estimates: its ID, or its name
+ * when the factor has since been deleted from the catalog.
+ * @param {object} factor - A selected factor.
+ * @returns {string}
+ */
+function factorKey(factor) {
+  return factor.factorId ? `id:${factor.factorId}` : `name:${String(factor.name || '').toLowerCase()}`;
+}
+
+/**
+ * Compares two estimates of an initiative (baselines or the current estimate). Factor
+ * and resource type hours are expected hours before the contingency buffer, priced with
+ * each estimate's own estimation type.
+ * @param {object} from - The earlier estimate (see getBaseline).
+ * @param {object} to - The later estimate.
+ * @param {Array<{id: string, name: string}>} [resourceTypes=[]] - Names for the resource type IDs.
+ * @returns {{from: object, to: object, totals: object, factors: Array<object>, resource_types: Array<object>}}
+ */
+export function compareBaselines(from, to, resourceTypes = []) {
+  const summary = ({ factors, ...rest }) => rest;
+
+  const fromFactors = new Map(from.factors.map(f => [factorKey(f), f]));
+  const toFactors = new Map(to.factors.map(f => [factorKey(f), f]));
+  const factorHours = (factor, estimationType) => (factor ? computeInitiativeEstimate([factor], estimationType).expected : 0);
+  const factors = [...new Set([...fromFactors.keys(), ...toFactors.keys()])].map(key => {
+    const before = fromFactors.get(key);
+    const after = toFactors.get(key);
+    const hours = delta(factorHours(before, from.estimation_type), factorHours(after, to.estimation_type));
+    let change = 'unchanged';
+    if (!before) change = 'added';
+    else if (!after) change = 'removed';
+    else if (before.quantity !== after.quantity || hours.delta !== 0) change = 'changed';
+    return {
+      factorId: (after || before).factorId || null,
+      name: (after || before).name,
+      change,
+      quantity: { from: before?.quantity ?? 0, to: after?.quantity ?? 0, delta: (after?.quantity ?? 0) - (before?.quantity ?? 0) },
+      hours
+    };
+  });
+
+  const fromByType = computeInitiativeEstimate(from.factors, from.estimation_type).byResourceType;
+  const toByType = computeInitiativeEstimate(to.factors, to.estimation_type).byResourceType;
+  const names = new Map(resourceTypes.map(rt => [rt.id, rt.name]));
+  const resourceTypeDeltas = [...new Set([...Object.keys(fromByType), ...Object.keys(toByType)])].map(id => ({
+    id,
+    name: names.get(id) || id,
+    hours: delta(fromByType[id]?.expected, toByType[id]?.expected)
+  }));
+
+  return {
+    from: summary(from),
+    to: summary(to),
+    totals: {
+      base_hours: delta(from.base_hours, to.base_hours),
+      buffer_hours: delta(from.buffer_hours, to.buffer_hours),
+      computed_hours: delta(from.computed_hours, to.computed_hours),
+      computed_std_dev: delta(from.computed_std_dev, to.computed_std_dev),
+      shirt_size: { from: from.shirt_size, to: to.shirt_size, changed: from.shirt_size !== to.shirt_size }
+    },
+    factors,
+    resource_types: resourceTypeDeltas
+  };
+}
@@ -0,0 +1,224 @@
+/**
+ * calendar.js
+ * * The working calendar: hours per working day, the working weekdays and the holidays.
+ * It converts hours into days and months and decides which days of a date range are
+ * worked. Dates are YYYY-MM-DD strings or UTC dates; weekdays are 0 (Sunday) to 6.
+ */
+import { getSettings } from './settings.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Longest all-day event expanded into holidays when importing a calendar file
+const MAX_EVENT_DAYS = 366;
+
+export const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Parses the working_weekdays setting ("1,2,3,4,5") into sorted weekday numbers.
+ * @param {string|Array<number>} value - The setting value.
+ * @returns {Array<number>}
+ */
+export function parseWorkingWeekdays(value) {
+  const days = (Array.isArray(value) ? value : String(value ?? '').split(','))
+    .map(day => parseInt(day, 10))
+    .filter(day => Number.isInteger(day) && day >= 0 && day <= 6);
+  return [...new Set(days)].sort((a, b) => a - b);
+}
+
+/**
+ * Checks that a string is a real calendar date in YYYY-MM-DD form.
+ * @param {string} value - The date.
+ * @returns {boolean}
+ */
+export function isValidDate(value) {
+  if (!DATE_PATTERN.test(String(value))) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Converts a date or YYYY-MM-DD string into its YYYY-MM-DD key.
+ * @param {Date|string} value - The date.
+ * @returns {string}
+ */
+function toDateKey(value) {
+  return value instanceof Date ? value.toISOString().substring(0, 10) : String(value).substring(0, 10);
+}
+
+/**
+ * Loads the working calendar, with its average working days and hours per month
+ * over the current year.
+ * @param {Database} db - The database instance.
+ * @returns {Promise<{hours_per_day: number, working_weekdays: Array<number>, holidays: Array<{date: string, name: string}>, working_days_per_month: number, hours_per_month: number}>}
+ */
+export async function getWorkingCalendar(db) {
+  const settings = await getSettings(db);
+  const calendar = {
+    hours_per_day: parseFloat(settings.hours_per_day),
+    working_weekdays: parseWorkingWeekdays(settings.working_weekdays),
+    holidays: await db.all('SELECT date, name FROM holidays ORDER BY date')
+  };
+  const year = new Date().getUTCFullYear();
+  const workingDaysPerMonth = countWorkingDays(calendar, `${year}-01-01`, `${year}-12-31`) / 12;
+  calendar.working_days_per_month = parseFloat(workingDaysPerMonth.toFixed(2));
+  calendar.hours_per_month = parseFloat((workingDaysPerMonth * calendar.hours_per_day).toFixed(2));
+  return calendar;
+}
+
+/**
+ * Returns the set of holiday dates of a calendar, cached on the calendar object.
+ * @param {object} calendar - See getWorkingCalendar.
+ * @returns {Set<string>}
+ */
+function holidayDates(calendar) {
+  if (!calendar._holidayDates) {
+    Object.defineProperty(calendar, '_holidayDates', { value: new Set(calendar.holidays.map(h => h.date)) });
+  }
+  return calendar._holidayDates;
+}
+
+/**
+ * Checks whether a day is worked: a working weekday that is not a holiday.
+ * @param {object} calendar - See getWorkingCalendar.
+ * @param {Date|string} day - The day.
+ * @returns {boolean}
+ */
+export function isWorkingDay(calendar, day) {
+  const key = toDateKey(day);
+  const weekday = new Date(`${key}T00:00:00Z`).getUTCDay();
+  return calendar.working_weekdays.includes(weekday) && !holidayDates(calendar).has(key);
+}
+
+/**
+ * Lists the working days between two dates, inclusive.
+ * @param {object} calendar - See getWorkingCalendar.
+ * @param {Date|string} start - The first day.
+ * @param {Date|string} end - The last day.
+ * @returns {Array<Date>} The working days, as UTC dates.
+ */
+export function listWorkingDays(calendar, start, end) {
+  const days = [];
+  const last = new Date(`${toDateKey(end)}T00:00:00Z`).getTime();
+  for (let t = new Date(`${toDateKey(start)}T00:00:00Z`).getTime(); t <= last; t += DAY_MS) {
+    const day = new Date(t);
+    if (isWorkingDay(calendar, day)) days.push(day);
+  }
+  return days;
+}
+
+/**
+ * Counts the working days between two dates, inclusive.
+ * @param {object} calendar - See getWorkingCalendar.
+ * @param {Date|string} start - The first day.
+ * @param {Date|string} end - The last day.
+ * @returns {number}
+ */
+export function countWorkingDays(calendar, start, end) {
+  return listWorkingDays(calendar, start, end).length;
+}
+
+/**
+ * Reads holidays from a tab-separated file with a date (YYYY-MM-DD) and an optional
+ * name per line. A first line that does not start with a date is taken as a header.
+ * @param {string} text - The file contents.
+ * @returns {{holidays: Array<{date: string, name: string}>, errors: Array<string>}}
+ */
+export function parseTsvHolidays(text) {
+  const holidays = [];
+  const errors = [];
+  String(text).split(/\r?\n/).forEach((line, index) => {
+    if (line.trim() === '') return;
+    const [date, name] = line.split('\t').map(value => value.trim());
+    if (!isValidDate(date)) {
+      if (index > 0) errors.push(`Line ${index + 1}: "${date}" is not a date (YYYY-MM-DD).`);
+      return;
+    }
+    holidays.push({ date, name: name || 'Holiday' });
+  });
+  return { holidays, errors };
+}
+
+/**
+ * Reads holidays from an iCalendar (.ics) file. Each VEVENT becomes a holiday on its
+ * start date; all-day events spanning several days cover each of them. Recurrence
+ * rules are not expanded, so only the first occurrence of a repeating event is read.
+ * @param {string} text - The file contents.
+ * @returns {{holidays: Array<{date: string, name: string}>, errors: Array<string>}}
+ */
+export function parseIcsHolidays(text) {
+  const holidays = [];
+  const errors = [];
+  // Long lines are folded onto continuation lines that start with a space or tab
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  let event = null;
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+      continue;
+    }
+    if (line === 'END:VEVENT') {
+      if (event) addIcsEvent(event, holidays, errors);
+      event = null;
+      continue;
+    }
+    if (!event) continue;
+    const match = line.match(/^([A-Z-]+)((?:;[^:]*)?):(.*)$/);
+    if (!match) continue;
+    const [, property, params, value] = match;
+    if (property === 'DTSTART' || property === 'DTEND') {
+      event[property] = { value, isDate: /VALUE=DATE(?!-)/.test(params) || /^\d{8}$/.test(value) };
+    } else if (property === 'SUMMARY') {
+      event.SUMMARY = value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim();
+    }
+  }
+  if (holidays.length === 0 && errors.length === 0 && !/BEGIN:VCALENDAR/.test(text)) {
+    errors.push('The file is not an iCalendar file.');
+  }
+  return { holidays, errors };
+}
+
+/**
+ * Converts a parsed VEVENT into holidays.
+ * @param {object} event - DTSTART, DTEND and SUMMARY of the event.
+ * @param {Array<object>} holidays - Receives the holidays.
+ * @param {Array<string>} errors - Receives a message if the event has no usable date.
+ */
+function addIcsEvent(event, holidays, errors) {
+  const toDate = (value) => `${value.substring(0, 4)}-${value.substring(4, 6)}-${value.substring(6, 8)}`;
+  const name = event.SUMMARY || 'Holiday';
+  if (!event.DTSTART || !isValidDate(toDate(event.DTSTART.value))) {
+    errors.push(`Event "${name}" has no valid start date.`);
+    return;
+  }
+  const start = toDate(event.DTSTART.value);
+  holidays.push({ date: start, name });
+  // An all-day event's DTEND is the day after its last day
+  if (event.DTSTART.isDate && event.DTEND?.isDate && isValidDate(toDate(event.DTEND.value))) {
+    const end = new Date(`${toDate(event.DTEND.value)}T00:00:00Z`).getTime();
+    let t = new Date(`${start}T00:00:00Z`).getTime() + DAY_MS;
+    for (let days = 1; t < end && days < MAX_EVENT_DAYS; t += DAY_MS, days++) {
+      holidays.push({ date: toDateKey(new Date(t)), name });
+    }
+  }
+}
+
+/**
+ * Saves holidays, replacing the name of any that already exist.
+ * @param {Database} db - The database instance.
+ * @param {Array<{date: string, name: string}>} holidays - The holidays.
+ * @param {object} [options={}]
+ * @param {boolean} [options.replace=false] - Delete every other holiday first.
+ * @returns {Promise<number>} The number of holidays saved.
+ */
+export async function saveHolidays(db, holidays, { replace = false } = {}) {
+  const now = new Date().toISOString();
+  if (replace) await db.run('DELETE FROM holidays');
+  const byDate = new Map(holidays.map(h => [h.date, h.name]));
+  for (const [date, name] of byDate) {
+    await db.run(
+      'INSERT INTO holidays (date, name, created_at) VALUES (?, ?, ?) ON CONFLICT(date) DO UPDATE SET name = excluded.name',
+      [date, name, now]
+    );
+  }
+  return byDate.size;
+}
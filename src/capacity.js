@@ -0,0 +1,104 @@
+/**
+ * capacity.js
+ * * Week arithmetic and the spreading of initiative demand across weeks for capacity planning.
+ * Weeks start on Monday and are identified by that date (YYYY-MM-DD).
+ */
+import { computeInitiativeEstimate } from './estimation.js';
+import { listWorkingDays } from './calendar.js';
+import { getBufferMultiplier } from './contingency.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Longest start..end range an initiative's demand is spread over; longer ones are left unscheduled
+const MAX_SPREAD_DAYS = 10 * 366;
+
+/**
+ * Parses a YYYY-MM-DD (or ISO timestamp) string as a UTC date.
+ * @param {string} value - The date.
+ * @returns {Date|null} The date, or null if it is not valid.
+ */
+export function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(`${String(value).substring(0, 10)}T00:00:00Z`);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Formats a date as YYYY-MM-DD.
+ * @param {Date} date - The date.
+ * @returns {string}
+ */
+export function formatDate(date) {
+  return date.toISOString().substring(0, 10);
+}
+
+/**
+ * Returns the Monday of the week containing a date.
+ * @param {string|Date} value - The date.
+ * @returns {string} The week start (YYYY-MM-DD).
+ */
+export function getWeekStart(value) {
+  const date = value instanceof Date ? new Date(value.getTime()) : parseDate(value);
+  const offset = (date.getUTCDay() + 6) % 7;
+  return formatDate(new Date(date.getTime() - offset * DAY_MS));
+}
+
+/**
+ * Counts the weeks from the week containing `from` to the week containing `to`, without
+ * listing them, so a range can be checked before it is walked.
+ * @param {string} from - The first date (YYYY-MM-DD).
+ * @param {string} to - The last date (YYYY-MM-DD).
+ * @returns {number} 0 when `to` is before `from`.
+ */
+export function countWeeks(from, to) {
+  const span = parseDate(getWeekStart(to)).getTime() - parseDate(getWeekStart(from)).getTime();
+  return span < 0 ? 0 : Math.round(span / (7 * DAY_MS)) + 1;
+}
+
+/**
+ * Lists the week starts from the week containing `from` to the week containing `to`.
+ * @param {string} from - The first date (YYYY-MM-DD).
+ * @param {string} to - The last date (YYYY-MM-DD).
+ * @returns {Array<string>} Week starts in order.
+ */
+export function listWeeks(from, to) {
+  const weeks = [];
+  const last = parseDate(getWeekStart(to)).getTime();
+  for (let t = parseDate(getWeekStart(from)).getTime(); t <= last; t += 7 * DAY_MS) {
+    weeks.push(formatDate(new Date(t)));
+  }
+  return weeks;
+}
+
+/**
+ * Spreads an initiative's hours per resource type, contingency buffer included (see
+ * getBufferMultiplier), evenly over the working days between its start and end dates,
+ * and sums them per week.
+ * @param {object} initiative - Initiative with start_date, end_date, estimation_type, base_hours, computed_hours and selected_factors.
+ * @param {object} calendar - The working calendar (see calendar.js).
+ * @returns {Map<string, object>|null} Week start to { rtId: hours }, or null if the initiative cannot be
+ *   scheduled: its dates are missing or reversed, or span more than MAX_SPREAD_DAYS.
+ */
+export function spreadInitiativeDemand(initiative, calendar) {
+  const start = parseDate(initiative.start_date);
+  const end = parseDate(initiative.end_date);
+  if (!start || !end || start > end || end - start > MAX_SPREAD_DAYS * DAY_MS) return null;
+
+  let days = listWorkingDays(calendar, start, end);
+  if (days.length === 0) {
+    // A range without working days still has to be planned somewhere
+    days = [start];
+  }
+
+  const { byResourceType } = computeInitiativeEstimate(initiative.selected_factors, initiative.estimation_type);
+  const bufferMultiplier = getBufferMultiplier(initiative);
+  const byWeek = new Map();
+  for (const day of days) {
+    const week = getWeekStart(day);
+    if (!byWeek.has(week)) byWeek.set(week, {});
+    const weekDemand = byWeek.get(week);
+    for (const [rtId, { expected }] of Object.entries(byResourceType)) {
+      weekDemand[rtId] = (weekDemand[rtId] || 0) + expected * bufferMultiplier / days.length;
+    }
+  }
+  return byWeek;
+}
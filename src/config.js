@@ -0,0 +1,189 @@
+/**
+ * config.js
+ * * Central configuration for paths, the port, logging and estimation defaults.
+ * Values come from environment variables, then an optional JSON config file, then
+ * the defaults below. The config file is ESTIIM_CONFIG, or estiim.config.json in
+ * the project root if it exists; relative paths are resolved against the project root.
+ *
+ *   Setting       Environment            Config file key   Default
+ *   dbPath        ESTIIM_DB_PATH         dbPath            src/estiim.db
+ *   backupDir     ESTIIM_BACKUP_DIR      backupDir         "backups" next to the database
+ *   port          PORT                   port              3000
+ *   logLevel      ESTIIM_LOG_LEVEL       logLevel          info (error, warn, info or debug)
+ *   hoursPerDay   ESTIIM_HOURS_PER_DAY   hoursPerDay       8 (until set in the working calendar)
+ *   timezone      ESTIIM_TIMEZONE        timezone          America/New_York
+ *   locale        ESTIIM_LOCALE          locale            en-US
+ *
+ * The time zone and locale are the defaults for displaying dates; users can choose their own.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+export const PROJECT_ROOT = path.join(__dirname, '..');
+const DEFAULT_CONFIG_FILE = path.join(PROJECT_ROOT, 'estiim.config.json');
+
+export const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+const DEFAULTS = {
+  dbPath: 'src/estiim.db',
+  backupDir: null,
+  port: 3000,
+  logLevel: 'info',
+  hoursPerDay: 8,
+  timezone: 'America/New_York',
+  locale: 'en-US'
+};
+
+// Environment variable for each setting
+const ENV_VARS = {
+  dbPath: 'ESTIIM_DB_PATH',
+  backupDir: 'ESTIIM_BACKUP_DIR',
+  port: 'PORT',
+  logLevel: 'ESTIIM_LOG_LEVEL',
+  hoursPerDay: 'ESTIIM_HOURS_PER_DAY',
+  timezone: 'ESTIIM_TIMEZONE',
+  locale: 'ESTIIM_LOCALE'
+};
+
+let cachedConfig = null;
+
+/**
+ * Reads the JSON config file, if there is one.
+ * @param {object} env - The environment variables.
+ * @returns {{file: string|null, values: object}}
+ */
+function readConfigFile(env) {
+  const file = env.ESTIIM_CONFIG ? path.resolve(PROJECT_ROOT, env.ESTIIM_CONFIG) : DEFAULT_CONFIG_FILE;
+  if (!fs.existsSync(file)) {
+    if (env.ESTIIM_CONFIG) throw new Error(`Config file ${file} (ESTIIM_CONFIG) does not exist.`);
+    return { file: null, values: {} };
+  }
+  let values;
+  try {
+    values = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Config file ${file} is not valid JSON: ${err.message}`);
+  }
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw new Error(`Config file ${file} must contain a JSON object.`);
+  }
+  const unknown = Object.keys(values).filter(key => !(key in DEFAULTS));
+  if (unknown.length > 0) {
+    throw new Error(`Config file ${file} has unknown setting(s): ${unknown.join(', ')}.`);
+  }
+  return { file, values };
+}
+
+/**
+ * Checks whether a string is an IANA time zone the runtime knows, e.g. Europe/Berlin.
+ * @param {string} timezone - The time zone name.
+ * @returns {boolean}
+ */
+export function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Checks whether a string is a BCP 47 locale the runtime can format dates for, e.g. de-DE.
+ * @param {string} locale - The locale tag.
+ * @returns {boolean}
+ */
+export function isValidLocale(locale) {
+  try {
+    return Intl.DateTimeFormat.supportedLocalesOf([locale]).length > 0;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Builds and validates the configuration.
+ * @param {object} [env=process.env] - The environment variables.
+ * @returns {{dbPath: string, backupDir: string, port: number, logLevel: string, hoursPerDay: number, timezone: string, locale: string, configFile: string|null}}
+ * @throws {Error} Listing every invalid setting.
+ */
+export function loadConfig(env = process.env) {
+  const { file, values } = readConfigFile(env);
+  const raw = {};
+  for (const key of Object.keys(DEFAULTS)) {
+    const fromEnv = env[ENV_VARS[key]];
+    raw[key] = fromEnv !== undefined && fromEnv !== '' ? fromEnv : (values[key] ?? DEFAULTS[key]);
+  }
+
+  const errors = [];
+  const port = Number(raw.port);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    errors.push(`port must be a whole number between 1 and 65535 (got "${raw.port}")`);
+  }
+  const logLevel = String(raw.logLevel).toLowerCase();
+  if (!LOG_LEVELS.includes(logLevel)) {
+    errors.push(`logLevel must be one of ${LOG_LEVELS.join(', ')} (got "${raw.logLevel}")`);
+  }
+  const hoursPerDay = Number(raw.hoursPerDay);
+  if (!Number.isFinite(hoursPerDay) || hoursPerDay <= 0 || hoursPerDay > 24) {
+    errors.push(`hoursPerDay must be a number above 0 and at most 24 (got "${raw.hoursPerDay}")`);
+  }
+  if (!isValidTimezone(raw.timezone)) {
+    errors.push(`timezone must be an IANA time zone such as America/New_York (got "${raw.timezone}")`);
+  }
+  if (!isValidLocale(raw.locale)) {
+    errors.push(`locale must be a locale such as en-US or de-DE (got "${raw.locale}")`);
+  }
+  for (const key of ['dbPath', 'backupDir']) {
+    if (raw[key] !== null && (typeof raw[key] !== 'string' || raw[key].trim() === '')) {
+      errors.push(`${key} must be a path`);
+    }
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration${file ? ` (config file ${file})` : ''}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  const dbPath = path.resolve(PROJECT_ROOT, raw.dbPath);
+  return {
+    dbPath,
+    backupDir: raw.backupDir ? path.resolve(PROJECT_ROOT, raw.backupDir) : path.join(path.dirname(dbPath), 'backups'),
+    port,
+    logLevel,
+    hoursPerDay,
+    timezone: raw.timezone,
+    locale: raw.locale,
+    configFile: file
+  };
+}
+
+/**
+ * Returns the configuration, loading it from the environment on first use.
+ * @returns {object} See loadConfig.
+ */
+export function getConfig() {
+  if (!cachedConfig) {
+    cachedConfig = Object.freeze(loadConfig());
+  }
+  return cachedConfig;
+}
+
+/**
+ * Describes the configuration for the startup log.
+ * @param {object} config - See loadConfig.
+ * @returns {string}
+ */
+export function describeConfig(config) {
+  return [
+    `config file ${config.configFile || '(none)'}`,
+    `database ${config.dbPath}`,
+    `backups ${config.backupDir}`,
+    `port ${config.port}`,
+    `log level ${config.logLevel}`,
+    `${config.hoursPerDay} hours per day`,
+    `time zone ${config.timezone}`,
+    `locale ${config.locale}`
+  ].join(', ');
+}
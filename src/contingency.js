@@ -0,0 +1,41 @@
+/**
+ * contingency.js
+ * * Contingency percentages per estimation type and the buffered totals of initiatives.
+ */
+import { applyBuffer } from './estimation.js';
+
+/**
+ * Returns the contingency percentage of every estimation type.
+ * @param {Database} db - The database instance.
+ * @returns {Promise<object>} Map of estimation type to percent.
+ */
+export async function getContingencyRates(db) {
+  const rows = await db.all('SELECT estimation_type, percent FROM contingency_rates');
+  return Object.fromEntries(rows.map(r => [r.estimation_type, r.percent]));
+}
+
+/**
+ * Returns the factor an initiative's contingency buffer scales its expected hours by, from
+ * its stored base and computed hours. Costs and capacity demand are scaled by it so they add
+ * up to computed_hours, as the shirt size does.
+ * @param {object} initiative - An initiatives row with base_hours and computed_hours.
+ * @returns {number} 1 when the initiative has no base hours.
+ */
+export function getBufferMultiplier(initiative) {
+  const base = Number(initiative.base_hours) || 0;
+  return base > 0 ? (Number(initiative.computed_hours) || 0) / base : 1;
+}
+
+/**
+ * Computes the buffered totals to store on an initiative.
+ * @param {Database} db - The database instance.
+ * @param {number} baseHours - The expected hours from the selected factors.
+ * @param {string} estimationType - The initiative's estimation type.
+ * @param {number} [riskAdjustmentPercent=0] - The initiative's risk adjustment.
+ * @returns {Promise<{base_hours: number, buffer_percent: number, buffer_hours: number, computed_hours: number}>}
+ */
+export async function computeBufferedHours(db, baseHours, estimationType, riskAdjustmentPercent = 0) {
+  const row = await db.get('SELECT percent FROM contingency_rates WHERE estimation_type = ?', [estimationType]);
+  const { base, bufferPercent, buffer, total } = applyBuffer(baseHours, row ? row.percent : 0, riskAdjustmentPercent);
+  return { base_hours: base, buffer_percent: bufferPercent, buffer_hours: buffer, computed_hours: total };
+}
@@ -0,0 +1,73 @@
+/**
+ * costs.js
+ * * Effective-dated hourly rates per resource type and the cost of an initiative's
+ * buffered hours at those rates.
+ */
+
+/**
+ * Returns today's date as YYYY-MM-DD.
+ * @returns {string}
+ */
+export function today() {
+  return new Date().toISOString().substring(0, 10);
+}
+
+/**
+ * Returns the rate history of every resource type, oldest first.
+ * @param {Database} db - The database instance.
+ * @returns {Promise<Map<string, Array<{id: number, rate: number, effective_from: string}>>>} Rates keyed by resource type ID.
+ */
+export async function getRateHistory(db) {
+  const rows = await db.all('SELECT id, resource_type_id, rate, effective_from FROM resource_type_rates ORDER BY effective_from');
+  const history = new Map();
+  for (const row of rows) {
+    if (!history.has(row.resource_type_id)) history.set(row.resource_type_id, []);
+    history.get(row.resource_type_id).push({ id: row.id, rate: row.rate, effective_from: row.effective_from });
+  }
+  return history;
+}
+
+/**
+ * Returns the rate in effect on a date. Dates before the first entry use the earliest
+ * known rate, so work planned before rates were recorded is still costed.
+ * @param {Array<{rate: number, effective_from: string}>} rates - The rate history, oldest first.
+ * @param {string} [date] - A YYYY-MM-DD date; defaults to today.
+ * @returns {number|null} The hourly rate, or null if the resource type has no rates.
+ */
+export function getRateOn(rates, date = today()) {
+  if (!rates || rates.length === 0) return null;
+  let rate = rates[0].rate;
+  for (const entry of rates) {
+    if (entry.effective_from <= date) rate = entry.rate;
+  }
+  return rate;
+}
+
+/**
+ * Computes the cost of an initiative's hours per resource type, contingency buffer included
+ * so the hours add up to computed_hours (see getBufferMultiplier).
+ * Rates are taken as of the initiative's start date, or today when it has none.
+ * @param {object} byResourceType - Expected hours per resource type, from computeInitiativeEstimate.
+ * @param {Map<string, Array<object>>} rateHistory - Rates keyed by resource type ID.
+ * @param {string} [date] - The pricing date (YYYY-MM-DD).
+ * @param {number} [bufferMultiplier=1] - Scales the expected hours by the initiative's buffer.
+ * @returns {{total: number, byResourceType: object}} Costs rounded to cents; types without a rate cost 0.
+ *   hours are the buffered hours priced.
+ */
+export function computeInitiativeCost(byResourceType, rateHistory, date, bufferMultiplier = 1) {
+  const pricingDate = date ? String(date).substring(0, 10) : today();
+  let total = 0;
+  const costs = {};
+  for (const [rtId, { expected }] of Object.entries(byResourceType || {})) {
+    const rate = getRateOn(rateHistory.get(rtId), pricingDate);
+    const hours = expected * bufferMultiplier;
+    const cost = hours * (rate || 0);
+    total += cost;
+    costs[rtId] = {
+      hours: parseFloat(hours.toFixed(1)),
+      rate,
+      cost: parseFloat(cost.toFixed(2))
+    };
+  }
+  return { total: parseFloat(total.toFixed(2)), byResourceType: costs };
+}
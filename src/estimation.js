@@ -0,0 +1,230 @@
+/**
+ * estimation.js
+ * * Three-point (PERT) estimation helpers and the server-side resolution of factor
+ * selections against the estimation factor catalog.
+ */
+
+/**
+ * Multipliers applied to the spread of every optimistic/pessimistic range,
+ * keyed by an initiative's estimation type. Lower-confidence estimates widen
+ * the range around the most-likely value, higher-confidence ones narrow it.
+ */
+export const RANGE_MULTIPLIERS = {
+  WAG: 2,
+  Low: 1.5,
+  Medium: 1,
+  High: 0.5
+};
+
+/**
+ * Returns the range multiplier for an estimation type (defaults to 1).
+ * @param {string} estimationType - The initiative's estimation type.
+ * @returns {number} The multiplier.
+ */
+export function getRangeMultiplier(estimationType) {
+  return RANGE_MULTIPLIERS[estimationType] ?? 1;
+}
+
+/**
+ * Normalizes a stored hours value into a three-point estimate.
+ * Legacy single numbers are treated as optimistic = most likely = pessimistic.
+ * @param {number|object} value - A number or an { optimistic, mostLikely, pessimistic } object.
+ * @returns {{optimistic: number, mostLikely: number, pessimistic: number}} The three-point estimate.
+ */
+export function normalizeHoursValue(value) {
+  if (value && typeof value === 'object') {
+    const mostLikely = Number(value.mostLikely) || 0;
+    return {
+      optimistic: value.optimistic === undefined || value.optimistic === null || value.optimistic === '' ? mostLikely : Number(value.optimistic) || 0,
+      mostLikely,
+      pessimistic: value.pessimistic === undefined || value.pessimistic === null || value.pessimistic === '' ? mostLikely : Number(value.pessimistic) || 0
+    };
+  }
+  const hours = Number(value) || 0;
+  return { optimistic: hours, mostLikely: hours, pessimistic: hours };
+}
+
+/**
+ * Normalizes every entry of a factor's hoursPerResourceType map.
+ * @param {object} hoursPerResourceType - Map of resource type ID to hours value.
+ * @returns {object} Map of resource type ID to three-point estimate.
+ */
+export function normalizeHoursPerResourceType(hoursPerResourceType) {
+  const normalized = {};
+  for (const [rtId, value] of Object.entries(hoursPerResourceType || {})) {
+    normalized[rtId] = normalizeHoursValue(value);
+  }
+  return normalized;
+}
+
+/**
+ * Adds two hours values together point by point.
+ * @param {number|object} a - The first hours value.
+ * @param {number|object} b - The second hours value.
+ * @returns {{optimistic: number, mostLikely: number, pessimistic: number}} The summed three-point estimate.
+ */
+export function addHoursValues(a, b) {
+  const x = normalizeHoursValue(a);
+  const y = normalizeHoursValue(b);
+  return {
+    optimistic: x.optimistic + y.optimistic,
+    mostLikely: x.mostLikely + y.mostLikely,
+    pessimistic: x.pessimistic + y.pessimistic
+  };
+}
+
+/**
+ * Validates a hoursPerResourceType map.
+ * @param {object} hoursPerResourceType - Map of resource type ID to hours value.
+ * @returns {string|null} An error message, or null if the map is valid.
+ */
+export function validateHoursPerResourceType(hoursPerResourceType) {
+  for (const [rtId, value] of Object.entries(normalizeHoursPerResourceType(hoursPerResourceType))) {
+    const { optimistic, mostLikely, pessimistic } = value;
+    if (optimistic < 0 || mostLikely < 0 || pessimistic < 0) {
+      return `Hours for resource type ${rtId} must not be negative.`;
+    }
+    if (optimistic > mostLikely || mostLikely > pessimistic) {
+      return `Hours for resource type ${rtId} must satisfy optimistic <= most likely <= pessimistic.`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Computes the PERT expected value and variance of a single three-point estimate.
+ * The optimistic/pessimistic spread is scaled by the range multiplier.
+ * @param {number|object} value - The hours value.
+ * @param {number} [multiplier=1] - The range multiplier.
+ * @returns {{optimistic: number, mostLikely: number, pessimistic: number, expected: number, variance: number}}
+ */
+export function computePert(value, multiplier = 1) {
+  const { optimistic, mostLikely, pessimistic } = normalizeHoursValue(value);
+  const o = Math.max(0, mostLikely - (mostLikely - optimistic) * multiplier);
+  const p = mostLikely + (pessimistic - mostLikely) * multiplier;
+  const expected = (o + 4 * mostLikely + p) / 6;
+  const stdDev = (p - o) / 6;
+  return { optimistic: o, mostLikely, pessimistic: p, expected, variance: stdDev * stdDev };
+}
+
+/**
+ * Computes the expected hours and standard deviation for a set of selected factors.
+ * Each unit of quantity is treated as an independent task, so variances are summed.
+ * @param {Array<object>} selectedFactors - Entries with quantity and hoursPerResourceType.
+ * @param {string} estimationType - The initiative's estimation type.
+ * @returns {{expected: number, stdDev: number, byResourceType: object}} Totals rounded to one decimal.
+ */
+export function computeInitiativeEstimate(selectedFactors, estimationType) {
+  const multiplier = getRangeMultiplier(estimationType);
+  let expected = 0;
+  let variance = 0;
+  const byResourceType = {};
+
+  for (const factor of selectedFactors || []) {
+    const quantity = factor.quantity || 1;
+    for (const [rtId, value] of Object.entries(factor.hoursPerResourceType || {})) {
+      const pert = computePert(value, multiplier);
+      expected += pert.expected * quantity;
+      variance += pert.variance * quantity;
+      if (!byResourceType[rtId]) byResourceType[rtId] = { expected: 0, variance: 0 };
+      byResourceType[rtId].expected += pert.expected * quantity;
+      byResourceType[rtId].variance += pert.variance * quantity;
+    }
+  }
+
+  return {
+    expected: parseFloat(expected.toFixed(1)),
+    stdDev: parseFloat(Math.sqrt(variance).toFixed(1)),
+    byResourceType
+  };
+}
+
+/**
+ * Resolves client-submitted factor selections against the estimation factor catalog.
+ * Only factorId and quantity are taken from the client; name and hours are copied from
+ * the catalog into an explicit snapshot so the stored initiative records the values used.
+ * Unchanged selections keep their stored snapshot; new or re-quantified ones are re-read.
+ * @param {Database} db - The database instance.
+ * @param {Array<object>} selectedFactors - Entries with factorId (or name, for a purged factor) and quantity.
+ * @param {object} [options={}]
+ * @param {object} [options.overrides={}] - Map of factor ID to proposed hoursPerResourceType, used for impact previews.
+ * @param {Array<object>} [options.existing=[]] - The initiative's stored snapshot (see getInitiativeFactors).
+ * @param {boolean} [options.reprice=false] - Re-resolve every factor still in the catalog, even with the same quantity.
+ * @returns {Promise<{snapshot: Array<object>, error: string|null}>} The snapshot, or an error message.
+ */
+export async function resolveSelectedFactors(db, selectedFactors, { overrides = {}, existing = [], reprice = false } = {}) {
+  if (selectedFactors === undefined || selectedFactors === null) {
+    return { snapshot: [], error: null };
+  }
+  if (!Array.isArray(selectedFactors)) {
+    return { snapshot: [], error: 'selected_factors must be an array.' };
+  }
+
+  const snapshot = [];
+  const seen = new Set();
+  const resolvedAt = new Date().toISOString();
+  for (const selection of selectedFactors) {
+    const factorId = selection?.factorId || null;
+    const stored = existing.find(f => (factorId ? f.factorId === factorId : !f.factorId && f.name === selection?.name));
+    if (!factorId && !stored) {
+      const error = selection?.name
+        ? `Estimation factor "${selection.name}" no longer exists; remove it from the selection.`
+        : 'Each selected factor requires a factorId.';
+      return { snapshot: [], error };
+    }
+    const key = factorId || `name:${stored.name}`;
+    if (seen.has(key)) {
+      return { snapshot: [], error: `Factor ${factorId || stored.name} is selected more than once.` };
+    }
+    seen.add(key);
+
+    const quantity = selection.quantity === undefined ? 1 : Number(selection.quantity);
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+      return { snapshot: [], error: `Quantity for factor ${factorId || stored.name} must be a positive number.` };
+    }
+
+    if (stored && stored.quantity === quantity && !reprice && !(factorId && overrides[factorId])) {
+      snapshot.push({ ...stored });
+      continue;
+    }
+    const factor = factorId
+      ? await db.get('SELECT id, name, hours_per_resource_type FROM estimation_factors WHERE id = ? AND deleted_at IS NULL', [factorId])
+      : null;
+    if (!factor) {
+      if (stored) {
+        snapshot.push({ ...stored, quantity });
+        continue;
+      }
+      return { snapshot: [], error: `Estimation factor ${factorId} does not exist or is in the Trash.` };
+    }
+
+    snapshot.push({
+      factorId: factor.id,
+      quantity,
+      name: factor.name,
+      hoursPerResourceType: normalizeHoursPerResourceType(overrides[factor.id] ?? JSON.parse(factor.hours_per_resource_type || '{}')),
+      resolved_at: resolvedAt
+    });
+  }
+  return { snapshot, error: null };
+}
+
+/**
+ * Applies a contingency buffer to base hours. The buffer percentage is the contingency
+ * for the estimation type plus the initiative's risk adjustment, and is never negative.
+ * @param {number} baseHours - The expected hours before any buffer.
+ * @param {number} contingencyPercent - Contingency for the initiative's estimation type.
+ * @param {number} [riskAdjustmentPercent=0] - Per-initiative adjustment in percentage points.
+ * @returns {{base: number, bufferPercent: number, buffer: number, total: number}} Hours rounded to one decimal.
+ */
+export function applyBuffer(baseHours, contingencyPercent, riskAdjustmentPercent = 0) {
+  const bufferPercent = Math.max(0, (Number(contingencyPercent) || 0) + (Number(riskAdjustmentPercent) || 0));
+  const base = Number(baseHours) || 0;
+  const buffer = base * bufferPercent / 100;
+  return {
+    base: parseFloat(base.toFixed(1)),
+    bufferPercent,
+    buffer: parseFloat(buffer.toFixed(1)),
+    total: parseFloat((base + buffer).toFixed(1))
+  };
+}
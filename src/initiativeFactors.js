@@ -0,0 +1,99 @@
+/**
+ * initiativeFactors.js
+ * * Reads and writes the initiative_factors table, which holds the factors selected for
+ * each initiative together with the snapshot of factor values used to price it.
+ */
+import { computeInitiativeEstimate, normalizeHoursPerResourceType, resolveSelectedFactors } from './estimation.js';
+
+/**
+ * Converts a stored initiative_factors row into the API selected-factor shape.
+ * @param {object} row - An initiative_factors row.
+ * @returns {object} The selected factor.
+ */
+export function parseInitiativeFactorRow(row) {
+  const selected = {
+    factorId: row.factor_id,
+    quantity: row.quantity,
+    name: row.name,
+    hoursPerResourceType: normalizeHoursPerResourceType(JSON.parse(row.hours_per_resource_type || '{}'))
+  };
+  if (row.resolved_at) selected.resolved_at = row.resolved_at;
+  return selected;
+}
+
+/**
+ * Returns the selected factors of an initiative in their saved order.
+ * @param {Database} db - The database instance.
+ * @param {number} initiativeId - The ID of the initiative.
+ * @returns {Promise<Array<object>>} The selected factors.
+ */
+export async function getInitiativeFactors(db, initiativeId) {
+  const rows = await db.all(
+    'SELECT * FROM initiative_factors WHERE initiative_id = ? ORDER BY position, id',
+    [initiativeId]
+  );
+  return rows.map(parseInitiativeFactorRow);
+}
+
+/**
+ * Returns the selected factors of every initiative, or of only the given initiatives,
+ * grouped by initiative ID.
+ * @param {Database} db - The database instance.
+ * @param {Array<number>} [initiativeIds] - The initiatives to load; all of them when omitted.
+ * @returns {Promise<Map<number, Array<object>>>} Selected factors keyed by initiative ID.
+ */
+export async function getAllInitiativeFactors(db, initiativeIds) {
+  if (initiativeIds && initiativeIds.length === 0) return new Map();
+  const filter = initiativeIds ? `WHERE initiative_id IN (${initiativeIds.map(() => '?').join(', ')})` : '';
+  const rows = await db.all(`SELECT * FROM initiative_factors ${filter} ORDER BY initiative_id, position, id`, initiativeIds || []);
+  const byInitiative = new Map();
+  for (const row of rows) {
+    if (!byInitiative.has(row.initiative_id)) byInitiative.set(row.initiative_id, []);
+    byInitiative.get(row.initiative_id).push(parseInitiativeFactorRow(row));
+  }
+  return byInitiative;
+}
+
+/**
+ * Replaces the selected factors of an initiative with a new snapshot.
+ * @param {Database} db - The database instance.
+ * @param {number} initiativeId - The ID of the initiative.
+ * @param {Array<object>} selectedFactors - Entries with factorId, quantity, name and hoursPerResourceType.
+ */
+export async function replaceInitiativeFactors(db, initiativeId, selectedFactors) {
+  await db.run('DELETE FROM initiative_factors WHERE initiative_id = ?', [initiativeId]);
+  let position = 0;
+  for (const factor of selectedFactors || []) {
+    await db.run(
+      `INSERT INTO initiative_factors (initiative_id, factor_id, quantity, name, hours_per_resource_type, resolved_at, position)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        initiativeId,
+        factor.factorId || null,
+        factor.quantity || 1,
+        factor.name || null,
+        JSON.stringify(factor.hoursPerResourceType || {}),
+        factor.resolved_at || null,
+        position++
+      ]
+    );
+  }
+}
+
+/**
+ * Recomputes an initiative's estimate against the current factor catalog. Factors in the
+ * Trash or purged keep their snapshot.
+ * @param {Database} db - The database instance.
+ * @param {object} initiative - An initiatives row.
+ * @param {object} [overrides={}] - Map of factor ID to proposed hoursPerResourceType.
+ * @returns {Promise<{oldSnapshot: Array<object>, snapshot: Array<object>, estimate: object, error: string|null}>}
+ *   The stored snapshot, and the repriced snapshot and estimate.
+ */
+export async function repriceInitiative(db, initiative, overrides = {}) {
+  const selections = await getInitiativeFactors(db, initiative.id);
+  const { snapshot, error } = await resolveSelectedFactors(db, selections, { overrides, existing: selections, reprice: true });
+  if (error) {
+    return { oldSnapshot: selections, snapshot: [], estimate: null, error };
+  }
+  return { oldSnapshot: selections, snapshot, estimate: computeInitiativeEstimate(snapshot, initiative.estimation_type), error: null };
+}
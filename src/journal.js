@@ -0,0 +1,169 @@
+/**
+ * journal.js
+ * * Reads and writes the journals of initiatives and estimation factors. Comments are
+ * stored in the journal_entries table; audit entries come from audit_events (see audit.js)
+ * and are merged in when a journal is read.
+ */
+import { getAuditEvents, getAuditEventsByEntity, recordAuditEvent, toJournalEntry } from './audit.js';
+import { logger } from './logger.js';
+
+// Columns stored directly; any other entry field is kept in the details JSON column
+const ENTRY_COLUMNS = ['timestamp', 'type', 'action', 'text', 'note', 'old_data', 'new_data', 'author_id', 'author_name'];
+
+// Maps a journal owner to its foreign key column
+const OWNER_COLUMNS = {
+  initiative: 'initiative_id',
+  estimation_factor: 'estimation_factor_id'
+};
+
+// Maps a journal owner to its table
+const OWNER_TABLES = {
+  initiative: 'initiatives',
+  estimation_factor: 'estimation_factors'
+};
+
+// Sorts journal entries oldest first
+const byTimestamp = (a, b) => a.timestamp.localeCompare(b.timestamp);
+
+/**
+ * Converts a stored journal row into the API entry shape.
+ * @param {object} row - A journal_entries row.
+ * @returns {object} The journal entry.
+ */
+export function parseJournalRow(row) {
+  const entry = { id: row.id, timestamp: row.timestamp, type: row.type };
+  if (row.action !== null) entry.action = row.action;
+  if (row.text !== null) entry.text = row.text;
+  if (row.note !== null) entry.note = row.note;
+  if (row.author_id !== null) entry.author_id = row.author_id;
+  if (row.author_name !== null) entry.author_name = row.author_name;
+  for (const key of ['old_data', 'new_data']) {
+    if (row[key] === null) continue;
+    try {
+      entry[key] = JSON.parse(row[key]);
+    } catch (e) {
+      logger.error("Error parsing audit data in journal entry:", e);
+      entry[key] = {};
+    }
+  }
+  return { ...JSON.parse(row.details || '{}'), ...entry };
+}
+
+/**
+ * Returns the journal of an initiative or estimation factor in chronological order:
+ * its comments together with its audit events.
+ * @param {Database} db - The database instance.
+ * @param {'initiative'|'estimation_factor'} ownerType - The kind of record that owns the journal.
+ * @param {number|string} ownerId - The ID of the owning record.
+ * @returns {Promise<Array<object>>} The journal entries.
+ */
+export async function getJournalEntries(db, ownerType, ownerId) {
+  const rows = await db.all(
+    `SELECT * FROM journal_entries WHERE ${OWNER_COLUMNS[ownerType]} = ? ORDER BY timestamp, id`,
+    [ownerId]
+  );
+  const { events } = await getAuditEvents(db, { entityTypes: [ownerType], entityId: ownerId });
+  // getAuditEvents returns newest first; reverse so same-timestamp events keep their order
+  return [...rows.map(parseJournalRow), ...events.reverse().map(toJournalEntry)].sort(byTimestamp);
+}
+
+/**
+ * Appends a comment to the journal of an initiative or estimation factor.
+ * Audit entries are recorded with recordAuditEvent instead.
+ * @param {Database} db - The database instance.
+ * @param {'initiative'|'estimation_factor'} ownerType - The kind of record that owns the journal.
+ * @param {number|string} ownerId - The ID of the owning record.
+ * @param {object} entry - The journal entry (timestamp, type, action, text, note, old_data, new_data, ...).
+ * @returns {Promise<number>} The ID of the new row.
+ */
+export async function addJournalEntry(db, ownerType, ownerId, entry) {
+  const details = {};
+  for (const [key, value] of Object.entries(entry)) {
+    if (key !== 'id' && !ENTRY_COLUMNS.includes(key)) details[key] = value;
+  }
+  const serialize = (value) => {
+    if (value === undefined || value === null) return null;
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  };
+
+  const result = await db.run(
+    `INSERT INTO journal_entries (${OWNER_COLUMNS[ownerType]}, timestamp, type, action, text, note, old_data, new_data, details, author_id, author_name)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      ownerId,
+      entry.timestamp || new Date().toISOString(),
+      entry.type || 'comment',
+      entry.action ?? null,
+      entry.text ?? null,
+      entry.note ?? null,
+      serialize(entry.old_data),
+      serialize(entry.new_data),
+      Object.keys(details).length > 0 ? JSON.stringify(details) : null,
+      entry.author_id ?? null,
+      entry.author_name ?? null
+    ]
+  );
+  return result.lastID;
+}
+
+/**
+ * Stores the entries of a client-submitted journal that have not been saved yet.
+ * Entries that already carry an ID are stored rows and are never rewritten.
+ * New comments are stored as comments; of client-made audit entries only
+ * duplicated_from is accepted, and it is recorded as an audit event.
+ * The author and timestamp always come from the session and the server clock,
+ * never from the submitted entry.
+ * @param {Database} db - The database instance.
+ * @param {'initiative'|'estimation_factor'} ownerType - The kind of record that owns the journal.
+ * @param {number|string} ownerId - The ID of the owning record.
+ * @param {Array<object>} entries - The submitted journal entries.
+ * @param {object|null} user - The signed-in user (req.user).
+ */
+export async function addNewJournalEntries(db, ownerType, ownerId, entries, user) {
+  const now = new Date().toISOString();
+  for (const entry of Array.isArray(entries) ? entries : []) {
+    if (!entry || entry.id) continue;
+    if (entry.type === 'audit') {
+      if (entry.action !== 'duplicated_from') continue;
+      const owner = await db.get(`SELECT name FROM ${OWNER_TABLES[ownerType]} WHERE id = ?`, [ownerId]);
+      await recordAuditEvent(db, {
+        entityType: ownerType, entityId: ownerId, entityName: owner?.name, action: 'duplicated_from', actor: user,
+        note: `Duplicated from ${entry.original_name}`, details: { original_name: entry.original_name }
+      });
+    } else {
+      await addJournalEntry(db, ownerType, ownerId, {
+        timestamp: now, type: 'comment', text: entry.text,
+        author_id: user?.id ?? null, author_name: user ? (user.display_name || user.username) : null
+      });
+    }
+  }
+}
+
+/**
+ * Returns the journals of every initiative or every estimation factor, or of only the
+ * given owners, grouped by owner ID.
+ * @param {Database} db - The database instance.
+ * @param {'initiative'|'estimation_factor'} ownerType - The kind of record that owns the journals.
+ * @param {Array<number|string>} [ownerIds] - The owners to load; all of them when omitted.
+ * @returns {Promise<Map<number|string, Array<object>>>} Journal entries keyed by owner ID.
+ */
+export async function getAllJournalEntries(db, ownerType, ownerIds) {
+  if (ownerIds && ownerIds.length === 0) return new Map();
+  const column = OWNER_COLUMNS[ownerType];
+  const filter = ownerIds ? `AND ${column} IN (${ownerIds.map(() => '?').join(', ')})` : '';
+  const rows = await db.all(`SELECT * FROM journal_entries WHERE ${column} IS NOT NULL ${filter} ORDER BY timestamp, id`, ownerIds || []);
+  const byOwner = new Map();
+  for (const row of rows) {
+    if (!byOwner.has(row[column])) byOwner.set(row[column], []);
+    byOwner.get(row[column]).push(parseJournalRow(row));
+  }
+  // audit_events stores IDs as text; initiative IDs are integers
+  const toOwnerId = ownerType === 'initiative' ? Number : String;
+  for (const [entityId, events] of await getAuditEventsByEntity(db, ownerType, ownerIds)) {
+    const ownerId = toOwnerId(entityId);
+    if (!byOwner.has(ownerId)) byOwner.set(ownerId, []);
+    byOwner.get(ownerId).push(...events.map(toJournalEntry));
+  }
+  for (const entries of byOwner.values()) entries.sort(byTimestamp);
+  return byOwner;
+}
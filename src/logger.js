@@ -0,0 +1,30 @@
+/**
+ * logger.js
+ * * Console logging filtered by the configured log level (see config.js). Messages are
+ * prefixed with their level, e.g. "INFO: Database backed up to: ...".
+ */
+import { LOG_LEVELS, getConfig } from './config.js';
+
+/**
+ * Checks whether messages of a level are written at the configured log level.
+ * Everything is written while the configuration cannot be loaded, so that the
+ * error reporting an invalid configuration is not lost.
+ * @param {string} level - One of LOG_LEVELS.
+ * @returns {boolean}
+ */
+function isEnabled(level) {
+  let logLevel;
+  try {
+    logLevel = getConfig().logLevel;
+  } catch {
+    return true;
+  }
+  return LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(logLevel);
+}
+
+export const logger = {
+  error: (message, ...args) => { if (isEnabled('error')) console.error(`ERROR: ${message}`, ...args); },
+  warn: (message, ...args) => { if (isEnabled('warn')) console.warn(`WARN: ${message}`, ...args); },
+  info: (message, ...args) => { if (isEnabled('info')) console.log(`INFO: ${message}`, ...args); },
+  debug: (message, ...args) => { if (isEnabled('debug')) console.log(`DEBUG: ${message}`, ...args); }
+};
@@ -0,0 +1,59 @@
+/**
+ * migrate.js
+ * * Command-line entry point for schema migrations.
+ *
+ * Usage:
+ *   npm run migrate                 Back up the database if needed and apply pending migrations.
+ *   npm run migrate -- status       List migrations and whether they have been applied.
+ *   npm run migrate -- --dry-run    Run pending migrations in a transaction and roll it back.
+ */
+import { openDatabase } from './database.js';
+import { getMigrationStatus, migrate } from './migrator.js';
+import { backupBeforeMigrating } from './backups.js';
+import { logger } from './logger.js';
+
+async function main() {
+  const args = process.argv.slice(2);
+  const command = args.find(a => !a.startsWith('--')) || 'up';
+  const dryRun = args.includes('--dry-run');
+
+  if (!['up', 'status'].includes(command)) {
+    logger.error(`Unknown command "${command}". Use "status", or no command to migrate.`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const db = await openDatabase();
+  try {
+    if (command === 'status') {
+      const status = await getMigrationStatus(db);
+      for (const m of status) {
+        const state = m.applied_at ? `applied ${m.applied_at}` : 'pending';
+        console.log(`${String(m.version).padStart(3, '0')}  ${m.name.padEnd(40)} ${state}`);
+      }
+      const pending = status.filter(m => !m.applied_at).length;
+      console.log(`${status.length - pending} applied, ${pending} pending.`);
+      return;
+    }
+
+    if (!dryRun) {
+      await backupBeforeMigrating(db);
+    }
+
+    const applied = await migrate(db, { dryRun });
+    if (applied.length === 0) {
+      logger.info('Schema is up to date.');
+    } else if (dryRun) {
+      logger.info(`Dry run succeeded; ${applied.length} migration(s) would be applied. No changes were saved.`);
+    } else {
+      logger.info(`Applied ${applied.length} migration(s).`);
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+main().catch(err => {
+  logger.error('Migration failed:', err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,86 @@
+/**
+ * migrations/001_initial_schema.js
+ * * The schema as it was before versioned migrations were introduced. Statements use
+ * IF NOT EXISTS so databases created by earlier releases adopt this version unchanged.
+ */
+import { logger } from '../logger.js';
+
+export const description = 'Initial schema and default shirt sizes';
+
+/**
+ * @param {Database} db - The database instance.
+ */
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS initiatives (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      custom_id TEXT,
+      description TEXT,
+      priority TEXT,
+      priority_num INTEGER,
+      status TEXT,
+      estimation_type TEXT,
+      classification TEXT,
+      scope TEXT,
+      out_of_scope TEXT,
+      selected_factors TEXT,
+      computed_hours REAL,
+      shirt_size TEXT,
+      journal_entries TEXT,
+      start_date TEXT,
+      end_date TEXT,
+      created_at TEXT,
+      updated_at TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS resource_types (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL UNIQUE,
+      description TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS estimation_factors (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL UNIQUE,
+      description TEXT,
+      hours_per_resource_type TEXT,
+      journal_entries TEXT,
+      created_at TEXT,
+      updated_at TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS estimation_factor_audit (
+      id TEXT PRIMARY KEY,
+      action TEXT NOT NULL,
+      old_data TEXT,
+      new_data TEXT,
+      timestamp TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS shirt_sizes (
+      size TEXT PRIMARY KEY,
+      threshold_hours REAL NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS shirt_size_audit (
+      id TEXT PRIMARY KEY,
+      action TEXT NOT NULL,
+      old_data TEXT,
+      new_data TEXT,
+      timestamp TEXT NOT NULL
+    );
+  `);
+
+  // Seed default shirt sizes if table is empty
+  const existingSizes = await db.all('SELECT * FROM shirt_sizes');
+  if (existingSizes.length === 0) {
+    await db.run('INSERT INTO shirt_sizes (size, threshold_hours) VALUES (?, ?)', ['XS', 0]);
+    await db.run('INSERT INTO shirt_sizes (size, threshold_hours) VALUES (?, ?)', ['S', 40]);
+    await db.run('INSERT INTO shirt_sizes (size, threshold_hours) VALUES (?, ?)', ['M', 80]);
+    await db.run('INSERT INTO shirt_sizes (size, threshold_hours) VALUES (?, ?)', ['L', 160]);
+    await db.run('INSERT INTO shirt_sizes (size, threshold_hours) VALUES (?, ?)', ['XL', 320]);
+    await db.run('INSERT INTO shirt_sizes (size, threshold_hours) VALUES (?, ?)', ['XXL', 640]);
+    logger.info('Default shirt sizes seeded.');
+  }
+}
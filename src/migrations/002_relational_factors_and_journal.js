@@ -0,0 +1,147 @@
+/**
+ * migrations/002_relational_factors_and_journal.js
+ * * Moves the selected_factors and journal_entries JSON columns into the initiative_factors
+ * and journal_entries tables. Selections of factors that no longer exist are kept with a
+ * NULL factor_id so the snapshot is not lost.
+ */
+import { logger } from '../logger.js';
+
+export const description = 'Store selected factors and journal entries in their own tables';
+
+// Columns stored directly; any other entry field is kept in the details JSON column
+const ENTRY_COLUMNS = ['id', 'timestamp', 'type', 'action', 'text', 'note', 'old_data', 'new_data'];
+
+/**
+ * Returns true if a table has a column with the given name.
+ * @param {Database} db - The database instance.
+ * @param {string} table - The table name.
+ * @param {string} column - The column name.
+ * @returns {Promise<boolean>}
+ */
+async function hasColumn(db, table, column) {
+  const columns = await db.all(`PRAGMA table_info(${table})`);
+  return columns.some(c => c.name === column);
+}
+
+/**
+ * Parses a JSON array column, treating anything unreadable as empty.
+ * @param {string} value - The stored JSON.
+ * @returns {Array<object>}
+ */
+function parseJsonArray(value) {
+  try {
+    const parsed = JSON.parse(value || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Copies a legacy journal entry into the journal_entries table.
+ * @param {Database} db - The database instance.
+ * @param {string} ownerColumn - initiative_id or estimation_factor_id.
+ * @param {number|string} ownerId - The ID of the owning record.
+ * @param {object} entry - The legacy journal entry.
+ */
+async function insertJournalEntry(db, ownerColumn, ownerId, entry) {
+  const details = {};
+  for (const [key, value] of Object.entries(entry)) {
+    if (!ENTRY_COLUMNS.includes(key)) details[key] = value;
+  }
+  const serialize = (value) => {
+    if (value === undefined || value === null) return null;
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  };
+  await db.run(
+    `INSERT INTO journal_entries (${ownerColumn}, timestamp, type, action, text, note, old_data, new_data, details)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      ownerId,
+      entry.timestamp || new Date().toISOString(),
+      entry.type || 'comment',
+      entry.action ?? null,
+      entry.text ?? null,
+      entry.note ?? null,
+      serialize(entry.old_data),
+      serialize(entry.new_data),
+      Object.keys(details).length > 0 ? JSON.stringify(details) : null
+    ]
+  );
+}
+
+/**
+ * @param {Database} db - The database instance.
+ */
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS initiative_factors (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      initiative_id INTEGER NOT NULL REFERENCES initiatives(id) ON DELETE CASCADE,
+      factor_id TEXT REFERENCES estimation_factors(id) ON DELETE RESTRICT,
+      quantity REAL NOT NULL DEFAULT 1,
+      name TEXT,
+      hours_per_resource_type TEXT,
+      resolved_at TEXT,
+      position INTEGER NOT NULL DEFAULT 0,
+      UNIQUE (initiative_id, factor_id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_initiative_factors_factor ON initiative_factors(factor_id);
+
+    CREATE TABLE IF NOT EXISTS journal_entries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      initiative_id INTEGER REFERENCES initiatives(id) ON DELETE CASCADE,
+      estimation_factor_id TEXT REFERENCES estimation_factors(id) ON DELETE CASCADE,
+      timestamp TEXT NOT NULL,
+      type TEXT NOT NULL,
+      action TEXT,
+      text TEXT,
+      note TEXT,
+      old_data TEXT,
+      new_data TEXT,
+      details TEXT,
+      CHECK ((initiative_id IS NULL) <> (estimation_factor_id IS NULL))
+    );
+    CREATE INDEX IF NOT EXISTS idx_journal_entries_initiative ON journal_entries(initiative_id, timestamp);
+    CREATE INDEX IF NOT EXISTS idx_journal_entries_factor ON journal_entries(estimation_factor_id, timestamp);
+    CREATE INDEX IF NOT EXISTS idx_journal_entries_timestamp ON journal_entries(timestamp);
+  `);
+
+  const factorIds = new Set((await db.all('SELECT id FROM estimation_factors')).map(f => f.id));
+
+  if (await hasColumn(db, 'initiatives', 'selected_factors')) {
+    const rows = await db.all('SELECT id, selected_factors, journal_entries FROM initiatives');
+    for (const row of rows) {
+      const seen = new Set();
+      let position = 0;
+      for (const sf of parseJsonArray(row.selected_factors)) {
+        const factorId = factorIds.has(sf.factorId) ? sf.factorId : null;
+        if (factorId && seen.has(factorId)) {
+          logger.warn(`Skipping duplicate factor ${factorId} on initiative ${row.id}.`);
+          continue;
+        }
+        if (factorId) seen.add(factorId);
+        await db.run(
+          `INSERT INTO initiative_factors (initiative_id, factor_id, quantity, name, hours_per_resource_type, resolved_at, position)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [row.id, factorId, sf.quantity || 1, sf.name || null, JSON.stringify(sf.hoursPerResourceType || {}), sf.resolved_at || null, position++]
+        );
+      }
+      for (const entry of parseJsonArray(row.journal_entries)) {
+        await insertJournalEntry(db, 'initiative_id', row.id, entry);
+      }
+    }
+    await db.exec('ALTER TABLE initiatives DROP COLUMN selected_factors');
+    await db.exec('ALTER TABLE initiatives DROP COLUMN journal_entries');
+  }
+
+  if (await hasColumn(db, 'estimation_factors', 'journal_entries')) {
+    const rows = await db.all('SELECT id, journal_entries FROM estimation_factors');
+    for (const row of rows) {
+      for (const entry of parseJsonArray(row.journal_entries)) {
+        await insertJournalEntry(db, 'estimation_factor_id', row.id, entry);
+      }
+    }
+    await db.exec('ALTER TABLE estimation_factors DROP COLUMN journal_entries');
+  }
+}
@@ -0,0 +1,29 @@
+/**
+ * migrations/003_resource_type_rates.js
+ * * Adds effective-dated hourly rates for resource types and a key/value settings table
+ * holding workspace-wide settings such as the currency.
+ */
+
+export const description = 'Hourly rate history per resource type and workspace settings';
+
+/**
+ * @param {Database} db - The database instance.
+ */
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE resource_type_rates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      resource_type_id TEXT NOT NULL REFERENCES resource_types(id) ON DELETE CASCADE,
+      rate REAL NOT NULL CHECK (rate >= 0),
+      effective_from TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      UNIQUE (resource_type_id, effective_from)
+    );
+
+    CREATE TABLE settings (
+      key TEXT PRIMARY KEY,
+      value TEXT
+    );
+  `);
+  await db.run("INSERT INTO settings (key, value) VALUES ('currency', 'USD')");
+}
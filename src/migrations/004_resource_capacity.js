@@ -0,0 +1,24 @@
+/**
+ * migrations/004_resource_capacity.js
+ * * Adds weekly available hours per resource type for capacity planning.
+ */
+
+export const description = 'Weekly capacity per resource type';
+
+/**
+ * @param {Database} db - The database instance.
+ */
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE resource_capacity (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      resource_type_id TEXT NOT NULL REFERENCES resource_types(id) ON DELETE CASCADE,
+      week_start TEXT NOT NULL,
+      headcount REAL NOT NULL CHECK (headcount >= 0),
+      hours_per_person REAL NOT NULL CHECK (hours_per_person >= 0),
+      updated_at TEXT NOT NULL,
+      UNIQUE (resource_type_id, week_start)
+    );
+    CREATE INDEX idx_resource_capacity_week ON resource_capacity(week_start);
+  `);
+}
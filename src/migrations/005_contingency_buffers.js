@@ -0,0 +1,30 @@
+/**
+ * migrations/005_contingency_buffers.js
+ * * Adds contingency percentages per estimation type and a per-initiative risk adjustment.
+ * Initiatives now store base hours and buffer hours; computed_hours remains the total.
+ * Contingency starts at 0% so existing totals and shirt sizes are unchanged.
+ */
+
+export const description = 'Contingency per estimation type and per-initiative risk buffers';
+
+/**
+ * @param {Database} db - The database instance.
+ */
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE contingency_rates (
+      estimation_type TEXT PRIMARY KEY,
+      percent REAL NOT NULL DEFAULT 0
+    );
+
+    ALTER TABLE initiatives ADD COLUMN base_hours REAL;
+    ALTER TABLE initiatives ADD COLUMN buffer_hours REAL NOT NULL DEFAULT 0;
+    ALTER TABLE initiatives ADD COLUMN risk_adjustment_percent REAL NOT NULL DEFAULT 0;
+    ALTER TABLE initiatives ADD COLUMN risk_justification TEXT;
+
+    UPDATE initiatives SET base_hours = computed_hours;
+  `);
+  for (const estimationType of ['WAG', 'Low', 'Medium', 'High']) {
+    await db.run('INSERT INTO contingency_rates (estimation_type, percent) VALUES (?, 0)', [estimationType]);
+  }
+}
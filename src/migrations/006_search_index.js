@@ -0,0 +1,39 @@
+/**
+ * migrations/006_search_index.js
+ * * Adds the search_index FTS5 table used by GET /api/search and the initiatives list filter,
+ * and fills it from the existing initiatives and estimation factors. src/search.js keeps it in sync.
+ */
+
+export const description = 'Full-text search index over initiatives and estimation factors';
+
+/**
+ * @param {Database} db - The database instance.
+ */
+export async function up(db) {
+  await db.exec(`
+    CREATE VIRTUAL TABLE search_index USING fts5(
+      entity_type UNINDEXED,
+      entity_id UNINDEXED,
+      name,
+      custom_id,
+      description,
+      scope,
+      out_of_scope,
+      factors,
+      comments,
+      tokenize = 'porter unicode61',
+      prefix = '2 3'
+    );
+
+    INSERT INTO search_index (entity_type, entity_id, name, custom_id, description, scope, out_of_scope, factors, comments)
+    SELECT 'initiative', i.id, i.name, i.custom_id, i.description, i.scope, i.out_of_scope,
+      (SELECT group_concat(f.name, ' ') FROM initiative_factors f WHERE f.initiative_id = i.id),
+      (SELECT group_concat(j.text, ' ') FROM journal_entries j WHERE j.initiative_id = i.id AND j.type = 'comment')
+    FROM initiatives i;
+
+    INSERT INTO search_index (entity_type, entity_id, name, custom_id, description, scope, out_of_scope, factors, comments)
+    SELECT 'estimation_factor', e.id, e.name, NULL, e.description, NULL, NULL, NULL,
+      (SELECT group_concat(j.text, ' ') FROM journal_entries j WHERE j.estimation_factor_id = e.id AND j.type = 'comment')
+    FROM estimation_factors e;
+  `);
+}
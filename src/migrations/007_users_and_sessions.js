@@ -0,0 +1,38 @@
+/**
+ * migrations/007_users_and_sessions.js
+ * * Adds local user accounts and login sessions, and records the author of journal
+ * entries and shirt size audit records. The author's name is copied onto each record
+ * so history stays readable after an account is deleted.
+ */
+
+export const description = 'User accounts, sessions and authors of journal and audit records';
+
+/**
+ * @param {Database} db - The database instance.
+ */
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      display_name TEXT,
+      password_hash TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      last_login_at TEXT
+    );
+
+    CREATE TABLE sessions (
+      token_hash TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      created_at TEXT NOT NULL,
+      expires_at TEXT NOT NULL
+    );
+    CREATE INDEX idx_sessions_user ON sessions(user_id);
+
+    ALTER TABLE journal_entries ADD COLUMN author_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+    ALTER TABLE journal_entries ADD COLUMN author_name TEXT;
+    ALTER TABLE shirt_size_audit ADD COLUMN author_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+    ALTER TABLE shirt_size_audit ADD COLUMN author_name TEXT;
+  `);
+}
@@ -0,0 +1,22 @@
+/**
+ * migrations/008_user_roles.js
+ * * Adds a role to every user: viewer (read only), estimator (edits initiatives) or
+ * admin (also changes the factor catalog, resource types, shirt sizes and settings).
+ * The first account becomes an admin; other existing accounts keep the ability to edit
+ * initiatives they had before roles existed.
+ */
+
+export const description = 'User roles: viewer, estimator and admin';
+
+/**
+ * @param {Database} db - The database instance.
+ */
+export async function up(db) {
+  await db.exec(`
+    ALTER TABLE users ADD COLUMN role TEXT NOT NULL DEFAULT 'viewer'
+      CHECK (role IN ('viewer', 'estimator', 'admin'));
+
+    UPDATE users SET role = 'estimator';
+    UPDATE users SET role = 'admin' WHERE id = (SELECT MIN(id) FROM users);
+  `);
+}
@@ -0,0 +1,147 @@
+/**
+ * migrations/009_audit_events.js
+ * * Creates audit_events, the single audit log for every entity, and moves the audit
+ * entries of initiative and factor journals and the shirt size audit rows into it.
+ * journal_entries keeps only comments afterwards. The unused estimation_factor_audit
+ * and the shirt_size_audit tables are dropped.
+ */
+import { logger } from '../logger.js';
+
+export const description = 'Unified audit_events log with field-level diffs';
+
+// Keys of a legacy journal entry that are not kept in the event's details
+const ENTRY_KEYS = ['id', 'timestamp', 'type', 'action', 'text', 'note', 'old_data', 'new_data', 'author_id', 'author_name'];
+
+/**
+ * Parses a JSON object column, treating anything unreadable as empty.
+ * @param {string} value - The stored JSON.
+ * @returns {object}
+ */
+function parseJsonObject(value) {
+  try {
+    const parsed = JSON.parse(value || '{}');
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Reads a shirt size audit snapshot ([{size, threshold_hours}]) as {size: threshold_hours}.
+ * @param {string} value - The stored JSON.
+ * @returns {object}
+ */
+function parseSizes(value) {
+  try {
+    const parsed = JSON.parse(value || '[]');
+    return Array.isArray(parsed) ? Object.fromEntries(parsed.map(s => [s.size, s.threshold_hours])) : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Lists the fields whose values differ between two snapshots. A copy of audit.diffFields
+ * so this migration keeps working if that module changes.
+ * @param {object} oldData - The record before the change.
+ * @param {object} newData - The record after the change.
+ * @returns {Array<{field: string, old: *, new: *}>}
+ */
+function diffFields(oldData, newData) {
+  const changes = [];
+  for (const field of new Set([...Object.keys(oldData), ...Object.keys(newData)])) {
+    const oldValue = oldData[field] ?? null;
+    const newValue = newData[field] ?? null;
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({ field, old: oldValue, new: newValue });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Inserts one audit_events row.
+ * @param {Database} db - The database instance.
+ * @param {Array} values - entity_type, entity_id, entity_name, action, actor_id, actor_name, timestamp, changes, note, details.
+ */
+async function insertEvent(db, values) {
+  await db.run(
+    `INSERT INTO audit_events (entity_type, entity_id, entity_name, action, actor_id, actor_name, timestamp, changes, note, details)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    values
+  );
+}
+
+/**
+ * @param {Database} db - The database instance.
+ */
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE audit_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      entity_type TEXT NOT NULL,
+      entity_id TEXT NOT NULL,
+      entity_name TEXT,
+      action TEXT NOT NULL,
+      actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      actor_name TEXT,
+      timestamp TEXT NOT NULL,
+      changes TEXT NOT NULL DEFAULT '[]',
+      note TEXT,
+      details TEXT
+    );
+    CREATE INDEX idx_audit_events_entity ON audit_events(entity_type, entity_id, timestamp);
+    CREATE INDEX idx_audit_events_actor ON audit_events(actor_id, timestamp);
+    CREATE INDEX idx_audit_events_timestamp ON audit_events(timestamp);
+  `);
+
+  const names = {
+    initiative: new Map((await db.all('SELECT id, name FROM initiatives')).map(r => [String(r.id), r.name])),
+    estimation_factor: new Map((await db.all('SELECT id, name FROM estimation_factors')).map(r => [r.id, r.name]))
+  };
+
+  const rows = await db.all(`SELECT * FROM journal_entries WHERE type = 'audit' ORDER BY timestamp, id`);
+  for (const row of rows) {
+    const entityType = row.initiative_id !== null ? 'initiative' : 'estimation_factor';
+    const entityId = String(row.initiative_id ?? row.estimation_factor_id);
+    const oldData = parseJsonObject(row.old_data);
+    const newData = parseJsonObject(row.new_data);
+    const details = {};
+    for (const [key, value] of Object.entries(parseJsonObject(row.details))) {
+      if (!ENTRY_KEYS.includes(key)) details[key] = value;
+    }
+    await insertEvent(db, [
+      entityType,
+      entityId,
+      newData.name ?? oldData.name ?? names[entityType].get(entityId) ?? null,
+      row.action || 'updated',
+      row.author_id,
+      row.author_name,
+      row.timestamp,
+      JSON.stringify(diffFields(oldData, newData)),
+      row.note,
+      Object.keys(details).length > 0 ? JSON.stringify(details) : null
+    ]);
+  }
+  await db.run(`DELETE FROM journal_entries WHERE type = 'audit'`);
+
+  // Shirt size audit rows stored the whole set of sizes; the diff is keyed by size
+  const shirtRows = await db.all('SELECT * FROM shirt_size_audit ORDER BY timestamp');
+  for (const row of shirtRows) {
+    // A PUT only changed the sizes it listed, so unlisted sizes kept their old threshold
+    const oldSizes = parseSizes(row.old_data);
+    const newSizes = { ...oldSizes, ...parseSizes(row.new_data) };
+    await insertEvent(db, [
+      'shirt_sizes', 'default', 'Shirt sizes', row.action || 'updated',
+      row.author_id ?? null, row.author_name ?? null, row.timestamp,
+      JSON.stringify(diffFields(oldSizes, newSizes)),
+      null, null
+    ]);
+  }
+
+  await db.exec(`
+    DROP TABLE shirt_size_audit;
+    DROP TABLE IF EXISTS estimation_factor_audit;
+  `);
+  logger.info(`Moved ${rows.length} journal audit entries and ${shirtRows.length} shirt size audit rows into audit_events.`);
+}
@@ -0,0 +1,23 @@
+/**
+ * migrations/010_soft_delete.js
+ * * Adds a deleted_at marker and the deleting user to initiatives, estimation factors and
+ * resource types, so deleting moves a record to the Trash instead of removing it.
+ */
+
+export const description = 'Soft delete for initiatives, estimation factors and resource types';
+
+const TABLES = ['initiatives', 'estimation_factors', 'resource_types'];
+
+/**
+ * @param {Database} db - The database instance.
+ */
+export async function up(db) {
+  for (const table of TABLES) {
+    await db.exec(`
+      ALTER TABLE ${table} ADD COLUMN deleted_at TEXT;
+      ALTER TABLE ${table} ADD COLUMN deleted_by_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+      ALTER TABLE ${table} ADD COLUMN deleted_by_name TEXT;
+      CREATE INDEX idx_${table}_deleted_at ON ${table}(deleted_at);
+    `);
+  }
+}
@@ -0,0 +1,20 @@
+/**
+ * migrations/011_holidays.js
+ * * Adds the holidays of the working calendar. Hours per day and working weekdays are
+ * workspace settings (see calendar.js).
+ */
+
+export const description = 'Holidays of the working calendar';
+
+/**
+ * @param {Database} db - The database instance.
+ */
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE holidays (
+      date TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    );
+  `);
+}
@@ -0,0 +1,17 @@
+/**
+ * migrations/012_user_date_preferences.js
+ * * Adds each user's time zone and locale for displaying dates. NULL means the server
+ * default (see config.js).
+ */
+
+export const description = 'Time zone and locale preferences per user';
+
+/**
+ * @param {Database} db - The database instance.
+ */
+export async function up(db) {
+  await db.exec(`
+    ALTER TABLE users ADD COLUMN timezone TEXT;
+    ALTER TABLE users ADD COLUMN locale TEXT;
+  `);
+}
@@ -0,0 +1,56 @@
+/**
+ * migrations/013_shirt_size_schemes.js
+ * * Groups shirt sizes into named schemes. The existing sizes become the "Classic" scheme,
+ * which is the workspace default, and each initiative can pick another scheme. Earlier
+ * shirt size audit events are attached to the Classic scheme.
+ */
+
+export const description = 'Named shirt size schemes, per-initiative scheme and a workspace default';
+
+/**
+ * @param {Database} db - The database instance.
+ */
+export async function up(db) {
+  const now = new Date().toISOString();
+  await db.exec(`
+    CREATE TABLE shirt_size_schemes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      description TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+
+    ALTER TABLE shirt_sizes RENAME TO shirt_sizes_legacy;
+    CREATE TABLE shirt_sizes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      scheme_id INTEGER NOT NULL REFERENCES shirt_size_schemes(id) ON DELETE CASCADE,
+      size TEXT NOT NULL,
+      threshold_hours REAL NOT NULL CHECK (threshold_hours >= 0),
+      UNIQUE (scheme_id, size),
+      UNIQUE (scheme_id, threshold_hours)
+    );
+
+    ALTER TABLE initiatives ADD COLUMN shirt_size_scheme_id INTEGER REFERENCES shirt_size_schemes(id) ON DELETE SET NULL;
+  `);
+
+  const result = await db.run(
+    'INSERT INTO shirt_size_schemes (name, description, created_at, updated_at) VALUES (?, ?, ?, ?)',
+    ['Classic', 'T-shirt sizes from XS to XXL', now, now]
+  );
+  const schemeId = result.lastID;
+  await db.run(
+    `INSERT INTO shirt_sizes (scheme_id, size, threshold_hours)
+     SELECT ?, size, threshold_hours FROM shirt_sizes_legacy ORDER BY threshold_hours`,
+    [schemeId]
+  );
+  await db.exec('DROP TABLE shirt_sizes_legacy');
+  await db.run(
+    "INSERT INTO settings (key, value) VALUES ('default_shirt_size_scheme_id', ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value",
+    [String(schemeId)]
+  );
+  await db.run(
+    "UPDATE audit_events SET entity_id = ?, entity_name = 'Classic' WHERE entity_type = 'shirt_sizes' AND entity_id = 'default'",
+    [String(schemeId)]
+  );
+}
@@ -0,0 +1,127 @@
+/**
+ * migrations/014_status_workflow.js
+ * * Moves initiative statuses into data: the statuses with their category, the allowed
+ * transitions between them, and a timestamped history of each initiative's status changes.
+ * The history is rebuilt from the status changes in the audit log.
+ */
+
+export const description = 'Configurable statuses, allowed transitions and status history';
+
+// The statuses the app has always offered: [name, category]
+const DEFAULT_STATUSES = [
+  ['To Do', 'backlog'],
+  ['Draft', 'backlog'],
+  ['Proposal', 'backlog'],
+  ['Re-Estimation', 'backlog'],
+  ['Accepted', 'in_progress'],
+  ['Rejected', 'cancelled'],
+  ['Done', 'done']
+];
+
+// Allowed transitions between the default statuses
+const DEFAULT_TRANSITIONS = {
+  'To Do': ['Draft', 'Proposal', 'Rejected'],
+  'Draft': ['To Do', 'Proposal', 'Rejected'],
+  'Proposal': ['Draft', 'Re-Estimation', 'Accepted', 'Rejected'],
+  'Re-Estimation': ['Proposal', 'Accepted', 'Rejected'],
+  'Accepted': ['Re-Estimation', 'Rejected', 'Done'],
+  'Rejected': ['To Do'],
+  'Done': ['Accepted']
+};
+
+/**
+ * @param {Database} db - The database instance.
+ */
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE statuses (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      category TEXT NOT NULL CHECK (category IN ('backlog', 'in_progress', 'done', 'cancelled')),
+      sort_order INTEGER NOT NULL,
+      is_initial INTEGER NOT NULL DEFAULT 0
+    );
+
+    CREATE TABLE status_transitions (
+      from_status_id INTEGER NOT NULL REFERENCES statuses(id) ON DELETE CASCADE,
+      to_status_id INTEGER NOT NULL REFERENCES statuses(id) ON DELETE CASCADE,
+      PRIMARY KEY (from_status_id, to_status_id)
+    );
+
+    CREATE TABLE initiative_status_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      initiative_id INTEGER NOT NULL REFERENCES initiatives(id) ON DELETE CASCADE,
+      from_status TEXT,
+      to_status TEXT NOT NULL,
+      changed_at TEXT NOT NULL,
+      actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      actor_name TEXT
+    );
+    CREATE INDEX idx_initiative_status_history_initiative ON initiative_status_history(initiative_id, changed_at);
+  `);
+
+  const ids = new Map();
+  for (const [index, [name, category]] of DEFAULT_STATUSES.entries()) {
+    const result = await db.run(
+      'INSERT INTO statuses (name, category, sort_order, is_initial) VALUES (?, ?, ?, ?)',
+      [name, category, index, index === 0 ? 1 : 0]
+    );
+    ids.set(name.toLowerCase(), result.lastID);
+  }
+  for (const [from, targets] of Object.entries(DEFAULT_TRANSITIONS)) {
+    for (const to of targets) {
+      await db.run('INSERT INTO status_transitions (from_status_id, to_status_id) VALUES (?, ?)', [ids.get(from.toLowerCase()), ids.get(to.toLowerCase())]);
+    }
+  }
+
+  // Statuses entered by hand or imported keep working; they may move to any default status
+  const others = await db.all(
+    "SELECT DISTINCT status FROM initiatives WHERE status IS NOT NULL AND trim(status) != '' ORDER BY status"
+  );
+  let sortOrder = DEFAULT_STATUSES.length;
+  for (const { status } of others) {
+    if (ids.has(status.toLowerCase())) continue;
+    const result = await db.run(
+      "INSERT INTO statuses (name, category, sort_order, is_initial) VALUES (?, 'backlog', ?, 0)",
+      [status, sortOrder++]
+    );
+    ids.set(status.toLowerCase(), result.lastID);
+    for (const [name] of DEFAULT_STATUSES) {
+      await db.run('INSERT INTO status_transitions (from_status_id, to_status_id) VALUES (?, ?)', [result.lastID, ids.get(name.toLowerCase())]);
+    }
+  }
+  await db.run("UPDATE initiatives SET status = 'To Do' WHERE status IS NULL OR trim(status) = ''");
+  // Statuses differing only in case become the defined name
+  await db.run('UPDATE initiatives SET status = (SELECT name FROM statuses WHERE name = initiatives.status) WHERE status IS NOT NULL');
+
+  // Rebuild each initiative's history from the status changes in its audit events
+  const initiatives = await db.all('SELECT id, status, created_at, updated_at FROM initiatives');
+  const insertHistory = (initiativeId, from, to, changedAt, actorId, actorName) => db.run(
+    'INSERT INTO initiative_status_history (initiative_id, from_status, to_status, changed_at, actor_id, actor_name) VALUES (?, ?, ?, ?, ?, ?)',
+    [initiativeId, from, to, changedAt, actorId, actorName]
+  );
+  for (const initiative of initiatives) {
+    const events = await db.all(
+      "SELECT timestamp, actor_id, actor_name, changes FROM audit_events WHERE entity_type = 'initiative' AND entity_id = ? ORDER BY timestamp, id",
+      [String(initiative.id)]
+    );
+    const changes = [];
+    for (const event of events) {
+      const change = JSON.parse(event.changes || '[]').find(c => c.field === 'status');
+      if (change && change.new) changes.push({ ...change, event });
+    }
+    const first = changes[0];
+    const startStatus = first ? (first.old || first.new) : initiative.status;
+    const startEvent = first && !first.old ? first.event : null;
+    await insertHistory(initiative.id, null, startStatus, initiative.created_at, startEvent?.actor_id ?? null, startEvent?.actor_name ?? null);
+    let current = startStatus;
+    for (const change of changes) {
+      if (change.new === current) continue;
+      await insertHistory(initiative.id, current, change.new, change.event.timestamp, change.event.actor_id, change.event.actor_name);
+      current = change.new;
+    }
+    if (current !== initiative.status) {
+      await insertHistory(initiative.id, current, initiative.status, initiative.updated_at || initiative.created_at, null, null);
+    }
+  }
+}
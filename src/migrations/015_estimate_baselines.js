@@ -0,0 +1,41 @@
+/**
+ * migrations/015_estimate_baselines.js
+ * * Adds estimate baselines: named, frozen copies of an initiative's factors, quantities,
+ * hours and shirt size. Statuses get a creates_baseline flag; moving an initiative into
+ * such a status takes a baseline. Accepted is flagged. Existing initiatives have no
+ * baselines until their next move into Accepted or until one is taken by hand.
+ */
+
+export const description = 'Estimate baselines taken on acceptance or by hand';
+
+/**
+ * @param {Database} db - The database instance.
+ */
+export async function up(db) {
+  await db.exec(`
+    ALTER TABLE statuses ADD COLUMN creates_baseline INTEGER NOT NULL DEFAULT 0;
+    UPDATE statuses SET creates_baseline = 1 WHERE name = 'Accepted';
+
+    CREATE TABLE initiative_baselines (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      initiative_id INTEGER NOT NULL REFERENCES initiatives(id) ON DELETE CASCADE,
+      name TEXT NOT NULL COLLATE NOCASE,
+      source TEXT NOT NULL CHECK (source IN ('status', 'manual')),
+      status TEXT,
+      estimation_type TEXT,
+      risk_adjustment_percent REAL NOT NULL DEFAULT 0,
+      base_hours REAL NOT NULL DEFAULT 0,
+      buffer_hours REAL NOT NULL DEFAULT 0,
+      computed_hours REAL NOT NULL DEFAULT 0,
+      computed_std_dev REAL NOT NULL DEFAULT 0,
+      shirt_size_scheme_id INTEGER REFERENCES shirt_size_schemes(id) ON DELETE SET NULL,
+      shirt_size TEXT,
+      factors TEXT NOT NULL DEFAULT '[]',
+      created_at TEXT NOT NULL,
+      actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      actor_name TEXT,
+      UNIQUE (initiative_id, name)
+    );
+    CREATE INDEX idx_initiative_baselines_initiative ON initiative_baselines(initiative_id, created_at);
+  `);
+}
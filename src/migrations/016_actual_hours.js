@@ -0,0 +1,31 @@
+/**
+ * migrations/016_actual_hours.js
+ * * Adds actual hours: time worked on an initiative by a resource type on a day, entered
+ * by hand or imported from a timesheet export. The resource type's name is kept with each
+ * entry so the hours stay readable after the resource type is purged from the Trash.
+ */
+
+export const description = 'Actual hours per initiative and resource type';
+
+/**
+ * @param {Database} db - The database instance.
+ */
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE actual_hours (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      initiative_id INTEGER NOT NULL REFERENCES initiatives(id) ON DELETE CASCADE,
+      resource_type_id TEXT REFERENCES resource_types(id) ON DELETE SET NULL,
+      resource_type_name TEXT NOT NULL,
+      work_date TEXT NOT NULL,
+      hours REAL NOT NULL CHECK (hours > 0),
+      note TEXT,
+      source TEXT NOT NULL CHECK (source IN ('manual', 'import')),
+      created_at TEXT NOT NULL,
+      actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      actor_name TEXT
+    );
+    CREATE INDEX idx_actual_hours_initiative ON actual_hours(initiative_id, work_date);
+    CREATE INDEX idx_actual_hours_resource_type ON actual_hours(resource_type_id);
+  `);
+}
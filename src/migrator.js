@@ -0,0 +1,119 @@
+/**
+ * migrator.js
+ * * Applies the numbered schema migrations in src/migrations and records them in the
+ * schema_version table. Each migration file is named NNN_description.js and exports
+ * an async up(db) function and a description string.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { logger } from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Loads every migration module, ordered by version.
+ * @returns {Promise<Array<{version: number, name: string, description: string, up: Function}>>}
+ */
+export async function loadMigrations() {
+  const files = await fs.readdir(MIGRATIONS_DIR);
+  const migrations = [];
+  for (const file of files) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) continue;
+    const module = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+    if (typeof module.up !== 'function') {
+      throw new Error(`Migration ${file} does not export an up() function.`);
+    }
+    migrations.push({
+      version: parseInt(match[1], 10),
+      name: match[2],
+      description: module.description || match[2],
+      up: module.up
+    });
+  }
+  migrations.sort((a, b) => a.version - b.version);
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}.`);
+    }
+  }
+  return migrations;
+}
+
+/**
+ * Creates the schema_version table if it does not exist.
+ * @param {Database} db - The database instance.
+ */
+async function ensureSchemaVersionTable(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+}
+
+/**
+ * Lists every known migration with the time it was applied, if it was.
+ * @param {Database} db - The database instance.
+ * @returns {Promise<Array<{version: number, name: string, description: string, applied_at: string|null}>>}
+ */
+export async function getMigrationStatus(db) {
+  await ensureSchemaVersionTable(db);
+  const applied = new Map((await db.all('SELECT version, applied_at FROM schema_version')).map(r => [r.version, r.applied_at]));
+  const migrations = await loadMigrations();
+  return migrations.map(({ version, name, description }) => ({
+    version, name, description, applied_at: applied.get(version) || null
+  }));
+}
+
+/**
+ * Returns the highest applied migration version, or 0 for an empty database.
+ * @param {Database} db - The database instance.
+ * @returns {Promise<number>}
+ */
+export async function getSchemaVersion(db) {
+  await ensureSchemaVersionTable(db);
+  const row = await db.get('SELECT MAX(version) AS version FROM schema_version');
+  return row?.version || 0;
+}
+
+/**
+ * Applies every pending migration in order. Each migration runs in its own transaction
+ * together with its schema_version row, so a failing step leaves earlier ones applied.
+ * With dryRun, all pending migrations run in a single transaction that is rolled back.
+ * @param {Database} db - The database instance.
+ * @param {object} [options={}]
+ * @param {boolean} [options.dryRun=false] - Run the migrations and roll them back.
+ * @returns {Promise<Array<{version: number, name: string, description: string}>>} The migrations applied (or that would be).
+ */
+export async function migrate(db, { dryRun = false } = {}) {
+  const pending = (await getMigrationStatus(db)).filter(m => !m.applied_at);
+  if (pending.length === 0) return [];
+
+  const migrations = new Map((await loadMigrations()).map(m => [m.version, m]));
+  if (dryRun) await db.run('BEGIN TRANSACTION');
+  try {
+    for (const { version, name, description } of pending) {
+      logger.info(`${dryRun ? 'Dry run of' : 'Applying'} migration ${version} (${name}): ${description}`);
+      if (!dryRun) await db.run('BEGIN TRANSACTION');
+      try {
+        await migrations.get(version).up(db);
+        await db.run('INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)', [version, name, new Date().toISOString()]);
+        if (!dryRun) await db.run('COMMIT');
+      } catch (err) {
+        if (!dryRun) await db.run('ROLLBACK');
+        err.message = `Migration ${version} (${name}) failed: ${err.message}`;
+        throw err;
+      }
+    }
+  } finally {
+    if (dryRun) await db.run('ROLLBACK');
+  }
+  return pending.map(({ version, name, description }) => ({ version, name, description }));
+}
@@ -0,0 +1,200 @@
+/**
+ * routes/actuals.js
+ * * Defines API routes for actual hours: entering and removing them, importing them from a
+ * timesheet export, and the variance report comparing them with the estimates (see actuals.js).
+ */
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import { requireRole } from '../auth.js';
+import { recordAuditEvent } from '../audit.js';
+import { computeVarianceReport, parseTimesheet, resolveActualHours, saveActualHours } from '../actuals.js';
+import { logger } from '../logger.js';
+
+// Timesheet lines accepted in a single import
+const MAX_IMPORTED_ROWS = 20000;
+
+/**
+ * Creates and returns an Express router for actual hours.
+ * @param {Database} db - The initialized SQLite database instance.
+ * @returns {Router} The configured Express router.
+ */
+export default function createActualsRouter(db) {
+    const router = express.Router();
+
+    // Splits a comma-separated query parameter into trimmed, non-empty values
+    const toList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+        .map(v => String(v).trim())
+        .filter(Boolean);
+
+    const dateQuery = (name) => query(name).optional({ values: 'falsy' }).isISO8601({ strict: true })
+        .withMessage(`${name} must be a valid date (YYYY-MM-DD)`);
+
+    // GET /api/actuals?initiative_id=&from=&to=&limit= - Entries of actual hours, newest first
+    router.get('/',
+        query('initiative_id').optional({ values: 'falsy' }).isInt({ min: 1 }).withMessage('initiative_id must be an initiative ID'),
+        dateQuery('from'), dateQuery('to'),
+        query('limit').optional().isInt({ min: 1, max: 5000 }).withMessage('limit must be between 1 and 5000').toInt(),
+        async (req, res) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+            const clauses = ['i.deleted_at IS NULL'];
+            const values = [];
+            if (req.query.initiative_id) {
+                clauses.push('a.initiative_id = ?');
+                values.push(req.query.initiative_id);
+            }
+            if (req.query.from) {
+                clauses.push('a.work_date >= ?');
+                values.push(req.query.from);
+            }
+            if (req.query.to) {
+                clauses.push('a.work_date <= ?');
+                values.push(req.query.to);
+            }
+            const rows = await db.all(
+                `SELECT a.*, i.name AS initiative_name, i.custom_id FROM actual_hours a JOIN initiatives i ON i.id = a.initiative_id
+                 WHERE ${clauses.join(' AND ')} ORDER BY a.work_date DESC, a.id DESC ${req.query.limit ? 'LIMIT ?' : ''}`,
+                req.query.limit ? [...values, req.query.limit] : values
+            );
+            res.json(rows);
+        }
+    );
+
+    // POST /api/actuals - Body: { initiative_id, resource_type_id, work_date, hours, note }
+    router.post('/',
+        requireRole('estimator'),
+        body('initiative_id').isInt({ min: 1 }).withMessage('Initiative is required'),
+        body('resource_type_id').isString().notEmpty().withMessage('Resource type is required'),
+        async (req, res) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+            const { entry, error } = await resolveActualHours(db, {
+                initiative: req.body.initiative_id,
+                resource_type: req.body.resource_type_id,
+                date: req.body.work_date,
+                hours: req.body.hours,
+                note: req.body.note
+            });
+            if (error) {
+                return res.status(400).json({ message: error });
+            }
+            let id;
+            try {
+                await db.run('BEGIN TRANSACTION');
+                [id] = await saveActualHours(db, [entry], { source: 'manual', actor: req.user });
+                await recordAuditEvent(db, {
+                    entityType: 'initiative', entityId: entry.initiative_id, entityName: entry.initiative_name, action: 'actual_hours_logged', actor: req.user,
+                    note: `Logged ${entry.hours}h of ${entry.resource_type_name} on ${entry.work_date}`, details: { actual_hours_id: id }
+                });
+                await db.run('COMMIT');
+            } catch (err) {
+                await db.run('ROLLBACK');
+                logger.error('Error logging actual hours:', err);
+                return res.status(500).json({ message: 'Failed to log the actual hours.' });
+            }
+            res.status(201).json(await db.get('SELECT * FROM actual_hours WHERE id = ?', [id]));
+        }
+    );
+
+    // DELETE /api/actuals/:id
+    router.delete('/:id', requireRole('estimator'), async (req, res) => {
+        const row = await db.get(
+            `SELECT a.*, i.name AS initiative_name FROM actual_hours a JOIN initiatives i ON i.id = a.initiative_id
+             WHERE a.id = ? AND i.deleted_at IS NULL`,
+            [req.params.id]
+        );
+        if (!row) {
+            return res.status(404).json({ message: 'Entry not found.' });
+        }
+        try {
+            await db.run('BEGIN TRANSACTION');
+            await db.run('DELETE FROM actual_hours WHERE id = ?', [row.id]);
+            await recordAuditEvent(db, {
+                entityType: 'initiative', entityId: row.initiative_id, entityName: row.initiative_name, action: 'actual_hours_removed', actor: req.user,
+                note: `Removed ${row.hours}h of ${row.resource_type_name} on ${row.work_date}`, details: { actual_hours_id: row.id }
+            });
+            await db.run('COMMIT');
+        } catch (err) {
+            await db.run('ROLLBACK');
+            logger.error('Error removing actual hours:', err);
+            return res.status(500).json({ message: 'Failed to remove the actual hours.' });
+        }
+        res.status(204).send();
+    });
+
+    // POST /api/actuals/import - Body: { content } with the text of a tab-separated timesheet export.
+    // Nothing is imported unless every line is valid.
+    router.post('/import',
+        requireRole('estimator'),
+        body('content').isString().notEmpty().withMessage('content must be the text of the file'),
+        async (req, res) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+            const parsed = parseTimesheet(req.body.content);
+            if (parsed.errors.length > 0) {
+                return res.status(400).json({ message: parsed.errors.join(' ') });
+            }
+            if (parsed.rows.length === 0) {
+                return res.status(400).json({ message: 'No hours were found in the file.' });
+            }
+            if (parsed.rows.length > MAX_IMPORTED_ROWS) {
+                return res.status(400).json({ message: `A file may hold at most ${MAX_IMPORTED_ROWS} lines.` });
+            }
+
+            const entries = [];
+            const problems = [];
+            for (const row of parsed.rows) {
+                const { entry, error } = await resolveActualHours(db, row);
+                if (error) problems.push(`Line ${row.line}: ${error}`);
+                else entries.push(entry);
+            }
+            if (problems.length > 0) {
+                return res.status(400).json({ message: 'Nothing was imported.', problems });
+            }
+
+            const now = new Date().toISOString();
+            const byInitiative = new Map();
+            for (const entry of entries) {
+                if (!byInitiative.has(entry.initiative_id)) byInitiative.set(entry.initiative_id, { name: entry.initiative_name, count: 0, hours: 0 });
+                const totals = byInitiative.get(entry.initiative_id);
+                totals.count++;
+                totals.hours += entry.hours;
+            }
+            try {
+                await db.run('BEGIN TRANSACTION');
+                await saveActualHours(db, entries, { source: 'import', actor: req.user, timestamp: now });
+                for (const [initiativeId, totals] of byInitiative) {
+                    await recordAuditEvent(db, {
+                        entityType: 'initiative', entityId: initiativeId, entityName: totals.name, action: 'actual_hours_imported', actor: req.user, timestamp: now,
+                        note: `Imported ${totals.count} timesheet line(s) totalling ${parseFloat(totals.hours.toFixed(2))}h`,
+                        details: { lines: totals.count, hours: parseFloat(totals.hours.toFixed(2)) }
+                    });
+                }
+                await db.run('COMMIT');
+            } catch (err) {
+                await db.run('ROLLBACK');
+                logger.error('Error importing actual hours:', err);
+                return res.status(500).json({ message: 'Failed to import the actual hours.' });
+            }
+            res.status(201).json({
+                imported: entries.length,
+                hours: parseFloat(entries.reduce((sum, entry) => sum + entry.hours, 0).toFixed(2)),
+                initiatives: byInitiative.size
+            });
+        }
+    );
+
+    // GET /api/actuals/variance?status= - Actual against estimated hours per initiative, shirt size,
+    // estimation type and estimation factor; status (comma-separated) limits the initiatives
+    router.get('/variance', async (req, res) => {
+        res.json(await computeVarianceReport(db, toList(req.query.status)));
+    });
+
+    return router;
+}
@@ -0,0 +1,83 @@
+/**
+ * routes/audit.js
+ * * Defines the API for reading the audit log (see audit.js).
+ */
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import { hasRole } from '../auth.js';
+import { ADMIN_AUDIT_ENTITY_TYPES, AUDIT_ENTITY_TYPES, getAuditEvents } from '../audit.js';
+
+/**
+ * Creates and returns an Express router for the audit log.
+ * @param {Database} db - The initialized SQLite database instance.
+ * @returns {Router} The configured Express router.
+ */
+export default function createAuditRouter(db) {
+  const router = express.Router();
+
+  // The entity types a user may read events of; user and backup events are for admins only
+  const readableEntityTypes = (user) => hasRole(user, 'admin')
+    ? AUDIT_ENTITY_TYPES
+    : AUDIT_ENTITY_TYPES.filter(type => !ADMIN_AUDIT_ENTITY_TYPES.includes(type));
+
+  // GET /api/audit?entity_type=initiative,estimation_factor&entity_id=&actor_id=&action=&from=&to=&limit=&offset=
+  // Returns events newest first; the total number of matches is sent in X-Total-Count.
+  // Non-admins do not see user and backup events.
+  router.get('/',
+    [
+      query('entity_type').optional().custom(value => {
+        const unknown = String(value).split(',').filter(t => !AUDIT_ENTITY_TYPES.includes(t.trim()));
+        if (unknown.length > 0) throw new Error(`entity_type must be one of: ${AUDIT_ENTITY_TYPES.join(', ')}`);
+        return true;
+      }),
+      query('entity_id').optional().trim().notEmpty().withMessage('entity_id must not be empty'),
+      query('actor_id').optional().isInt({ min: 1 }).withMessage('actor_id must be a user ID').toInt(),
+      query('action').optional().trim(),
+      query('from').optional().isISO8601({ strict: true }).withMessage('from must be a valid date (YYYY-MM-DD)'),
+      query('to').optional().isISO8601({ strict: true }).withMessage('to must be a valid date (YYYY-MM-DD)'),
+      query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('limit must be between 1 and 500').toInt(),
+      query('offset').optional().isInt({ min: 0 }).withMessage('offset must be a non-negative integer').toInt()
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const readable = readableEntityTypes(req.user);
+      const requested = req.query.entity_type ? req.query.entity_type.split(',').map(t => t.trim()) : AUDIT_ENTITY_TYPES;
+      const entityTypes = requested.filter(type => readable.includes(type));
+      if (entityTypes.length === 0) {
+        res.set('X-Total-Count', '0');
+        return res.json([]);
+      }
+
+      const filters = {
+        entityTypes,
+        entityId: req.query.entity_id,
+        actorId: req.query.actor_id,
+        action: req.query.action || null,
+        from: req.query.from?.substring(0, 10),
+        to: req.query.to?.substring(0, 10)
+      };
+      const { events, total } = await getAuditEvents(db, filters, { limit: req.query.limit || 100, offset: req.query.offset || 0 });
+      res.set('X-Total-Count', String(total));
+      res.json(events);
+    }
+  );
+
+  // GET /api/audit/actors - Everyone who has made an audited change, for filter lists.
+  // Includes actors whose accounts were deleted, which GET /api/users does not.
+  router.get('/actors', async (req, res) => {
+    const readable = readableEntityTypes(req.user);
+    const rows = await db.all(
+      `SELECT actor_id AS id, MAX(actor_name) AS name FROM audit_events
+       WHERE actor_id IS NOT NULL AND entity_type IN (${readable.map(() => '?').join(', ')})
+       GROUP BY actor_id ORDER BY name COLLATE NOCASE`,
+      readable
+    );
+    res.json(rows);
+  });
+
+  return router;
+}
@@ -0,0 +1,140 @@
+/**
+ * routes/auth.js
+ * * Defines API routes for signing in and out, the first-run admin setup, password changes
+ * and the signed-in user's date display preferences.
+ */
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import {
+  SESSION_COOKIE, MIN_PASSWORD_LENGTH, createFirstAdmin, createSession, deleteSession,
+  isSetupRequired, requireAuth, toPublicUser, verifyPassword, hashPassword
+} from '../auth.js';
+import { isValidLocale, isValidTimezone } from '../config.js';
+import { logger } from '../logger.js';
+
+/**
+ * Creates and returns an Express router for authentication routes.
+ * @param {Database} db - The initialized SQLite database instance.
+ * @returns {Router} The configured Express router.
+ */
+export default function createAuthRouter(db) {
+  const router = express.Router();
+
+  // Helper to start a session and set its cookie
+  const signIn = async (req, res, userId) => {
+    const { token, expiresAt } = await createSession(db, userId);
+    res.cookie(SESSION_COOKIE, token, { httpOnly: true, sameSite: 'lax', secure: req.secure, expires: expiresAt, path: '/' });
+  };
+
+  const passwordValidator = (field) => body(field).isString().isLength({ min: MIN_PASSWORD_LENGTH })
+    .withMessage(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+
+  // GET /api/auth/session - The signed-in user, and whether the first account still has to be created
+  router.get('/session', async (req, res) => {
+    res.json({ user: req.user, setupRequired: await isSetupRequired(db) });
+  });
+
+  // POST /api/auth/setup - Creates the first admin account; only allowed while there are no users
+  router.post('/setup',
+    body('username').trim().notEmpty().withMessage('Username is required'),
+    passwordValidator('password'),
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      const user = await createFirstAdmin(db, req.body);
+      if (!user) {
+        return res.status(409).json({ message: 'Setup has already been completed.' });
+      }
+      await signIn(req, res, user.id);
+      logger.info(`Created first admin account "${user.username}".`);
+      res.status(201).json({ user });
+    }
+  );
+
+  // POST /api/auth/login
+  router.post('/login',
+    body('username').trim().notEmpty().withMessage('Username is required'),
+    body('password').notEmpty().withMessage('Password is required'),
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      const row = await db.get('SELECT * FROM users WHERE username = ?', [req.body.username]);
+      if (!row || !(await verifyPassword(req.body.password, row.password_hash))) {
+        return res.status(401).json({ message: 'Invalid username or password.' });
+      }
+      await signIn(req, res, row.id);
+      res.json({ user: toPublicUser(row) });
+    }
+  );
+
+  // POST /api/auth/logout
+  router.post('/logout', async (req, res) => {
+    if (req.sessionToken) {
+      await deleteSession(db, req.sessionToken);
+    }
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+    res.status(204).send();
+  });
+
+  // PUT /api/auth/password - Changes the signed-in user's password and ends their other sessions
+  router.put('/password',
+    requireAuth,
+    body('current_password').notEmpty().withMessage('Current password is required'),
+    passwordValidator('new_password'),
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      const row = await db.get('SELECT * FROM users WHERE id = ?', [req.user.id]);
+      if (!(await verifyPassword(req.body.current_password, row.password_hash))) {
+        return res.status(400).json({ message: 'Current password is incorrect.' });
+      }
+      try {
+        await db.run('BEGIN TRANSACTION');
+        await db.run('UPDATE users SET password_hash = ?, updated_at = ? WHERE id = ?', [await hashPassword(req.body.new_password), new Date().toISOString(), row.id]);
+        await db.run('DELETE FROM sessions WHERE user_id = ?', [row.id]);
+        await db.run('COMMIT');
+      } catch (err) {
+        await db.run('ROLLBACK');
+        logger.error('Error changing password:', err);
+        return res.status(500).json({ message: 'Failed to change password.' });
+      }
+      await signIn(req, res, row.id);
+      res.status(204).send();
+    }
+  );
+
+  // PUT /api/auth/preferences - Saves the signed-in user's time zone and locale; null uses the server default
+  router.put('/preferences',
+    requireAuth,
+    body('timezone').optional({ values: 'falsy' }).isString().custom(isValidTimezone)
+      .withMessage('Time zone must be an IANA time zone such as Europe/Berlin'),
+    body('locale').optional({ values: 'falsy' }).isString().custom(isValidLocale)
+      .withMessage('Locale must be a locale such as en-GB or ja-JP'),
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      const changes = {};
+      for (const key of ['timezone', 'locale']) {
+        if (req.body[key] !== undefined) changes[key] = req.body[key] || null;
+      }
+      const keys = Object.keys(changes);
+      if (keys.length > 0) {
+        await db.run(
+          `UPDATE users SET ${keys.map(key => `${key} = ?`).join(', ')}, updated_at = ? WHERE id = ?`,
+          [...keys.map(key => changes[key]), new Date().toISOString(), req.user.id]
+        );
+      }
+      res.json({ user: toPublicUser(await db.get('SELECT * FROM users WHERE id = ?', [req.user.id])) });
+    }
+  );
+
+  return router;
+}
@@ -0,0 +1,108 @@
+/**
+ * routes/backups.js
+ * * Defines admin-only API routes for database backups: listing, taking, downloading,
+ * verifying and restoring them.
+ */
+import express from 'express';
+import fs from 'fs/promises';
+import { requireRole } from '../auth.js';
+import { recordAuditEvent } from '../audit.js';
+import { createBackup, listBackups, pruneBackups, resolveBackupPath, restoreBackup, verifyBackup } from '../backups.js';
+import { logger } from '../logger.js';
+
+/**
+ * Creates and returns an Express router for backups.
+ * @param {Database} db - The initialized SQLite database instance.
+ * @returns {Router} The configured Express router.
+ */
+export default function createBackupsRouter(db) {
+  const router = express.Router();
+  router.use(requireRole('admin'));
+
+  // Resolves :name into req.backupPath, or responds 404 if there is no such backup
+  const loadBackup = async (req, res, next) => {
+    const backupPath = resolveBackupPath(req.params.name);
+    try {
+      if (!backupPath) throw new Error('Invalid backup name');
+      await fs.access(backupPath);
+    } catch (err) {
+      return res.status(404).json({ message: 'Backup not found.' });
+    }
+    req.backupPath = backupPath;
+    next();
+  };
+
+  // GET /api/backups
+  router.get('/', async (req, res) => {
+    try {
+      res.json(await listBackups());
+    } catch (err) {
+      logger.error('Error listing backups:', err);
+      res.status(500).json({ message: 'Failed to list backups.' });
+    }
+  });
+
+  // POST /api/backups - Takes a backup now
+  router.post('/', async (req, res) => {
+    try {
+      const backup = await createBackup(db, 'manual');
+      await pruneBackups(db);
+      res.status(201).json(backup);
+    } catch (err) {
+      logger.error('Error creating backup:', err);
+      res.status(500).json({ message: 'Failed to create the backup.' });
+    }
+  });
+
+  // GET /api/backups/:name/download
+  router.get('/:name/download', loadBackup, (req, res) => {
+    res.download(req.backupPath, req.params.name);
+  });
+
+  // POST /api/backups/:name/verify
+  router.post('/:name/verify', loadBackup, async (req, res) => {
+    try {
+      res.json(await verifyBackup(req.params.name));
+    } catch (err) {
+      logger.error('Error verifying backup:', err);
+      res.status(500).json({ message: 'Failed to verify the backup.' });
+    }
+  });
+
+  // POST /api/backups/:name/restore - Replaces the database after a pre-restore safety backup
+  router.post('/:name/restore', loadBackup, async (req, res) => {
+    const { name } = req.params;
+    let result;
+    try {
+      const verification = await verifyBackup(name);
+      if (!verification.ok) {
+        return res.status(400).json({ message: `The backup failed verification: ${verification.integrity.join('; ')}`, verification });
+      }
+      result = await restoreBackup(db, name);
+    } catch (err) {
+      logger.error('Error restoring backup:', err);
+      return res.status(500).json({ message: 'Failed to restore the backup.' });
+    }
+
+    try {
+      // The restored users table may not have the signed-in account; keep only its name then
+      const actorExists = await db.get('SELECT id FROM users WHERE id = ?', [req.user.id]);
+      await recordAuditEvent(db, {
+        entityType: 'backup',
+        entityId: name,
+        entityName: name,
+        action: 'restored',
+        actor: actorExists ? req.user : { display_name: req.user.display_name, username: req.user.username },
+        note: `Database restored from ${name}; the previous state was saved to ${result.safetyBackup.name}.`,
+        details: { safety_backup: result.safetyBackup.name, migrations: result.migrations.map(m => m.version) }
+      });
+    } catch (err) {
+      logger.error('Error recording backup restore:', err);
+      return res.status(500).json({ message: `The database was restored from ${name}, but recording the restore in the audit log failed.` });
+    }
+
+    res.json({ restored: name, safety_backup: result.safetyBackup, migrations: result.migrations });
+  });
+
+  return router;
+}
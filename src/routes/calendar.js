@@ -0,0 +1,136 @@
+/**
+ * routes/calendar.js
+ * * Defines API routes for the working calendar: hours per day, working weekdays and
+ * holidays, including importing holidays from an .ics or TSV file.
+ */
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { requireRole } from '../auth.js';
+import { recordAuditEvent } from '../audit.js';
+import { setSetting } from '../settings.js';
+import { getWorkingCalendar, isValidDate, parseIcsHolidays, parseTsvHolidays, saveHolidays } from '../calendar.js';
+import { logger } from '../logger.js';
+
+// Holidays accepted in a single import
+const MAX_IMPORTED_HOLIDAYS = 2000;
+
+/**
+ * Creates and returns an Express router for the working calendar.
+ * @param {Database} db - The initialized SQLite database instance.
+ * @returns {Router} The configured Express router.
+ */
+export default function createCalendarRouter(db) {
+    const router = express.Router();
+
+    // Records a change to the calendar in the audit log
+    const audit = (req, action, { oldData, newData, note, details } = {}) => recordAuditEvent(db, {
+        entityType: 'calendar', entityId: 'workspace', entityName: 'Working calendar', action, actor: req.user,
+        oldData, newData, note, details
+    });
+
+    // GET /api/calendar
+    router.get('/', async (req, res) => {
+        res.json(await getWorkingCalendar(db));
+    });
+
+    // PUT /api/calendar - Saves hours per day and the working weekdays
+    router.put('/',
+        requireRole('admin'),
+        body('hours_per_day').optional().isFloat({ gt: 0, max: 24 }).withMessage('Hours per day must be above 0 and at most 24'),
+        body('working_weekdays').optional().isArray({ min: 1, max: 7 }).withMessage('working_weekdays must list at least one weekday'),
+        body('working_weekdays.*').isInt({ min: 0, max: 6 }).withMessage('Weekdays must be numbers from 0 (Sunday) to 6 (Saturday)'),
+        async (req, res) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+            const old = await getWorkingCalendar(db);
+            if (req.body.hours_per_day !== undefined) {
+                await setSetting(db, 'hours_per_day', String(parseFloat(req.body.hours_per_day)));
+            }
+            if (req.body.working_weekdays !== undefined) {
+                const weekdays = [...new Set(req.body.working_weekdays.map(Number))].sort((a, b) => a - b);
+                await setSetting(db, 'working_weekdays', weekdays.join(','));
+            }
+            const calendar = await getWorkingCalendar(db);
+            const oldData = { hours_per_day: old.hours_per_day, working_weekdays: old.working_weekdays };
+            const newData = { hours_per_day: calendar.hours_per_day, working_weekdays: calendar.working_weekdays };
+            if (JSON.stringify(oldData) !== JSON.stringify(newData)) {
+                await audit(req, 'updated', { oldData, newData });
+            }
+            res.json(calendar);
+        }
+    );
+
+    // POST /api/calendar/holidays - Adds a holiday, or renames the one on that date
+    router.post('/holidays',
+        requireRole('admin'),
+        body('date').custom(isValidDate).withMessage('date must be a valid date (YYYY-MM-DD)'),
+        body('name').isString().trim().notEmpty().withMessage('Name is required'),
+        async (req, res) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+            const { date, name } = req.body;
+            const existing = await db.get('SELECT date, name FROM holidays WHERE date = ?', [date]);
+            await saveHolidays(db, [{ date, name }]);
+            await audit(req, existing ? 'holiday_renamed' : 'holiday_added', {
+                oldData: existing || {}, newData: { date, name }
+            });
+            res.status(existing ? 200 : 201).json({ date, name });
+        }
+    );
+
+    // DELETE /api/calendar/holidays/:date
+    router.delete('/holidays/:date', requireRole('admin'), async (req, res) => {
+        const holiday = await db.get('SELECT date, name FROM holidays WHERE date = ?', [req.params.date]);
+        if (!holiday) {
+            return res.status(404).json({ message: 'Holiday not found.' });
+        }
+        await db.run('DELETE FROM holidays WHERE date = ?', [holiday.date]);
+        await audit(req, 'holiday_removed', { oldData: holiday });
+        res.status(204).send();
+    });
+
+    // POST /api/calendar/holidays/import - Body: { format: 'ics' | 'tsv', content, replace }
+    router.post('/holidays/import',
+        requireRole('admin'),
+        body('format').isIn(['ics', 'tsv']).withMessage('format must be ics or tsv'),
+        body('content').isString().notEmpty().withMessage('content must be the text of the file'),
+        body('replace').optional().isBoolean().withMessage('replace must be true or false'),
+        async (req, res) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+            const { format, content } = req.body;
+            const replace = req.body.replace === true || req.body.replace === 'true';
+            const parsed = format === 'ics' ? parseIcsHolidays(content) : parseTsvHolidays(content);
+            if (parsed.holidays.length === 0) {
+                return res.status(400).json({ message: 'No holidays were found in the file.', skipped: parsed.errors });
+            }
+            if (parsed.holidays.length > MAX_IMPORTED_HOLIDAYS) {
+                return res.status(400).json({ message: `A file may hold at most ${MAX_IMPORTED_HOLIDAYS} holidays.` });
+            }
+
+            let imported;
+            try {
+                await db.run('BEGIN TRANSACTION');
+                imported = await saveHolidays(db, parsed.holidays, { replace });
+                await audit(req, 'holidays_imported', {
+                    note: `Imported ${imported} holiday(s) from a .${format} file${replace ? ', replacing the previous list' : ''}`,
+                    details: { format, imported, replace, skipped: parsed.errors.length }
+                });
+                await db.run('COMMIT');
+            } catch (err) {
+                await db.run('ROLLBACK');
+                logger.error('Error importing holidays:', err);
+                return res.status(500).json({ message: 'Failed to import the holidays.' });
+            }
+            res.status(201).json({ imported, skipped: parsed.errors, calendar: await getWorkingCalendar(db) });
+        }
+    );
+
+    return router;
+}
@@ -0,0 +1,211 @@
+/**
+ * routes/capacity.js
+ * * Defines API routes for weekly resource type capacity and the capacity plan.
+ */
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import { getAllInitiativeFactors } from '../initiativeFactors.js';
+import { countWeeks, getWeekStart, listWeeks, parseDate, formatDate, spreadInitiativeDemand } from '../capacity.js';
+import { getWorkingCalendar } from '../calendar.js';
+import { CLOSED_CATEGORIES, getStatusNames } from '../statuses.js';
+import { requireRole } from '../auth.js';
+import { recordAuditEvent } from '../audit.js';
+import { logger } from '../logger.js';
+
+// Longest range the plan endpoint will compute, to keep responses bounded
+const MAX_PLAN_WEEKS = 104;
+
+/**
+ * Creates and returns an Express router for capacity-related routes.
+ * @param {Database} db - The initialized SQLite database instance.
+ * @returns {Router} The configured Express router.
+ */
+export default function createCapacityRouter(db) {
+    const router = express.Router();
+
+    // Helper to load the initiatives that consume capacity, with their selected factors
+    const loadActiveInitiatives = async () => {
+        // Initiatives in a done or cancelled status no longer consume capacity
+        const inactiveStatuses = await getStatusNames(db, CLOSED_CATEGORIES);
+        const placeholders = inactiveStatuses.map(() => '?').join(', ');
+        const rows = await db.all(
+            `SELECT id, custom_id, name, status, estimation_type, start_date, end_date, base_hours, computed_hours FROM initiatives
+             WHERE deleted_at IS NULL AND (status IS NULL OR status NOT IN (${placeholders}))`,
+            inactiveStatuses
+        );
+        const factorsByInitiative = await getAllInitiativeFactors(db);
+        return rows.map(row => ({ ...row, selected_factors: factorsByInitiative.get(row.id) || [] }));
+    };
+
+    // GET /api/capacity?from=&to= - Lists capacity entries, optionally limited to a date range
+    router.get('/',
+        query('from').optional().isISO8601({ strict: true }).withMessage('from must be a valid date (YYYY-MM-DD)'),
+        query('to').optional().isISO8601({ strict: true }).withMessage('to must be a valid date (YYYY-MM-DD)'),
+        async (req, res) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+            const from = req.query.from ? getWeekStart(req.query.from) : '0000-01-01';
+            const to = req.query.to || '9999-12-31';
+            const rows = await db.all(
+                `SELECT c.*, (c.headcount * c.hours_per_person) AS available_hours, r.name AS resource_type_name
+                 FROM resource_capacity c JOIN resource_types r ON r.id = c.resource_type_id
+                 WHERE c.week_start >= ? AND c.week_start <= ? AND r.deleted_at IS NULL
+                 ORDER BY c.week_start, r.name`,
+                [from, to]
+            );
+            res.json(rows);
+        }
+    );
+
+    // PUT /api/capacity - Sets the capacity of a resource type for every week from..to
+    router.put('/',
+        requireRole('estimator'),
+        body('resource_type_id').notEmpty().withMessage('Resource type is required'),
+        body('from').isISO8601({ strict: true }).withMessage('from must be a valid date (YYYY-MM-DD)'),
+        body('to').isISO8601({ strict: true }).withMessage('to must be a valid date (YYYY-MM-DD)'),
+        body('headcount').isFloat({ min: 0 }).withMessage('Headcount must be a non-negative number'),
+        body('hours_per_person').isFloat({ min: 0 }).withMessage('Hours per person must be a non-negative number'),
+        async (req, res) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+            const { resource_type_id, from, to, headcount, hours_per_person } = req.body;
+            const resourceType = await db.get('SELECT id, name FROM resource_types WHERE id = ? AND deleted_at IS NULL', [resource_type_id]);
+            if (!resourceType) {
+                return res.status(404).json({ message: 'Resource Type not found' });
+            }
+            if (from > to) {
+                return res.status(400).json({ message: 'from must not be after to.' });
+            }
+            if (countWeeks(from, to) > MAX_PLAN_WEEKS) {
+                return res.status(400).json({ message: `A capacity range may cover at most ${MAX_PLAN_WEEKS} weeks.` });
+            }
+            const weeks = listWeeks(from, to);
+
+            const now = new Date().toISOString();
+            try {
+                await db.run('BEGIN TRANSACTION');
+                for (const week of weeks) {
+                    await db.run(
+                        `INSERT INTO resource_capacity (resource_type_id, week_start, headcount, hours_per_person, updated_at)
+                         VALUES (?, ?, ?, ?, ?)
+                         ON CONFLICT(resource_type_id, week_start) DO UPDATE SET
+                           headcount = excluded.headcount, hours_per_person = excluded.hours_per_person, updated_at = excluded.updated_at`,
+                        [resource_type_id, week, parseFloat(headcount), parseFloat(hours_per_person), now]
+                    );
+                }
+                await recordAuditEvent(db, {
+                    entityType: 'resource_capacity', entityId: resource_type_id, entityName: resourceType.name, action: 'updated', actor: req.user, timestamp: now,
+                    newData: { headcount: parseFloat(headcount), hours_per_person: parseFloat(hours_per_person) },
+                    note: `Capacity set for the weeks of ${weeks[0]} to ${weeks[weeks.length - 1]}`,
+                    details: { from, to, weeks: weeks.length }
+                });
+                await db.run('COMMIT');
+            } catch (err) {
+                await db.run('ROLLBACK');
+                logger.error('Error saving capacity:', err);
+                return res.status(500).json({ message: 'Failed to save capacity.' });
+            }
+            res.json({ updatedWeeks: weeks.length });
+        }
+    );
+
+    // DELETE /api/capacity/:id
+    router.delete('/:id', requireRole('estimator'), async (req, res) => {
+        const entry = await db.get(
+            `SELECT c.*, t.name AS resource_type_name FROM resource_capacity c
+             JOIN resource_types t ON t.id = c.resource_type_id
+             WHERE c.id = ? AND t.deleted_at IS NULL`,
+            [req.params.id]
+        );
+        if (!entry) {
+            return res.status(404).json({ message: 'Capacity entry not found' });
+        }
+        await db.run('DELETE FROM resource_capacity WHERE id = ?', [entry.id]);
+        await recordAuditEvent(db, {
+            entityType: 'resource_capacity', entityId: entry.resource_type_id, entityName: entry.resource_type_name, action: 'deleted', actor: req.user,
+            oldData: { headcount: entry.headcount, hours_per_person: entry.hours_per_person },
+            note: `Capacity removed for the week of ${entry.week_start}`
+        });
+        res.status(204).send();
+    });
+
+    // GET /api/capacity/plan?from=&to= - Weekly demand vs. capacity per resource type.
+    // Each active initiative's hours, contingency buffer included, are spread evenly over the working days of
+    // its start..end range, per the working calendar. Initiatives without a valid range are listed as unscheduled.
+    // Weeks with demand but no recorded capacity are overloaded and flagged no_capacity.
+    router.get('/plan',
+        query('from').optional().isISO8601({ strict: true }).withMessage('from must be a valid date (YYYY-MM-DD)'),
+        query('to').optional().isISO8601({ strict: true }).withMessage('to must be a valid date (YYYY-MM-DD)'),
+        async (req, res) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const initiatives = await loadActiveInitiatives();
+            const calendar = await getWorkingCalendar(db);
+            const scheduled = [];
+            const unscheduled = [];
+            for (const initiative of initiatives) {
+                const byWeek = spreadInitiativeDemand(initiative, calendar);
+                if (byWeek) scheduled.push({ initiative, byWeek });
+                else unscheduled.push({ id: initiative.id, custom_id: initiative.custom_id, name: initiative.name });
+            }
+
+            // Default to the span of scheduled work, or the next 12 weeks when there is none
+            const starts = scheduled.map(s => s.initiative.start_date.substring(0, 10)).sort();
+            const ends = scheduled.map(s => s.initiative.end_date.substring(0, 10)).sort();
+            const from = req.query.from || starts[0] || formatDate(new Date());
+            const to = req.query.to || ends[ends.length - 1] || formatDate(new Date(parseDate(from).getTime() + 11 * 7 * 24 * 60 * 60 * 1000));
+            if (from > to) {
+                return res.status(400).json({ message: 'from must not be after to.' });
+            }
+            if (countWeeks(from, to) > MAX_PLAN_WEEKS) {
+                return res.status(400).json({ message: `The plan may cover at most ${MAX_PLAN_WEEKS} weeks; narrow from/to.` });
+            }
+            const weeks = listWeeks(from, to);
+
+            const resourceTypes = await db.all('SELECT id, name FROM resource_types WHERE deleted_at IS NULL ORDER BY name');
+            const capacityRows = await db.all(
+                'SELECT resource_type_id, week_start, headcount, hours_per_person FROM resource_capacity WHERE week_start >= ? AND week_start <= ?',
+                [weeks[0], weeks[weeks.length - 1]]
+            );
+            const capacity = new Map(capacityRows.map(c => [`${c.resource_type_id}|${c.week_start}`, c]));
+
+            const plan = resourceTypes.map(rt => ({
+                id: rt.id,
+                name: rt.name,
+                weeks: weeks.map(week => {
+                    const cap = capacity.get(`${rt.id}|${week}`);
+                    const contributions = [];
+                    for (const { initiative, byWeek } of scheduled) {
+                        const hours = byWeek.get(week)?.[rt.id];
+                        if (hours) {
+                            contributions.push({ id: initiative.id, custom_id: initiative.custom_id, name: initiative.name, hours: parseFloat(hours.toFixed(1)) });
+                        }
+                    }
+                    const demand = contributions.reduce((sum, c) => sum + c.hours, 0);
+                    const available = cap ? cap.headcount * cap.hours_per_person : null;
+                    // A week without recorded capacity has none, so any demand overloads it
+                    return {
+                        week_start: week,
+                        capacity: available,
+                        headcount: cap ? cap.headcount : null,
+                        demand: parseFloat(demand.toFixed(1)),
+                        overloaded: demand > (available ?? 0),
+                        no_capacity: available === null,
+                        initiatives: contributions
+                    };
+                })
+            }));
+
+            res.json({ from: weeks[0], to: weeks[weeks.length - 1], weeks, resourceTypes: plan, unscheduled });
+        }
+    );
+
+    return router;
+}
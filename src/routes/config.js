@@ -0,0 +1,23 @@
+/**
+ * routes/config.js
+ * * Exposes the server configuration the client needs to display dates: the default time
+ * zone and locale. Hours per day are part of the working calendar (see routes/calendar.js).
+ */
+import express from 'express';
+import { getConfig } from '../config.js';
+
+/**
+ * Creates and returns an Express router for the client configuration.
+ * @returns {Router} The configured Express router.
+ */
+export default function createConfigRouter() {
+    const router = express.Router();
+
+    // GET /api/config
+    router.get('/', (req, res) => {
+        const { timezone, locale } = getConfig();
+        res.json({ timezone, locale });
+    });
+
+    return router;
+}
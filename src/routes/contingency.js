@@ -0,0 +1,100 @@
+/**
+ * routes/contingency.js
+ * * Defines API routes for the contingency percentage of each estimation type.
+ */
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { getShirtSize } from '../utils.js';
+import { getContingencyRates, computeBufferedHours } from '../contingency.js';
+import { requireRole } from '../auth.js';
+import { recordAuditEvent } from '../audit.js';
+import { logger } from '../logger.js';
+
+/**
+ * Creates and returns an Express router for contingency routes.
+ * @param {Database} db - The initialized SQLite database instance.
+ * @returns {Router} The configured Express router.
+ */
+export default function createContingencyRouter(db) {
+    const router = express.Router();
+
+    // GET /api/contingency
+    router.get('/', async (req, res) => {
+        res.json(await getContingencyRates(db));
+    });
+
+    // PUT /api/contingency - Body is a map of estimation type to percent.
+    // Initiatives of every changed type get their buffer recomputed and an audit entry.
+    // Initiatives in the Trash are recomputed when they are restored (see trash.js).
+    router.put('/',
+        requireRole('admin'),
+        body().isObject().withMessage('Body must map estimation types to percentages'),
+        body('*').isFloat({ min: 0, max: 1000 }).withMessage('Contingency must be a percentage between 0 and 1000'),
+        async (req, res) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+
+            const oldRates = await getContingencyRates(db);
+            const unknown = Object.keys(req.body).filter(type => !(type in oldRates));
+            if (unknown.length > 0) {
+                return res.status(400).json({ message: `Unknown estimation type(s): ${unknown.join(', ')}` });
+            }
+
+            const now = new Date().toISOString();
+            let updatedInitiatives = 0;
+            try {
+                await db.run('BEGIN TRANSACTION');
+                for (const [estimationType, value] of Object.entries(req.body)) {
+                    const percent = parseFloat(value);
+                    if (percent === oldRates[estimationType]) continue;
+                    await db.run('UPDATE contingency_rates SET percent = ? WHERE estimation_type = ?', [percent, estimationType]);
+
+                    const rows = await db.all('SELECT * FROM initiatives WHERE estimation_type = ? AND deleted_at IS NULL', [estimationType]);
+                    for (const row of rows) {
+                        const totals = await computeBufferedHours(db, row.base_hours || 0, estimationType, row.risk_adjustment_percent);
+                        if (totals.buffer_hours === row.buffer_hours) continue;
+                        const shirtSize = await getShirtSize(db, totals.computed_hours, row.shirt_size_scheme_id);
+                        await db.run(
+                            'UPDATE initiatives SET buffer_hours = ?, computed_hours = ?, shirt_size = ?, updated_at = ? WHERE id = ?',
+                            [totals.buffer_hours, totals.computed_hours, shirtSize, now, row.id]
+                        );
+                        await recordAuditEvent(db, {
+                            entityType: 'initiative', entityId: row.id, entityName: row.name, action: 'updated', actor: req.user, timestamp: now,
+                            note: `Contingency for ${estimationType} estimates changed from ${oldRates[estimationType]}% to ${percent}%`,
+                            oldData: {
+                                buffer_hours: parseFloat(row.buffer_hours || 0).toFixed(1),
+                                computed_hours: parseFloat(row.computed_hours || 0).toFixed(1),
+                                shirt_size: row.shirt_size
+                            },
+                            newData: {
+                                buffer_hours: totals.buffer_hours.toFixed(1),
+                                computed_hours: totals.computed_hours.toFixed(1),
+                                shirt_size: shirtSize
+                            }
+                        });
+                        updatedInitiatives++;
+                    }
+                }
+                const newRates = await getContingencyRates(db);
+                if (JSON.stringify(oldRates) !== JSON.stringify(newRates)) {
+                    await recordAuditEvent(db, {
+                        entityType: 'contingency', entityId: 'default', entityName: 'Contingency', action: 'updated', actor: req.user, timestamp: now,
+                        oldData: oldRates, newData: newRates,
+                        details: { updated_initiatives: updatedInitiatives }
+                    });
+                }
+                await db.run('COMMIT');
+            } catch (err) {
+                await db.run('ROLLBACK');
+                logger.error('Error updating contingency:', err);
+                return res.status(500).json({ message: 'Failed to update contingency.' });
+            }
+
+            res.json({ rates: await getContingencyRates(db), updatedInitiatives });
+        }
+    );
+
+    return router;
+}
@@ -5,7 +5,17 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
 import { v4 as uuid } from 'uuid';
-import { areHoursPerResourceTypeEqual } from '../utils.js';
+import { areHoursPerResourceTypeEqual, getShirtSize } from '../utils.js';
+import { normalizeHoursPerResourceType, validateHoursPerResourceType } from '../estimation.js';
+import { repriceInitiative } from '../initiativeFactors.js';
+import { computeBufferedHours } from '../contingency.js';
+import { getJournalEntries, getAllJournalEntries, addNewJournalEntries } from '../journal.js';
+import { requireRole } from '../auth.js';
+import { recordAuditEvent } from '../audit.js';
+import { indexEstimationFactor } from '../search.js';
+import { findNameConflict, moveToTrash } from '../trash.js';
+import { computeFactorCalibration } from '../actuals.js';
+import { logger } from '../logger.js';
 
 /**
  * Creates and returns an Express router for estimation factor-related routes.
@@ -15,46 +25,106 @@ import { areHoursPerResourceTypeEqual } from '../utils.js';
 export default function createEstimationFactorsRouter(db) {
     const router = express.Router();
 
-    // Helper to parse JSON fields from a database row
-    const parseFactorRow = (row) => {
+    // Helper to parse JSON fields from a database row and attach its journal
+    const parseFactorRow = (row, journalEntries) => {
         if (!row) return null;
-        row.hoursPerResourceType = JSON.parse(row.hours_per_resource_type || '{}');
-        row.journal_entries = JSON.parse(row.journal_entries || '[]');
-        row.journal_entries.forEach(entry => {
-            if (entry.type === 'audit') {
-                try {
-                    if (typeof entry.old_data === 'string') entry.old_data = JSON.parse(entry.old_data);
-                    if (typeof entry.new_data === 'string') entry.new_data = JSON.parse(entry.new_data);
-                } catch (e) {
-                    console.error("Error parsing audit data in EF journal entry:", e);
-                    entry.old_data = {};
-                    entry.new_data = {};
-                }
-            }
-        });
+        row.hoursPerResourceType = normalizeHoursPerResourceType(JSON.parse(row.hours_per_resource_type || '{}'));
+        row.journal_entries = journalEntries;
         delete row.hours_per_resource_type;
         return row;
     };
 
+    // Helper to load a single factor with its journal
+    const loadFactor = async (id) => {
+        const row = await db.get('SELECT * FROM estimation_factors WHERE id = ? AND deleted_at IS NULL', [id]);
+        if (!row) return null;
+        return parseFactorRow(row, await getJournalEntries(db, 'estimation_factor', row.id));
+    };
+
+    // Helper to list the initiatives using a factor with their stored and recomputed estimates
+    const computeImpact = async (factorId, proposedHours) => {
+        const overrides = proposedHours ? { [factorId]: proposedHours } : {};
+        const rows = await db.all(
+            `SELECT i.*, f.quantity AS factor_quantity FROM initiatives i
+             JOIN initiative_factors f ON f.initiative_id = i.id
+             WHERE f.factor_id = ? AND i.deleted_at IS NULL ORDER BY i.id`,
+            [factorId]
+        );
+        const impact = [];
+        for (const row of rows) {
+            const { estimate, error } = await repriceInitiative(db, row, overrides);
+            const oldHours = parseFloat(row.computed_hours || 0);
+            const newHours = estimate
+                ? (await computeBufferedHours(db, estimate.expected, row.estimation_type, row.risk_adjustment_percent)).computed_hours
+                : null;
+            const newShirtSize = estimate ? await getShirtSize(db, newHours, row.shirt_size_scheme_id) : null;
+            impact.push({
+                id: row.id,
+                custom_id: row.custom_id,
+                name: row.name,
+                status: row.status,
+                quantity: row.factor_quantity,
+                old_hours: oldHours,
+                new_hours: newHours,
+                old_shirt_size: row.shirt_size,
+                new_shirt_size: newShirtSize,
+                changed: !error && (oldHours !== newHours || row.shirt_size !== newShirtSize),
+                error
+            });
+        }
+        return impact;
+    };
+
     // GET /api/estimation-factors
     router.get('/', async (req, res) => {
-        const rows = await db.all('SELECT * FROM estimation_factors');
-        res.json(rows.map(parseFactorRow));
+        const rows = await db.all('SELECT * FROM estimation_factors WHERE deleted_at IS NULL');
+        const journalsByFactor = await getAllJournalEntries(db, 'estimation_factor');
+        res.json(rows.map(row => parseFactorRow(row, journalsByFactor.get(row.id) || [])));
+    });
+
+    // GET /api/estimation-factors/calibration - Suggested hours per factor from the actual hours of done
+    // initiatives (see actuals.js); a suggestion is accepted by saving it through PUT /:id
+    router.get('/calibration', async (req, res) => {
+        res.json(await computeFactorCalibration(db));
+    });
+
+    // GET /api/estimation-factors/:id/impact - Initiatives whose stored estimate differs from the current factor values
+    router.get('/:id/impact', async (req, res) => {
+        const { id } = req.params;
+        const factor = await db.get('SELECT id FROM estimation_factors WHERE id = ? AND deleted_at IS NULL', [id]);
+        if (!factor) {
+            return res.status(404).json({ message: 'Estimation Factor not found' });
+        }
+        res.json(await computeImpact(id));
+    });
+
+    // POST /api/estimation-factors/:id/impact - Previews the effect of proposed hours before saving
+    router.post('/:id/impact', async (req, res) => {
+        const { id } = req.params;
+        const factor = await db.get('SELECT id FROM estimation_factors WHERE id = ? AND deleted_at IS NULL', [id]);
+        if (!factor) {
+            return res.status(404).json({ message: 'Estimation Factor not found' });
+        }
+        const hoursError = validateHoursPerResourceType(req.body.hoursPerResourceType);
+        if (hoursError) {
+            return res.status(400).json({ message: hoursError });
+        }
+        res.json(await computeImpact(id, normalizeHoursPerResourceType(req.body.hoursPerResourceType)));
     });
 
     // GET /api/estimation-factors/:id/audit
     router.get('/:id/audit', async (req, res) => {
         const { id } = req.params;
-        const row = await db.get('SELECT journal_entries FROM estimation_factors WHERE id = ?', [id]);
+        const row = await db.get('SELECT id FROM estimation_factors WHERE id = ? AND deleted_at IS NULL', [id]);
         if (!row) {
             return res.status(404).json({ message: 'Estimation Factor not found' });
         }
-        const factor = parseFactorRow({ journal_entries: row.journal_entries, hours_per_resource_type: '{}' });
-        res.json(factor.journal_entries);
+        res.json(await getJournalEntries(db, 'estimation_factor', row.id));
     });
 
     // POST /api/estimation-factors
     router.post('/',
+        requireRole('admin'),
         body('name').notEmpty().withMessage('Name is required'),
         async (req, res) => {
             const errors = validationResult(req);
@@ -62,29 +132,46 @@ export default function createEstimationFactorsRouter(db) {
                 return res.status(400).json({ errors: errors.array() });
             }
             const now = new Date().toISOString();
-            const { name, description, hoursPerResourceType, journal_entries } = req.body;
-
-            const newJournalEntries = JSON.parse(JSON.stringify(journal_entries || []));
-            const newDataForAudit = { name, description, hoursPerResourceType: hoursPerResourceType || {} };
-            const auditEntry = {
-                timestamp: now, type: 'audit', action: 'created',
-                old_data: JSON.stringify({}),
-                new_data: JSON.stringify(newDataForAudit)
-            };
-            newJournalEntries.push(auditEntry);
+            const { name, description, journal_entries } = req.body;
+
+            const hoursError = validateHoursPerResourceType(req.body.hoursPerResourceType);
+            if (hoursError) {
+                return res.status(400).json({ message: hoursError });
+            }
+            const hoursPerResourceType = normalizeHoursPerResourceType(req.body.hoursPerResourceType);
+            const conflict = await findNameConflict(db, 'estimation_factor', name);
+            if (conflict) {
+                return res.status(409).json({ message: conflict });
+            }
+
+            const newDataForAudit = { name, description, hoursPerResourceType };
 
             const newId = uuid();
-            await db.run(
-                'INSERT INTO estimation_factors (id, name, description, hours_per_resource_type, journal_entries, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
-                [newId, name, description, JSON.stringify(hoursPerResourceType || {}), JSON.stringify(newJournalEntries), now, now]
-            );
-            const newEF = await db.get('SELECT * FROM estimation_factors WHERE id = ?', [newId]);
-            res.status(201).json(parseFactorRow(newEF));
+            try {
+                await db.run('BEGIN TRANSACTION');
+                await db.run(
+                    'INSERT INTO estimation_factors (id, name, description, hours_per_resource_type, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)',
+                    [newId, name, description, JSON.stringify(hoursPerResourceType), now, now]
+                );
+                await recordAuditEvent(db, {
+                    entityType: 'estimation_factor', entityId: newId, entityName: name, action: 'created', actor: req.user,
+                    newData: newDataForAudit, timestamp: now
+                });
+                await addNewJournalEntries(db, 'estimation_factor', newId, journal_entries, req.user);
+                await indexEstimationFactor(db, newId);
+                await db.run('COMMIT');
+            } catch (err) {
+                await db.run('ROLLBACK');
+                logger.error('Error creating estimation factor:', err);
+                return res.status(500).json({ message: 'Failed to create estimation factor.' });
+            }
+            res.status(201).json(await loadFactor(newId));
         }
     );
 
     // PUT /api/estimation-factors/:id
     router.put('/:id',
+        requireRole('admin'),
         body('name').notEmpty().withMessage('Name is required'),
         async (req, res) => {
             const errors = validationResult(req);
@@ -93,53 +180,102 @@ export default function createEstimationFactorsRouter(db) {
             }
             const { id } = req.params;
             const now = new Date().toISOString();
-            const { name, description, hoursPerResourceType, journal_entries } = req.body;
+            const { name, description, journal_entries } = req.body;
+
+            const hoursError = validateHoursPerResourceType(req.body.hoursPerResourceType);
+            if (hoursError) {
+                return res.status(400).json({ message: hoursError });
+            }
+            const hoursPerResourceType = normalizeHoursPerResourceType(req.body.hoursPerResourceType);
 
-            const oldFactor = await db.get('SELECT * FROM estimation_factors WHERE id = ?', [id]);
+            const oldFactor = await db.get('SELECT * FROM estimation_factors WHERE id = ? AND deleted_at IS NULL', [id]);
             if (!oldFactor) {
                 return res.status(404).json({ message: 'Estimation Factor not found' });
             }
+            const conflict = await findNameConflict(db, 'estimation_factor', name, id);
+            if (conflict) {
+                return res.status(409).json({ message: conflict });
+            }
 
             const updateFields = {
                 name, description,
-                hours_per_resource_type: JSON.stringify(hoursPerResourceType || {}),
-                journal_entries: JSON.stringify(journal_entries || []),
+                hours_per_resource_type: JSON.stringify(hoursPerResourceType),
                 updated_at: now
             };
-            const setClause = Object.keys(updateFields).map(key => `${key} = ?`).join(', ');
-            const values = [...Object.values(updateFields), id];
-            await db.run(`UPDATE estimation_factors SET ${setClause} WHERE id = ?`, values);
 
-            const newJournalEntries = JSON.parse(JSON.stringify(journal_entries || []));
             const oldDataForAudit = {
                 name: oldFactor.name,
                 description: oldFactor.description,
-                hoursPerResourceType: JSON.parse(oldFactor.hours_per_resource_type || '{}'),
+                hoursPerResourceType: normalizeHoursPerResourceType(JSON.parse(oldFactor.hours_per_resource_type || '{}')),
             };
-            const newDataForAudit = { name, description, hoursPerResourceType: hoursPerResourceType || {} };
-
-            if (oldDataForAudit.name !== newDataForAudit.name || 
-                oldDataForAudit.description !== newDataForAudit.description ||
-                !areHoursPerResourceTypeEqual(oldDataForAudit.hoursPerResourceType, newDataForAudit.hoursPerResourceType)) {
-                
-                const auditEntry = {
-                    timestamp: now, type: 'audit', action: 'updated',
-                    old_data: JSON.stringify(oldDataForAudit),
-                    new_data: JSON.stringify(newDataForAudit)
-                };
-                newJournalEntries.push(auditEntry);
-                await db.run('UPDATE estimation_factors SET journal_entries = ? WHERE id = ?', [JSON.stringify(newJournalEntries), id]);
+            const newDataForAudit = { name, description, hoursPerResourceType };
+
+            try {
+                await db.run('BEGIN TRANSACTION');
+                const setClause = Object.keys(updateFields).map(key => `${key} = ?`).join(', ');
+                const values = [...Object.values(updateFields), id];
+                await db.run(`UPDATE estimation_factors SET ${setClause} WHERE id = ?`, values);
+                await addNewJournalEntries(db, 'estimation_factor', id, journal_entries, req.user);
+
+                if (oldDataForAudit.name !== newDataForAudit.name || 
+                    oldDataForAudit.description !== newDataForAudit.description ||
+                    !areHoursPerResourceTypeEqual(oldDataForAudit.hoursPerResourceType, newDataForAudit.hoursPerResourceType)) {
+                    
+                    await recordAuditEvent(db, {
+                        entityType: 'estimation_factor', entityId: id, entityName: name, action: 'updated', actor: req.user,
+                        oldData: oldDataForAudit, newData: newDataForAudit, timestamp: now
+                    });
+                }
+                await indexEstimationFactor(db, id);
+                await db.run('COMMIT');
+            } catch (err) {
+                await db.run('ROLLBACK');
+                logger.error('Error updating estimation factor:', err);
+                return res.status(500).json({ message: 'Failed to update estimation factor.' });
             }
             
-            const updatedEF = await db.get('SELECT * FROM estimation_factors WHERE id = ?', [id]);
-            res.json(parseFactorRow(updatedEF));
+            res.json(await loadFactor(id));
         }
     );
 
-    // DELETE /api/estimation-factors/:id
-    router.delete('/:id', async (req, res) => {
+    // DELETE /api/estimation-factors/:id - Moves the factor to the Trash (see trash.js).
+    // Refused while initiatives outside the Trash use it.
+    router.delete('/:id', requireRole('admin'), async (req, res) => {
         const { id } = req.params;
-        await db.run('DELETE FROM estimation_factors WHERE id = ?', [id]);
+        const factor = await db.get('SELECT * FROM estimation_factors WHERE id = ? AND deleted_at IS NULL', [id]);
+        if (!factor) {
+            return res.status(404).json({ message: 'Estimation Factor not found' });
+        }
+        const usedBy = await db.all(
+            `SELECT i.id, i.custom_id, i.name FROM initiatives i
+             JOIN initiative_factors f ON f.initiative_id = i.id
+             WHERE f.factor_id = ? AND i.deleted_at IS NULL`,
+            [id]
+        );
+        if (usedBy.length > 0) {
+            return res.status(409).json({
+                message: `Estimation factor is used by ${usedBy.length} initiative(s) and cannot be deleted.`,
+                initiatives: usedBy
+            });
+        }
+        try {
+            await db.run('BEGIN TRANSACTION');
+            await moveToTrash(db, 'estimation_factor', id, req.user);
+            await recordAuditEvent(db, {
+                entityType: 'estimation_factor', entityId: id, entityName: factor.name, action: 'deleted', actor: req.user,
+                oldData: {
+                    name: factor.name,
+                    description: factor.description,
+                    hoursPerResourceType: normalizeHoursPerResourceType(JSON.parse(factor.hours_per_resource_type || '{}'))
+                },
+                note: 'Moved to the Trash'
+            });
+            await db.run('COMMIT');
+        } catch (err) {
+            await db.run('ROLLBACK');
+            logger.error('Error deleting estimation factor:', err);
+            return res.status(500).json({ message: 'Failed to delete estimation factor.' });
+        }
         res.status(204).send();
     });
 
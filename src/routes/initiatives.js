@@ -3,8 +3,20 @@
  * * Defines API routes for the Initiatives resource.
  */
 import express from 'express';
-import { body, validationResult } from 'express-validator';
+import { body, query, validationResult } from 'express-validator';
 import { getShirtSize } from '../utils.js';
+import { computeInitiativeEstimate, resolveSelectedFactors } from '../estimation.js';
+import { getInitiativeFactors, getAllInitiativeFactors, replaceInitiativeFactors, repriceInitiative } from '../initiativeFactors.js';
+import { getRateHistory, computeInitiativeCost } from '../costs.js';
+import { computeBufferedHours, getBufferMultiplier } from '../contingency.js';
+import { getJournalEntries, getAllJournalEntries, addJournalEntry, addNewJournalEntries } from '../journal.js';
+import { authorOf, requireRole } from '../auth.js';
+import { recordAuditEvent } from '../audit.js';
+import { moveToTrash } from '../trash.js';
+import { indexInitiative, toMatchQuery } from '../search.js';
+import { checkTransition, findStatus, getInitialStatus, getStatusHistory, getWorkflow, recordStatusChange, summarizeStatusHistory } from '../statuses.js';
+import { CURRENT_ESTIMATE_ID, compareBaselines, createBaseline, getBaseline, listBaselines, uniqueBaselineName } from '../baselines.js';
+import { logger } from '../logger.js';
 
 /**
  * Creates and returns an Express router for initiative-related routes.
@@ -14,39 +26,201 @@ import { getShirtSize } from '../utils.js';
 export default function createInitiativesRouter(db) {
   const router = express.Router();
 
-  // Helper to parse JSON fields from a database row
-  const parseInitiativeRow = (row) => {
+  // Helper to attach selected factors, journal entries and derived fields to a database row
+  const buildInitiative = (row, selectedFactors, journalEntries, rateHistory) => {
+    row.selected_factors = selectedFactors;
+    row.journal_entries = journalEntries;
+    const estimate = computeInitiativeEstimate(row.selected_factors, row.estimation_type);
+    row.computed_std_dev = estimate.stdDev;
+    const cost = computeInitiativeCost(estimate.byResourceType, rateHistory, row.start_date, getBufferMultiplier(row));
+    row.computed_cost = cost.total;
+    row.cost_per_resource_type = cost.byResourceType;
+    return row;
+  };
+
+  // Helper to load a single initiative with its related rows
+  const loadInitiative = async (id) => {
+    const row = await db.get('SELECT * FROM initiatives WHERE id = ? AND deleted_at IS NULL', [id]);
     if (!row) return null;
-    row.selected_factors = JSON.parse(row.selected_factors || '[]');
-    row.journal_entries = JSON.parse(row.journal_entries || '[]');
-    row.journal_entries.forEach(entry => {
-      if (entry.type === 'audit') {
-        try {
-          if (typeof entry.old_data === 'string') entry.old_data = JSON.parse(entry.old_data);
-          if (typeof entry.new_data === 'string') entry.new_data = JSON.parse(entry.new_data);
-        } catch (e) {
-          console.error("Error parsing audit data in journal entry:", e);
-          entry.old_data = {};
-          entry.new_data = {};
-        }
+    return buildInitiative(row, await getInitiativeFactors(db, row.id), await getJournalEntries(db, 'initiative', row.id), await getRateHistory(db));
+  };
+
+  // Helper to take a baseline when an initiative is saved into a status that creates one.
+  // Run inside the caller's transaction, after the initiative and its factors are saved.
+  const baselineOnStatusChange = async (initiativeId, workflow, status, actor, timestamp) => {
+    if (!findStatus(workflow, status)?.creates_baseline) return;
+    const row = await db.get('SELECT * FROM initiatives WHERE id = ?', [initiativeId]);
+    const name = await uniqueBaselineName(db, row.id, `${status} ${timestamp.substring(0, 10)}`);
+    await createBaseline(db, row, { name, source: 'status', actor, timestamp });
+  };
+
+  // Helper to drop snapshot timestamps so audit comparisons only see real changes
+  const stripResolvedAt = (factors) => factors.map(({ resolved_at, ...rest }) => rest);
+
+  // Validators shared by POST and PUT for the optional risk adjustment
+  const riskValidators = [
+    body('risk_adjustment_percent').optional({ values: 'falsy' }).isFloat({ min: -100, max: 1000 })
+      .withMessage('Risk adjustment must be a percentage between -100 and 1000'),
+    body('risk_justification').custom((value, { req }) => {
+      if (Number(req.body.risk_adjustment_percent) && !String(value || '').trim()) {
+        throw new Error('A justification is required for a risk adjustment');
       }
+      return true;
+    })
+  ];
+
+  // Validator shared by POST and PUT for the optional shirt size scheme; null means the default scheme
+  const schemeValidator = body('shirt_size_scheme_id').optional({ values: 'null' })
+    .isInt({ min: 1 }).withMessage('shirt_size_scheme_id must be a scheme ID or null').bail()
+    .custom(async (value) => {
+      if (!await db.get('SELECT id FROM shirt_size_schemes WHERE id = ?', [value])) {
+        throw new Error('Shirt size scheme not found');
+      }
+      return true;
     });
-    return row;
+
+  // Columns the list can be sorted by in SQL; text columns compare case-insensitively
+  const SORT_COLUMNS = {
+    id: 'id', custom_id: 'custom_id COLLATE NOCASE', name: 'name COLLATE NOCASE',
+    status: 'status COLLATE NOCASE', priority: 'priority COLLATE NOCASE', priority_num: 'priority_num',
+    estimation_type: 'estimation_type COLLATE NOCASE', shirt_size: 'shirt_size COLLATE NOCASE',
+    base_hours: 'base_hours', computed_hours: 'computed_hours',
+    start_date: 'start_date', end_date: 'end_date', created_at: 'created_at', updated_at: 'updated_at'
+  };
+  // Derived fields can only be sorted after every matching initiative is built
+  const DERIVED_SORT_FIELDS = ['computed_cost', 'computed_std_dev'];
+  const OMITTABLE_FIELDS = ['journal_entries', 'selected_factors', 'cost_per_resource_type'];
+
+  // Splits a comma-separated query parameter into trimmed, non-empty values
+  const toList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(v => String(v).trim())
+    .filter(Boolean);
+
+  const dateQuery = (name) => query(name).optional({ values: 'falsy' }).isISO8601({ strict: true })
+    .withMessage(`${name} must be a valid date (YYYY-MM-DD)`);
+
+  // Builds the WHERE clause for the list filters
+  const buildListFilter = (params) => {
+    const clauses = ['deleted_at IS NULL'];
+    const values = [];
+    const match = toMatchQuery(params.q);
+    if (match) {
+      clauses.push("id IN (SELECT entity_id FROM search_index WHERE search_index MATCH ? AND entity_type = 'initiative')");
+      values.push(match);
+    }
+    for (const [param, column] of [['status', 'status'], ['shirt_size', 'shirt_size'], ['estimation_type', 'estimation_type']]) {
+      const list = toList(params[param]);
+      if (list.length > 0) {
+        clauses.push(`${column} IN (${list.map(() => '?').join(', ')})`);
+        values.push(...list);
+      }
+    }
+    for (const [param, column, op] of [
+      ['start_from', 'start_date', '>='], ['start_to', 'start_date', '<='],
+      ['end_from', 'end_date', '>='], ['end_to', 'end_date', '<=']
+    ]) {
+      if (params[param]) {
+        clauses.push(`substr(${column}, 1, 10) ${op} ?`);
+        values.push(params[param]);
+      }
+    }
+    return { where: `WHERE ${clauses.join(' AND ')}`, values };
   };
 
   // GET /api/initiatives
-  router.get('/', async (req, res) => {
-    const rows = await db.all('SELECT * FROM initiatives');
-    res.json(rows.map(parseInitiativeRow));
-  });
+  // Query: q, status, shirt_size, estimation_type (comma-separated), start_from/start_to/end_from/end_to,
+  // sort, order (asc|desc), limit, offset, omit (comma-separated fields). The number of matching
+  // initiatives before limit/offset is returned in the X-Total-Count header.
+  router.get('/',
+    [
+      query('q').optional().isString().trim(),
+      dateQuery('start_from'), dateQuery('start_to'), dateQuery('end_from'), dateQuery('end_to'),
+      query('sort').optional().isIn([...Object.keys(SORT_COLUMNS), ...DERIVED_SORT_FIELDS])
+        .withMessage('sort is not a sortable field'),
+      query('order').optional().isIn(['asc', 'desc']).withMessage('order must be asc or desc'),
+      query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('limit must be between 1 and 1000').toInt(),
+      query('offset').optional().isInt({ min: 0 }).withMessage('offset must be a non-negative integer').toInt(),
+      query('omit').optional().custom(value => {
+        const unknown = toList(value).filter(f => !OMITTABLE_FIELDS.includes(f));
+        if (unknown.length > 0) throw new Error(`Cannot omit ${unknown.join(', ')}; omittable fields are ${OMITTABLE_FIELDS.join(', ')}`);
+        return true;
+      })
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { sort = 'created_at', order = 'desc', limit, offset = 0 } = req.query;
+      const omit = toList(req.query.omit);
+      const direction = order === 'asc' ? 'ASC' : 'DESC';
+      const { where, values } = buildListFilter(req.query);
+      const derivedSort = DERIVED_SORT_FIELDS.includes(sort);
+
+      let rows;
+      let total;
+      if (derivedSort) {
+        rows = await db.all(`SELECT * FROM initiatives ${where}`, values);
+        total = rows.length;
+      } else {
+        total = (await db.get(`SELECT COUNT(*) AS count FROM initiatives ${where}`, values)).count;
+        const page = limit ? 'LIMIT ? OFFSET ?' : '';
+        rows = await db.all(
+          `SELECT * FROM initiatives ${where} ORDER BY ${SORT_COLUMNS[sort]} ${direction} NULLS LAST, id ${direction} ${page}`,
+          limit ? [...values, limit, offset] : values
+        );
+      }
+
+      // A derived sort prices every matching initiative; otherwise only the page is loaded
+      const factorsByInitiative = await getAllInitiativeFactors(db, derivedSort ? undefined : rows.map(row => row.id));
+      const rateHistory = await getRateHistory(db);
+      let initiatives = rows.map(row => buildInitiative(row, factorsByInitiative.get(row.id) || [], [], rateHistory));
+
+      if (derivedSort) {
+        const sign = direction === 'ASC' ? 1 : -1;
+        initiatives.sort((a, b) => sign * ((a[sort] || 0) - (b[sort] || 0)) || sign * (a.id - b.id));
+        if (limit) initiatives = initiatives.slice(offset, offset + limit);
+      }
+      // Journals are only attached, so they are loaded for the page once it is known
+      if (!omit.includes('journal_entries')) {
+        const journalsByInitiative = await getAllJournalEntries(db, 'initiative', initiatives.map(initiative => initiative.id));
+        for (const initiative of initiatives) initiative.journal_entries = journalsByInitiative.get(initiative.id) || [];
+      }
+      for (const initiative of initiatives) {
+        for (const field of omit) delete initiative[field];
+      }
+
+      res.set('X-Total-Count', String(total));
+      res.json(initiatives);
+    }
+  );
 
   // POST /api/initiatives/import - Handles bulk import from TSV
-  router.post('/import', async (req, res) => {
+  router.post('/import', requireRole('estimator'), async (req, res) => {
     const initiativesToImport = req.body;
     if (!Array.isArray(initiativesToImport)) {
       return res.status(400).json({ message: 'Request body must be an array of initiatives.' });
     }
 
+    // Imported statuses must be defined in the workflow; blank ones get the initial status.
+    // Shirt size schemes must exist; blank ones mean the default scheme.
+    const workflow = await getWorkflow(db);
+    const schemeIds = new Set((await db.all('SELECT id FROM shirt_size_schemes')).map(row => row.id));
+    const rowErrors = [];
+    initiativesToImport.forEach((init, index) => {
+      if (!init.name) return;
+      if (init.status && !findStatus(workflow, init.status)) {
+        rowErrors.push(`Row ${index + 1} (${init.name}): ${checkTransition(workflow, null, init.status)}`);
+      }
+      if (init.shirt_size_scheme_id && !schemeIds.has(Number(init.shirt_size_scheme_id))) {
+        rowErrors.push(`Row ${index + 1} (${init.name}): Shirt size scheme ${init.shirt_size_scheme_id} not found.`);
+      }
+    });
+    if (rowErrors.length > 0) {
+      return res.status(400).json({ message: `Nothing was imported. ${rowErrors.join(' ')}` });
+    }
+
     let importedCount = 0;
     const now = new Date().toISOString();
 
@@ -54,82 +228,302 @@ export default function createInitiativesRouter(db) {
       await db.run('BEGIN TRANSACTION');
       for (const init of initiativesToImport) {
         if (!init.name) {
-          console.warn('Skipping initiative in import due to missing name:', init);
+          logger.warn('Skipping initiative in import due to missing name:', init);
           continue;
         }
 
         // Set defaults and calculate values for the new initiative
-        const computedHours = 0; // No factors on import
-        const shirtSize = await getShirtSize(db, computedHours);
-
-        const journalEntry = {
-            timestamp: now,
-            type: 'audit',
-            action: 'created',
-            old_data: {},
-            new_data: { name: init.name, status: init.status || 'To Do', note: 'Imported via TSV' }
-        };
+        const status = init.status ? findStatus(workflow, init.status).name : getInitialStatus(workflow);
+        const schemeId = init.shirt_size_scheme_id ? Number(init.shirt_size_scheme_id) : null;
+        // No factors on import; size the hours the same way a save would
+        const totals = await computeBufferedHours(db, 0, null);
+        const shirtSize = await getShirtSize(db, totals.computed_hours, schemeId);
 
-        await db.run(
-          `INSERT INTO initiatives (name, custom_id, description, priority, priority_num, status, classification, scope, out_of_scope, selected_factors, computed_hours, shirt_size, journal_entries, start_date, end_date, created_at, updated_at)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        const result = await db.run(
+          `INSERT INTO initiatives (name, custom_id, description, priority, priority_num, status, classification, scope, out_of_scope, base_hours, buffer_hours, computed_hours, shirt_size_scheme_id, shirt_size, start_date, end_date, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
           [
             init.name,
             init.custom_id || null,
             init.description || null,
             init.priority || 'Low',
             parseInt(init.priority_num, 10) || 0,
-            init.status || 'To Do',
+            status,
             'Imported',
             init.scope || null,
             init.out_of_scope || null,
-            '[]',
-            computedHours,
+            totals.base_hours,
+            totals.buffer_hours,
+            totals.computed_hours,
+            schemeId,
             shirtSize,
-            JSON.stringify([journalEntry]),
             init.start_date || null,
             init.end_date || null,
             now,
             now
           ]
         );
+        await recordAuditEvent(db, {
+          entityType: 'initiative', entityId: result.lastID, entityName: init.name, action: 'created', actor: req.user,
+          newData: { name: init.name, status }, note: 'Imported via TSV', timestamp: now
+        });
+        await recordStatusChange(db, result.lastID, null, status, { actor: req.user, timestamp: now });
+        await baselineOnStatusChange(result.lastID, workflow, status, req.user, now);
+        await indexInitiative(db, result.lastID);
         importedCount++;
       }
       await db.run('COMMIT');
       res.status(201).json({ importedCount });
     } catch (error) {
       await db.run('ROLLBACK');
-      console.error('Import failed:', error);
+      logger.error('Import failed:', error);
       res.status(500).json({ message: 'Failed to import initiatives due to a server error.' });
     }
   });
 
+  // POST /api/initiatives/reprice - Recomputes the selected initiatives against the current factor catalog
+  router.post('/reprice',
+    requireRole('estimator'),
+    body('initiativeIds').isArray({ min: 1 }).withMessage('initiativeIds must be a non-empty array.'),
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { initiativeIds, note } = req.body;
+      const now = new Date().toISOString();
+      const repriced = [];
+
+      try {
+        await db.run('BEGIN TRANSACTION');
+        for (const initiativeId of initiativeIds) {
+          const row = await db.get('SELECT * FROM initiatives WHERE id = ? AND deleted_at IS NULL', [initiativeId]);
+          if (!row) {
+            throw Object.assign(new Error(`Initiative ${initiativeId} not found.`), { status: 404 });
+          }
+
+          const { oldSnapshot, snapshot, estimate, error } = await repriceInitiative(db, row);
+          if (error) {
+            throw Object.assign(new Error(`Initiative ${initiativeId}: ${error}`), { status: 400 });
+          }
+          const totals = await computeBufferedHours(db, estimate.expected, row.estimation_type, row.risk_adjustment_percent);
+          const newShirtSize = await getShirtSize(db, totals.computed_hours, row.shirt_size_scheme_id);
+
+          await recordAuditEvent(db, {
+            entityType: 'initiative', entityId: row.id, entityName: row.name, action: 'repriced', actor: req.user, timestamp: now,
+            oldData: {
+              base_hours: parseFloat(row.base_hours || 0).toFixed(1),
+              buffer_hours: parseFloat(row.buffer_hours || 0).toFixed(1),
+              computed_hours: parseFloat(row.computed_hours || 0).toFixed(1),
+              shirt_size: row.shirt_size,
+              selected_factors: JSON.stringify(stripResolvedAt(oldSnapshot))
+            },
+            newData: {
+              base_hours: totals.base_hours.toFixed(1),
+              buffer_hours: totals.buffer_hours.toFixed(1),
+              computed_hours: totals.computed_hours.toFixed(1),
+              shirt_size: newShirtSize,
+              selected_factors: JSON.stringify(stripResolvedAt(snapshot))
+            },
+            note: note || 'Re-priced against the current estimation factor catalog'
+          });
+
+          await replaceInitiativeFactors(db, row.id, snapshot);
+          await db.run(
+            'UPDATE initiatives SET base_hours = ?, buffer_hours = ?, computed_hours = ?, shirt_size = ?, updated_at = ? WHERE id = ?',
+            [totals.base_hours, totals.buffer_hours, totals.computed_hours, newShirtSize, now, row.id]
+          );
+          await indexInitiative(db, row.id);
+          repriced.push({
+            id: row.id,
+            old_hours: parseFloat(row.computed_hours || 0),
+            new_hours: totals.computed_hours,
+            old_shirt_size: row.shirt_size,
+            new_shirt_size: newShirtSize
+          });
+        }
+        await db.run('COMMIT');
+      } catch (error) {
+        await db.run('ROLLBACK');
+        logger.error('Re-pricing failed:', error);
+        return res.status(error.status || 500).json({ message: error.status ? error.message : 'Failed to re-price initiatives due to a server error.' });
+      }
+
+      res.json({ repricedCount: repriced.length, repriced });
+    }
+  );
 
   // GET /api/initiatives/:id
   router.get('/:id', async (req, res) => {
     const { id } = req.params;
-    const row = await db.get('SELECT * FROM initiatives WHERE id = ?', [id]);
-    if (!row) {
+    const initiative = await loadInitiative(id);
+    if (!initiative) {
       return res.status(404).json({ message: 'Initiative not found' });
     }
-    res.json(parseInitiativeRow(row));
+    res.json(initiative);
   });
   
   // GET /api/initiatives/:id/audit
   router.get('/:id/audit', async (req, res) => {
     const { id } = req.params;
-    const row = await db.get('SELECT journal_entries FROM initiatives WHERE id = ?', [id]);
+    const row = await db.get('SELECT id FROM initiatives WHERE id = ? AND deleted_at IS NULL', [id]);
     if (!row) {
         return res.status(404).json({ message: 'Initiative not found' });
     }
-    const initiative = parseInitiativeRow({ journal_entries: row.journal_entries });
-    res.json(initiative.journal_entries);
+    res.json(await getJournalEntries(db, 'initiative', row.id));
+  });
+
+  // GET /api/initiatives/:id/status-history - Status changes with the time spent in each status and the cycle time
+  router.get('/:id/status-history', async (req, res) => {
+    const row = await db.get('SELECT id FROM initiatives WHERE id = ? AND deleted_at IS NULL', [req.params.id]);
+    if (!row) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+    const history = (await getStatusHistory(db, row.id)).get(row.id) || [];
+    res.json({ history, ...summarizeStatusHistory(history, await getWorkflow(db)) });
+  });
+
+  // GET /api/initiatives/:id/baselines - The initiative's baselines, oldest first
+  router.get('/:id/baselines', async (req, res) => {
+    const row = await db.get('SELECT id FROM initiatives WHERE id = ? AND deleted_at IS NULL', [req.params.id]);
+    if (!row) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+    res.json(await listBaselines(db, row.id));
+  });
+
+  // POST /api/initiatives/:id/baselines - Freezes the saved estimate as a named baseline
+  router.post('/:id/baselines',
+    requireRole('estimator'),
+    body('name').isString().trim().notEmpty().withMessage('Name is required'),
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      const row = await db.get('SELECT * FROM initiatives WHERE id = ? AND deleted_at IS NULL', [req.params.id]);
+      if (!row) {
+        return res.status(404).json({ message: 'Initiative not found' });
+      }
+      const { name } = req.body;
+      if (await db.get('SELECT id FROM initiative_baselines WHERE initiative_id = ? AND name = ?', [row.id, name])) {
+        return res.status(409).json({ message: `This initiative already has a baseline named "${name}".` });
+      }
+      let baseline;
+      try {
+        await db.run('BEGIN TRANSACTION');
+        baseline = await createBaseline(db, row, { name, source: 'manual', actor: req.user });
+        await db.run('COMMIT');
+      } catch (error) {
+        await db.run('ROLLBACK');
+        logger.error('Error creating baseline:', error);
+        return res.status(500).json({ message: 'Failed to create the baseline.' });
+      }
+      res.status(201).json(baseline);
+    }
+  );
+
+  // GET /api/initiatives/:id/baselines/compare?from=&to= - Per-factor and per-resource-type deltas
+  // between two baselines. Either side may be "current" for the current estimate; from defaults
+  // to the latest baseline and to defaults to the current estimate.
+  router.get('/:id/baselines/compare',
+    query(['from', 'to']).optional().matches(/^(\d+|current)$/).withMessage('from and to must be baseline IDs or "current"'),
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      const row = await db.get('SELECT * FROM initiatives WHERE id = ? AND deleted_at IS NULL', [req.params.id]);
+      if (!row) {
+        return res.status(404).json({ message: 'Initiative not found' });
+      }
+      let fromId = req.query.from;
+      if (!fromId) {
+        const latest = await db.get('SELECT id FROM initiative_baselines WHERE initiative_id = ? ORDER BY created_at DESC, id DESC', [row.id]);
+        if (!latest) {
+          return res.status(404).json({ message: 'This initiative has no baselines yet.' });
+        }
+        fromId = latest.id;
+      }
+      const from = await getBaseline(db, row, fromId);
+      const to = await getBaseline(db, row, req.query.to || CURRENT_ESTIMATE_ID);
+      if (!from || !to) {
+        return res.status(404).json({ message: 'Baseline not found' });
+      }
+      const resourceTypes = await db.all('SELECT id, name FROM resource_types');
+      res.json(compareBaselines(from, to, resourceTypes));
+    }
+  );
+
+  // GET /api/initiatives/:id/baselines/:baselineId
+  router.get('/:id/baselines/:baselineId', async (req, res) => {
+    const row = await db.get('SELECT * FROM initiatives WHERE id = ? AND deleted_at IS NULL', [req.params.id]);
+    const baseline = row && /^\d+$/.test(req.params.baselineId) ? await getBaseline(db, row, req.params.baselineId) : null;
+    if (!baseline) {
+      return res.status(404).json({ message: 'Baseline not found' });
+    }
+    res.json(baseline);
   });
 
+  // DELETE /api/initiatives/:id/baselines/:baselineId
+  router.delete('/:id/baselines/:baselineId', requireRole('admin'), async (req, res) => {
+    const row = await db.get('SELECT * FROM initiatives WHERE id = ? AND deleted_at IS NULL', [req.params.id]);
+    const baseline = row && /^\d+$/.test(req.params.baselineId) ? await getBaseline(db, row, req.params.baselineId) : null;
+    if (!baseline) {
+      return res.status(404).json({ message: 'Baseline not found' });
+    }
+    try {
+      await db.run('BEGIN TRANSACTION');
+      await db.run('DELETE FROM initiative_baselines WHERE id = ?', [baseline.id]);
+      await recordAuditEvent(db, {
+        entityType: 'initiative', entityId: row.id, entityName: row.name, action: 'baseline_deleted', actor: req.user,
+        note: `Baseline "${baseline.name}" deleted`, details: { baseline_id: baseline.id }
+      });
+      await db.run('COMMIT');
+    } catch (error) {
+      await db.run('ROLLBACK');
+      logger.error('Error deleting baseline:', error);
+      return res.status(500).json({ message: 'Failed to delete the baseline.' });
+    }
+    res.status(204).send();
+  });
+
+    // POST /api/initiatives/:id/journal - Adds a comment to an initiative's journal
+  router.post('/:id/journal',
+    requireRole('estimator'),
+    body('text').trim().notEmpty().withMessage('Comment text is required'),
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      const { id } = req.params;
+      const row = await db.get('SELECT id FROM initiatives WHERE id = ? AND deleted_at IS NULL', [id]);
+      if (!row) {
+        return res.status(404).json({ message: 'Initiative not found' });
+      }
+      try {
+        await db.run('BEGIN TRANSACTION');
+        await addJournalEntry(db, 'initiative', row.id, { timestamp: new Date().toISOString(), type: 'comment', text: req.body.text, ...authorOf(req.user) });
+        await indexInitiative(db, row.id);
+        await db.run('COMMIT');
+      } catch (error) {
+        await db.run('ROLLBACK');
+        logger.error('Error adding comment:', error);
+        return res.status(500).json({ message: 'Failed to add comment.' });
+      }
+      res.status(201).json(await getJournalEntries(db, 'initiative', row.id));
+    }
+  );
+
 
   // POST /api/initiatives
   router.post('/',
+    requireRole('estimator'),
     body('name').notEmpty().withMessage('Name is required'),
+    ...riskValidators,
+    schemeValidator,
     async (req, res) => {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
@@ -140,58 +534,85 @@ export default function createInitiativesRouter(db) {
       const {
         name, custom_id, description, priority, priority_num, status, estimation_type,
         classification, scope, out_of_scope, selected_factors, journal_entries,
-        start_date, end_date
+        start_date, end_date, risk_justification
       } = req.body;
+      const riskAdjustment = parseFloat(req.body.risk_adjustment_percent) || 0;
+      const schemeId = req.body.shirt_size_scheme_id ? parseInt(req.body.shirt_size_scheme_id, 10) : null;
 
-      let computedHours = 0;
-      if (selected_factors && Array.isArray(selected_factors)) {
-        for (const factor of selected_factors) {
-          if (factor.hoursPerResourceType) {
-            const totalFactorHours = Object.values(factor.hoursPerResourceType).reduce((sum, h) => sum + h, 0);
-            computedHours += totalFactorHours * (factor.quantity || 1);
-          }
-        }
+      const workflow = await getWorkflow(db);
+      const statusError = status ? checkTransition(workflow, null, status) : null;
+      if (statusError) {
+        return res.status(400).json({ message: statusError });
       }
-      computedHours = parseFloat(computedHours.toFixed(1));
-      const shirtSize = await getShirtSize(db, computedHours);
+      const newStatus = status ? findStatus(workflow, status).name : getInitialStatus(workflow);
+
+      // Hours are always computed from the factor catalog; client-supplied hour values are ignored.
+      const { snapshot: factorSnapshot, error: factorError } = await resolveSelectedFactors(db, selected_factors);
+      if (factorError) {
+        return res.status(400).json({ message: factorError });
+      }
+
+      const estimate = computeInitiativeEstimate(factorSnapshot, estimation_type);
+      const totals = await computeBufferedHours(db, estimate.expected, estimation_type, riskAdjustment);
+      const computedHours = totals.computed_hours;
+      const shirtSize = await getShirtSize(db, computedHours, schemeId);
 
-      const newJournalEntries = JSON.parse(JSON.stringify(journal_entries || []));
       const newDataForAudit = {
-        name, custom_id, description, priority, priority_num, status, estimation_type,
+        name, custom_id, description, priority, priority_num, status: newStatus, estimation_type,
         classification, scope, out_of_scope,
-        selected_factors: JSON.stringify(selected_factors || []),
+        selected_factors: JSON.stringify(factorSnapshot),
+        base_hours: totals.base_hours.toFixed(1),
+        buffer_hours: totals.buffer_hours.toFixed(1),
+        risk_adjustment_percent: riskAdjustment,
+        risk_justification: risk_justification || null,
         computed_hours: computedHours.toFixed(1),
+        computed_std_dev: estimate.stdDev.toFixed(1),
+        shirt_size_scheme_id: schemeId,
         shirt_size: shirtSize,
         start_date: start_date || null,
         end_date: end_date || null
       };
 
-      const auditEntry = {
-        timestamp: now, type: 'audit', action: 'created',
-        old_data: JSON.stringify({}),
-        new_data: JSON.stringify(newDataForAudit)
-      };
-      newJournalEntries.push(auditEntry);
-
-      const result = await db.run(
-        `INSERT INTO initiatives (name, custom_id, description, priority, priority_num, status, estimation_type, classification, scope, out_of_scope, selected_factors, computed_hours, shirt_size, journal_entries, start_date, end_date, created_at, updated_at)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          name, custom_id, description, priority, priority_num, status, estimation_type,
-          classification, scope, out_of_scope,
-          JSON.stringify(selected_factors || []),
-          computedHours, shirtSize, JSON.stringify(newJournalEntries),
-          start_date, end_date, now, now
-        ]
-      );
-      const newInitiative = await db.get('SELECT * FROM initiatives WHERE id = ?', [result.lastID]);
-      res.status(201).json(parseInitiativeRow(newInitiative));
+      let newId;
+      try {
+        await db.run('BEGIN TRANSACTION');
+        const result = await db.run(
+          `INSERT INTO initiatives (name, custom_id, description, priority, priority_num, status, estimation_type, classification, scope, out_of_scope, base_hours, buffer_hours, risk_adjustment_percent, risk_justification, computed_hours, shirt_size_scheme_id, shirt_size, start_date, end_date, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            name, custom_id, description, priority, priority_num, newStatus, estimation_type,
+            classification, scope, out_of_scope,
+            totals.base_hours, totals.buffer_hours, riskAdjustment, risk_justification || null,
+            computedHours, schemeId, shirtSize,
+            start_date, end_date, now, now
+          ]
+        );
+        newId = result.lastID;
+        await replaceInitiativeFactors(db, newId, factorSnapshot);
+        await recordStatusChange(db, newId, null, newStatus, { actor: req.user, timestamp: now });
+        await recordAuditEvent(db, {
+          entityType: 'initiative', entityId: newId, entityName: name, action: 'created', actor: req.user,
+          newData: newDataForAudit, timestamp: now
+        });
+        await baselineOnStatusChange(newId, workflow, newStatus, req.user, now);
+        await addNewJournalEntries(db, 'initiative', newId, journal_entries, req.user);
+        await indexInitiative(db, newId);
+        await db.run('COMMIT');
+      } catch (error) {
+        await db.run('ROLLBACK');
+        logger.error('Error creating initiative:', error);
+        return res.status(500).json({ message: 'Failed to create initiative.' });
+      }
+      res.status(201).json(await loadInitiative(newId));
     }
   );
 
   // PUT /api/initiatives/:id
   router.put('/:id',
+    requireRole('estimator'),
     body('name').notEmpty().withMessage('Name is required'),
+    ...riskValidators,
+    schemeValidator,
     async (req, res) => {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -203,83 +624,140 @@ export default function createInitiativesRouter(db) {
         const {
             name, custom_id, description, priority, priority_num, status, estimation_type,
             classification, scope, out_of_scope, selected_factors, journal_entries,
-            start_date, end_date
+            start_date, end_date, risk_justification
         } = req.body;
+        const riskAdjustment = parseFloat(req.body.risk_adjustment_percent) || 0;
 
-        const oldInitiative = await db.get('SELECT * FROM initiatives WHERE id = ?', [id]);
+        const oldInitiative = await db.get('SELECT * FROM initiatives WHERE id = ? AND deleted_at IS NULL', [id]);
         if (!oldInitiative) {
             return res.status(404).json({ message: 'Initiative not found' });
         }
+        // Status changes must follow the workflow; a blank status keeps the current one
+        const workflow = await getWorkflow(db);
+        const statusError = status ? checkTransition(workflow, oldInitiative.status, status) : null;
+        if (statusError) {
+            return res.status(400).json({ message: statusError });
+        }
+        const newStatus = status ? findStatus(workflow, status).name : oldInitiative.status;
+        // The scheme is kept unless the request sets it
+        const schemeId = req.body.shirt_size_scheme_id === undefined
+            ? oldInitiative.shirt_size_scheme_id
+            : (req.body.shirt_size_scheme_id ? parseInt(req.body.shirt_size_scheme_id, 10) : null);
 
-        let newComputedHours = 0;
-        if (selected_factors && Array.isArray(selected_factors)) {
-            for (const factor of selected_factors) {
-                if (factor.hoursPerResourceType) {
-                    const totalFactorHours = Object.values(factor.hoursPerResourceType).reduce((sum, h) => sum + h, 0);
-                    newComputedHours += totalFactorHours * (factor.quantity || 1);
-                }
-            }
+        // Hours are always computed from the factor catalog; client-supplied hour values are ignored.
+        // Factors already selected with the same quantity keep their snapshot.
+        const oldFactors = await getInitiativeFactors(db, oldInitiative.id);
+        const { snapshot: factorSnapshot, error: factorError } = await resolveSelectedFactors(db, selected_factors, { existing: oldFactors });
+        if (factorError) {
+            return res.status(400).json({ message: factorError });
         }
-        newComputedHours = parseFloat(newComputedHours.toFixed(1));
-        const newShirtSize = await getShirtSize(db, newComputedHours);
+
+        const newEstimate = computeInitiativeEstimate(factorSnapshot, estimation_type);
+        const newTotals = await computeBufferedHours(db, newEstimate.expected, estimation_type, riskAdjustment);
+        const newComputedHours = newTotals.computed_hours;
+        const newShirtSize = await getShirtSize(db, newComputedHours, schemeId);
 
         const updateFields = {
-            name, custom_id, description, priority, priority_num, status, estimation_type,
+            name, custom_id, description, priority, priority_num, status: newStatus, estimation_type,
             classification, scope, out_of_scope,
-            selected_factors: JSON.stringify(selected_factors || []),
-            journal_entries: JSON.stringify(journal_entries || []),
+            base_hours: newTotals.base_hours,
+            buffer_hours: newTotals.buffer_hours,
+            risk_adjustment_percent: riskAdjustment,
+            risk_justification: risk_justification || null,
             computed_hours: newComputedHours,
+            shirt_size_scheme_id: schemeId,
             shirt_size: newShirtSize,
             start_date: start_date || null,
             end_date: end_date || null,
             updated_at: now
         };
 
-        const setClause = Object.keys(updateFields).map(key => `${key} = ?`).join(', ');
-        const values = [...Object.values(updateFields), id];
-        await db.run(`UPDATE initiatives SET ${setClause} WHERE id = ?`, values);
-
-        const newJournalEntries = JSON.parse(JSON.stringify(journal_entries || []));
         const oldDataForAudit = {
             name: oldInitiative.name, custom_id: oldInitiative.custom_id, description: oldInitiative.description, 
             priority: oldInitiative.priority, priority_num: oldInitiative.priority_num, status: oldInitiative.status,
             estimation_type: oldInitiative.estimation_type,
             classification: oldInitiative.classification, scope: oldInitiative.scope, out_of_scope: oldInitiative.out_of_scope,
-            selected_factors: oldInitiative.selected_factors || '[]',
+            selected_factors: JSON.stringify(stripResolvedAt(oldFactors)),
+            base_hours: parseFloat(oldInitiative.base_hours || 0).toFixed(1),
+            buffer_hours: parseFloat(oldInitiative.buffer_hours || 0).toFixed(1),
+            risk_adjustment_percent: oldInitiative.risk_adjustment_percent || 0,
+            risk_justification: oldInitiative.risk_justification || null,
             computed_hours: parseFloat(oldInitiative.computed_hours || 0).toFixed(1),
+            computed_std_dev: computeInitiativeEstimate(oldFactors, oldInitiative.estimation_type).stdDev.toFixed(1),
+            shirt_size_scheme_id: oldInitiative.shirt_size_scheme_id,
             shirt_size: oldInitiative.shirt_size,
             start_date: oldInitiative.start_date || null,
             end_date: oldInitiative.end_date || null
         };
         const newDataForAudit = {
-            name, custom_id, description, priority, priority_num, status, estimation_type,
+            name, custom_id, description, priority, priority_num, status: newStatus, estimation_type,
             classification, scope, out_of_scope,
-            selected_factors: JSON.stringify(selected_factors || []),
+            selected_factors: JSON.stringify(stripResolvedAt(factorSnapshot)),
+            base_hours: newTotals.base_hours.toFixed(1),
+            buffer_hours: newTotals.buffer_hours.toFixed(1),
+            risk_adjustment_percent: riskAdjustment,
+            risk_justification: risk_justification || null,
             computed_hours: newComputedHours.toFixed(1),
+            computed_std_dev: newEstimate.stdDev.toFixed(1),
+            shirt_size_scheme_id: schemeId,
             shirt_size: newShirtSize,
             start_date: start_date || null,
             end_date: end_date || null
         };
         
-        if (JSON.stringify(oldDataForAudit) !== JSON.stringify(newDataForAudit)) {
-            const auditEntry = {
-                timestamp: now, type: 'audit', action: 'updated',
-                old_data: JSON.stringify(oldDataForAudit),
-                new_data: JSON.stringify(newDataForAudit)
-            };
-            newJournalEntries.push(auditEntry);
-            await db.run('UPDATE initiatives SET journal_entries = ? WHERE id = ?', [JSON.stringify(newJournalEntries), id]);
+        try {
+            await db.run('BEGIN TRANSACTION');
+            const setClause = Object.keys(updateFields).map(key => `${key} = ?`).join(', ');
+            const values = [...Object.values(updateFields), oldInitiative.id];
+            await db.run(`UPDATE initiatives SET ${setClause} WHERE id = ?`, values);
+            await replaceInitiativeFactors(db, oldInitiative.id, factorSnapshot);
+            if (newStatus !== oldInitiative.status) {
+                await recordStatusChange(db, oldInitiative.id, oldInitiative.status, newStatus, { actor: req.user, timestamp: now });
+            }
+            await addNewJournalEntries(db, 'initiative', oldInitiative.id, journal_entries, req.user);
+
+            if (JSON.stringify(oldDataForAudit) !== JSON.stringify(newDataForAudit)) {
+                await recordAuditEvent(db, {
+                    entityType: 'initiative', entityId: oldInitiative.id, entityName: name, action: 'updated', actor: req.user,
+                    oldData: oldDataForAudit, newData: newDataForAudit, timestamp: now
+                });
+            }
+            if (newStatus !== oldInitiative.status) {
+                await baselineOnStatusChange(oldInitiative.id, workflow, newStatus, req.user, now);
+            }
+            await indexInitiative(db, oldInitiative.id);
+            await db.run('COMMIT');
+        } catch (error) {
+            await db.run('ROLLBACK');
+            logger.error('Error updating initiative:', error);
+            return res.status(500).json({ message: 'Failed to update initiative.' });
         }
         
-        const updatedInitiative = await db.get('SELECT * FROM initiatives WHERE id = ?', [id]);
-        res.json(parseInitiativeRow(updatedInitiative));
+        res.json(await loadInitiative(oldInitiative.id));
     }
   );
 
-  // DELETE /api/initiatives/:id
-  router.delete('/:id', async (req, res) => {
+  // DELETE /api/initiatives/:id - Moves the initiative to the Trash (see trash.js)
+  router.delete('/:id', requireRole('estimator'), async (req, res) => {
     const { id } = req.params;
-    await db.run('DELETE FROM initiatives WHERE id = ?', [id]);
+    const row = await db.get('SELECT id, name, custom_id, status, shirt_size, computed_hours FROM initiatives WHERE id = ? AND deleted_at IS NULL', [id]);
+    if (!row) {
+      return res.status(404).json({ message: 'Initiative not found.' });
+    }
+    try {
+      await db.run('BEGIN TRANSACTION');
+      await moveToTrash(db, 'initiative', row.id, req.user);
+      const { id: _id, ...oldData } = row;
+      await recordAuditEvent(db, {
+        entityType: 'initiative', entityId: row.id, entityName: row.name, action: 'deleted', actor: req.user, oldData,
+        note: 'Moved to the Trash'
+      });
+      await db.run('COMMIT');
+    } catch (error) {
+      await db.run('ROLLBACK');
+      logger.error('Error deleting initiative:', error);
+      return res.status(500).json({ message: 'Failed to delete initiative.' });
+    }
     res.status(204).send();
   });
 
@@ -5,6 +5,17 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
 import { v4 as uuid } from 'uuid';
+import { getShirtSize } from '../utils.js';
+import { addHoursValues, computeInitiativeEstimate, normalizeHoursPerResourceType } from '../estimation.js';
+import { getAllInitiativeFactors, replaceInitiativeFactors } from '../initiativeFactors.js';
+import { requireRole } from '../auth.js';
+import { recordAuditEvent } from '../audit.js';
+import { findNameConflict, moveToTrash } from '../trash.js';
+import { getRateHistory, getRateOn, today } from '../costs.js';
+import { computeBufferedHours } from '../contingency.js';
+import { logger } from '../logger.js';
+
+const DELETE_MODES = ['block', 'reassign', 'cascade'];
 
 /**
  * Creates and returns an Express router for resource type-related routes.
@@ -14,48 +25,328 @@ import { v4 as uuid } from 'uuid';
 export default function createResourceTypesRouter(db) {
     const router = express.Router();
 
+    // Helper to find the factors and initiative snapshots that reference a resource type. Those in the
+    // Trash are included, so restoring them cannot bring back hours of a deleted resource type.
+    const findUsage = async (id) => {
+        const factorRows = await db.all('SELECT * FROM estimation_factors');
+        const factors = factorRows
+            .filter(f => id in JSON.parse(f.hours_per_resource_type || '{}'))
+            .map(f => ({ row: f, hoursPerResourceType: normalizeHoursPerResourceType(JSON.parse(f.hours_per_resource_type || '{}')) }));
+
+        const initiativeRows = await db.all('SELECT * FROM initiatives');
+        const factorsByInitiative = await getAllInitiativeFactors(db);
+        const initiatives = initiativeRows
+            .map(i => ({ row: i, selectedFactors: factorsByInitiative.get(i.id) || [] }))
+            .filter(i => i.selectedFactors.some(sf => id in (sf.hoursPerResourceType || {})));
+
+        return { factors, initiatives };
+    };
+
+    // Helper to attach the current hourly rate and rate history to a resource type row
+    const withRates = (row, rateHistory) => {
+        const rates = rateHistory.get(row.id) || [];
+        return { ...row, hourly_rate: getRateOn(rates), rates };
+    };
+
+    // Helper to load a single resource type with its rates
+    const loadResourceType = async (id) => {
+        const row = await db.get('SELECT * FROM resource_types WHERE id = ? AND deleted_at IS NULL', [id]);
+        return row ? withRates(row, await getRateHistory(db)) : null;
+    };
+
+    // Helper to record an hourly rate effective from a date, replacing any rate already set for that date
+    const saveRate = async (id, rate, effectiveFrom) => {
+        await db.run(
+            `INSERT INTO resource_type_rates (resource_type_id, rate, effective_from, created_at) VALUES (?, ?, ?, ?)
+             ON CONFLICT(resource_type_id, effective_from) DO UPDATE SET rate = excluded.rate, created_at = excluded.created_at`,
+            [id, rate, effectiveFrom || today(), new Date().toISOString()]
+        );
+    };
+
+    // Validators shared by POST and PUT for the optional rate fields
+    const rateValidators = [
+        body('hourly_rate').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Hourly rate must be a non-negative number'),
+        body('rate_effective_from').optional({ values: 'falsy' }).isISO8601({ strict: true }).withMessage('Effective date must be a valid date (YYYY-MM-DD)')
+    ];
+
+    // Helper to move (or drop, when targetId is null) a resource type's hours in a hoursPerResourceType map
+    const moveHours = (hoursPerResourceType, id, targetId) => {
+        const moved = { ...normalizeHoursPerResourceType(hoursPerResourceType) };
+        if (targetId && moved[id]) {
+            moved[targetId] = addHoursValues(moved[targetId], moved[id]);
+        }
+        delete moved[id];
+        return moved;
+    };
+
     // GET /api/resource-types
     router.get('/', async (req, res) => {
-        const rows = await db.all('SELECT * FROM resource_types');
-        res.json(rows);
+        const rows = await db.all('SELECT * FROM resource_types WHERE deleted_at IS NULL');
+        const rateHistory = await getRateHistory(db);
+        res.json(rows.map(row => withRates(row, rateHistory)));
+    });
+
+    // GET /api/resource-types/:id/usage - Lists the factors and initiatives that reference a resource type
+    router.get('/:id/usage', async (req, res) => {
+        const { id } = req.params;
+        const resourceType = await db.get('SELECT * FROM resource_types WHERE id = ? AND deleted_at IS NULL', [id]);
+        if (!resourceType) {
+            return res.status(404).json({ message: 'Resource Type not found' });
+        }
+        const usage = await findUsage(id);
+        res.json({
+            factors: usage.factors.map(f => ({ id: f.row.id, name: f.row.name, hours: f.hoursPerResourceType[id], in_trash: !!f.row.deleted_at })),
+            initiatives: usage.initiatives.map(i => ({ id: i.row.id, custom_id: i.row.custom_id, name: i.row.name, in_trash: !!i.row.deleted_at }))
+        });
+    });
+
+    // GET /api/resource-types/:id/rates - Lists a resource type's hourly rate history
+    router.get('/:id/rates', async (req, res) => {
+        const resourceType = await loadResourceType(req.params.id);
+        if (!resourceType) {
+            return res.status(404).json({ message: 'Resource Type not found' });
+        }
+        res.json(resourceType.rates);
+    });
+
+    // POST /api/resource-types/:id/rates - Adds (or replaces) the rate effective from a date
+    router.post('/:id/rates',
+        requireRole('admin'),
+        body('rate').isFloat({ min: 0 }).withMessage('Rate must be a non-negative number'),
+        body('effective_from').isISO8601({ strict: true }).withMessage('Effective date must be a valid date (YYYY-MM-DD)'),
+        async (req, res) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+            const { id } = req.params;
+            const resourceType = await loadResourceType(id);
+            if (!resourceType) {
+                return res.status(404).json({ message: 'Resource Type not found' });
+            }
+            const effectiveFrom = req.body.effective_from.substring(0, 10);
+            const oldRate = resourceType.rates.find(r => r.effective_from === effectiveFrom);
+            try {
+                await db.run('BEGIN TRANSACTION');
+                await saveRate(id, parseFloat(req.body.rate), effectiveFrom);
+                await recordAuditEvent(db, {
+                    entityType: 'resource_type', entityId: id, entityName: resourceType.name, action: 'rate_set', actor: req.user,
+                    oldData: oldRate ? { [`rate from ${effectiveFrom}`]: oldRate.rate } : {},
+                    newData: { [`rate from ${effectiveFrom}`]: parseFloat(req.body.rate) }
+                });
+                await db.run('COMMIT');
+            } catch (err) {
+                await db.run('ROLLBACK');
+                logger.error('Error setting hourly rate:', err);
+                return res.status(500).json({ message: 'Failed to set the hourly rate.' });
+            }
+            res.status(201).json(await loadResourceType(id));
+        }
+    );
+
+    // DELETE /api/resource-types/:id/rates/:rateId - Removes an entry from the rate history
+    router.delete('/:id/rates/:rateId', requireRole('admin'), async (req, res) => {
+        const { id, rateId } = req.params;
+        const rate = await db.get(
+            `SELECT r.*, t.name AS resource_type_name FROM resource_type_rates r
+             JOIN resource_types t ON t.id = r.resource_type_id
+             WHERE r.id = ? AND r.resource_type_id = ? AND t.deleted_at IS NULL`,
+            [rateId, id]
+        );
+        if (!rate) {
+            return res.status(404).json({ message: 'Rate not found' });
+        }
+        try {
+            await db.run('BEGIN TRANSACTION');
+            await db.run('DELETE FROM resource_type_rates WHERE id = ?', [rateId]);
+            await recordAuditEvent(db, {
+                entityType: 'resource_type', entityId: id, entityName: rate.resource_type_name, action: 'rate_removed', actor: req.user,
+                oldData: { [`rate from ${rate.effective_from}`]: rate.rate }
+            });
+            await db.run('COMMIT');
+        } catch (err) {
+            await db.run('ROLLBACK');
+            logger.error('Error removing hourly rate:', err);
+            return res.status(500).json({ message: 'Failed to remove the hourly rate.' });
+        }
+        res.status(204).send();
     });
 
     // POST /api/resource-types
     router.post('/',
+        requireRole('admin'),
         body('name').notEmpty().withMessage('Name is required'),
+        ...rateValidators,
         async (req, res) => {
             const errors = validationResult(req);
             if (!errors.isEmpty()) {
                 return res.status(400).json({ errors: errors.array() });
             }
-            const { name, description } = req.body;
+            const { name, description, hourly_rate, rate_effective_from } = req.body;
+            const conflict = await findNameConflict(db, 'resource_type', name);
+            if (conflict) {
+                return res.status(409).json({ message: conflict });
+            }
             const newId = uuid();
-            await db.run('INSERT INTO resource_types (id, name, description) VALUES (?, ?, ?)', [newId, name, description]);
-            const newRT = await db.get('SELECT * FROM resource_types WHERE id = ?', [newId]);
-            res.status(201).json(newRT);
+            try {
+                await db.run('BEGIN TRANSACTION');
+                await db.run('INSERT INTO resource_types (id, name, description) VALUES (?, ?, ?)', [newId, name, description]);
+                const newData = { name, description };
+                if (hourly_rate !== undefined && hourly_rate !== null && hourly_rate !== '') {
+                    await saveRate(newId, parseFloat(hourly_rate), rate_effective_from);
+                    newData[`rate from ${rate_effective_from || today()}`] = parseFloat(hourly_rate);
+                }
+                await recordAuditEvent(db, { entityType: 'resource_type', entityId: newId, entityName: name, action: 'created', actor: req.user, newData });
+                await db.run('COMMIT');
+            } catch (err) {
+                await db.run('ROLLBACK');
+                logger.error('Error creating resource type:', err);
+                return res.status(500).json({ message: 'Failed to create resource type.' });
+            }
+            res.status(201).json(await loadResourceType(newId));
         }
     );
 
     // PUT /api/resource-types/:id
+    // A changed hourly_rate is recorded as a new rate effective from rate_effective_from (default today)
     router.put('/:id',
+        requireRole('admin'),
         body('name').notEmpty().withMessage('Name is required'),
+        ...rateValidators,
         async (req, res) => {
             const errors = validationResult(req);
             if (!errors.isEmpty()) {
                 return res.status(400).json({ errors: errors.array() });
             }
             const { id } = req.params;
-            const { name, description } = req.body;
-            await db.run('UPDATE resource_types SET name = ?, description = ? WHERE id = ?', [name, description, id]);
-            const updatedRT = await db.get('SELECT * FROM resource_types WHERE id = ?', [id]);
-            res.json(updatedRT);
+            const { name, description, hourly_rate, rate_effective_from } = req.body;
+            const existing = await loadResourceType(id);
+            if (!existing) {
+                return res.status(404).json({ message: 'Resource Type not found' });
+            }
+            const conflict = await findNameConflict(db, 'resource_type', name, id);
+            if (conflict) {
+                return res.status(409).json({ message: conflict });
+            }
+            try {
+                await db.run('BEGIN TRANSACTION');
+                await db.run('UPDATE resource_types SET name = ?, description = ? WHERE id = ?', [name, description, id]);
+                const oldData = { name: existing.name, description: existing.description };
+                const newData = { name, description };
+                if (hourly_rate !== undefined && hourly_rate !== null && hourly_rate !== '') {
+                    const effectiveFrom = rate_effective_from || today();
+                    const oldRate = getRateOn(existing.rates, effectiveFrom);
+                    if (oldRate !== parseFloat(hourly_rate)) {
+                        await saveRate(id, parseFloat(hourly_rate), effectiveFrom);
+                        oldData[`rate from ${effectiveFrom}`] = oldRate;
+                        newData[`rate from ${effectiveFrom}`] = parseFloat(hourly_rate);
+                    }
+                }
+                if (JSON.stringify(oldData) !== JSON.stringify(newData)) {
+                    await recordAuditEvent(db, { entityType: 'resource_type', entityId: id, entityName: name, action: 'updated', actor: req.user, oldData, newData });
+                }
+                await db.run('COMMIT');
+            } catch (err) {
+                await db.run('ROLLBACK');
+                logger.error('Error updating resource type:', err);
+                return res.status(500).json({ message: 'Failed to update resource type.' });
+            }
+            res.json(await loadResourceType(id));
         }
     );
 
-    // DELETE /api/resource-types/:id
-    router.delete('/:id', async (req, res) => {
+    // DELETE /api/resource-types/:id?mode=block|reassign|cascade[&targetId=]
+    // block (default) refuses to delete a type that is in use, reassign moves its hours to
+    // targetId, cascade removes its hours, in factors and initiatives in the Trash too. Every factor
+    // and initiative touched gets an audit entry.
+    // The type itself moves to the Trash; restoring it does not bring back the moved hours.
+    router.delete('/:id', requireRole('admin'), async (req, res) => {
         const { id } = req.params;
-        await db.run('DELETE FROM resource_types WHERE id = ?', [id]);
+        const mode = req.query.mode || 'block';
+        const targetId = req.query.targetId || null;
+
+        if (!DELETE_MODES.includes(mode)) {
+            return res.status(400).json({ message: `mode must be one of: ${DELETE_MODES.join(', ')}.` });
+        }
+        const resourceType = await db.get('SELECT * FROM resource_types WHERE id = ? AND deleted_at IS NULL', [id]);
+        if (!resourceType) {
+            return res.status(404).json({ message: 'Resource Type not found' });
+        }
+
+        let target = null;
+        if (mode === 'reassign') {
+            target = targetId ? await db.get('SELECT * FROM resource_types WHERE id = ? AND deleted_at IS NULL', [targetId]) : null;
+            if (!target || target.id === id) {
+                return res.status(400).json({ message: 'reassign requires a targetId of another existing resource type.' });
+            }
+        }
+
+        const usage = await findUsage(id);
+        const inUse = usage.factors.length > 0 || usage.initiatives.length > 0;
+        if (mode === 'block' && inUse) {
+            return res.status(409).json({
+                message: `Resource type "${resourceType.name}" is used by ${usage.factors.length} factor(s) and ${usage.initiatives.length} initiative(s).`,
+                factors: usage.factors.map(f => ({ id: f.row.id, name: f.row.name, in_trash: !!f.row.deleted_at })),
+                initiatives: usage.initiatives.map(i => ({ id: i.row.id, name: i.row.name, in_trash: !!i.row.deleted_at }))
+            });
+        }
+
+        const now = new Date().toISOString();
+        const note = mode === 'reassign'
+            ? `Hours of deleted resource type "${resourceType.name}" reassigned to "${target.name}"`
+            : `Hours of deleted resource type "${resourceType.name}" removed`;
+
+        try {
+            await db.run('BEGIN TRANSACTION');
+            for (const { row, hoursPerResourceType } of usage.factors) {
+                const newHours = moveHours(hoursPerResourceType, id, target?.id);
+                await db.run(
+                    'UPDATE estimation_factors SET hours_per_resource_type = ?, updated_at = ? WHERE id = ?',
+                    [JSON.stringify(newHours), now, row.id]
+                );
+                await recordAuditEvent(db, {
+                    entityType: 'estimation_factor', entityId: row.id, entityName: row.name, action: 'updated', actor: req.user, note, timestamp: now,
+                    oldData: { name: row.name, description: row.description, hoursPerResourceType },
+                    newData: { name: row.name, description: row.description, hoursPerResourceType: newHours }
+                });
+            }
+
+            for (const { row, selectedFactors } of usage.initiatives) {
+                const newFactors = selectedFactors.map(sf => ({ ...sf, hoursPerResourceType: moveHours(sf.hoursPerResourceType, id, target?.id) }));
+                const totals = await computeBufferedHours(db, computeInitiativeEstimate(newFactors, row.estimation_type).expected, row.estimation_type, row.risk_adjustment_percent);
+                const computedHours = totals.computed_hours;
+                const shirtSize = await getShirtSize(db, computedHours, row.shirt_size_scheme_id);
+                await replaceInitiativeFactors(db, row.id, newFactors);
+                await db.run(
+                    'UPDATE initiatives SET base_hours = ?, buffer_hours = ?, computed_hours = ?, shirt_size = ?, updated_at = ? WHERE id = ?',
+                    [totals.base_hours, totals.buffer_hours, computedHours, shirtSize, now, row.id]
+                );
+                await recordAuditEvent(db, {
+                    entityType: 'initiative', entityId: row.id, entityName: row.name, action: 'updated', actor: req.user, note, timestamp: now,
+                    oldData: { computed_hours: parseFloat(row.computed_hours || 0).toFixed(1), shirt_size: row.shirt_size },
+                    newData: { computed_hours: computedHours.toFixed(1), shirt_size: shirtSize }
+                });
+            }
+
+            // Actual hours are history and stay with the deleted resource type unless reassigned
+            if (mode === 'reassign') {
+                await db.run(
+                    'UPDATE actual_hours SET resource_type_id = ?, resource_type_name = ? WHERE resource_type_id = ?',
+                    [target.id, target.name, id]
+                );
+            }
+            await moveToTrash(db, 'resource_type', id, req.user, now);
+            await recordAuditEvent(db, {
+                entityType: 'resource_type', entityId: id, entityName: resourceType.name, action: 'deleted', actor: req.user, timestamp: now,
+                oldData: { name: resourceType.name, description: resourceType.description },
+                note: mode === 'block' ? 'Moved to the Trash' : `${note}; moved to the Trash`
+            });
+            await db.run('COMMIT');
+        } catch (err) {
+            await db.run('ROLLBACK');
+            logger.error('Error deleting resource type:', err);
+            return res.status(500).json({ message: 'Failed to delete resource type.' });
+        }
         res.status(204).send();
     });
 
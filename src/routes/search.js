@@ -0,0 +1,41 @@
+/**
+ * routes/search.js
+ * * Defines the full-text search API across initiatives and estimation factors.
+ */
+import express from 'express';
+import { query, validationResult } from 'express-validator';
+import { search, SEARCH_ENTITY_TYPES } from '../search.js';
+
+/**
+ * Creates and returns an Express router for search.
+ * @param {Database} db - The initialized SQLite database instance.
+ * @returns {Router} The configured Express router.
+ */
+export default function createSearchRouter(db) {
+  const router = express.Router();
+
+  // GET /api/search?q=text&type=initiative,estimation_factor&limit=20
+  router.get('/',
+    [
+      query('q').trim().notEmpty().withMessage('q is required'),
+      query('type').optional().custom(value => {
+        const unknown = String(value).split(',').filter(t => !SEARCH_ENTITY_TYPES.includes(t.trim()));
+        if (unknown.length > 0) throw new Error(`type must be one of: ${SEARCH_ENTITY_TYPES.join(', ')}`);
+        return true;
+      }),
+      query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100').toInt()
+    ],
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const types = req.query.type ? req.query.type.split(',').map(t => t.trim()) : SEARCH_ENTITY_TYPES;
+      const results = await search(db, req.query.q, { types, limit: req.query.limit || 20 });
+      res.json({ query: req.query.q, results });
+    }
+  );
+
+  return router;
+}
@@ -0,0 +1,67 @@
+/**
+ * routes/settings.js
+ * * Defines API routes for workspace-wide settings.
+ */
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { getSettings, setSetting } from '../settings.js';
+import { requireRole } from '../auth.js';
+import { recordAuditEvent } from '../audit.js';
+
+/**
+ * Creates and returns an Express router for settings routes.
+ * @param {Database} db - The initialized SQLite database instance.
+ * @returns {Router} The configured Express router.
+ */
+export default function createSettingsRouter(db) {
+    const router = express.Router();
+
+    // GET /api/settings
+    router.get('/', async (req, res) => {
+        res.json(await getSettings(db));
+    });
+
+    // PUT /api/settings - Saves the settings present in the body
+    router.put('/',
+        requireRole('admin'),
+        body('currency').optional().isString().trim().toUpperCase()
+            .matches(/^[A-Z]{3}$/).withMessage('Currency must be a three-letter ISO 4217 code'),
+        body('trash_purge_days').optional().isInt({ min: 0, max: 3650 })
+            .withMessage('Trash purge age must be a whole number of days between 0 and 3650'),
+        body('backup_interval_hours').optional().isFloat({ min: 0, max: 8760 })
+            .withMessage('Backup interval must be between 0 and 8760 hours'),
+        ...['backup_keep_last', 'backup_keep_daily', 'backup_keep_weekly'].map(key =>
+            body(key).optional().isInt({ min: 0, max: 1000 }).withMessage(`${key} must be a whole number between 0 and 1000`)),
+        async (req, res) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+            const oldSettings = await getSettings(db);
+            if (req.body.currency !== undefined) {
+                await setSetting(db, 'currency', req.body.currency);
+            }
+            if (req.body.trash_purge_days !== undefined) {
+                await setSetting(db, 'trash_purge_days', String(parseInt(req.body.trash_purge_days, 10)));
+            }
+            if (req.body.backup_interval_hours !== undefined) {
+                await setSetting(db, 'backup_interval_hours', String(parseFloat(req.body.backup_interval_hours)));
+            }
+            for (const key of ['backup_keep_last', 'backup_keep_daily', 'backup_keep_weekly']) {
+                if (req.body[key] !== undefined) {
+                    await setSetting(db, key, String(parseInt(req.body[key], 10)));
+                }
+            }
+            const newSettings = await getSettings(db);
+            if (JSON.stringify(oldSettings) !== JSON.stringify(newSettings)) {
+                await recordAuditEvent(db, {
+                    entityType: 'settings', entityId: 'workspace', entityName: 'Workspace settings', action: 'updated', actor: req.user,
+                    oldData: oldSettings, newData: newSettings
+                });
+            }
+            res.json(newSettings);
+        }
+    );
+
+    return router;
+}
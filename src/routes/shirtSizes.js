@@ -1,10 +1,19 @@
 /**
  * routes/shirtSizes.js
- * * Defines API routes for the Shirt Sizes resource.
+ * * Defines API routes for shirt size schemes: named lists of sizes and thresholds,
+ * one of which is the workspace default (see shirtSizes.js), and for previewing and
+ * applying the size changes a threshold change causes.
  */
 import express from 'express';
 import { body, validationResult } from 'express-validator';
-import { v4 as uuid } from 'uuid';
+import { requireRole } from '../auth.js';
+import { getAuditEvents, recordAuditEvent } from '../audit.js';
+import { setSetting } from '../settings.js';
+import {
+    computeResizeImpact, getDefaultSchemeId, getScheme, getSchemeSizes, listSchemes, resizeInitiatives, saveSchemeSizes,
+    validateSchemeSizes
+} from '../shirtSizes.js';
+import { logger } from '../logger.js';
 
 /**
  * Creates and returns an Express router for shirt size-related routes.
@@ -14,50 +23,344 @@ import { v4 as uuid } from 'uuid';
 export default function createShirtSizesRouter(db) {
     const router = express.Router();
 
-    // GET /api/shirt-sizes
+    // The audit snapshot of a scheme; sizes are keyed by name so each changed threshold is one field
+    const toAuditData = (scheme) => ({
+        name: scheme.name,
+        description: scheme.description || null,
+        ...Object.fromEntries(scheme.sizes.map(s => [`size ${s.size}`, s.threshold_hours]))
+    });
+
+    // Validators shared by creating and updating a scheme
+    const schemeValidators = [
+        body('name').isString().trim().notEmpty().withMessage('Name is required'),
+        body('description').optional({ values: 'null' }).isString().withMessage('Description must be text'),
+        body('sizes').custom((sizes) => {
+            const problems = validateSchemeSizes(sizes);
+            if (problems.length > 0) throw new Error(problems.join(' '));
+            return true;
+        })
+    ];
+
+    // Helper to check a list of initiatives to resize, e.g. the ones checked in the impact preview
+    const areInitiativeIds = (ids) => ids.every(id => Number.isInteger(Number(id)));
+
+    // Helper to find the latest audit event of a scheme, which a resize refers to
+    const latestAuditEventId = async (schemeId) => (await db.get(
+        "SELECT id FROM audit_events WHERE entity_type = 'shirt_sizes' AND entity_id = ? ORDER BY timestamp DESC, id DESC LIMIT 1",
+        [String(schemeId)]
+    ))?.id ?? null;
+
+    // Helper to reject a name another scheme already has
+    const nameTaken = async (name, exceptId = null) =>
+        !!(await db.get('SELECT id FROM shirt_size_schemes WHERE name = ? AND id IS NOT ?', [name, exceptId]));
+
+    // Helper to replace a scheme's name, description and sizes, audited, and re-size the listed
+    // initiatives in the same transaction. Returns the re-sized initiatives.
+    const updateScheme = async (old, { name, description, sizes }, resizeInitiativeIds, actor) => {
+        const now = new Date().toISOString();
+        try {
+            await db.run('BEGIN TRANSACTION');
+            await db.run(
+                'UPDATE shirt_size_schemes SET name = ?, description = ?, updated_at = ? WHERE id = ?',
+                [name, description || null, now, old.id]
+            );
+            await saveSchemeSizes(db, old.id, sizes);
+            const scheme = await getScheme(db, old.id);
+            let auditEventId = null;
+            if (JSON.stringify(toAuditData(old)) !== JSON.stringify(toAuditData(scheme))) {
+                auditEventId = await recordAuditEvent(db, {
+                    entityType: 'shirt_sizes', entityId: old.id, entityName: name, action: 'updated', actor,
+                    oldData: toAuditData(old), newData: toAuditData(scheme), timestamp: now
+                });
+            }
+            let resized = [];
+            if (resizeInitiativeIds?.length > 0) {
+                resized = await resizeInitiatives(db, old.id, resizeInitiativeIds, {
+                    actor, auditEventId: auditEventId ?? await latestAuditEventId(old.id), timestamp: now
+                });
+            }
+            await db.run('COMMIT');
+            return resized;
+        } catch (err) {
+            await db.run('ROLLBACK');
+            throw err;
+        }
+    };
+
+    // Helper for the thresholds-only form of PUT /api/shirt-sizes: applies the listed thresholds to the
+    // default scheme's sizes by name. Sizes not listed keep their threshold.
+    const mergeDefaultThresholds = (defaultScheme, listed) => {
+        const problems = [];
+        const thresholds = new Map();
+        listed.forEach((size, index) => {
+            const name = typeof size?.size === 'string' ? size.size.trim() : '';
+            if (!defaultScheme.sizes.some(s => s.size === name)) {
+                problems.push(`Size "${name || index + 1}" is not in the default scheme.`);
+            }
+            thresholds.set(name, size?.threshold_hours);
+        });
+        const sizes = defaultScheme.sizes.map(s => ({
+            size: s.size, threshold_hours: thresholds.has(s.size) ? thresholds.get(s.size) : s.threshold_hours
+        }));
+        return { sizes, problems: problems.length > 0 ? problems : validateSchemeSizes(sizes) };
+    };
+
+    // Helper to read the body of PUT /api/shirt-sizes and POST /api/shirt-sizes/impact: an array of
+    // { size, threshold_hours }, as the API took before schemes existed, or { sizes, resize_initiative_ids }
+    const readDefaultThresholds = (body) => Array.isArray(body)
+        ? { listed: body, resizeInitiativeIds: [] }
+        : { listed: body?.sizes, resizeInitiativeIds: body?.resize_initiative_ids ?? [] };
+
+    // GET /api/shirt-sizes - The sizes of the default scheme
     router.get('/', async (req, res) => {
-        const rows = await db.all('SELECT * FROM shirt_sizes ORDER BY threshold_hours');
-        res.json(rows);
+        res.json(await getSchemeSizes(db));
+    });
+
+    // POST /api/shirt-sizes/impact - Previews the sizes proposed thresholds of the default scheme would give.
+    // Body as for PUT /api/shirt-sizes
+    router.post('/impact', async (req, res) => {
+        const { listed } = readDefaultThresholds(req.body);
+        if (!Array.isArray(listed)) {
+            return res.status(400).json({ message: 'Request body must be an array of shirt sizes.' });
+        }
+        const defaultScheme = await getScheme(db, await getDefaultSchemeId(db));
+        const { sizes, problems } = mergeDefaultThresholds(defaultScheme, listed);
+        if (problems.length > 0) {
+            return res.status(400).json({ message: problems.join(' ') });
+        }
+        res.json(await computeResizeImpact(db, defaultScheme.id, sizes));
+    });
+
+    // PUT /api/shirt-sizes - Updates thresholds of the default scheme, the original way of editing shirt
+    // sizes. Body: [{ size, threshold_hours }] or { sizes, resize_initiative_ids } (see PUT /schemes/:id).
+    // Responds with the default scheme's sizes for the array form, and like PUT /schemes/:id otherwise.
+    router.put('/', requireRole('admin'), async (req, res) => {
+        const { listed, resizeInitiativeIds } = readDefaultThresholds(req.body);
+        if (!Array.isArray(listed)) {
+            return res.status(400).json({ message: 'Request body must be an array of shirt sizes.' });
+        }
+        if (!Array.isArray(resizeInitiativeIds) || !areInitiativeIds(resizeInitiativeIds)) {
+            return res.status(400).json({ message: 'resize_initiative_ids must be initiative IDs.' });
+        }
+        const old = await getScheme(db, await getDefaultSchemeId(db));
+        const { sizes, problems } = mergeDefaultThresholds(old, listed);
+        if (problems.length > 0) {
+            return res.status(400).json({ message: problems.join(' ') });
+        }
+
+        let resized;
+        try {
+            resized = await updateScheme(old, { name: old.name, description: old.description, sizes }, resizeInitiativeIds, req.user);
+        } catch (err) {
+            logger.error('Error updating shirt sizes:', err);
+            return res.status(500).json({ message: 'Failed to update shirt sizes.' });
+        }
+        if (Array.isArray(req.body)) {
+            return res.json(await getSchemeSizes(db, old.id));
+        }
+        res.json({ ...await getScheme(db, old.id), resized });
     });
 
-    // GET /api/shirt-sizes/audit
+    // GET /api/shirt-sizes/audit - Optionally ?scheme_id= for a single scheme
     router.get('/audit', async (req, res) => {
-        const rows = await db.all('SELECT * FROM shirt_size_audit ORDER BY timestamp DESC');
-        res.json(rows);
+        const { events } = await getAuditEvents(db, { entityTypes: ['shirt_sizes'], entityId: req.query.scheme_id || null });
+        res.json(events);
+    });
+
+    // GET /api/shirt-sizes/schemes
+    router.get('/schemes', async (req, res) => {
+        res.json(await listSchemes(db));
     });
 
-    // PUT /api/shirt-sizes
-    router.put('/',
-        body().isArray().withMessage('Request body must be an array of shirt sizes.'),
+    // GET /api/shirt-sizes/schemes/:id
+    router.get('/schemes/:id', async (req, res) => {
+        const scheme = await getScheme(db, req.params.id);
+        if (!scheme) {
+            return res.status(404).json({ message: 'Shirt size scheme not found.' });
+        }
+        res.json(scheme);
+    });
+
+    // GET /api/shirt-sizes/schemes/:id/impact - Initiatives whose stored size differs from the current thresholds
+    router.get('/schemes/:id/impact', async (req, res) => {
+        const scheme = await getScheme(db, req.params.id);
+        if (!scheme) {
+            return res.status(404).json({ message: 'Shirt size scheme not found.' });
+        }
+        res.json(await computeResizeImpact(db, scheme.id));
+    });
+
+    // POST /api/shirt-sizes/schemes/:id/impact - Previews the sizes proposed thresholds would give. Body: { sizes }
+    router.post('/schemes/:id/impact', async (req, res) => {
+        const scheme = await getScheme(db, req.params.id);
+        if (!scheme) {
+            return res.status(404).json({ message: 'Shirt size scheme not found.' });
+        }
+        const problems = validateSchemeSizes(req.body.sizes);
+        if (problems.length > 0) {
+            return res.status(400).json({ message: problems.join(' ') });
+        }
+        res.json(await computeResizeImpact(db, scheme.id, req.body.sizes));
+    });
+
+    // POST /api/shirt-sizes/schemes/:id/resize - Applies the current thresholds to initiatives. Body: { initiativeIds }
+    router.post('/schemes/:id/resize',
+        requireRole('admin'),
+        body('initiativeIds').isArray({ min: 1 }).withMessage('initiativeIds must be a non-empty array.').bail()
+            .custom(areInitiativeIds).withMessage('initiativeIds must be initiative IDs.'),
         async (req, res) => {
             const errors = validationResult(req);
             if (!errors.isEmpty()) {
                 return res.status(400).json({ errors: errors.array() });
             }
+            const scheme = await getScheme(db, req.params.id);
+            if (!scheme) {
+                return res.status(404).json({ message: 'Shirt size scheme not found.' });
+            }
+            let resized;
+            try {
+                await db.run('BEGIN TRANSACTION');
+                resized = await resizeInitiatives(db, scheme.id, req.body.initiativeIds, {
+                    actor: req.user, auditEventId: await latestAuditEventId(scheme.id)
+                });
+                await db.run('COMMIT');
+            } catch (err) {
+                await db.run('ROLLBACK');
+                logger.error('Error resizing initiatives:', err);
+                return res.status(500).json({ message: 'Failed to re-size initiatives.' });
+            }
+            res.json({ resizedCount: resized.length, resized });
+        }
+    );
 
-            const now = new Date().toISOString();
-            const newSizes = req.body;
-            const oldSizes = await db.all('SELECT * FROM shirt_sizes');
+    // POST /api/shirt-sizes/schemes - Body: { name, description, sizes: [{ size, threshold_hours }] }
+    router.post('/schemes',
+        requireRole('admin'),
+        ...schemeValidators,
+        async (req, res) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+            const { name, description, sizes } = req.body;
+            if (await nameTaken(name)) {
+                return res.status(409).json({ message: `A scheme named "${name}" already exists.` });
+            }
 
-            // Use a transaction to ensure all updates succeed or none do
+            const now = new Date().toISOString();
+            let schemeId;
             try {
                 await db.run('BEGIN TRANSACTION');
-                for (const size of newSizes) {
-                    await db.run('UPDATE shirt_sizes SET threshold_hours=? WHERE size=?', [size.threshold_hours, size.size]);
-                }
-                await db.run(
-                    `INSERT INTO shirt_size_audit (id, action, old_data, new_data, timestamp) VALUES (?, ?, ?, ?, ?)`,
-                    [uuid(), 'updated', JSON.stringify(oldSizes), JSON.stringify(newSizes), now]
+                const result = await db.run(
+                    'INSERT INTO shirt_size_schemes (name, description, created_at, updated_at) VALUES (?, ?, ?, ?)',
+                    [name, description || null, now, now]
                 );
+                schemeId = result.lastID;
+                await saveSchemeSizes(db, schemeId, sizes);
+                const scheme = await getScheme(db, schemeId);
+                await recordAuditEvent(db, {
+                    entityType: 'shirt_sizes', entityId: schemeId, entityName: name, action: 'created', actor: req.user,
+                    newData: toAuditData(scheme), timestamp: now
+                });
                 await db.run('COMMIT');
             } catch (err) {
                 await db.run('ROLLBACK');
-                console.error("Error updating shirt sizes:", err);
+                logger.error('Error creating shirt size scheme:', err);
+                return res.status(500).json({ message: 'Failed to create the shirt size scheme.' });
+            }
+            res.status(201).json(await getScheme(db, schemeId));
+        }
+    );
+
+    // PUT /api/shirt-sizes/schemes/:id - Replaces the scheme's name, description and sizes.
+    // Initiatives listed in resize_initiative_ids get their new size in the same transaction;
+    // the others keep their stored size until they are saved again.
+    router.put('/schemes/:id',
+        requireRole('admin'),
+        ...schemeValidators,
+        body('resize_initiative_ids').optional().isArray().withMessage('resize_initiative_ids must be an array.').bail()
+            .custom(areInitiativeIds).withMessage('resize_initiative_ids must be initiative IDs.'),
+        async (req, res) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+            const old = await getScheme(db, req.params.id);
+            if (!old) {
+                return res.status(404).json({ message: 'Shirt size scheme not found.' });
+            }
+            const { name, description, sizes } = req.body;
+            if (await nameTaken(name, old.id)) {
+                return res.status(409).json({ message: `A scheme named "${name}" already exists.` });
+            }
+
+            let resized;
+            try {
+                resized = await updateScheme(old, { name, description, sizes }, req.body.resize_initiative_ids, req.user);
+            } catch (err) {
+                logger.error("Error updating shirt sizes:", err);
                 return res.status(500).json({ message: "Failed to update shirt sizes." });
             }
+            res.json({ ...await getScheme(db, old.id), resized });
+        }
+    );
+
+    // DELETE /api/shirt-sizes/schemes/:id - Only schemes that are not the default and not used by initiatives, even trashed ones
+    router.delete('/schemes/:id', requireRole('admin'), async (req, res) => {
+        const scheme = await getScheme(db, req.params.id);
+        if (!scheme) {
+            return res.status(404).json({ message: 'Shirt size scheme not found.' });
+        }
+        if (scheme.is_default) {
+            return res.status(409).json({ message: 'The default scheme cannot be deleted. Make another scheme the default first.' });
+        }
+        // Initiatives in the Trash keep their scheme too; deleting it would move them to the default on restore
+        const { count, trashed } = await db.get(
+            'SELECT COUNT(*) AS count, COUNT(deleted_at) AS trashed FROM initiatives WHERE shirt_size_scheme_id = ?', [scheme.id]
+        );
+        if (count > 0) {
+            const inTrash = trashed > 0 ? ` (${trashed} of them in the Trash)` : '';
+            return res.status(409).json({ message: `Scheme "${scheme.name}" is used by ${count} initiative(s)${inTrash}.` });
+        }
+        try {
+            await db.run('BEGIN TRANSACTION');
+            await db.run('DELETE FROM shirt_size_schemes WHERE id = ?', [scheme.id]);
+            await recordAuditEvent(db, {
+                entityType: 'shirt_sizes', entityId: scheme.id, entityName: scheme.name, action: 'deleted', actor: req.user,
+                oldData: toAuditData(scheme)
+            });
+            await db.run('COMMIT');
+        } catch (err) {
+            await db.run('ROLLBACK');
+            logger.error('Error deleting shirt size scheme:', err);
+            return res.status(500).json({ message: 'Failed to delete the shirt size scheme.' });
+        }
+        res.status(204).send();
+    });
 
-            const updatedSizes = await db.all('SELECT * FROM shirt_sizes ORDER BY threshold_hours');
-            res.json(updatedSizes);
+    // PUT /api/shirt-sizes/default - Body: { scheme_id }
+    router.put('/default',
+        requireRole('admin'),
+        body('scheme_id').isInt({ min: 1 }).withMessage('scheme_id must be a scheme ID'),
+        async (req, res) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+            const scheme = await getScheme(db, req.body.scheme_id);
+            if (!scheme) {
+                return res.status(404).json({ message: 'Shirt size scheme not found.' });
+            }
+            const oldDefaultId = await getDefaultSchemeId(db);
+            if (oldDefaultId !== scheme.id) {
+                const oldDefault = await db.get('SELECT name FROM shirt_size_schemes WHERE id = ?', [oldDefaultId]);
+                await setSetting(db, 'default_shirt_size_scheme_id', String(scheme.id));
+                await recordAuditEvent(db, {
+                    entityType: 'settings', entityId: 'workspace', entityName: 'Workspace settings', action: 'updated', actor: req.user,
+                    oldData: { default_shirt_size_scheme: oldDefault?.name ?? null }, newData: { default_shirt_size_scheme: scheme.name }
+                });
+            }
+            res.json(await getScheme(db, scheme.id));
         }
     );
 
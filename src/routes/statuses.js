@@ -0,0 +1,179 @@
+/**
+ * routes/statuses.js
+ * * Defines API routes for the initiative status workflow: the statuses, the transitions
+ * allowed between them, and the time-in-status and cycle time report (see statuses.js).
+ */
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { requireRole } from '../auth.js';
+import { recordAuditEvent } from '../audit.js';
+import { STATUS_CATEGORIES, getStatusHistory, getWorkflow, summarizeStatusHistory } from '../statuses.js';
+import { logger } from '../logger.js';
+
+/**
+ * Creates and returns an Express router for the status workflow.
+ * @param {Database} db - The initialized SQLite database instance.
+ * @returns {Router} The configured Express router.
+ */
+export default function createStatusesRouter(db) {
+    const router = express.Router();
+
+    // The audit snapshot of the workflow: one field per status with its category, flags and next statuses
+    const toAuditData = (workflow) => Object.fromEntries(workflow.map(s => [
+        s.name, `${s.category}${s.is_initial ? ', initial' : ''}${s.creates_baseline ? ', baseline' : ''} → ${s.transitions.join(', ') || 'none'}`
+    ]));
+
+    // Helper to list the problems of a submitted workflow
+    const validateWorkflow = (statuses) => {
+        const problems = [];
+        const names = new Set();
+        for (const status of statuses) {
+            const name = typeof status.name === 'string' ? status.name.trim() : '';
+            if (!name) {
+                problems.push('Every status needs a name.');
+            } else if (names.has(name.toLowerCase())) {
+                problems.push(`Status "${name}" is listed more than once.`);
+            }
+            names.add(name.toLowerCase());
+            if (!STATUS_CATEGORIES.includes(status.category)) {
+                problems.push(`The category of "${name}" must be one of ${STATUS_CATEGORIES.join(', ')}.`);
+            }
+            if (status.transitions !== undefined && !Array.isArray(status.transitions)) {
+                problems.push(`The transitions of "${name}" must be a list of status names.`);
+            }
+        }
+        for (const status of statuses) {
+            for (const target of Array.isArray(status.transitions) ? status.transitions : []) {
+                if (!names.has(String(target).trim().toLowerCase())) {
+                    problems.push(`"${status.name}" moves to "${target}", which is not in the list.`);
+                }
+            }
+        }
+        if (statuses.filter(s => s.is_initial).length > 1) {
+            problems.push('Only one status can be the initial status.');
+        }
+        return problems;
+    };
+
+    // GET /api/statuses - Every status in order with the statuses it may move to
+    router.get('/', async (req, res) => {
+        res.json(await getWorkflow(db));
+    });
+
+    // PUT /api/statuses - Replaces the workflow. Body: { statuses: [{ id, name, category, is_initial, creates_baseline, transitions }] }
+    // in display order. Statuses without an id are added; statuses left out are removed if no initiative uses them.
+    router.put('/',
+        requireRole('admin'),
+        body('statuses').isArray({ min: 1 }).withMessage('statuses must list at least one status').bail()
+            .custom((statuses) => {
+                const problems = validateWorkflow(statuses);
+                if (problems.length > 0) throw new Error(problems.join(' '));
+                return true;
+            }),
+        async (req, res) => {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ errors: errors.array() });
+            }
+            const submitted = req.body.statuses.map(s => ({ ...s, name: s.name.trim(), id: s.id ? Number(s.id) : null }));
+            const old = await getWorkflow(db);
+            const unknown = submitted.filter(s => s.id !== null && !old.some(o => o.id === s.id));
+            if (unknown.length > 0) {
+                return res.status(404).json({ message: `Status ${unknown[0].id} not found.` });
+            }
+
+            // Statuses still held by initiatives, including those in the Trash, cannot be removed
+            const removed = old.filter(o => !submitted.some(s => s.id === o.id));
+            for (const status of removed) {
+                const { count } = await db.get('SELECT COUNT(*) AS count FROM initiatives WHERE status = ?', [status.name]);
+                if (count > 0) {
+                    return res.status(409).json({ message: `Status "${status.name}" is used by ${count} initiative(s). Move them to another status first.` });
+                }
+            }
+
+            const initial = submitted.find(s => s.is_initial) || submitted[0];
+            let workflow;
+            try {
+                await db.run('BEGIN TRANSACTION');
+                for (const status of removed) {
+                    await db.run('DELETE FROM statuses WHERE id = ?', [status.id]);
+                }
+                // Names move through a temporary value so statuses can swap names
+                for (const status of submitted.filter(s => s.id !== null)) {
+                    await db.run('UPDATE statuses SET name = ? WHERE id = ?', [`__renaming_${status.id}_${Date.now()}`, status.id]);
+                }
+                const ids = new Map();
+                for (const [index, status] of submitted.entries()) {
+                    const values = [status.name, status.category, index, status === initial ? 1 : 0, status.creates_baseline ? 1 : 0];
+                    if (status.id === null) {
+                        const result = await db.run('INSERT INTO statuses (name, category, sort_order, is_initial, creates_baseline) VALUES (?, ?, ?, ?, ?)', values);
+                        ids.set(status.name.toLowerCase(), result.lastID);
+                        continue;
+                    }
+                    await db.run('UPDATE statuses SET name = ?, category = ?, sort_order = ?, is_initial = ?, creates_baseline = ? WHERE id = ?', [...values, status.id]);
+                    ids.set(status.name.toLowerCase(), status.id);
+                    // A renamed status is renamed on its initiatives and in their history
+                    const oldName = old.find(o => o.id === status.id).name;
+                    if (oldName !== status.name) {
+                        await db.run('UPDATE initiatives SET status = ? WHERE status = ?', [status.name, oldName]);
+                        await db.run('UPDATE initiative_status_history SET from_status = ? WHERE from_status = ?', [status.name, oldName]);
+                        await db.run('UPDATE initiative_status_history SET to_status = ? WHERE to_status = ?', [status.name, oldName]);
+                    }
+                }
+                await db.run('DELETE FROM status_transitions');
+                for (const status of submitted) {
+                    const targets = new Set((status.transitions || []).map(t => ids.get(String(t).trim().toLowerCase())));
+                    targets.delete(ids.get(status.name.toLowerCase()));
+                    for (const target of targets) {
+                        await db.run('INSERT INTO status_transitions (from_status_id, to_status_id) VALUES (?, ?)', [ids.get(status.name.toLowerCase()), target]);
+                    }
+                }
+                workflow = await getWorkflow(db);
+                if (JSON.stringify(toAuditData(old)) !== JSON.stringify(toAuditData(workflow))) {
+                    await recordAuditEvent(db, {
+                        entityType: 'workflow', entityId: 'workspace', entityName: 'Status workflow', action: 'updated', actor: req.user,
+                        oldData: toAuditData(old), newData: toAuditData(workflow)
+                    });
+                }
+                await db.run('COMMIT');
+            } catch (err) {
+                await db.run('ROLLBACK');
+                logger.error('Error updating the status workflow:', err);
+                return res.status(500).json({ message: 'Failed to update the status workflow.' });
+            }
+            res.json(workflow);
+        }
+    );
+
+    // GET /api/statuses/report - Time in each status and cycle time per initiative, with averages
+    router.get('/report', async (req, res) => {
+        const workflow = await getWorkflow(db);
+        const historyByInitiative = await getStatusHistory(db);
+        const rows = await db.all('SELECT id, custom_id, name, status FROM initiatives WHERE deleted_at IS NULL ORDER BY id');
+        const now = new Date();
+        const initiatives = rows.map(row => ({
+            ...row,
+            ...summarizeStatusHistory(historyByInitiative.get(row.id) || [], workflow, now)
+        }));
+
+        const finished = initiatives.filter(i => i.cycle_time_days !== null);
+        const averageTimeInStatus = {};
+        for (const status of workflow) {
+            const times = initiatives.map(i => i.time_in_status[status.name]).filter(days => days !== undefined);
+            averageTimeInStatus[status.name] = times.length > 0
+                ? parseFloat((times.reduce((sum, days) => sum + days, 0) / times.length).toFixed(2))
+                : null;
+        }
+        res.json({
+            statuses: workflow.map(s => s.name),
+            initiatives,
+            average_time_in_status: averageTimeInStatus,
+            average_cycle_time_days: finished.length > 0
+                ? parseFloat((finished.reduce((sum, i) => sum + i.cycle_time_days, 0) / finished.length).toFixed(2))
+                : null,
+            finished_count: finished.length
+        });
+    });
+
+    return router;
+}
@@ -0,0 +1,71 @@
+/**
+ * routes/trash.js
+ * * Defines API routes for the Trash: listing, restoring and purging deleted
+ * initiatives, estimation factors and resource types.
+ */
+import express from 'express';
+import { requireRole } from '../auth.js';
+import { TRASH_TYPES, getTrashedItem, listTrash, purgeFromTrash, restoreFromTrash } from '../trash.js';
+import { logger } from '../logger.js';
+
+/**
+ * Creates and returns an Express router for the Trash.
+ * @param {Database} db - The initialized SQLite database instance.
+ * @returns {Router} The configured Express router.
+ */
+export default function createTrashRouter(db) {
+  const router = express.Router();
+
+  // Loads the trashed item named by :type and :id into req.trashedItem, or responds 400/404
+  const loadTrashedItem = async (req, res, next) => {
+    const { type, id } = req.params;
+    if (!TRASH_TYPES[type]) {
+      return res.status(400).json({ message: `type must be one of: ${Object.keys(TRASH_TYPES).join(', ')}.` });
+    }
+    req.trashedItem = await getTrashedItem(db, type, id);
+    if (!req.trashedItem) {
+      return res.status(404).json({ message: 'Item not found in the Trash.' });
+    }
+    next();
+  };
+
+  // GET /api/trash
+  router.get('/', async (req, res) => {
+    res.json(await listTrash(db));
+  });
+
+  // POST /api/trash/:type/:id/restore - Requires the role that may delete that type
+  router.post('/:type/:id/restore', loadTrashedItem,
+    (req, res, next) => requireRole(TRASH_TYPES[req.params.type].role)(req, res, next),
+    async (req, res) => {
+      const { type } = req.params;
+      try {
+        await db.run('BEGIN TRANSACTION');
+        await restoreFromTrash(db, type, req.trashedItem, req.user);
+        await db.run('COMMIT');
+      } catch (err) {
+        await db.run('ROLLBACK');
+        logger.error('Error restoring from the Trash:', err);
+        return res.status(500).json({ message: 'Failed to restore the item.' });
+      }
+      res.status(204).send();
+    }
+  );
+
+  // DELETE /api/trash/:type/:id - Purges the item for good
+  router.delete('/:type/:id', requireRole('admin'), loadTrashedItem, async (req, res) => {
+    const { type } = req.params;
+    try {
+      await db.run('BEGIN TRANSACTION');
+      await purgeFromTrash(db, type, req.trashedItem, req.user);
+      await db.run('COMMIT');
+    } catch (err) {
+      await db.run('ROLLBACK');
+      logger.error('Error purging from the Trash:', err);
+      return res.status(500).json({ message: 'Failed to purge the item.' });
+    }
+    res.status(204).send();
+  });
+
+  return router;
+}
@@ -0,0 +1,111 @@
+/**
+ * routes/users.js
+ * * Defines API routes for managing user accounts. All of them require the admin role.
+ */
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { MIN_PASSWORD_LENGTH, ROLES, createUser, requireRole, toPublicUser } from '../auth.js';
+import { recordAuditEvent } from '../audit.js';
+import { logger } from '../logger.js';
+
+/**
+ * Creates and returns an Express router for user-related routes.
+ * @param {Database} db - The initialized SQLite database instance.
+ * @returns {Router} The configured Express router.
+ */
+export default function createUsersRouter(db) {
+  const router = express.Router();
+  router.use(requireRole('admin'));
+
+  // Helper to count admins other than the given user, so the last admin cannot be removed
+  const countOtherAdmins = async (userId) => {
+    const row = await db.get("SELECT COUNT(*) AS count FROM users WHERE role = 'admin' AND id != ?", [userId]);
+    return row.count;
+  };
+
+  // GET /api/users
+  router.get('/', async (req, res) => {
+    const rows = await db.all('SELECT * FROM users ORDER BY username COLLATE NOCASE');
+    res.json(rows.map(toPublicUser));
+  });
+
+  // POST /api/users
+  router.post('/',
+    body('username').trim().notEmpty().withMessage('Username is required'),
+    body('password').isString().isLength({ min: MIN_PASSWORD_LENGTH })
+      .withMessage(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`),
+    body('display_name').optional({ values: 'null' }).trim(),
+    body('role').optional().isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      const existing = await db.get('SELECT id FROM users WHERE username = ?', [req.body.username]);
+      if (existing) {
+        return res.status(409).json({ message: `A user named "${req.body.username}" already exists.` });
+      }
+      const user = await createUser(db, req.body);
+      await recordAuditEvent(db, {
+        entityType: 'user', entityId: user.id, entityName: user.username, action: 'created', actor: req.user,
+        newData: { username: user.username, display_name: user.display_name, role: user.role }
+      });
+      logger.info(`User "${req.user.username}" created account "${user.username}".`);
+      res.status(201).json(user);
+    }
+  );
+
+  // PUT /api/users/:id - Changes a user's role or display name
+  router.put('/:id',
+    body('role').optional().isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+    body('display_name').optional({ values: 'null' }).trim(),
+    async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+      const user = await db.get('SELECT * FROM users WHERE id = ?', [req.params.id]);
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      const role = req.body.role ?? user.role;
+      if (user.role === 'admin' && role !== 'admin' && (await countOtherAdmins(user.id)) === 0) {
+        return res.status(409).json({ message: 'At least one admin account is required.' });
+      }
+      const displayName = req.body.display_name !== undefined ? (req.body.display_name || null) : user.display_name;
+      await db.run(
+        'UPDATE users SET role = ?, display_name = ?, updated_at = ? WHERE id = ?',
+        [role, displayName, new Date().toISOString(), user.id]
+      );
+      const oldData = { display_name: user.display_name, role: user.role };
+      const newData = { display_name: displayName, role };
+      if (JSON.stringify(oldData) !== JSON.stringify(newData)) {
+        await recordAuditEvent(db, { entityType: 'user', entityId: user.id, entityName: user.username, action: 'updated', actor: req.user, oldData, newData });
+      }
+      if (role !== user.role) {
+        logger.info(`User "${req.user.username}" changed the role of "${user.username}" from ${user.role} to ${role}.`);
+      }
+      res.json(toPublicUser(await db.get('SELECT * FROM users WHERE id = ?', [user.id])));
+    }
+  );
+
+  // DELETE /api/users/:id - Journal entries and audit events keep the author's name after the account is gone
+  router.delete('/:id', async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (id === req.user.id) {
+      return res.status(400).json({ message: 'You cannot delete your own account.' });
+    }
+    const user = await db.get('SELECT * FROM users WHERE id = ?', [id]);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    await db.run('DELETE FROM users WHERE id = ?', [id]);
+    await recordAuditEvent(db, {
+      entityType: 'user', entityId: user.id, entityName: user.username, action: 'deleted', actor: req.user,
+      oldData: { username: user.username, display_name: user.display_name, role: user.role }
+    });
+    res.status(204).send();
+  });
+
+  return router;
+}
@@ -0,0 +1,134 @@
+/**
+ * search.js
+ * * Maintains the search_index FTS5 table and runs ranked full-text searches over it.
+ * Every route that creates, changes or deletes an initiative or estimation factor (including
+ * its selected factors and journal comments) re-indexes that record in the same transaction.
+ * Records in the Trash are left out of the index.
+ */
+
+export const SEARCH_ENTITY_TYPES = ['initiative', 'estimation_factor'];
+
+// Relative weight of each column in bm25 ranking, in table column order
+const COLUMN_WEIGHTS = {
+  entity_type: 0, entity_id: 0, name: 10, custom_id: 8, description: 4,
+  scope: 2, out_of_scope: 1, factors: 3, comments: 1
+};
+
+// Characters FTS5 puts around matches; swapped for <mark> tags once the text is escaped
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+/**
+ * Escapes stored text for HTML and turns the match markers into <mark> tags.
+ * @param {string|null} text - Text returned by highlight() or snippet().
+ * @returns {string}
+ */
+function markMatches(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&#39;')
+    .replaceAll(MATCH_START, '<mark>').replaceAll(MATCH_END, '</mark>');
+}
+
+const INDEX_INITIATIVE_SQL = `
+  INSERT INTO search_index (entity_type, entity_id, name, custom_id, description, scope, out_of_scope, factors, comments)
+  SELECT 'initiative', i.id, i.name, i.custom_id, i.description, i.scope, i.out_of_scope,
+    (SELECT group_concat(f.name, ' ') FROM initiative_factors f WHERE f.initiative_id = i.id),
+    (SELECT group_concat(j.text, ' ') FROM journal_entries j WHERE j.initiative_id = i.id AND j.type = 'comment')
+  FROM initiatives i
+  WHERE i.deleted_at IS NULL`;
+
+const INDEX_FACTOR_SQL = `
+  INSERT INTO search_index (entity_type, entity_id, name, custom_id, description, scope, out_of_scope, factors, comments)
+  SELECT 'estimation_factor', e.id, e.name, NULL, e.description, NULL, NULL, NULL,
+    (SELECT group_concat(j.text, ' ') FROM journal_entries j WHERE j.estimation_factor_id = e.id AND j.type = 'comment')
+  FROM estimation_factors e
+  WHERE e.deleted_at IS NULL`;
+
+/**
+ * Removes a record from the search index.
+ * @param {Database} db - The database instance.
+ * @param {'initiative'|'estimation_factor'} entityType - The kind of record.
+ * @param {number|string} entityId - The ID of the record.
+ */
+export async function removeFromSearchIndex(db, entityType, entityId) {
+  await db.run('DELETE FROM search_index WHERE entity_type = ? AND entity_id = ?', [entityType, entityId]);
+}
+
+/**
+ * Re-indexes an initiative from its current row, selected factors and comments.
+ * @param {Database} db - The database instance.
+ * @param {number} initiativeId - The ID of the initiative.
+ */
+export async function indexInitiative(db, initiativeId) {
+  const id = Number(initiativeId);
+  await removeFromSearchIndex(db, 'initiative', id);
+  await db.run(`${INDEX_INITIATIVE_SQL} AND i.id = ?`, [id]);
+}
+
+/**
+ * Re-indexes an estimation factor from its current row and comments.
+ * @param {Database} db - The database instance.
+ * @param {string} factorId - The ID of the estimation factor.
+ */
+export async function indexEstimationFactor(db, factorId) {
+  await removeFromSearchIndex(db, 'estimation_factor', factorId);
+  await db.run(`${INDEX_FACTOR_SQL} AND e.id = ?`, [factorId]);
+}
+
+/**
+ * Rebuilds the whole search index, e.g. after seeding.
+ * @param {Database} db - The database instance.
+ */
+export async function rebuildSearchIndex(db) {
+  await db.run('DELETE FROM search_index');
+  await db.run(INDEX_INITIATIVE_SQL);
+  await db.run(INDEX_FACTOR_SQL);
+}
+
+/**
+ * Turns free text into an FTS5 query that matches every word as a prefix. Each word is
+ * quoted, so FTS5 operators and punctuation in user input are treated as plain text.
+ * @param {string} text - The user's search text.
+ * @returns {string|null} The MATCH expression, or null if the text has no searchable words.
+ */
+export function toMatchQuery(text) {
+  const words = String(text || '').match(/[\p{L}\p{N}]+/gu);
+  if (!words) return null;
+  return words.map(w => `"${w}"*`).join(' ');
+}
+
+/**
+ * Runs a ranked full-text search. The highlight and snippet are HTML with the stored text
+ * escaped and the matches wrapped in <mark> tags.
+ * @param {Database} db - The database instance.
+ * @param {string} text - The user's search text.
+ * @param {object} [options={}]
+ * @param {Array<string>} [options.types=SEARCH_ENTITY_TYPES] - Entity types to include.
+ * @param {number} [options.limit=20] - The maximum number of hits.
+ * @returns {Promise<Array<{type: string, id: number|string, name: string, highlight: string, snippet: string, score: number}>>}
+ */
+export async function search(db, text, { types = SEARCH_ENTITY_TYPES, limit = 20 } = {}) {
+  const match = toMatchQuery(text);
+  if (!match || types.length === 0) return [];
+  const rows = await db.all(
+    `SELECT entity_type, entity_id, name,
+       highlight(search_index, 2, ?, ?) AS highlight,
+       snippet(search_index, -1, ?, ?, '…', 16) AS snippet,
+       bm25(search_index, ${Object.values(COLUMN_WEIGHTS).join(', ')}) AS score
+     FROM search_index
+     WHERE search_index MATCH ? AND entity_type IN (${types.map(() => '?').join(', ')})
+     ORDER BY score
+     LIMIT ?`,
+    [MATCH_START, MATCH_END, MATCH_START, MATCH_END, match, ...types, limit]
+  );
+  return rows.map(row => ({
+    type: row.entity_type,
+    id: row.entity_id,
+    name: row.name,
+    highlight: markMatches(row.highlight),
+    snippet: markMatches(row.snippet),
+    // bm25 scores are negative, with the best match lowest; expose a positive relevance
+    score: Math.round(-row.score * 1000) / 1000
+  }));
+}
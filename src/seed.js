@@ -10,79 +10,119 @@
 import { v4 as uuid } from 'uuid';
 import { initializeDatabase } from './database.js';
 import { getShirtSize } from './utils.js';
+import { computeInitiativeEstimate } from './estimation.js';
+import { replaceInitiativeFactors } from './initiativeFactors.js';
+import { listWeeks } from './capacity.js';
+import { computeBufferedHours } from './contingency.js';
+import { rebuildSearchIndex } from './search.js';
+import { getWorkflow, findStatus, recordStatusChange } from './statuses.js';
+import { createBaseline } from './baselines.js';
+import { logger } from './logger.js';
 
 /**
  * Main function to orchestrate the seeding process.
  */
 async function seedDatabase() {
-  console.log('INFO: Starting database seeding process...');
+  logger.info('Starting database seeding process...');
   const db = await initializeDatabase();
 
   try {
     // --- Clear Existing Data ---
-    console.log('INFO: Clearing existing data from tables...');
+    logger.info('Clearing existing data from tables...');
+    // Deleting initiatives and factors cascades to their selected factors and journal entries
     await db.run('DELETE FROM initiatives');
     await db.run('DELETE FROM estimation_factors');
     await db.run('DELETE FROM resource_types');
-    console.log('INFO: Existing data cleared.');
+    // Audit events are not tied to their entities by a foreign key
+    await db.run('DELETE FROM audit_events');
+    logger.info('Existing data cleared.');
 
     // --- Seed Resource Types ---
-    console.log('INFO: Seeding resource types...');
+    logger.info('Seeding resource types...');
     const resourceTypes = [
-      { id: uuid(), name: 'Frontend Dev', description: 'Handles user interface and client-side logic.' },
-      { id: uuid(), name: 'Backend Dev', description: 'Handles server-side logic, APIs, and database interactions.' },
-      { id: uuid(), name: 'QA Engineer', description: 'Responsible for quality assurance and testing.' },
-      { id: uuid(), name: 'Project Manager', description: 'Oversees project planning, execution, and communication.' },
-      { id: uuid(), name: 'DevOps', description: 'Manages infrastructure, deployment, and CI/CD pipelines.' },
+      { id: uuid(), name: 'Frontend Dev', description: 'Handles user interface and client-side logic.', rate: 95 },
+      { id: uuid(), name: 'Backend Dev', description: 'Handles server-side logic, APIs, and database interactions.', rate: 105 },
+      { id: uuid(), name: 'QA Engineer', description: 'Responsible for quality assurance and testing.', rate: 80 },
+      { id: uuid(), name: 'Project Manager', description: 'Oversees project planning, execution, and communication.', rate: 110 },
+      { id: uuid(), name: 'DevOps', description: 'Manages infrastructure, deployment, and CI/CD pipelines.', rate: 115 },
     ];
     for (const rt of resourceTypes) {
       await db.run('INSERT INTO resource_types (id, name, description) VALUES (?, ?, ?)', [rt.id, rt.name, rt.description]);
+      await db.run(
+        'INSERT INTO resource_type_rates (resource_type_id, rate, effective_from, created_at) VALUES (?, ?, ?, ?)',
+        [rt.id, rt.rate, '2025-01-01', new Date().toISOString()]
+      );
+    }
+    logger.info(`Seeded ${resourceTypes.length} resource types.`);
+
+    // --- Seed Contingency ---
+    const contingency = { WAG: 50, Low: 30, Medium: 20, High: 10 };
+    for (const [estimationType, percent] of Object.entries(contingency)) {
+      await db.run('UPDATE contingency_rates SET percent = ? WHERE estimation_type = ?', [percent, estimationType]);
+    }
+
+    // --- Seed Capacity ---
+    logger.info('Seeding weekly capacity...');
+    const capacity = [
+      { name: 'Frontend Dev', headcount: 2, hours: 30 },
+      { name: 'Backend Dev', headcount: 2, hours: 30 },
+      { name: 'QA Engineer', headcount: 1, hours: 30 },
+      { name: 'Project Manager', headcount: 1, hours: 10 },
+    ];
+    for (const c of capacity) {
+      const rtId = resourceTypes.find(r => r.name === c.name).id;
+      for (const week of listWeeks('2025-09-01', '2025-12-29')) {
+        await db.run(
+          'INSERT INTO resource_capacity (resource_type_id, week_start, headcount, hours_per_person, updated_at) VALUES (?, ?, ?, ?, ?)',
+          [rtId, week, c.headcount, c.hours, new Date().toISOString()]
+        );
+      }
     }
-    console.log(`INFO: Seeded ${resourceTypes.length} resource types.`);
+    logger.info(`Seeded capacity for ${capacity.length} resource types.`);
 
     // --- Seed Estimation Factors ---
-    console.log('INFO: Seeding estimation factors...');
+    logger.info('Seeding estimation factors...');
     const now = new Date().toISOString();
     const factors = [
       {
         name: 'Simple UI Component',
         description: 'A basic, non-interactive UI element like a button or styled text.',
-        hours: { [resourceTypes.find(r => r.name === 'Frontend Dev').id]: 8 }
+        hours: { [resourceTypes.find(r => r.name === 'Frontend Dev').id]: { optimistic: 6, mostLikely: 8, pessimistic: 12 } }
       },
       {
         name: 'Complex UI Component',
         description: 'An interactive UI element with state, like a data grid or a form with validation.',
-        hours: { [resourceTypes.find(r => r.name === 'Frontend Dev').id]: 40 }
+        hours: { [resourceTypes.find(r => r.name === 'Frontend Dev').id]: { optimistic: 32, mostLikely: 40, pessimistic: 60 } }
       },
       {
         name: 'Simple API Endpoint',
         description: 'A standard CRUD endpoint with basic validation.',
-        hours: { [resourceTypes.find(r => r.name === 'Backend Dev').id]: 16 }
+        hours: { [resourceTypes.find(r => r.name === 'Backend Dev').id]: { optimistic: 12, mostLikely: 16, pessimistic: 24 } }
       },
       {
         name: 'Complex API w/ Integration',
         description: 'An endpoint that integrates with a third-party service or performs complex data aggregation.',
-        hours: { [resourceTypes.find(r => r.name === 'Backend Dev').id]: 60 }
+        hours: { [resourceTypes.find(r => r.name === 'Backend Dev').id]: { optimistic: 40, mostLikely: 60, pessimistic: 100 } }
       },
       {
         name: 'Basic Test Plan',
         description: 'Writing and executing a test plan for a small feature.',
-        hours: { [resourceTypes.find(r => r.name === 'QA Engineer').id]: 8 }
+        hours: { [resourceTypes.find(r => r.name === 'QA Engineer').id]: { optimistic: 6, mostLikely: 8, pessimistic: 12 } }
       },
       {
         name: 'Full E2E Test Suite',
         description: 'Developing an end-to-end automated test suite for a major feature.',
-        hours: { [resourceTypes.find(r => r.name === 'QA Engineer').id]: 40 }
+        hours: { [resourceTypes.find(r => r.name === 'QA Engineer').id]: { optimistic: 32, mostLikely: 40, pessimistic: 60 } }
       },
       {
         name: 'Project Kickoff & Planning',
         description: 'Initial project setup, requirements gathering, and timeline planning.',
-        hours: { [resourceTypes.find(r => r.name === 'Project Manager').id]: 16 }
+        hours: { [resourceTypes.find(r => r.name === 'Project Manager').id]: { optimistic: 12, mostLikely: 16, pessimistic: 24 } }
       },
       {
         name: 'CI/CD Pipeline Setup',
         description: 'Configuring a new continuous integration and deployment pipeline.',
-        hours: { [resourceTypes.find(r => r.name === 'DevOps').id]: 24 }
+        hours: { [resourceTypes.find(r => r.name === 'DevOps').id]: { optimistic: 16, mostLikely: 24, pessimistic: 40 } }
       }
     ];
 
@@ -95,10 +135,10 @@ async function seedDatabase() {
       );
       seededFactors.push({ id: newId, ...f });
     }
-    console.log(`INFO: Seeded ${seededFactors.length} estimation factors.`);
+    logger.info(`Seeded ${seededFactors.length} estimation factors.`);
 
     // --- Seed Initiatives ---
-    console.log('INFO: Seeding initiatives...');
+    logger.info('Seeding initiatives...');
     const initiatives = [
       {
         name: 'New Marketing Website',
@@ -107,6 +147,7 @@ async function seedDatabase() {
         priority: 'High',
         priority_num: 1,
         status: 'To Do',
+        estimation_type: 'Medium',
         start_date: '2025-09-01',
         end_date: '2025-12-15',
         scope: '- New design system implementation\n- CMS integration\n- SEO optimization',
@@ -125,6 +166,7 @@ async function seedDatabase() {
         priority: 'Medium',
         priority_num: 3,
         status: 'Proposal',
+        estimation_type: 'Low',
         start_date: '2025-10-01',
         end_date: '2025-11-30',
         scope: '- Integration with Salesforce API\n- Key metrics visualization (revenue, leads, conversion rate)',
@@ -142,10 +184,12 @@ async function seedDatabase() {
         priority: 'High',
         priority_num: 2,
         status: 'Accepted',
+        estimation_type: 'High',
         factors: [] // Example with no factors
       }
     ];
 
+    const workflow = await getWorkflow(db);
     for (const init of initiatives) {
       const selected_factors = init.factors.map(f => {
         const fullFactor = seededFactors.find(sf => sf.name === f.name);
@@ -158,35 +202,41 @@ async function seedDatabase() {
       });
 
       // Replicate business logic from the API to calculate hours and shirt size
-      let computedHours = 0;
-      selected_factors.forEach(sf => {
-        const totalFactorHours = Object.values(sf.hoursPerResourceType).reduce((sum, h) => sum + h, 0);
-        computedHours += totalFactorHours * sf.quantity;
-      });
-      const shirtSize = await getShirtSize(db, computedHours);
+      const totals = await computeBufferedHours(db, computeInitiativeEstimate(selected_factors, init.estimation_type).expected, init.estimation_type);
+      const shirtSize = await getShirtSize(db, totals.computed_hours);
 
-      await db.run(
-        `INSERT INTO initiatives (name, custom_id, description, priority, priority_num, status, classification, scope, out_of_scope, selected_factors, computed_hours, shirt_size, start_date, end_date, created_at, updated_at)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      const result = await db.run(
+        `INSERT INTO initiatives (name, custom_id, description, priority, priority_num, status, estimation_type, classification, scope, out_of_scope, base_hours, buffer_hours, computed_hours, shirt_size, start_date, end_date, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
-          init.name, init.custom_id, init.description, init.priority, init.priority_num, init.status,
+          init.name, init.custom_id, init.description, init.priority, init.priority_num, init.status, init.estimation_type,
           'Internal', init.scope, init.out_of_scope,
-          JSON.stringify(selected_factors),
-          computedHours, shirtSize,
+          totals.base_hours, totals.buffer_hours, totals.computed_hours, shirtSize,
           init.start_date || null, init.end_date || null,
           now, now
         ]
       );
+      await replaceInitiativeFactors(db, result.lastID, selected_factors);
+      await recordStatusChange(db, result.lastID, null, init.status, { timestamp: now });
+      // Initiatives seeded in a status that takes a baseline get one, as if they had moved there
+      if (findStatus(workflow, init.status)?.creates_baseline) {
+        const row = await db.get('SELECT * FROM initiatives WHERE id = ?', [result.lastID]);
+        await createBaseline(db, row, { name: `${init.status} ${now.substring(0, 10)}`, source: 'status', timestamp: now });
+      }
     }
-    console.log(`INFO: Seeded ${initiatives.length} initiatives.`);
+    logger.info(`Seeded ${initiatives.length} initiatives.`);
+
+    // --- Rebuild Search Index ---
+    await rebuildSearchIndex(db);
+    logger.info('Rebuilt the search index.');
 
   } catch (error) {
-    console.error('ERROR: An error occurred during the seeding process:', error);
+    logger.error('An error occurred during the seeding process:', error);
     // If we are in a transaction, we should roll back
     // await db.run('ROLLBACK'); 
   } finally {
     await db.close();
-    console.log('INFO: Seeding process finished. Database connection closed.');
+    logger.info('Seeding process finished. Database connection closed.');
   }
 }
 
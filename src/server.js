@@ -7,48 +7,111 @@ import express from 'express';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
+import { getConfig, describeConfig } from './config.js';
+import { logger } from './logger.js';
 import { initializeDatabase } from './database.js';
-import { backupDatabase } from './utils.js';
+import { runScheduledBackup } from './backups.js';
+import { authenticate, bootstrapAdmin, requireAuth } from './auth.js';
+import { purgeExpiredTrash } from './trash.js';
 
 // Import route handlers
 import createInitiativesRouter from './routes/initiatives.js';
 import createEstimationFactorsRouter from './routes/estimationFactors.js';
 import createResourceTypesRouter from './routes/resourceTypes.js';
 import createShirtSizesRouter from './routes/shirtSizes.js';
+import createSettingsRouter from './routes/settings.js';
+import createCapacityRouter from './routes/capacity.js';
+import createContingencyRouter from './routes/contingency.js';
+import createSearchRouter from './routes/search.js';
+import createAuthRouter from './routes/auth.js';
+import createUsersRouter from './routes/users.js';
+import createAuditRouter from './routes/audit.js';
+import createTrashRouter from './routes/trash.js';
+import createBackupsRouter from './routes/backups.js';
+import createConfigRouter from './routes/config.js';
+import createCalendarRouter from './routes/calendar.js';
+import createStatusesRouter from './routes/statuses.js';
+import createActualsRouter from './routes/actuals.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+const TRASH_PURGE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+// How often to check whether a scheduled backup is due (see backup_interval_hours)
+const BACKUP_CHECK_INTERVAL_MS = 15 * 60 * 1000;
 
 async function createApp() {
-  // Perform database backup immediately on startup
-  await backupDatabase();
+  // Fail fast on invalid configuration, before touching the database
+  const config = getConfig();
+  logger.info(`Configuration: ${describeConfig(config)}`);
 
   // Initialize Express app
   const app = express();
-  app.use(express.json());
+  // Large enough for TSV and calendar file imports
+  app.use(express.json({ limit: '2mb' }));
   app.use(express.static(PUBLIC_DIR));
 
   // Debug logging middleware
   app.use((req, res, next) => {
-    console.log(`[${new Date().toISOString()}] ${req.method} ${req.url}`);
+    logger.debug(`[${new Date().toISOString()}] ${req.method} ${req.url}`);
     next();
   });
 
-  // Initialize database
+  // Initialize database; a database with pending migrations is backed up first
   const db = await initializeDatabase();
+  await bootstrapAdmin(db);
+
+  // Purge expired Trash items now and once a day
+  const purgeTrash = () => purgeExpiredTrash(db).catch(err => logger.error('Trash purge failed:', err));
+  await purgeTrash();
+  setInterval(purgeTrash, TRASH_PURGE_INTERVAL_MS);
+
+  // Take a backup now if one is due, then check again periodically
+  const backUp = () => runScheduledBackup(db).catch(err => logger.error('Scheduled backup failed:', err));
+  await backUp();
+  setInterval(backUp, BACKUP_CHECK_INTERVAL_MS);
 
   // Create routers and pass the database connection
   const initiativesRouter = createInitiativesRouter(db);
   const estimationFactorsRouter = createEstimationFactorsRouter(db);
   const resourceTypesRouter = createResourceTypesRouter(db);
   const shirtSizesRouter = createShirtSizesRouter(db);
+  const settingsRouter = createSettingsRouter(db);
+  const capacityRouter = createCapacityRouter(db);
+  const contingencyRouter = createContingencyRouter(db);
+  const searchRouter = createSearchRouter(db);
+  const authRouter = createAuthRouter(db);
+  const usersRouter = createUsersRouter(db);
+  const auditRouter = createAuditRouter(db);
+  const trashRouter = createTrashRouter(db);
+  const backupsRouter = createBackupsRouter(db);
+  const configRouter = createConfigRouter();
+  const calendarRouter = createCalendarRouter(db);
+  const statusesRouter = createStatusesRouter(db);
+  const actualsRouter = createActualsRouter(db);
+
+  // Identify the signed-in user; everything under /api except /api/auth requires one
+  app.use('/api', authenticate(db));
+  app.use('/api/auth', authRouter);
+  app.use('/api', requireAuth);
 
   // Mount the routers
   app.use('/api/initiatives', initiativesRouter);
   app.use('/api/estimation-factors', estimationFactorsRouter);
   app.use('/api/resource-types', resourceTypesRouter);
   app.use('/api/shirt-sizes', shirtSizesRouter);
+  app.use('/api/settings', settingsRouter);
+  app.use('/api/capacity', capacityRouter);
+  app.use('/api/contingency', contingencyRouter);
+  app.use('/api/search', searchRouter);
+  app.use('/api/users', usersRouter);
+  app.use('/api/audit', auditRouter);
+  app.use('/api/trash', trashRouter);
+  app.use('/api/backups', backupsRouter);
+  app.use('/api/config', configRouter);
+  app.use('/api/calendar', calendarRouter);
+  app.use('/api/statuses', statusesRouter);
+  app.use('/api/actuals', actualsRouter);
 
   // Serve the main HTML file for any other route
   app.get('*', (req, res) => {
@@ -61,12 +124,12 @@ async function createApp() {
 // Start the server
 createApp()
   .then(app => {
-    const PORT = process.env.PORT || 3000;
-    app.listen(PORT, () => {
-      console.log(`[BOOT] Estiim API listening on http://localhost:${PORT}`);
+    const { port } = getConfig();
+    app.listen(port, () => {
+      logger.info(`Estiim API listening on http://localhost:${port}`);
     });
   })
   .catch(err => {
-    console.error("[BOOT ERROR]", err);
+    logger.error('Server failed to start:', err);
     process.exit(1);
   });
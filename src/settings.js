@@ -0,0 +1,67 @@
+/**
+ * settings.js
+ * * Reads and writes workspace-wide settings stored in the settings table.
+ */
+import { getConfig } from './config.js';
+
+// Values used when a setting has never been saved
+export const DEFAULT_SETTINGS = {
+  currency: 'USD',
+  // Days a deleted record stays in the Trash before it is purged; 0 keeps it until purged by hand
+  trash_purge_days: '30',
+  // Hours between scheduled backups (0 turns them off) and the backups kept (see backups.js)
+  backup_interval_hours: '24',
+  backup_keep_last: '10',
+  backup_keep_daily: '7',
+  backup_keep_weekly: '4',
+  // Working calendar (see calendar.js): weekdays worked, 0 = Sunday; hours_per_day defaults to the config
+  working_weekdays: '1,2,3,4,5',
+  // Shirt size scheme of initiatives that do not pick their own (see shirtSizes.js)
+  default_shirt_size_scheme_id: '1'
+};
+
+/**
+ * Returns the defaults of every setting, including those taken from the configuration.
+ * @returns {object} Map of setting key to default value.
+ */
+function getDefaultSettings() {
+  return { ...DEFAULT_SETTINGS, hours_per_day: String(getConfig().hoursPerDay) };
+}
+
+/**
+ * Returns every setting, falling back to the defaults for missing keys.
+ * @param {Database} db - The database instance.
+ * @returns {Promise<object>} Map of setting key to value.
+ */
+export async function getSettings(db) {
+  const rows = await db.all('SELECT key, value FROM settings');
+  const settings = getDefaultSettings();
+  for (const row of rows) {
+    settings[row.key] = row.value;
+  }
+  return settings;
+}
+
+/**
+ * Returns a single setting, falling back to its default.
+ * @param {Database} db - The database instance.
+ * @param {string} key - The setting key.
+ * @returns {Promise<string>} The setting value.
+ */
+export async function getSetting(db, key) {
+  const row = await db.get('SELECT value FROM settings WHERE key = ?', [key]);
+  return row ? row.value : getDefaultSettings()[key];
+}
+
+/**
+ * Saves a setting.
+ * @param {Database} db - The database instance.
+ * @param {string} key - The setting key.
+ * @param {string} value - The setting value.
+ */
+export async function setSetting(db, key, value) {
+  await db.run(
+    'INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value',
+    [key, value]
+  );
+}
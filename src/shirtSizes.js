@@ -0,0 +1,190 @@
+/**
+ * shirtSizes.js
+ * * Shirt size schemes: named, ordered lists of sizes with the minimum hours for each.
+ * One scheme is the workspace default (the default_shirt_size_scheme_id setting);
+ * an initiative uses its own scheme when shirt_size_scheme_id is set, otherwise the default.
+ * Initiatives store their size when saved; resizeInitiatives brings them in line after
+ * the thresholds change.
+ */
+import { getSetting } from './settings.js';
+import { recordAuditEvent } from './audit.js';
+
+/**
+ * Returns the ID of the workspace default scheme.
+ * @param {Database} db - The database instance.
+ * @returns {Promise<number>}
+ */
+export async function getDefaultSchemeId(db) {
+  return parseInt(await getSetting(db, 'default_shirt_size_scheme_id'), 10);
+}
+
+/**
+ * Returns the sizes of a scheme, smallest first.
+ * @param {Database} db - The database instance.
+ * @param {number|null} [schemeId] - The scheme; null or undefined means the default.
+ * @returns {Promise<Array<{id: number, scheme_id: number, size: string, threshold_hours: number}>>}
+ */
+export async function getSchemeSizes(db, schemeId) {
+  const id = schemeId ?? await getDefaultSchemeId(db);
+  return db.all('SELECT * FROM shirt_sizes WHERE scheme_id = ? ORDER BY threshold_hours', [id]);
+}
+
+/**
+ * Returns a scheme with its sizes, whether it is the default and how many initiatives use it.
+ * @param {Database} db - The database instance.
+ * @param {number} schemeId - The scheme ID.
+ * @returns {Promise<object|null>} The scheme, or null if it does not exist.
+ */
+export async function getScheme(db, schemeId) {
+  const scheme = await db.get('SELECT * FROM shirt_size_schemes WHERE id = ?', [schemeId]);
+  if (!scheme) return null;
+  const { count } = await db.get(
+    'SELECT COUNT(*) AS count FROM initiatives WHERE shirt_size_scheme_id = ? AND deleted_at IS NULL', [scheme.id]
+  );
+  return {
+    ...scheme,
+    is_default: scheme.id === await getDefaultSchemeId(db),
+    initiative_count: count,
+    sizes: await getSchemeSizes(db, scheme.id)
+  };
+}
+
+/**
+ * Lists every scheme, by name, in the shape of getScheme.
+ * @param {Database} db - The database instance.
+ * @returns {Promise<Array<object>>}
+ */
+export async function listSchemes(db) {
+  const rows = await db.all('SELECT id FROM shirt_size_schemes ORDER BY name');
+  return Promise.all(rows.map(row => getScheme(db, row.id)));
+}
+
+/**
+ * Checks a list of sizes before it is saved as a scheme. Sizes need unique names and
+ * strictly increasing thresholds starting at 0 hours, so every estimate has a size.
+ * @param {Array<{size: string, threshold_hours: number}>} sizes - The sizes, smallest first.
+ * @returns {Array<string>} The problems found; empty if the sizes are valid.
+ */
+export function validateSchemeSizes(sizes) {
+  if (!Array.isArray(sizes) || sizes.length === 0) {
+    return ['A scheme needs at least one size.'];
+  }
+  const problems = [];
+  const names = new Set();
+  sizes.forEach((size, index) => {
+    const name = typeof size?.size === 'string' ? size.size.trim() : '';
+    const threshold = Number(size?.threshold_hours);
+    if (!name) {
+      problems.push(`Size ${index + 1} needs a name.`);
+    } else if (names.has(name.toLowerCase())) {
+      problems.push(`Size "${name}" is listed more than once.`);
+    }
+    names.add(name.toLowerCase());
+    if (size?.threshold_hours === '' || size?.threshold_hours === null || !Number.isFinite(threshold) || threshold < 0) {
+      problems.push(`Size "${name || index + 1}" needs a threshold of 0 hours or more.`);
+    } else if (index === 0 && threshold !== 0) {
+      problems.push('The smallest size must start at 0 hours.');
+    } else if (index > 0 && threshold <= Number(sizes[index - 1]?.threshold_hours)) {
+      problems.push(`The threshold of "${name}" must be above that of "${sizes[index - 1].size}".`);
+    }
+  });
+  return problems;
+}
+
+/**
+ * Replaces the sizes of a scheme. Run inside the caller's transaction.
+ * @param {Database} db - The database instance.
+ * @param {number} schemeId - The scheme ID.
+ * @param {Array<{size: string, threshold_hours: number}>} sizes - Valid sizes (see validateSchemeSizes).
+ */
+export async function saveSchemeSizes(db, schemeId, sizes) {
+  await db.run('DELETE FROM shirt_sizes WHERE scheme_id = ?', [schemeId]);
+  for (const size of sizes) {
+    await db.run(
+      'INSERT INTO shirt_sizes (scheme_id, size, threshold_hours) VALUES (?, ?, ?)',
+      [schemeId, size.size.trim(), Number(size.threshold_hours)]
+    );
+  }
+}
+
+/**
+ * Picks the size for a number of hours: the largest size whose threshold it reaches.
+ * @param {Array<{size: string, threshold_hours: number}>} sizes - The sizes, smallest first.
+ * @param {number} hours - The estimated hours.
+ * @returns {string|null} The size, or null if the list is empty.
+ */
+export function pickShirtSize(sizes, hours) {
+  let determinedSize = sizes.length > 0 ? sizes[0].size : null;
+  for (const size of sizes) {
+    if (hours >= size.threshold_hours) {
+      determinedSize = size.size;
+    } else {
+      break;
+    }
+  }
+  return determinedSize;
+}
+
+/**
+ * Lists the initiatives outside the Trash that use a scheme, with their stored size and
+ * the size from the scheme's current (or proposed) thresholds.
+ * @param {Database} db - The database instance.
+ * @param {number} schemeId - The scheme ID.
+ * @param {Array<{size: string, threshold_hours: number}>} [proposedSizes] - Sizes to preview instead of the saved ones.
+ * @returns {Promise<Array<{id: number, custom_id: string, name: string, status: string, computed_hours: number, old_shirt_size: string, new_shirt_size: string, changed: boolean}>>}
+ */
+export async function computeResizeImpact(db, schemeId, proposedSizes) {
+  const sizes = proposedSizes
+    ? [...proposedSizes].map(s => ({ size: s.size.trim(), threshold_hours: Number(s.threshold_hours) })).sort((a, b) => a.threshold_hours - b.threshold_hours)
+    : await getSchemeSizes(db, schemeId);
+  const isDefault = schemeId === await getDefaultSchemeId(db);
+  const rows = await db.all(
+    `SELECT id, custom_id, name, status, computed_hours, shirt_size FROM initiatives
+     WHERE deleted_at IS NULL AND (shirt_size_scheme_id = ? OR (? AND shirt_size_scheme_id IS NULL))
+     ORDER BY id`,
+    [schemeId, isDefault ? 1 : 0]
+  );
+  return rows.map(row => {
+    const newShirtSize = pickShirtSize(sizes, parseFloat(row.computed_hours || 0));
+    return {
+      id: row.id,
+      custom_id: row.custom_id,
+      name: row.name,
+      status: row.status,
+      computed_hours: parseFloat(row.computed_hours || 0),
+      old_shirt_size: row.shirt_size,
+      new_shirt_size: newShirtSize,
+      changed: row.shirt_size !== newShirtSize
+    };
+  });
+}
+
+/**
+ * Gives initiatives the size from their scheme's saved thresholds, with an audit entry on
+ * each one that changes. Run inside the caller's transaction.
+ * @param {Database} db - The database instance.
+ * @param {number} schemeId - The scheme the initiatives use.
+ * @param {Array<number>} initiativeIds - The initiatives to resize; others are ignored.
+ * @param {object} options
+ * @param {object} options.actor - The signed-in user (req.user).
+ * @param {number|null} options.auditEventId - The shirt size audit event behind the change.
+ * @param {string} [options.timestamp] - Defaults to now.
+ * @returns {Promise<Array<{id: number, old_shirt_size: string, new_shirt_size: string}>>} The initiatives resized.
+ */
+export async function resizeInitiatives(db, schemeId, initiativeIds, { actor, auditEventId, timestamp = new Date().toISOString() }) {
+  const scheme = await db.get('SELECT name FROM shirt_size_schemes WHERE id = ?', [schemeId]);
+  const wanted = new Set(initiativeIds.map(Number));
+  const resized = [];
+  for (const item of await computeResizeImpact(db, schemeId)) {
+    if (!wanted.has(item.id) || !item.changed) continue;
+    await db.run('UPDATE initiatives SET shirt_size = ?, updated_at = ? WHERE id = ?', [item.new_shirt_size, timestamp, item.id]);
+    await recordAuditEvent(db, {
+      entityType: 'initiative', entityId: item.id, entityName: item.name, action: 'resized', actor, timestamp,
+      oldData: { shirt_size: item.old_shirt_size }, newData: { shirt_size: item.new_shirt_size },
+      note: `Re-sized after the thresholds of shirt size scheme "${scheme.name}" changed${auditEventId ? ` (audit event #${auditEventId})` : ''}`,
+      details: { shirt_size_scheme_id: schemeId, shirt_size_audit_event_id: auditEventId }
+    });
+    resized.push({ id: item.id, old_shirt_size: item.old_shirt_size, new_shirt_size: item.new_shirt_size });
+  }
+  return resized;
+}
@@ -0,0 +1,157 @@
+/**
+ * statuses.js
+ * * The initiative status workflow: the statuses, which transitions between them are
+ * allowed, and each initiative's status history. Initiatives store their status by name.
+ * Each status has a category: backlog and in_progress statuses are open, done and
+ * cancelled ones are closed. Cycle time runs from the first move into an in_progress
+ * status to the first move into a done status afterwards. Moving into a status with
+ * creates_baseline set freezes the estimate as a baseline (see baselines.js).
+ */
+
+export const STATUS_CATEGORIES = ['backlog', 'in_progress', 'done', 'cancelled'];
+
+// Categories of initiatives that no longer consume capacity
+export const CLOSED_CATEGORIES = ['done', 'cancelled'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Loads the workflow: every status in order with the names of the statuses it may move to.
+ * @param {Database} db - The database instance.
+ * @returns {Promise<Array<{id: number, name: string, category: string, sort_order: number, is_initial: boolean, creates_baseline: boolean, transitions: Array<string>}>>}
+ */
+export async function getWorkflow(db) {
+  const statuses = await db.all('SELECT * FROM statuses ORDER BY sort_order, id');
+  const transitions = await db.all('SELECT from_status_id, to_status_id FROM status_transitions');
+  const names = new Map(statuses.map(s => [s.id, s.name]));
+  return statuses.map(status => ({
+    ...status,
+    is_initial: !!status.is_initial,
+    creates_baseline: !!status.creates_baseline,
+    transitions: statuses
+      .filter(to => transitions.some(t => t.from_status_id === status.id && t.to_status_id === to.id))
+      .map(to => names.get(to.id))
+  }));
+}
+
+/**
+ * Finds a status by name, ignoring case.
+ * @param {Array<object>} workflow - See getWorkflow.
+ * @param {string} name - The status name.
+ * @returns {object|undefined}
+ */
+export function findStatus(workflow, name) {
+  const wanted = String(name ?? '').trim().toLowerCase();
+  return workflow.find(s => s.name.toLowerCase() === wanted);
+}
+
+/**
+ * Returns the status new initiatives start in.
+ * @param {Array<object>} workflow - See getWorkflow.
+ * @returns {string}
+ */
+export function getInitialStatus(workflow) {
+  return (workflow.find(s => s.is_initial) || workflow[0]).name;
+}
+
+/**
+ * Checks a status change against the workflow. Keeping the same status is always allowed.
+ * @param {Array<object>} workflow - See getWorkflow.
+ * @param {string|null} from - The current status.
+ * @param {string} to - The requested status.
+ * @returns {string|null} Why the change is not allowed, or null if it is.
+ */
+export function checkTransition(workflow, from, to) {
+  const target = findStatus(workflow, to);
+  if (!target) {
+    return `"${to}" is not a status. Statuses: ${workflow.map(s => s.name).join(', ')}.`;
+  }
+  const current = findStatus(workflow, from);
+  if (!current || current.id === target.id) return null;
+  if (!current.transitions.includes(target.name)) {
+    const allowed = current.transitions.length > 0 ? current.transitions.join(', ') : 'none';
+    return `An initiative cannot move from "${current.name}" to "${target.name}". Allowed next statuses: ${allowed}.`;
+  }
+  return null;
+}
+
+/**
+ * Returns the names of the statuses in the given categories.
+ * @param {Database} db - The database instance.
+ * @param {Array<string>} categories - Categories from STATUS_CATEGORIES.
+ * @returns {Promise<Array<string>>}
+ */
+export async function getStatusNames(db, categories) {
+  const rows = await db.all(
+    `SELECT name FROM statuses WHERE category IN (${categories.map(() => '?').join(', ')}) ORDER BY sort_order`,
+    categories
+  );
+  return rows.map(row => row.name);
+}
+
+/**
+ * Records a status change in an initiative's history. Run inside the caller's transaction.
+ * @param {Database} db - The database instance.
+ * @param {number} initiativeId - The initiative.
+ * @param {string|null} from - The previous status; null when the initiative is created.
+ * @param {string} to - The new status.
+ * @param {object} [options={}]
+ * @param {object|null} [options.actor] - The signed-in user (req.user).
+ * @param {string} [options.timestamp] - Defaults to now.
+ */
+export async function recordStatusChange(db, initiativeId, from, to, { actor, timestamp } = {}) {
+  await db.run(
+    'INSERT INTO initiative_status_history (initiative_id, from_status, to_status, changed_at, actor_id, actor_name) VALUES (?, ?, ?, ?, ?, ?)',
+    [initiativeId, from, to, timestamp || new Date().toISOString(), actor?.id ?? null, actor ? (actor.display_name || actor.username) : null]
+  );
+}
+
+/**
+ * Returns the status history of initiatives, oldest first.
+ * @param {Database} db - The database instance.
+ * @param {number} [initiativeId] - One initiative; omitted for every initiative.
+ * @returns {Promise<Map<number, Array<object>>>} History rows keyed by initiative ID.
+ */
+export async function getStatusHistory(db, initiativeId) {
+  const rows = initiativeId === undefined
+    ? await db.all('SELECT * FROM initiative_status_history ORDER BY initiative_id, changed_at, id')
+    : await db.all('SELECT * FROM initiative_status_history WHERE initiative_id = ? ORDER BY changed_at, id', [initiativeId]);
+  const byInitiative = new Map();
+  for (const row of rows) {
+    if (!byInitiative.has(row.initiative_id)) byInitiative.set(row.initiative_id, []);
+    byInitiative.get(row.initiative_id).push(row);
+  }
+  return byInitiative;
+}
+
+/**
+ * Summarizes a status history: the days spent in each status (the current one up to
+ * now) and the cycle time.
+ * @param {Array<object>} history - The initiative's history rows, oldest first.
+ * @param {Array<object>} workflow - See getWorkflow; gives the category of each status.
+ * @param {Date} [now=new Date()] - The end of the current status.
+ * @returns {{time_in_status: object, cycle_time_days: number|null, started_at: string|null, finished_at: string|null}}
+ */
+export function summarizeStatusHistory(history, workflow, now = new Date()) {
+  const timeInStatus = {};
+  history.forEach((entry, index) => {
+    const end = index + 1 < history.length ? new Date(history[index + 1].changed_at) : now;
+    const days = Math.max(0, (end.getTime() - new Date(entry.changed_at).getTime()) / DAY_MS);
+    timeInStatus[entry.to_status] = (timeInStatus[entry.to_status] || 0) + days;
+  });
+  for (const status of Object.keys(timeInStatus)) {
+    timeInStatus[status] = parseFloat(timeInStatus[status].toFixed(2));
+  }
+
+  const categoryOf = (name) => findStatus(workflow, name)?.category;
+  const started = history.find(entry => categoryOf(entry.to_status) === 'in_progress');
+  const finished = started && history.slice(history.indexOf(started)).find(entry => categoryOf(entry.to_status) === 'done');
+  return {
+    time_in_status: timeInStatus,
+    cycle_time_days: finished
+      ? parseFloat(((new Date(finished.changed_at).getTime() - new Date(started.changed_at).getTime()) / DAY_MS).toFixed(2))
+      : null,
+    started_at: started?.changed_at ?? null,
+    finished_at: finished?.changed_at ?? null
+  };
+}
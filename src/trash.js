@@ -0,0 +1,186 @@
+/**
+ * trash.js
+ * * Soft deletion of initiatives, estimation factors and resource types. Deleting a record
+ * sets its deleted_at marker; every list, export and calculation skips marked rows. Trashed
+ * records can be restored, or purged for good by hand or once they are older than the
+ * trash_purge_days setting.
+ */
+import { recordAuditEvent } from './audit.js';
+import { computeBufferedHours } from './contingency.js';
+import { getShirtSize } from './utils.js';
+import { indexEstimationFactor, indexInitiative, removeFromSearchIndex } from './search.js';
+import { getSetting } from './settings.js';
+import { logger } from './logger.js';
+
+// The kinds of records that can be trashed, with their table and the role that may delete them
+export const TRASH_TYPES = {
+  initiative: { table: 'initiatives', role: 'estimator' },
+  estimation_factor: { table: 'estimation_factors', role: 'admin' },
+  resource_type: { table: 'resource_types', role: 'admin' }
+};
+
+/**
+ * Re-indexes a record after it moved into or out of the Trash. Trashed records are
+ * left out of the index (see search.js).
+ * @param {Database} db - The database instance.
+ * @param {string} entityType - One of the TRASH_TYPES keys.
+ * @param {number|string} id - The ID of the record.
+ */
+async function reindex(db, entityType, id) {
+  if (entityType === 'initiative') await indexInitiative(db, id);
+  if (entityType === 'estimation_factor') await indexEstimationFactor(db, id);
+}
+
+/**
+ * Marks a record as deleted. The caller records the 'deleted' audit event.
+ * @param {Database} db - The database instance.
+ * @param {string} entityType - One of the TRASH_TYPES keys.
+ * @param {number|string} id - The ID of the record.
+ * @param {object|null} user - The signed-in user (req.user).
+ * @param {string} [timestamp] - Defaults to now.
+ */
+export async function moveToTrash(db, entityType, id, user, timestamp = new Date().toISOString()) {
+  await db.run(
+    `UPDATE ${TRASH_TYPES[entityType].table} SET deleted_at = ?, deleted_by_id = ?, deleted_by_name = ? WHERE id = ? AND deleted_at IS NULL`,
+    [timestamp, user?.id ?? null, user ? (user.display_name || user.username) : null, id]
+  );
+  await reindex(db, entityType, id);
+}
+
+/**
+ * Returns a trashed record, or undefined if it does not exist or is not in the Trash.
+ * @param {Database} db - The database instance.
+ * @param {string} entityType - One of the TRASH_TYPES keys.
+ * @param {number|string} id - The ID of the record.
+ * @returns {Promise<object|undefined>} The database row.
+ */
+export async function getTrashedItem(db, entityType, id) {
+  return db.get(`SELECT * FROM ${TRASH_TYPES[entityType].table} WHERE id = ? AND deleted_at IS NOT NULL`, [id]);
+}
+
+/**
+ * Explains why a name cannot be used for an estimation factor or resource type, whose
+ * names are unique. A trashed record keeps its name until it is purged.
+ * @param {Database} db - The database instance.
+ * @param {'estimation_factor'|'resource_type'} entityType - The kind of record.
+ * @param {string} name - The requested name.
+ * @param {string} [exceptId] - The record being renamed.
+ * @returns {Promise<string|null>} The conflict message, or null if the name is free.
+ */
+export async function findNameConflict(db, entityType, name, exceptId = null) {
+  const row = await db.get(
+    `SELECT deleted_at FROM ${TRASH_TYPES[entityType].table} WHERE name = ? AND id IS NOT ?`,
+    [name, exceptId]
+  );
+  if (!row) return null;
+  return row.deleted_at
+    ? `"${name}" is in the Trash; restore or purge it before reusing the name.`
+    : `"${name}" already exists.`;
+}
+
+/**
+ * Lists everything in the Trash, most recently deleted first.
+ * @param {Database} db - The database instance.
+ * @returns {Promise<Array<object>>} Items with their type, name, who deleted them and when they will be purged.
+ */
+export async function listTrash(db) {
+  const purgeDays = parseInt(await getSetting(db, 'trash_purge_days'), 10) || 0;
+  const items = [];
+  for (const [type, { table }] of Object.entries(TRASH_TYPES)) {
+    const extra = type === 'initiative' ? 'custom_id' : 'NULL AS custom_id';
+    const rows = await db.all(
+      `SELECT id, name, ${extra}, deleted_at, deleted_by_id, deleted_by_name FROM ${table} WHERE deleted_at IS NOT NULL`
+    );
+    for (const row of rows) {
+      const purgeAt = purgeDays > 0 ? new Date(Date.parse(row.deleted_at) + purgeDays * 86400000).toISOString() : null;
+      items.push({ type, ...row, purge_at: purgeAt });
+    }
+  }
+  return items.sort((a, b) => b.deleted_at.localeCompare(a.deleted_at));
+}
+
+/**
+ * Takes a record out of the Trash and records a 'restored' audit event. A restored
+ * initiative's buffer is recomputed, since contingency changes skip trashed initiatives.
+ * @param {Database} db - The database instance.
+ * @param {string} entityType - One of the TRASH_TYPES keys.
+ * @param {object} row - The trashed row (see getTrashedItem).
+ * @param {object|null} user - The signed-in user (req.user).
+ */
+export async function restoreFromTrash(db, entityType, row, user) {
+  await db.run(
+    `UPDATE ${TRASH_TYPES[entityType].table} SET deleted_at = NULL, deleted_by_id = NULL, deleted_by_name = NULL WHERE id = ?`,
+    [row.id]
+  );
+  const oldData = { deleted_at: row.deleted_at };
+  const newData = {};
+  if (entityType === 'initiative') {
+    const totals = await computeBufferedHours(db, row.base_hours || 0, row.estimation_type, row.risk_adjustment_percent);
+    const shirtSize = await getShirtSize(db, totals.computed_hours, row.shirt_size_scheme_id);
+    await db.run(
+      'UPDATE initiatives SET buffer_hours = ?, computed_hours = ?, shirt_size = ? WHERE id = ?',
+      [totals.buffer_hours, totals.computed_hours, shirtSize, row.id]
+    );
+    Object.assign(oldData, { computed_hours: parseFloat(row.computed_hours || 0).toFixed(1), shirt_size: row.shirt_size });
+    Object.assign(newData, { computed_hours: totals.computed_hours.toFixed(1), shirt_size: shirtSize });
+  }
+  await reindex(db, entityType, row.id);
+  await recordAuditEvent(db, {
+    entityType, entityId: row.id, entityName: row.name, action: 'restored', actor: user, oldData, newData
+  });
+}
+
+/**
+ * Permanently deletes a trashed record and records a 'purged' audit event. Its audit
+ * history is kept. Initiatives that selected a purged factor keep their snapshot of it.
+ * @param {Database} db - The database instance.
+ * @param {string} entityType - One of the TRASH_TYPES keys.
+ * @param {object} row - The trashed row (see getTrashedItem).
+ * @param {object|null} user - The user purging it, or null for the automatic purge.
+ * @param {string} [note] - Why the record was purged.
+ */
+export async function purgeFromTrash(db, entityType, row, user, note) {
+  if (entityType === 'estimation_factor') {
+    await db.run('UPDATE initiative_factors SET factor_id = NULL WHERE factor_id = ?', [row.id]);
+  }
+  await db.run(`DELETE FROM ${TRASH_TYPES[entityType].table} WHERE id = ?`, [row.id]);
+  if (entityType !== 'resource_type') {
+    await removeFromSearchIndex(db, entityType, row.id);
+  }
+  await recordAuditEvent(db, {
+    entityType, entityId: row.id, entityName: row.name, action: 'purged', actor: user, note,
+    oldData: { deleted_at: row.deleted_at }, newData: {}
+  });
+}
+
+/**
+ * Purges every trashed record deleted more than trash_purge_days ago. A setting of 0
+ * keeps trashed records until they are purged by hand.
+ * @param {Database} db - The database instance.
+ * @returns {Promise<number>} The number of records purged.
+ */
+export async function purgeExpiredTrash(db) {
+  const purgeDays = parseInt(await getSetting(db, 'trash_purge_days'), 10) || 0;
+  if (purgeDays <= 0) return 0;
+  const cutoff = new Date(Date.now() - purgeDays * 86400000).toISOString();
+
+  let purged = 0;
+  try {
+    await db.run('BEGIN TRANSACTION');
+    for (const [type, { table }] of Object.entries(TRASH_TYPES)) {
+      const rows = await db.all(`SELECT * FROM ${table} WHERE deleted_at IS NOT NULL AND deleted_at < ?`, [cutoff]);
+      for (const row of rows) {
+        await purgeFromTrash(db, type, row, null, `In the Trash for more than ${purgeDays} days`);
+        purged++;
+      }
+    }
+    await db.run('COMMIT');
+  } catch (err) {
+    await db.run('ROLLBACK');
+    throw err;
+  }
+  if (purged > 0) {
+    logger.info(`Purged ${purged} item(s) deleted before ${cutoff}.`);
+  }
+  return purged;
+}